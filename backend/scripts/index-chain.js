@@ -0,0 +1,58 @@
+const path = require('path');
+const mongoose = require('mongoose');
+
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const { connectDB } = require('../src/config/database');
+const chainIndexerService = require('../src/services/chainIndexerService');
+
+// Index MultimediaNFT and LicensingContract events up to the confirmed head.
+//
+//   npm run index-chain -- [--network <name>] [--follow]
+//
+// Every configured network is indexed unless --network names one.
+// --follow keeps polling every INDEXER_POLL_INTERVAL ms until interrupted.
+const args = process.argv.slice(2);
+const follow = args.includes('--follow');
+const networkArg = args.indexOf('--network');
+const network = networkArg >= 0 ? args[networkArg + 1] : undefined;
+
+const syncOnce = async () => {
+  const indexers = network
+    ? [chainIndexerService.getIndexer(network)]
+    : [...chainIndexerService.indexers.values()];
+
+  for (const indexer of indexers) {
+    const result = await indexer.sync();
+    if (result.reorg) {
+      console.log(`${indexer.network}: reorg dropped ${result.reorg.droppedEvents} events after block ${result.reorg.forkBlock}`);
+    }
+    console.log(`${indexer.network}: indexed ${result.events} events in blocks ${result.fromBlock}-${result.toBlock} (head ${result.headBlock})`);
+  }
+};
+
+const main = async () => {
+  await connectDB();
+  await syncOnce();
+
+  if (!follow) {
+    await mongoose.disconnect();
+    return;
+  }
+
+  const poll = async () => {
+    try {
+      await syncOnce();
+    } catch (error) {
+      console.error('Indexing failed:', error.message);
+    }
+    setTimeout(poll, chainIndexerService.config.pollInterval);
+  };
+  setTimeout(poll, chainIndexerService.config.pollInterval);
+};
+
+main().catch(async (error) => {
+  console.error('Indexing failed:', error.message);
+  process.exitCode = 1;
+  await mongoose.disconnect();
+});
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const { connectDB } = require('../src/config/database');
+const blockchainService = require('../src/services/blockchainService');
+const reconciliationService = require('../src/services/reconciliationService');
+// Registers the handlers for API jobs this process's queue worker may settle
+require('../src/services/registrationService');
+
+// Re-mint assets saved with transactionHash 'simulated' or blockNumber 0, or
+// whose queued mint failed.
+//
+//   npm run reconcile -- [--dry-run] [--limit N] [--max-attempts N]
+//                        [--include-simulated-network] [--report report.json]
+//
+// Mints go through the transaction queue. If the API holds the signer, its
+// worker sends them; otherwise this process does.
+//
+// Exits with 1 when any asset could not be repaired.
+const parseArgs = (argv) => {
+  const options = {};
+  let reportPath = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--include-simulated-network':
+        options.includeSimulatedNetwork = true;
+        break;
+      case '--limit':
+        options.limit = parseInt(argv[++i], 10);
+        break;
+      case '--max-attempts':
+        options.maxAttempts = parseInt(argv[++i], 10);
+        break;
+      case '--report':
+        reportPath = argv[++i];
+        break;
+      default:
+        throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return { options, reportPath };
+};
+
+const main = async () => {
+  const { options, reportPath } = parseArgs(process.argv.slice(2));
+
+  await connectDB();
+  blockchainService.getNetworks().forEach(chain => chain.queue.start());
+  const report = await reconciliationService.reconcile(options);
+  const output = JSON.stringify(report, null, 2);
+
+  if (reportPath) {
+    fs.writeFileSync(reportPath, output);
+    console.log(`Report written to ${reportPath}`);
+  } else {
+    console.log(output);
+  }
+
+  console.log(`Scanned ${report.scanned}: ${report.repaired.length} repaired, ${report.failed.length} failed, ${report.skipped.length} skipped`);
+  if (report.aborted) {
+    console.error(`Stopped early: ${report.aborted}`);
+  }
+  return report.failed.length === 0 && !report.aborted;
+};
+
+main()
+  .then((ok) => {
+    process.exitCode = ok ? 0 : 1;
+  })
+  .catch((error) => {
+    console.error('Reconciliation failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await Promise.all(blockchainService.getNetworks().map(chain => chain.queue.stop()));
+    await mongoose.disconnect();
+  });
@@ -0,0 +1,31 @@
+const DEFAULT_ORIGINS = ['http://localhost:3000', 'http://localhost:3001', 'http://localhost:3002'];
+
+const list = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Build authentication configuration from environment variables.
+ *
+ * A Sign-In with Ethereum (EIP-4361) message is only accepted if its domain
+ * and URI belong to one of SIWE_ORIGINS (default: ALLOWED_ORIGINS, the CORS
+ * origins) and its chain ID is one of SIWE_CHAIN_IDS (default: the chain IDs
+ * of the blockchain networks; any chain when none are known).
+ */
+const getAuthConfig = () => ({
+  origins: process.env.SIWE_ORIGINS || process.env.ALLOWED_ORIGINS
+    ? list(process.env.SIWE_ORIGINS || process.env.ALLOWED_ORIGINS)
+    : DEFAULT_ORIGINS,
+  chainIds: list(process.env.SIWE_CHAIN_IDS).map(chainId => parseInt(chainId, 10)),
+  // How long an issued nonce can be signed in with, in ms. Messages issued
+  // earlier than this are refused too
+  nonceTtl: parseInt(process.env.SIWE_NONCE_TTL || '600000', 10),
+  // Allowed difference between the client's and the server's clocks, in ms
+  clockSkew: parseInt(process.env.SIWE_CLOCK_SKEW || '60000', 10),
+  // Lifetime of access tokens (JWTs), in seconds. Clients renew them with
+  // their refresh token
+  accessTokenTtl: parseInt(process.env.ACCESS_TOKEN_TTL || '900', 10),
+  // How long a session lasts without being refreshed, in ms. Every refresh
+  // rotates the refresh token and extends the session by this much
+  refreshTokenTtl: parseInt(process.env.REFRESH_TOKEN_TTL || String(30 * 24 * 60 * 60 * 1000), 10)
+});
+
+module.exports = { getAuthConfig };
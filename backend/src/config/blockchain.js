@@ -0,0 +1,108 @@
+// Chain IDs of public networks, used when <NAME>_CHAIN_ID is not set
+const KNOWN_CHAIN_IDS = {
+  mainnet: 1,
+  sepolia: 11155111,
+  holesky: 17000,
+  polygon: 137,
+  amoy: 80002,
+  base: 8453,
+  'base-sepolia': 84532
+};
+
+const envPrefix = name => name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+
+const lower = address => (address ? address.toLowerCase() : address);
+
+/**
+ * Build one network of the registry. Each setting is read from a variable
+ * prefixed with the network name, e.g. SEPOLIA_RPC_URL for 'sepolia' or
+ * BASE_SEPOLIA_RPC_URL for 'base-sepolia'. The default network falls back
+ * to the unprefixed variables a single-network deployment sets.
+ */
+const getNetworkConfig = (name, isDefault) => {
+  const prefix = envPrefix(name);
+  const read = (key, ...fallbacks) => {
+    const value = process.env[`${prefix}_${key}`];
+    if (value !== undefined && value !== '') {
+      return value;
+    }
+    return isDefault ? fallbacks.map(fallback => process.env[fallback]).find(Boolean) : undefined;
+  };
+
+  const chainId = read('CHAIN_ID', 'CHAIN_ID');
+  return {
+    name,
+    chainId: chainId ? parseInt(chainId, 10) : KNOWN_CHAIN_IDS[name] || null,
+    // <NAME>_URL is what contracts/hardhat.config.js reads
+    rpcUrl: read('RPC_URL', 'BLOCKCHAIN_RPC_URL', 'ETHEREUM_RPC_URL') || process.env[`${prefix}_URL`]
+      || (isDefault ? 'http://localhost:8545' : undefined),
+    // One key usually signs on every network
+    privateKey: read('PRIVATE_KEY') || process.env.PRIVATE_KEY,
+    multimediaNFTAddress: lower(read('MULTIMEDIA_NFT_ADDRESS', 'MULTIMEDIA_NFT_ADDRESS')),
+    licensingContractAddress: lower(read('LICENSING_CONTRACT_ADDRESS', 'LICENSING_CONTRACT_ADDRESS')),
+    // Optional; only used to mirror the verifier role, see config/rbac
+    multimediaRegistryAddress: lower(read('MULTIMEDIA_REGISTRY_ADDRESS', 'MULTIMEDIA_REGISTRY_ADDRESS')),
+    // Blocks a log must be buried under before the indexer trusts it
+    confirmations: parseInt(read('CONFIRMATIONS') || process.env.INDEXER_CONFIRMATIONS || '12', 10),
+    // First block the indexer reads, normally the contracts' deployment block
+    startBlock: parseInt(read('START_BLOCK', 'INDEXER_START_BLOCK') || '0', 10),
+    // Node calls and transaction submission
+    timeout: parseInt(process.env.BLOCKCHAIN_TIMEOUT || '30000', 10)
+  };
+};
+
+/**
+ * Build blockchain configuration from environment variables.
+ * BLOCKCHAIN_DRIVER selects the backend: 'ethers' (default) talks to real
+ * nodes; 'simulated' records mints in memory only and labels everything it
+ * returns as simulated.
+ *
+ * BLOCKCHAIN_NETWORKS lists the networks to mint and verify on, e.g.
+ * "sepolia,amoy"; without it the single network NETWORK is used. NETWORK
+ * (default: the first listed) is where writes go when no chain is given.
+ */
+const getBlockchainConfig = () => {
+  const driver = (process.env.BLOCKCHAIN_DRIVER || 'ethers').toLowerCase();
+
+  const names = (process.env.BLOCKCHAIN_NETWORKS || process.env.NETWORK || 'sepolia')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+  const defaultNetwork = process.env.NETWORK || names[0];
+
+  // The simulated driver has a single network of its own
+  const networks = driver === 'simulated'
+    ? [{ name: 'simulated', chainId: null, confirmations: 0, startBlock: 0 }]
+    : names.map(name => getNetworkConfig(name, name === defaultNetwork));
+
+  return {
+    driver,
+    defaultNetwork: driver === 'simulated' ? 'simulated' : defaultNetwork,
+    networks,
+    // Every backend-signed transaction goes through the persistent queue,
+    // one per network
+    queue: {
+      // Sign and send queued jobs from this process. Only one process holds the
+      // signer at a time; the others just enqueue
+      worker: process.env.TX_QUEUE_WORKER !== 'false',
+      // How often the worker picks up jobs and polls receipts, in ms
+      pollInterval: parseInt(process.env.TX_QUEUE_POLL_INTERVAL || '2000', 10),
+      // Sent but unmined transactions at any one time
+      maxPending: parseInt(process.env.TX_QUEUE_MAX_PENDING || '16', 10),
+      // How long a transaction may stay unmined before it is re-sent with higher fees, in ms
+      stuckTimeout: parseInt(process.env.TX_QUEUE_STUCK_TIMEOUT || '120000', 10),
+      // Fee increase per replacement, in percent; nodes reject less than 10
+      gasBumpPercent: parseInt(process.env.TX_QUEUE_GAS_BUMP_PERCENT || '15', 10),
+      maxBumps: parseInt(process.env.TX_QUEUE_MAX_BUMPS || '5', 10),
+      // Transient RPC failures retried per job, backing off from retryDelay ms
+      maxRetries: parseInt(process.env.TX_QUEUE_MAX_RETRIES || '5', 10),
+      retryDelay: parseInt(process.env.TX_QUEUE_RETRY_DELAY || '2000', 10),
+      // How long the worker's hold on the signer lasts without renewal, in ms
+      leaseTime: parseInt(process.env.TX_QUEUE_LEASE_TIME || '30000', 10),
+      // How long callers that need the result wait for a job to be mined
+      confirmationTimeout: parseInt(process.env.BLOCKCHAIN_CONFIRMATION_TIMEOUT || '300000', 10)
+    }
+  };
+};
+
+module.exports = { getBlockchainConfig };
@@ -0,0 +1,14 @@
+/**
+ * Build chain indexer configuration from environment variables.
+ * INDEXER_ENABLED=true follows contract events inside the API process;
+ * `npm run index-chain` runs the same sync on demand.
+ */
+const getIndexerConfig = () => ({
+  enabled: process.env.INDEXER_ENABLED === 'true',
+  // The start block and confirmations of each network are in config/blockchain
+  // Blocks per eth_getLogs request
+  batchSize: parseInt(process.env.INDEXER_BATCH_SIZE || '2000', 10),
+  pollInterval: parseInt(process.env.INDEXER_POLL_INTERVAL || '15000', 10)
+});
+
+module.exports = { getIndexerConfig };
@@ -0,0 +1,32 @@
+// What each role may do. Admins may do everything
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  // Edit any asset's description and tags, read any transaction job
+  moderator: ['assets:read', 'assets:moderate', 'transactions:read-all'],
+  // Mirrored on-chain as an authorized minter/registrar
+  verifier: ['assets:read', 'assets:register'],
+  // Register assets and edit the ones they own
+  creator: ['assets:read', 'assets:register', 'assets:update'],
+  viewer: ['assets:read']
+};
+
+const list = value => (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Build role-based access control configuration from environment variables.
+ * Roles are granted through /api/roles and stored in MongoDB; every signed-in
+ * wallet also has RBAC_DEFAULT_ROLES.
+ */
+const getRbacConfig = () => ({
+  roles: ROLE_PERMISSIONS,
+  defaultRoles: list(process.env.RBAC_DEFAULT_ROLES || 'viewer,creator'),
+  // Granted admin at startup while nobody holds the role, to bootstrap a
+  // new deployment
+  bootstrapAdmins: list(process.env.ADMIN_ADDRESSES),
+  // Grant and revoke the verifier role on-chain too, through the backend
+  // signer: MultimediaNFT.addAuthorizedMinter on every network and, where
+  // <NAME>_MULTIMEDIA_REGISTRY_ADDRESS is set, MultimediaRegistry.addAuthorizedRegistrar
+  mirrorVerifiers: process.env.RBAC_MIRROR_VERIFIERS === 'true'
+});
+
+module.exports = { getRbacConfig, ROLE_PERMISSIONS };
@@ -0,0 +1,16 @@
+/**
+ * Build mint reconciliation configuration from environment variables.
+ * RECONCILIATION_INTERVAL (ms) runs the worker inside the API process; 0
+ * leaves reconciliation to `npm run reconcile`.
+ */
+const getReconciliationConfig = () => ({
+  interval: parseInt(process.env.RECONCILIATION_INTERVAL || '0', 10),
+  // Assets re-minted per run
+  batchSize: parseInt(process.env.RECONCILIATION_BATCH_SIZE || '50', 10),
+  // Failed re-mints after which an asset is left for manual repair
+  maxAttempts: parseInt(process.env.RECONCILIATION_MAX_ATTEMPTS || '5', 10),
+  // How long a worker holds an asset while minting it, in ms
+  leaseTime: parseInt(process.env.RECONCILIATION_LEASE_TIME || '600000', 10)
+});
+
+module.exports = { getReconciliationConfig };
@@ -0,0 +1,17 @@
+/**
+ * Build registration job configuration from environment variables.
+ * Jobs are processed in the API process that accepted them.
+ */
+const getRegistrationConfig = () => ({
+  // Registrations processed and stored at the same time
+  concurrency: parseInt(process.env.REGISTRATION_CONCURRENCY || '2', 10),
+  // How long a job may sit in 'received' or 'processed' before it is
+  // reported as interrupted, in ms
+  jobTimeout: parseInt(process.env.REGISTRATION_JOB_TIMEOUT || '3600000', 10),
+  // How often interrupted jobs are looked for, and how often progress
+  // streams re-read jobs updated by other processes, in ms
+  sweepInterval: parseInt(process.env.REGISTRATION_SWEEP_INTERVAL || '60000', 10),
+  pollInterval: parseInt(process.env.REGISTRATION_POLL_INTERVAL || '5000', 10)
+});
+
+module.exports = { getRegistrationConfig };
@@ -0,0 +1,32 @@
+const path = require('path');
+
+/**
+ * Build storage configuration from environment variables.
+ * STORAGE_DRIVER selects the backend: 'fs' (default), 's3' or 'kubo'.
+ */
+const getStorageConfig = () => ({
+  driver: (process.env.STORAGE_DRIVER || 'fs').toLowerCase(),
+  fs: {
+    directory: process.env.UPLOAD_DIR
+      ? path.resolve(process.env.UPLOAD_DIR)
+      : path.join(__dirname, '../../uploads')
+  },
+  s3: {
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.S3_BUCKET,
+    prefix: process.env.S3_PREFIX || '',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    // MinIO and most self-hosted S3 stand-ins only support path-style URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true' || !!process.env.S3_ENDPOINT
+  },
+  kubo: {
+    apiUrl: process.env.IPFS_API_URL || 'http://127.0.0.1:5001',
+    projectId: process.env.IPFS_PROJECT_ID,
+    projectSecret: process.env.IPFS_PROJECT_SECRET,
+    timeout: parseInt(process.env.IPFS_API_TIMEOUT || '60000', 10)
+  }
+});
+
+module.exports = { getStorageConfig };
@@ -0,0 +1,15 @@
+const os = require('os');
+const path = require('path');
+
+/**
+ * Build upload configuration from environment variables.
+ * Uploads are spooled to UPLOAD_TMP_DIR instead of being held in memory.
+ */
+const getUploadConfig = () => ({
+  tmpDirectory: process.env.UPLOAD_TMP_DIR
+    ? path.resolve(process.env.UPLOAD_TMP_DIR)
+    : path.join(os.tmpdir(), 'multimedia-uploads'),
+  maxFileSize: parseInt(process.env.MAX_FILE_SIZE || String(10 * 1024 * 1024 * 1024), 10) // 10GB
+});
+
+module.exports = { getUploadConfig };
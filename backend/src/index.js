@@ -13,17 +13,34 @@ dotenv.config();
 const authRoutes = require('./routes/auth');
 const assetsRoutes = require('./routes/assets');
 const registerRoutes = require('./routes/register');
+const uploadsRoutes = require('./routes/uploads');
+const transactionsRoutes = require('./routes/transactions');
+const rolesRoutes = require('./routes/roles');
 const verifyRoutes = require('./routes/verify');
+const offersRoutes = require('./routes/offers');
 
 // Import middleware
 const { logRequest, corsOptions } = require('./middleware/auth');
 
 // Import database connection
 const { connectDB } = require('./config/database');
+const { getUploadConfig } = require('./config/upload');
+const blockchainService = require('./services/blockchainService');
+const reconciliationService = require('./services/reconciliationService');
+const registrationService = require('./services/registrationService');
+const chainIndexerService = require('./services/chainIndexerService');
+const rbacService = require('./services/rbacService');
+const Asset = require('./models/Asset');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind nginx, take the client IP (rate limits, session metadata) from
+// X-Forwarded-For. TRUST_PROXY is the number of proxy hops
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
+
 // Connect to MongoDB
 connectDB();
 
@@ -51,7 +68,9 @@ const limiter = rateLimit({
     error: 'Too many requests from this IP, please try again later.'
   },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  // Resumable uploads send one request per chunk; the session itself is authenticated
+  skip: (req) => req.method === 'PATCH' && req.path.startsWith('/uploads/')
 });
 
 app.use('/api/', limiter);
@@ -73,7 +92,17 @@ app.get('/health', (req, res) => {
     status: 'OK',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    environment: process.env.NODE_ENV || 'development'
+    environment: process.env.NODE_ENV || 'development',
+    blockchain: {
+      driver: blockchainService.driver.name,
+      network: blockchainService.network,
+      simulated: blockchainService.simulated,
+      networks: blockchainService.getNetworks().map(chain => ({
+        ...chain.describe(),
+        transactionQueue: chain.queue.getStatus()
+      })),
+      indexer: chainIndexerService.getStatus()
+    }
   });
 });
 
@@ -81,7 +110,11 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/assets', assetsRoutes);
 app.use('/api/register', registerRoutes);
+app.use('/api/uploads', uploadsRoutes);
+app.use('/api/transactions', transactionsRoutes);
+app.use('/api/roles', rolesRoutes);
 app.use('/api/verify', verifyRoutes);
+app.use('/api/offers', offersRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -92,6 +125,8 @@ app.get('/', (req, res) => {
       health: '/health',
       assets: '/api/assets',
       register: '/api/register',
+      uploads: '/api/uploads',
+      transactions: '/api/transactions',
       verify: '/api/verify'
     },
     documentation: '/api/docs'
@@ -108,6 +143,7 @@ app.use('*', (req, res) => {
       'GET /',
       'GET /api/assets',
       'POST /api/register',
+      'POST /api/uploads',
       'POST /api/verify'
     ]
   });
@@ -121,7 +157,7 @@ app.use((error, req, res, next) => {
   if (error.code === 'LIMIT_FILE_SIZE') {
     return res.status(400).json({
       error: 'File too large',
-      message: 'The uploaded file exceeds the maximum allowed size of 100MB.'
+      message: `The uploaded file exceeds the maximum allowed size of ${getUploadConfig().maxFileSize} bytes.`
     });
   }
 
@@ -226,9 +262,36 @@ app.listen(PORT, () => {
   // Log configuration
   console.log('📋 Configuration:');
   console.log(`   - MongoDB: ${process.env.MONGODB_URI ? 'Connected' : 'Not configured'}`);
-  console.log(`   - IPFS: ${process.env.IPFS_HOST ? 'Configured' : 'Not configured'}`);
-  console.log(`   - Blockchain: ${process.env.NETWORK || 'Not configured'}`);
+  console.log(`   - Storage: ${process.env.STORAGE_DRIVER || 'fs'}`);
+  console.log(`   - Blockchain: ${blockchainService.getNetworks().map(chain => chain.network).join(', ')} (${blockchainService.driver.name} driver, default ${blockchainService.network})`);
   console.log(`   - Rate Limiting: ${limiter.max} requests per ${limiter.windowMs / 1000 / 60} minutes`);
+  console.log(`   - Registration Jobs: ${registrationService.config.concurrency} at a time, ${registrationService.start() ? `swept every ${registrationService.config.sweepInterval / 1000}s` : 'not swept'}`);
+  blockchainService.getNetworks().forEach((chain) => {
+    console.log(`   - Transaction Queue (${chain.network}): ${chain.queue.start() ? 'Worker running' : 'Enqueue only'}`);
+  });
+  console.log(`   - Chain Indexer: ${chainIndexerService.start() ? 'Following every network' : 'Disabled'}`);
+  console.log(`   - Mint Reconciliation: ${reconciliationService.start() ? `every ${reconciliationService.config.interval / 1000}s` : 'Disabled'}`);
+  console.log(`   - Default Roles: ${rbacService.config.defaultRoles.join(', ') || 'none'}`);
+
+  // Deployments from before pending assets keep the old unique tokenId_1
+  // index, on which a second asset saved without a token ID fails with
+  // E11000. autoIndex does not replace indexes whose options changed, so sync
+  // them: tokenId_1 is dropped and the per-network partial index created
+  Asset.syncIndexes()
+    .then((dropped) => {
+      if (dropped.length > 0) {
+        console.log(`🗂️  Replaced outdated Asset indexes: ${dropped.join(', ')}`);
+      }
+    })
+    .catch(error => console.error('Asset index migration error:', error.message));
+
+  rbacService.bootstrapAdmins()
+    .then((admins) => {
+      if (admins.length > 0) {
+        console.log(`👑 Granted admin to ADMIN_ADDRESSES: ${admins.join(', ')}`);
+      }
+    })
+    .catch(error => console.error('Admin bootstrap error:', error.message));
 });
 
 module.exports = app; 
\ No newline at end of file
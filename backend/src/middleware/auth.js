@@ -1,10 +1,15 @@
 const jwt = require('jsonwebtoken');
 const { ethers } = require('ethers');
+const cidService = require('../services/cidService');
+const rbacService = require('../services/rbacService');
+const sessionService = require('../services/sessionService');
+const siweService = require('../services/siweService');
 
 /**
- * Middleware to authenticate JWT token
+ * Middleware to authenticate JWT token. The token's session must not have
+ * been revoked
  */
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -12,48 +17,54 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = await sessionService.verifyAccessToken(token);
   } catch (error) {
-    return res.status(403).json({ error: 'Invalid or expired token' });
+    if (error.statusCode === 401) {
+      return res.status(401).json({ error: error.message });
+    }
+    // 401 tells the client to refresh its session; 403 that it cannot
+    if (error instanceof jwt.TokenExpiredError) {
+      return res.status(401).json({ error: 'Access token expired' });
+    }
+    if (error instanceof jwt.JsonWebTokenError) {
+      return res.status(403).json({ error: 'Invalid token' });
+    }
+    console.error('Session check error:', error);
+    return res.status(500).json({ error: 'Authentication failed' });
   }
+  req.user = decoded;
+  next();
 };
 
 /**
- * Middleware to authenticate Web3 wallet signature
+ * Middleware to authenticate a signed Sign-In with Ethereum message. Its
+ * nonce is used up, so every request needs a fresh one from GET /api/auth/nonce
  */
 const authenticateWallet = async (req, res, next) => {
   try {
-    const { address, signature, message, nonce } = req.body;
+    const { signature, message } = req.body;
 
-    if (!address || !signature || !message || !nonce) {
+    if (!signature || !message) {
       return res.status(400).json({ 
         error: 'Missing required authentication parameters' 
       });
     }
 
-    // Verify the signature
-    const recoveredAddress = ethers.verifyMessage(message, signature);
-    
-    if (recoveredAddress.toLowerCase() !== address.toLowerCase()) {
-      return res.status(401).json({ error: 'Invalid signature' });
-    }
-
-    // Check if nonce is valid (you might want to implement nonce validation)
-    // For now, we'll just verify the signature
+    const siwe = await siweService.verify(message, signature);
 
     // Create user object
     req.user = {
-      address: address.toLowerCase(),
-      type: 'wallet'
+      address: siwe.address,
+      type: 'wallet',
+      chainId: siwe.chainId
     };
 
     next();
   } catch (error) {
     console.error('Wallet authentication error:', error);
-    return res.status(401).json({ error: 'Invalid wallet authentication' });
+    return res.status(401).json({ error: 'Invalid wallet authentication', details: error.message });
   }
 };
 
@@ -67,8 +78,7 @@ const authenticateUser = async (req, res, next) => {
 
   if (token) {
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = decoded;
+      req.user = await sessionService.verifyAccessToken(token);
       return next();
     } catch (error) {
       // JWT failed, try wallet authentication
@@ -77,18 +87,16 @@ const authenticateUser = async (req, res, next) => {
 
   // Try wallet authentication
   try {
-    const { address, signature, message, nonce } = req.body;
-
-    if (address && signature && message && nonce) {
-      const recoveredAddress = ethers.verifyMessage(message, signature);
-      
-      if (recoveredAddress.toLowerCase() === address.toLowerCase()) {
-        req.user = {
-          address: address.toLowerCase(),
-          type: 'wallet'
-        };
-        return next();
-      }
+    const { signature, message } = req.body;
+
+    if (signature && message) {
+      const siwe = await siweService.verify(message, signature);
+      req.user = {
+        address: siwe.address,
+        type: 'wallet',
+        chainId: siwe.chainId
+      };
+      return next();
     }
   } catch (error) {
     console.error('Wallet authentication error:', error);
@@ -117,22 +125,32 @@ const checkOwnership = (resourceField = 'uploader') => {
 };
 
 /**
- * Middleware to check if user has admin privileges
+ * Middleware to require one of the given permissions from the user's roles,
+ * see config/rbac. Use after authenticateToken; sets req.user.roles
  */
-const requireAdmin = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({ error: 'Authentication required' });
-  }
-
-  // Check if user is admin (you can implement your own admin logic)
-  const adminAddresses = process.env.ADMIN_ADDRESSES ? 
-    process.env.ADMIN_ADDRESSES.split(',') : [];
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
 
-  if (!adminAddresses.includes(req.user.address)) {
-    return res.status(403).json({ error: 'Admin privileges required' });
-  }
+    try {
+      const roles = await rbacService.getRoles(req.user.address);
+      req.user.roles = roles;
+
+      if (!permissions.some(permission => rbacService.hasPermission(roles, permission))) {
+        return res.status(403).json({ 
+          error: `Permission ${permissions.map(permission => `"${permission}"`).join(' or ')} required`,
+          roles 
+        });
+      }
 
-  next();
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return res.status(500).json({ error: 'Failed to check permissions' });
+    }
+  };
 };
 
 /**
@@ -227,6 +245,8 @@ const corsOptions = {
     }
   },
   credentials: true,
+  // Resumable upload clients read these from cross-origin responses
+  exposedHeaders: ['Location', 'Tus-Resumable', 'Upload-Offset', 'Upload-Length', 'Upload-Expires'],
   optionsSuccessStatus: 200
 };
 
@@ -249,8 +269,8 @@ const validateAddress = (req, res, next) => {
 const validateIPFSHash = (req, res, next) => {
   const { ipfsHash } = req.params;
 
-  // Basic IPFS hash validation (starts with Qm and is 46 characters)
-  if (!ipfsHash || !ipfsHash.startsWith('Qm') || ipfsHash.length !== 46) {
+  // Accept CIDv0 (Qm...) and CIDv1 (base32 or base58btc multibase)
+  if (!cidService.isValidCID(ipfsHash)) {
     return res.status(400).json({ error: 'Invalid IPFS hash' });
   }
 
@@ -275,7 +295,7 @@ module.exports = {
   authenticateWallet,
   authenticateUser,
   checkOwnership,
-  requireAdmin,
+  requirePermission,
   rateLimit,
   validateFileUpload,
   logRequest,
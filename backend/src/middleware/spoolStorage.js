@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+const cidService = require('../services/cidService');
+
+/**
+ * Multer storage engine that spools uploads to disk.
+ *
+ * The SHA-256 digest and UnixFS CID are computed as bytes arrive, so large
+ * files are never held in memory or read back just to be hashed. Each file
+ * is exposed to the route as:
+ *
+ *   path      - spooled file on disk, removed once the response has finished
+ *   size      - byte length
+ *   sha256    - hex SHA-256 of the content
+ *   hasher    - undigested SHA-256 Hash over the content; hasher.copy() lets
+ *               provenance hashes extend the content digest without a re-read
+ *   ipfsHash  - UnixFS CIDv1 the storage layer will assign to the content
+ */
+class SpoolStorage {
+  constructor(options = {}) {
+    this.directory = options.directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  _handleFile(req, file, cb) {
+    const filePath = path.join(this.directory, `upload_${crypto.randomUUID()}`);
+    const hasher = crypto.createHash('sha256');
+    const cidBuilder = cidService.createFileBuilder();
+    let size = 0;
+
+    const digest = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        hasher.update(chunk);
+        cidBuilder.update(chunk);
+        callback(null, chunk);
+      }
+    });
+
+    pipeline(file.stream, digest, fs.createWriteStream(filePath), (error) => {
+      if (error) {
+        fs.unlink(filePath, () => cb(error));
+        return;
+      }
+
+      // Spooled files only live as long as the request that uploaded them
+      if (req.res) {
+        req.res.once('close', () => fs.unlink(filePath, () => {}));
+      }
+
+      cb(null, {
+        path: filePath,
+        size,
+        sha256: hasher.copy().digest('hex'),
+        hasher,
+        ipfsHash: cidBuilder.digest().cid
+      });
+    });
+  }
+
+  _removeFile(req, file, cb) {
+    fs.unlink(file.path, () => cb(null));
+  }
+}
+
+/**
+ * Create a spooling storage engine for multer
+ * @param {Object} options - { directory } to spool uploads into
+ * @returns {SpoolStorage} Storage engine
+ */
+module.exports = (options) => new SpoolStorage(options);
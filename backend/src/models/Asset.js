@@ -1,10 +1,12 @@
 const mongoose = require('mongoose');
+const cidService = require('../services/cidService');
+const hashService = require('../services/hashService');
 
 const assetSchema = new mongoose.Schema({
+  // Set once the mint transaction is mined. Only unique per network and
+  // contract, see the index below
   tokenId: {
     type: String,
-    required: true,
-    unique: true,
     index: true
   },
   ipfsHash: {
@@ -60,6 +62,75 @@ const assetSchema = new mongoose.Schema({
   perceptualHash: {
     type: String
   },
+  perceptualHashes: [{
+    _id: false,
+    algorithm: {
+      type: String,
+      enum: ['ahash', 'phash', 'dhash', 'whash'],
+      required: true
+    },
+    bits: {
+      type: Number,
+      required: true
+    },
+    hash: {
+      type: String,
+      required: true
+    }
+  }],
+  videoFingerprint: {
+    algorithm: {
+      type: String,
+      enum: ['phash']
+    },
+    interval: {
+      type: Number
+    },
+    frames: {
+      type: [String],
+      default: undefined
+    }
+  },
+  audioFingerprint: {
+    algorithm: {
+      type: String,
+      enum: ['landmark']
+    },
+    sampleRate: {
+      type: Number
+    },
+    hopSize: {
+      type: Number
+    },
+    frames: {
+      type: Number
+    },
+    landmarks: {
+      type: Buffer
+    }
+  },
+  merkleProof: {
+    root: {
+      type: String,
+      index: true
+    },
+    index: {
+      type: Number
+    },
+    leafCount: {
+      type: Number
+    },
+    siblings: {
+      type: [String],
+      default: undefined
+    },
+    transactionHash: {
+      type: String
+    },
+    blockNumber: {
+      type: Number
+    }
+  },
   isVerified: {
     type: Boolean,
     default: false
@@ -70,6 +141,48 @@ const assetSchema = new mongoose.Schema({
   verifier: {
     type: String
   },
+  // Current token holder (lowercase), kept up to date by the chain indexer
+  owner: {
+    type: String,
+    index: true
+  },
+  // ERC-2981 royalty, set at registration and kept up to date by the chain indexer
+  royalty: {
+    recipient: {
+      type: String
+    },
+    // In basis points
+    percentage: {
+      type: Number
+    }
+  },
+  // Contributors sharing the royalty; royalty.recipient is then their
+  // RoyaltySplitter. Set through PUT /assets/:tokenId/royalty-split
+  royaltySplit: {
+    contributors: [{
+      _id: false,
+      address: String,
+      // Basis points of the royalty, summing to 10000
+      shares: Number,
+      // Off-chain label, e.g. "Composer"
+      role: String
+    }],
+    splitter: {
+      type: String
+    },
+    // Locked splits can no longer be changed on-chain
+    locked: {
+      type: Boolean,
+      default: false
+    },
+    transactionJobId: {
+      type: String
+    },
+    // Why the last split transaction failed
+    error: {
+      type: String
+    }
+  },
   isLicensed: {
     type: Boolean,
     default: false
@@ -83,21 +196,56 @@ const assetSchema = new mongoose.Schema({
     default: 0
   },
   transactionHash: {
-    type: String,
-    required: true
+    type: String
   },
   blockNumber: {
-    type: Number,
-    required: true
+    type: Number
+  },
+  // Transaction queue job minting the asset
+  mintJobId: {
+    type: String,
+    index: true
+  },
+  mintError: {
+    type: String
   },
+  // Network the asset is minted on, from the blockchain network registry
   network: {
     type: String,
-    required: true,
-    default: 'sepolia'
+    required: true
+  },
+  // MultimediaNFT contract (lowercase) the token belongs to
+  contractAddress: {
+    type: String
+  },
+  // Re-mint bookkeeping for assets saved without a real on-chain mint
+  reconciliation: {
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastAttemptAt: {
+      type: Date
+    },
+    lastError: {
+      type: String
+    },
+    lockedUntil: {
+      type: Date
+    },
+    reconciledAt: {
+      type: Date
+    },
+    previousTokenId: {
+      type: String
+    },
+    previousTransactionHash: {
+      type: String
+    }
   },
   status: {
     type: String,
-    enum: ['pending', 'registered', 'verified', 'licensed', 'expired'],
+    enum: ['pending', 'registered', 'verified', 'licensed', 'expired', 'failed'],
     default: 'pending'
   },
   views: {
@@ -167,6 +315,11 @@ assetSchema.index({ isVerified: 1, createdAt: -1 });
 assetSchema.index({ isLicensed: 1, createdAt: -1 });
 assetSchema.index({ tags: 1 });
 assetSchema.index({ status: 1, createdAt: -1 });
+assetSchema.index({ transactionHash: 1 });
+assetSchema.index(
+  { network: 1, contractAddress: 1, tokenId: 1 },
+  { unique: true, partialFilterExpression: { tokenId: { $exists: true } } }
+);
 
 // Virtual for formatted file size
 assetSchema.virtual('formattedFileSize').get(function() {
@@ -216,11 +369,35 @@ assetSchema.methods.getAverageRating = function() {
   return totalRating / this.ratings.length;
 };
 
+// Method to get tagged perceptual hashes, falling back to the legacy average hash
+assetSchema.methods.getPerceptualHashes = function() {
+  if (this.perceptualHashes && this.perceptualHashes.length > 0) {
+    return this.perceptualHashes;
+  }
+  const legacy = hashService.fromLegacyPerceptualHash(this.perceptualHash);
+  return legacy ? [legacy] : [];
+};
+
 // Static method to find assets by creator
 assetSchema.statics.findByCreator = function(creator) {
   return this.find({ originalCreator: creator }).sort({ createdAt: -1 });
 };
 
+// Static method to find asset by IPFS hash (CIDv0 and CIDv1 forms are equivalent)
+assetSchema.statics.findByIpfsHash = function(ipfsHash) {
+  return this.findOne({ ipfsHash: { $in: cidService.getEquivalentCIDs(ipfsHash) } });
+};
+
+// Static method to find an asset by token. Assets minted before contract
+// addresses were recorded match any contract on their network
+assetSchema.statics.findByToken = function(network, contractAddress, tokenId) {
+  return this.findOne({
+    network,
+    tokenId: String(tokenId),
+    contractAddress: { $in: [contractAddress ? contractAddress.toLowerCase() : null, null] }
+  }).sort({ contractAddress: -1 });
+};
+
 // Static method to find verified assets
 assetSchema.statics.findVerified = function() {
   return this.find({ isVerified: true }).sort({ createdAt: -1 });
@@ -231,6 +408,27 @@ assetSchema.statics.findLicensed = function() {
   return this.find({ isLicensed: true }).sort({ createdAt: -1 });
 };
 
+// Static method to find assets whose mint never reached the chain
+assetSchema.statics.findUnminted = function(options = {}) {
+  const { includeSimulatedNetwork = false, maxAttempts, limit } = options;
+  const query = {
+    $or: [
+      { transactionHash: 'simulated' },
+      { blockNumber: 0 },
+      { status: 'failed', tokenId: { $exists: false } }
+    ]
+  };
+  if (!includeSimulatedNetwork) {
+    query.network = { $ne: 'simulated' };
+  }
+  if (maxAttempts) {
+    query['reconciliation.attempts'] = { $not: { $gte: maxAttempts } };
+  }
+
+  const cursor = this.find(query).sort({ createdAt: 1 });
+  return limit ? cursor.limit(limit) : cursor;
+};
+
 // Static method to search assets
 assetSchema.statics.search = function(query) {
   return this.find({
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Nonce issued for a Sign-In with Ethereum message. Deleted when it is used,
+// so each one signs in at most once; MongoDB drops unused ones once expired.
+const authNonceSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+authNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthNonce', authNonceSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// A decoded contract log, kept so indexed state can be rebuilt after a reorg
+const chainEventSchema = new mongoose.Schema({
+  network: {
+    type: String,
+    required: true
+  },
+  contract: {
+    type: String,
+    enum: ['MultimediaNFT', 'LicensingContract'],
+    required: true
+  },
+  contractAddress: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  tokenId: {
+    type: String,
+    required: true
+  },
+  args: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Contract state read when the event was indexed, e.g. license dates
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  blockNumber: {
+    type: Number,
+    required: true
+  },
+  blockHash: {
+    type: String,
+    required: true
+  },
+  logIndex: {
+    type: Number,
+    required: true
+  },
+  transactionHash: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+chainEventSchema.index({ network: 1, blockHash: 1, logIndex: 1 }, { unique: true });
+chainEventSchema.index({ network: 1, contract: 1, tokenId: 1, blockNumber: 1, logIndex: 1 });
+chainEventSchema.index({ network: 1, blockNumber: 1 });
+
+// Static method to get a token's events in chain order
+chainEventSchema.statics.findForToken = function(network, contract, tokenId) {
+  return this.find({ network, contract, tokenId }).sort({ blockNumber: 1, logIndex: 1 });
+};
+
+module.exports = mongoose.model('ChainEvent', chainEventSchema);
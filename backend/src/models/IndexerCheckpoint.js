@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const indexerCheckpointSchema = new mongoose.Schema({
+  network: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // Last block whose events are fully indexed
+  lastBlock: {
+    type: Number,
+    required: true
+  },
+  // Hashes of recently indexed blocks, oldest first, for reorg detection
+  blocks: [{
+    _id: false,
+    number: {
+      type: Number,
+      required: true
+    },
+    hash: {
+      type: String,
+      required: true
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('IndexerCheckpoint', indexerCheckpointSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// A LicensingContract license as indexed from chain events. Addresses are
+// stored lowercase.
+const licenseSchema = new mongoose.Schema({
+  network: {
+    type: String,
+    required: true
+  },
+  contractAddress: {
+    type: String,
+    required: true
+  },
+  tokenId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Position in LicensingContract.tokenLicenses(tokenId)
+  licenseIndex: {
+    type: Number,
+    required: true
+  },
+  licensee: {
+    type: String,
+    required: true,
+    index: true
+  },
+  licensor: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // In wei
+  price: {
+    type: String,
+    required: true
+  },
+  licenseType: {
+    type: String,
+    default: ''
+  },
+  terms: {
+    type: String
+  },
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdTransactionHash: {
+    type: String,
+    required: true
+  },
+  createdBlockNumber: {
+    type: Number,
+    required: true
+  },
+  revokedTransactionHash: {
+    type: String
+  },
+  revokedBlockNumber: {
+    type: Number
+  },
+  // Paid through purchaseLicense or purchaseOffer; the payment is split into pending withdrawals
+  purchased: {
+    type: Boolean,
+    default: false
+  },
+  purchasedTransactionHash: {
+    type: String
+  },
+  purchasedBlockNumber: {
+    type: Number
+  },
+  // Offer the license was bought from with purchaseOffer, if any
+  offerIndex: {
+    type: Number
+  },
+  // LicenseToken minted to the licensee when the license was paid for
+  licenseTokenId: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+licenseSchema.index({ network: 1, contractAddress: 1, tokenId: 1, licenseIndex: 1 }, { unique: true });
+
+// Virtual for whether the license is active and not yet expired
+licenseSchema.virtual('isCurrent').get(function() {
+  return this.isActive && (!this.endDate || this.endDate > new Date());
+});
+
+// Static method to find licenses held by an address
+licenseSchema.statics.findByLicensee = function(licensee) {
+  return this.find({ licensee: licensee.toLowerCase() }).sort({ createdBlockNumber: -1 });
+};
+
+module.exports = mongoose.model('License', licenseSchema);
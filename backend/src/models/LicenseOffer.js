@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// A LicensingContract offer that any address can buy, as indexed from chain
+// events. Addresses are stored lowercase.
+const licenseOfferSchema = new mongoose.Schema({
+  network: {
+    type: String,
+    required: true
+  },
+  contractAddress: {
+    type: String,
+    required: true
+  },
+  tokenId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Position in LicensingContract.tokenOffers(tokenId)
+  offerIndex: {
+    type: Number,
+    required: true
+  },
+  licensor: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // In wei
+  price: {
+    type: String,
+    required: true
+  },
+  // Seconds each purchased license runs for
+  duration: {
+    type: Number,
+    required: true
+  },
+  // 0 for unlimited
+  maxSeats: {
+    type: Number,
+    default: 0
+  },
+  seatsSold: {
+    type: Number,
+    default: 0
+  },
+  licenseType: {
+    type: String,
+    default: ''
+  },
+  termsURI: {
+    type: String
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // License tokens bought from the offer cannot be transferred
+  soulbound: {
+    type: Boolean,
+    default: false
+  },
+  createdTransactionHash: {
+    type: String,
+    required: true
+  },
+  createdBlockNumber: {
+    type: Number,
+    required: true
+  },
+  deactivatedTransactionHash: {
+    type: String
+  },
+  deactivatedBlockNumber: {
+    type: Number
+  }
+}, {
+  timestamps: true
+});
+
+licenseOfferSchema.index({ network: 1, contractAddress: 1, tokenId: 1, offerIndex: 1 }, { unique: true });
+licenseOfferSchema.index({ isActive: 1, createdBlockNumber: -1 });
+
+// Virtual for the seats still for sale, null when unlimited
+licenseOfferSchema.virtual('seatsRemaining').get(function() {
+  return this.maxSeats > 0 ? Math.max(0, this.maxSeats - this.seatsSold) : null;
+});
+
+// Virtual for whether the offer can still be bought
+licenseOfferSchema.virtual('isAvailable').get(function() {
+  return this.isActive && (this.maxSeats === 0 || this.seatsSold < this.maxSeats);
+});
+
+module.exports = mongoose.model('LicenseOffer', licenseOfferSchema);
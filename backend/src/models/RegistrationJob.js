@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+
+// Stages a registration goes through, in order
+const STAGES = ['received', 'processed', 'stored', 'minted', 'confirmed'];
+
+// A single-file registration accepted by POST /register. The file is
+// processed and stored in the background, then its mint goes through the
+// transaction queue; each stage reached is recorded in `stages`.
+const registrationJobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  uploader: {
+    type: String,
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: [...STAGES, 'failed'],
+    default: 'received'
+  },
+  stages: [{
+    _id: false,
+    status: {
+      type: String,
+      required: true
+    },
+    at: {
+      type: Date,
+      required: true
+    }
+  }],
+  file: {
+    originalName: {
+      type: String
+    },
+    mimeType: {
+      type: String
+    },
+    size: {
+      type: Number
+    },
+    // Resumable upload the file came from
+    uploadId: {
+      type: String,
+      index: true,
+      sparse: true
+    }
+  },
+  params: {
+    originalCreator: {
+      type: String
+    },
+    description: {
+      type: String
+    },
+    tags: [{
+      type: String
+    }],
+    licenseType: {
+      type: String
+    },
+    licensePrice: {
+      type: Number
+    },
+    optimize: {
+      type: Boolean
+    },
+    // ERC-2981 royalty set at mint, percentage in basis points
+    royalty: {
+      recipient: String,
+      percentage: Number
+    },
+    // Contributors sharing the royalty, split once the token is minted
+    royaltySplit: {
+      contributors: [{
+        _id: false,
+        address: String,
+        shares: Number,
+        role: String
+      }],
+      lock: Boolean
+    }
+  },
+  network: {
+    type: String
+  },
+  // Set once the file is stored
+  assetId: {
+    type: String
+  },
+  ipfsHash: {
+    type: String
+  },
+  metadataHash: {
+    type: String
+  },
+  // TransactionJob of the mint
+  transactionJobId: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  transactionHash: {
+    type: String
+  },
+  blockNumber: {
+    type: Number
+  },
+  tokenId: {
+    type: String
+  },
+  // Registration result once confirmed: { asset, blockchain, ipfs }
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    message: {
+      type: String
+    },
+    statusCode: {
+      type: Number
+    },
+    // Stage that could not be reached
+    stage: {
+      type: String
+    }
+  }
+}, {
+  timestamps: true
+});
+
+registrationJobSchema.index({ status: 1, updatedAt: 1 });
+
+registrationJobSchema.statics.STAGES = STAGES;
+
+// Virtual for whether the job can still make progress
+registrationJobSchema.virtual('isActive').get(function() {
+  return this.status !== 'confirmed' && this.status !== 'failed';
+});
+
+// Method to get the job as reported to API clients
+registrationJobSchema.methods.toStatus = function() {
+  return {
+    jobId: this.jobId,
+    status: this.status,
+    stages: this.stages,
+    file: {
+      originalName: this.file.originalName,
+      mimeType: this.file.mimeType,
+      size: this.file.size,
+      uploadId: this.file.uploadId
+    },
+    network: this.network,
+    ipfsHash: this.ipfsHash,
+    metadataHash: this.metadataHash,
+    transactionJobId: this.transactionJobId,
+    transactionHash: this.transactionHash,
+    blockNumber: this.blockNumber,
+    tokenId: this.tokenId,
+    result: this.result,
+    error: this.error && this.error.message ? this.error : undefined,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('RegistrationJob', registrationJobSchema);
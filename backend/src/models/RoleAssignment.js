@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const { ROLE_PERMISSIONS } = require('../config/rbac');
+
+// A role granted to a wallet. Default roles (RBAC_DEFAULT_ROLES) are not stored.
+const roleAssignmentSchema = new mongoose.Schema({
+  // Lowercase
+  address: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: Object.keys(ROLE_PERMISSIONS),
+    required: true
+  },
+  grantedBy: {
+    type: String
+  },
+  // Transaction jobs that granted the role on-chain, see RBAC_MIRROR_VERIFIERS
+  mirrorJobs: [{
+    _id: false,
+    network: String,
+    contract: {
+      type: String,
+      enum: ['MultimediaNFT', 'MultimediaRegistry']
+    },
+    transactionJobId: String
+  }]
+}, {
+  timestamps: true
+});
+
+roleAssignmentSchema.index({ address: 1, role: 1 }, { unique: true });
+roleAssignmentSchema.index({ role: 1 });
+
+module.exports = mongoose.model('RoleAssignment', roleAssignmentSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A signed-in wallet on one device. Access tokens name their session, so
+// revoking it logs them out; the refresh token renews them.
+const sessionSchema = new mongoose.Schema({
+  // Lowercase
+  address: {
+    type: String,
+    required: true,
+    index: true
+  },
+  chainId: {
+    type: Number
+  },
+  // SHA-256 of the current refresh token; replaced on every refresh
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  // Extended by every refresh
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to find a wallet's sessions that can still be used
+sessionSchema.statics.findActive = function(address) {
+  return this.find({
+    address: address.toLowerCase(),
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
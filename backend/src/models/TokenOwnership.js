@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Current holder of a MultimediaNFT token as indexed from Transfer events.
+// Addresses are stored lowercase.
+const tokenOwnershipSchema = new mongoose.Schema({
+  network: {
+    type: String,
+    required: true
+  },
+  contractAddress: {
+    type: String,
+    required: true
+  },
+  tokenId: {
+    type: String,
+    required: true
+  },
+  // Null once the token is burned
+  owner: {
+    type: String,
+    index: true
+  },
+  minter: {
+    type: String
+  },
+  mintTransactionHash: {
+    type: String
+  },
+  mintBlockNumber: {
+    type: Number
+  },
+  transferCount: {
+    type: Number,
+    default: 0
+  },
+  lastTransferTransactionHash: {
+    type: String
+  },
+  lastTransferBlockNumber: {
+    type: Number
+  }
+}, {
+  timestamps: true
+});
+
+tokenOwnershipSchema.index({ network: 1, contractAddress: 1, tokenId: 1 }, { unique: true });
+
+// Static method to find tokens held by an address
+tokenOwnershipSchema.statics.findByOwner = function(owner) {
+  return this.find({ owner: owner.toLowerCase() }).sort({ lastTransferBlockNumber: -1 });
+};
+
+module.exports = mongoose.model('TokenOwnership', tokenOwnershipSchema);
@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+
+// A backend-signed transaction, queued until the transaction queue worker
+// gives it a nonce and sees it mined. Replacements sent with higher fees for
+// the same nonce are kept in `transactions`.
+const transactionJobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  network: {
+    type: String,
+    required: true
+  },
+  // Sending address (lowercase); not set for the simulated driver
+  signer: {
+    type: String
+  },
+  operation: {
+    type: String,
+    enum: [
+      'mintAsset', 'anchorMerkleRoot', 'setLicense', 'createLicense', 'purchaseLicense',
+      'createLicenseOffer', 'deactivateLicenseOffer', 'setRoyaltySplit', 'lockRoyalty',
+      'addAuthorizedMinter', 'removeAuthorizedMinter', 'addAuthorizedRegistrar', 'removeAuthorizedRegistrar'
+    ],
+    required: true
+  },
+  // Arguments of the blockchainService method, in order
+  args: {
+    type: mongoose.Schema.Types.Mixed,
+    default: []
+  },
+  // What the job is for, e.g. { type: 'asset-mint', assetId }; handlers
+  // registered for the type run when the job settles
+  context: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  requestedBy: {
+    type: String,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'submitted', 'confirmed', 'failed'],
+    default: 'queued'
+  },
+  nonce: {
+    type: Number
+  },
+  // Unsigned transaction from the driver, re-signed for fee bumps
+  request: {
+    to: {
+      type: String
+    },
+    data: {
+      type: String
+    },
+    // In wei
+    value: {
+      type: String
+    },
+    gasLimit: {
+      type: String
+    }
+  },
+  transactions: [{
+    _id: false,
+    hash: {
+      type: String,
+      required: true
+    },
+    // Signed transaction, kept so it can be re-broadcast
+    raw: {
+      type: String,
+      required: true
+    },
+    // Fees in wei
+    maxFeePerGas: {
+      type: String
+    },
+    maxPriorityFeePerGas: {
+      type: String
+    },
+    gasPrice: {
+      type: String
+    },
+    sentAt: {
+      type: Date,
+      required: true
+    },
+    // Whether the node accepted it
+    broadcast: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // The transaction that was mined
+  transactionHash: {
+    type: String
+  },
+  blockNumber: {
+    type: Number
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Transient RPC failures so far
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Replacements sent with higher fees
+  bumps: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  error: {
+    message: {
+      type: String
+    },
+    statusCode: {
+      type: Number
+    }
+  },
+  submittedAt: {
+    type: Date
+  },
+  confirmedAt: {
+    type: Date
+  },
+  failedAt: {
+    type: Date
+  },
+  // Whether the settle handlers for context.type have run
+  handled: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+transactionJobSchema.index({ network: 1, status: 1, createdAt: 1 });
+transactionJobSchema.index({ network: 1, signer: 1, nonce: -1 });
+transactionJobSchema.index({ 'transactions.hash': 1 });
+
+// Virtual for whether the job is still waiting on the chain
+transactionJobSchema.virtual('isPending').get(function() {
+  return this.status === 'queued' || this.status === 'submitted';
+});
+
+// Method to get the job as reported to API clients, without signed payloads
+transactionJobSchema.methods.toStatus = function() {
+  return {
+    jobId: this.jobId,
+    operation: this.operation,
+    network: this.network,
+    status: this.status,
+    nonce: this.nonce,
+    transactionHash: this.transactionHash || (this.transactions.length > 0
+      ? this.transactions[this.transactions.length - 1].hash
+      : null),
+    transactionHashes: this.transactions.map(transaction => transaction.hash),
+    blockNumber: this.blockNumber,
+    bumps: this.bumps,
+    attempts: this.attempts,
+    result: this.result,
+    error: this.error && this.error.message ? this.error : undefined,
+    lastError: this.lastError,
+    createdAt: this.createdAt,
+    submittedAt: this.submittedAt,
+    confirmedAt: this.confirmedAt,
+    failedAt: this.failedAt
+  };
+};
+
+module.exports = mongoose.model('TransactionJob', transactionJobSchema);
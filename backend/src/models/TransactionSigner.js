@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Which process may send transactions for a signing address. Only the lease
+// holder assigns nonces, so queue workers in several processes never race.
+const transactionSignerSchema = new mongoose.Schema({
+  network: {
+    type: String,
+    required: true
+  },
+  // Lowercase
+  address: {
+    type: String,
+    required: true
+  },
+  leaseOwner: {
+    type: String,
+    required: true
+  },
+  leaseExpiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+transactionSignerSchema.index({ network: 1, address: 1 }, { unique: true });
+
+module.exports = mongoose.model('TransactionSigner', transactionSignerSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const uploadSessionSchema = new mongoose.Schema({
+  uploadId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  uploader: {
+    type: String,
+    required: true,
+    index: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  length: {
+    type: Number,
+    required: true
+  },
+  offset: {
+    type: Number,
+    default: 0
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['uploading', 'completed', 'registered'],
+    default: 'uploading'
+  },
+  tokenId: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+// Virtual for whether every byte has been received
+uploadSessionSchema.virtual('isComplete').get(function() {
+  return this.offset === this.length;
+});
+
+// Static method to find sessions whose partial files can be discarded
+uploadSessionSchema.statics.findExpired = function() {
+  return this.find({ expiresAt: { $lt: new Date() } });
+};
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
@@ -1,18 +1,38 @@
 const express = require('express');
 const multer = require('multer');
-const { body, validationResult } = require('express-validator');
+const { ethers } = require('ethers');
+const { body, param, query, validationResult } = require('express-validator');
 const ipfsService = require('../services/ipfsService');
 const blockchainService = require('../services/blockchainService');
+const chainIndexerService = require('../services/chainIndexerService');
+const ownershipService = require('../services/ownershipService');
 const Asset = require('../models/Asset');
-const { authenticateToken } = require('../middleware/auth');
+const License = require('../models/License');
+const TokenOwnership = require('../models/TokenOwnership');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const rbacService = require('../services/rbacService');
+const royaltySplitService = require('../services/royaltySplitService');
+const spoolStorage = require('../middleware/spoolStorage');
+const { getUploadConfig } = require('../config/upload');
 
 const router = express.Router();
 
-// Configure multer for file uploads
+const uploadConfig = getUploadConfig();
+
+// At least 1 wei, in a form parseEther accepts when the transaction is sent
+const isEtherAmount = (value) => {
+  try {
+    return ethers.parseEther(String(value)) > 0n;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Configure multer to spool uploads to disk, hashing them as they arrive
 const upload = multer({
-  storage: multer.memoryStorage(),
+  storage: spoolStorage({ directory: uploadConfig.tmpDirectory }),
   limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB limit
+    fileSize: uploadConfig.maxFileSize
   },
   fileFilter: (req, file, cb) => {
     // Allow images, videos, and audio files
@@ -30,16 +50,123 @@ const upload = multer({
   }
 });
 
+/**
+ * Parse a single-range "Range: bytes=..." header against a file size
+ * @param {string} header - Range header value
+ * @param {number} size - File size in bytes
+ * @returns {Object|null|false} { start, end }, null to serve the whole file,
+ *   or false if the range cannot be satisfied
+ */
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  // Multiple or malformed ranges are ignored and the full file is served
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) return false;
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) {
+    return false;
+  }
+  return { start, end };
+};
+
+/**
+ * Check an If-None-Match header against the current ETag
+ * @param {string} header - If-None-Match header value
+ * @param {string} etag - Current ETag
+ * @returns {boolean} True if the client copy is current
+ */
+const etagMatches = (header, etag) => {
+  if (header.trim() === '*') return true;
+  return header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+};
+
+/**
+ * Stream an asset's file with ETag, conditional request and Range support
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} asset - Asset document
+ * @param {Object} headers - Extra response headers
+ */
+const sendAssetFile = async (req, res, asset, headers = {}) => {
+  const stat = await ipfsService.statFile(asset.ipfsHash);
+  if (!stat) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  // The CID is derived from the stored bytes, so it is a strong validator
+  const etag = `"${asset.ipfsHash}"`;
+  res.setHeader('ETag', etag);
+  res.setHeader('Accept-Ranges', 'bytes');
+
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch && etagMatches(ifNoneMatch, etag)) {
+    return res.status(304).end();
+  }
+
+  let range = null;
+  const ifRange = req.headers['if-range'];
+  if (req.headers.range && (!ifRange || ifRange.trim() === etag)) {
+    range = parseRange(req.headers.range, stat.size);
+    if (range === false) {
+      res.setHeader('Content-Range', `bytes */${stat.size}`);
+      return res.status(416).json({ error: 'Requested range not satisfiable' });
+    }
+  }
+
+  // Open the stream before committing to a status so a storage failure can still become a 500
+  const hasBody = req.method !== 'HEAD' && stat.size > 0;
+  const stream = hasBody ? await ipfsService.getFileStream(asset.ipfsHash, range || {}) : null;
+
+  res.setHeader('Content-Type', asset.mimeType || asset.fileType || 'application/octet-stream');
+  Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${stat.size}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+  } else {
+    res.status(200);
+    res.setHeader('Content-Length', stat.size);
+  }
+
+  if (!stream) {
+    return res.end();
+  }
+
+  stream.on('error', (error) => {
+    console.error('Asset stream error:', error);
+    res.destroy(error);
+  });
+  res.on('close', () => stream.destroy());
+  stream.pipe(res);
+};
+
 // Upload and mint new asset
 router.post('/upload', 
   authenticateToken,
+  requirePermission('assets:register'),
   upload.single('file'),
   [
     body('originalCreator').notEmpty().withMessage('Original creator is required'),
     body('description').optional().isString(),
     body('tags').optional().isArray(),
     body('licenseType').optional().isString(),
-    body('licensePrice').optional().isNumeric()
+    body('licensePrice').optional().isNumeric(),
+    body('chain').optional().isString()
   ],
   async (req, res) => {
     try {
@@ -52,6 +179,8 @@ router.post('/upload',
         return res.status(400).json({ error: 'No file uploaded' });
       }
 
+      const chain = blockchainService.getNetwork(req.body.chain);
+
       const {
         originalCreator,
         description,
@@ -61,9 +190,11 @@ router.post('/upload',
       } = req.body;
 
       // Upload file to IPFS
-      const uploadResult = await ipfsService.uploadFile(
-        req.file.buffer,
-        req.file.originalname
+      const uploadResult = await ipfsService.uploadFileFromPath(
+        req.file.path,
+        req.file.originalname,
+        req.file.mimetype,
+        { ipfsHash: req.file.ipfsHash, contentHash: req.file.sha256 }
       );
 
       // Create metadata
@@ -83,12 +214,12 @@ router.post('/upload',
 
       // Generate provenance hash
       const provenanceHash = ipfsService.generateProvenanceHash(
-        req.file.buffer,
+        req.file.hasher,
         metadata
       );
 
       // Mint NFT on blockchain
-      const mintResult = await blockchainService.mintAsset({
+      const mintResult = await chain.mintAsset({
         ipfsHash: uploadResult.ipfsHash,
         fileType: req.file.mimetype,
         fileSize: req.file.size,
@@ -110,6 +241,8 @@ router.post('/upload',
         tags: tags ? JSON.parse(tags) : [],
         transactionHash: mintResult.transactionHash,
         blockNumber: mintResult.blockNumber,
+        network: chain.network,
+        contractAddress: chain.contracts.multimediaNFT,
         isLicensed: false,
         licenseType: licenseType || '',
         licensePrice: licensePrice || 0
@@ -127,13 +260,16 @@ router.post('/upload',
           fileType: asset.fileType,
           fileSize: asset.fileSize,
           transactionHash: asset.transactionHash,
+          network: asset.network,
+          chainId: chain.chainId,
+          simulated: mintResult.simulated,
           gatewayUrl: ipfsService.getGatewayUrl(asset.ipfsHash)
         }
       });
 
     } catch (error) {
       console.error('Asset upload error:', error);
-      res.status(500).json({ error: 'Failed to upload asset' });
+      res.status(error.statusCode || 500).json({ error: 'Failed to upload asset' });
     }
   }
 );
@@ -167,20 +303,30 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get asset by token ID
+// Get asset by token ID; ?chain= selects the network, by default the default network
 router.get('/:tokenId', async (req, res) => {
   try {
     const { tokenId } = req.params;
+    const chain = blockchainService.getNetwork(req.query.chain);
 
     // Get from database
-    const asset = await Asset.findOne({ tokenId });
+    const asset = await Asset.findByToken(chain.network, chain.contracts.multimediaNFT, tokenId);
     if (!asset) {
       return res.status(404).json({ error: 'Asset not found' });
     }
 
     // Get blockchain data
-    const blockchainAsset = await blockchainService.getAsset(tokenId);
-    const licenses = await blockchainService.getTokenLicenses(tokenId);
+    const blockchainAsset = await chain.getAsset(tokenId);
+    const licenses = await chain.getTokenLicenses(tokenId);
+    const owner = await ownershipService.getOwner(chain, asset);
+
+    // The history is only extra detail, so the asset is still returned without it
+    let history = { source: null, transfers: null };
+    try {
+      history = await ownershipService.getHistory(chain, asset);
+    } catch (error) {
+      console.error(`Get history of token ${tokenId} error:`, error.message);
+    }
 
     // Get metadata from IPFS
     const metadata = await ipfsService.getMetadata(asset.metadataHash);
@@ -189,17 +335,24 @@ router.get('/:tokenId', async (req, res) => {
       ...asset.toObject(),
       blockchainData: blockchainAsset,
       licenses,
+      ownership: {
+        owner: owner.owner,
+        custodial: owner.custodial,
+        source: owner.source,
+        history: history.transfers,
+        historySource: history.source
+      },
       metadata,
       gatewayUrl: ipfsService.getGatewayUrl(asset.ipfsHash)
     });
   } catch (error) {
     console.error('Get asset error:', error);
-    res.status(500).json({ error: 'Failed to get asset' });
+    res.status(error.statusCode || 500).json({ error: 'Failed to get asset' });
   }
 });
 
 // Get user's assets
-router.get('/user/:address', authenticateToken, async (req, res) => {
+router.get('/user/:address', authenticateToken, requirePermission('assets:read'), async (req, res) => {
   try {
     const { address } = req.params;
     const { page = 1, limit = 20 } = req.query;
@@ -243,11 +396,13 @@ router.get('/user/:address', authenticateToken, async (req, res) => {
 // Update asset metadata
 router.put('/:tokenId', 
   authenticateToken,
+  requirePermission('assets:update', 'assets:moderate'),
   [
     body('description').optional().isString(),
     body('tags').optional().isArray(),
     body('licenseType').optional().isString(),
-    body('licensePrice').optional().isNumeric()
+    body('licensePrice').optional().isNumeric(),
+    query('chain').optional().isString()
   ],
   async (req, res) => {
     try {
@@ -258,14 +413,28 @@ router.put('/:tokenId',
 
       const { tokenId } = req.params;
       const { description, tags, licenseType, licensePrice } = req.body;
+      const chain = blockchainService.getNetwork(req.query.chain);
 
-      const asset = await Asset.findOne({ tokenId });
+      const asset = await Asset.findByToken(chain.network, chain.contracts.multimediaNFT, tokenId);
       if (!asset) {
         return res.status(404).json({ error: 'Asset not found' });
       }
 
-      if (asset.uploader !== req.user.address) {
-        return res.status(403).json({ error: 'Not authorized to update this asset' });
+      // The token may have been transferred since upload, so authorize
+      // against its current holder rather than the uploader. Moderators may
+      // edit the description and tags of any asset, but not its license
+      const ownership = await ownershipService.getOwner(chain, asset);
+      const changesLicense = licenseType !== undefined || licensePrice !== undefined;
+      const owns = rbacService.hasPermission(req.user.roles, 'assets:update')
+        && ownershipService.isAuthorized(ownership, asset, req.user.address);
+      const moderates = !changesLicense && rbacService.hasPermission(req.user.roles, 'assets:moderate');
+      if (!owns && !moderates) {
+        return res.status(403).json({
+          error: ownershipService.describeDenial(ownership, asset),
+          currentOwner: ownership.owner,
+          custodial: ownership.custodial,
+          network: chain.network
+        });
       }
 
       // Update database
@@ -276,19 +445,30 @@ router.put('/:tokenId',
 
       await asset.save();
 
-      // Update blockchain if license info changed
+      // Update blockchain if license info changed. The backend signer can
+      // only call setLicense while it holds the token; afterwards the owner
+      // sends it from their own wallet
+      let license;
       if (licenseType !== undefined || licensePrice !== undefined) {
-        await blockchainService.setLicense(tokenId, {
+        const licenseData = {
           isLicensed: licenseType && licenseType !== '',
           licensePrice: licensePrice || 0,
           licenseType: licenseType || ''
-        });
+        };
+        if (ownership.custodial) {
+          license = await chain.setLicense(tokenId, licenseData);
+        } else {
+          license = {
+            onChain: false,
+            reason: `Token is held by ${ownership.owner}; call setLicense from that address to record the license on-chain`
+          };
+        }
       }
 
-      res.json({ success: true, asset });
+      res.json({ success: true, asset, ownership, license });
     } catch (error) {
       console.error('Update asset error:', error);
-      res.status(500).json({ error: 'Failed to update asset' });
+      res.status(error.statusCode || 500).json({ error: 'Failed to update asset' });
     }
   }
 );
@@ -297,20 +477,21 @@ router.put('/:tokenId',
 router.get('/:tokenId/download', async (req, res) => {
   try {
     const { tokenId } = req.params;
+    const chain = blockchainService.getNetwork(req.query.chain);
 
-    const asset = await Asset.findOne({ tokenId });
+    const asset = await Asset.findByToken(chain.network, chain.contracts.multimediaNFT, tokenId);
     if (!asset) {
       return res.status(404).json({ error: 'Asset not found' });
     }
 
-    const fileBuffer = await ipfsService.getFile(asset.ipfsHash);
-    
-    res.setHeader('Content-Type', asset.fileType);
-    res.setHeader('Content-Disposition', `attachment; filename="${asset.originalName || 'asset'}"`);
-    res.send(fileBuffer);
+    const fileName = (asset.originalName || 'asset').replace(/["\\\r\n]/g, '_');
+    await sendAssetFile(req, res, asset, {
+      'Content-Disposition': `attachment; filename="${fileName}"; filename*=UTF-8''${encodeURIComponent(asset.originalName || 'asset')}`
+    });
   } catch (error) {
     console.error('Download asset error:', error);
-    res.status(500).json({ error: 'Failed to download asset' });
+    if (res.headersSent) return res.destroy(error);
+    res.status(error.statusCode || 500).json({ error: 'Failed to download asset' });
   }
 });
 
@@ -318,38 +499,319 @@ router.get('/:tokenId/download', async (req, res) => {
 router.get('/:tokenId/file', async (req, res) => {
   try {
     const { tokenId } = req.params;
+    const chain = blockchainService.getNetwork(req.query.chain);
 
-    const asset = await Asset.findOne({ tokenId });
+    const asset = await Asset.findByToken(chain.network, chain.contracts.multimediaNFT, tokenId);
     if (!asset) {
       return res.status(404).json({ error: 'Asset not found' });
     }
 
-    const fileBuffer = await ipfsService.getFile(asset.ipfsHash);
-    
-    res.setHeader('Content-Type', asset.fileType);
-    res.setHeader('Cache-Control', 'public, max-age=31536000'); // Cache for 1 year
-    res.send(fileBuffer);
+    await sendAssetFile(req, res, asset, {
+      'Cache-Control': 'public, max-age=31536000, immutable' // Content-addressed, cache for 1 year
+    });
   } catch (error) {
     console.error('Serve asset file error:', error);
-    res.status(500).json({ error: 'Failed to serve asset file' });
+    if (res.headersSent) return res.destroy(error);
+    res.status(error.statusCode || 500).json({ error: 'Failed to serve asset file' });
+  }
+});
+
+// Get indexed licenses and ownership for an asset
+router.get('/:tokenId/licenses', async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    const chain = blockchainService.getNetwork(req.query.chain);
+
+    const asset = await Asset.findByToken(chain.network, chain.contracts.multimediaNFT, tokenId);
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+
+    const [licenses, ownership] = await Promise.all([
+      License.find({ network: chain.network, contractAddress: chain.contracts.licensingContract, tokenId }).sort({ licenseIndex: 1 }),
+      TokenOwnership.findOne({ network: chain.network, contractAddress: chain.contracts.multimediaNFT, tokenId })
+    ]);
+
+    res.json({
+      tokenId,
+      network: chain.network,
+      chainId: chain.chainId,
+      owner: ownership ? ownership.owner : null,
+      ownership,
+      licenses: licenses.map(license => ({
+        ...license.toObject(),
+        isCurrent: license.isCurrent
+      })),
+      royalty: asset.royalty,
+      indexer: chainIndexerService.getStatus(chain.network)
+    });
+  } catch (error) {
+    console.error('Get asset licenses error:', error);
+    res.status(error.statusCode || 500).json({ error: 'Failed to get asset licenses' });
+  }
+});
+
+// Get an asset's license offers as the contract holds them, so seat counts
+// are exact; GET /api/offers lists indexed offers across assets
+router.get('/:tokenId/offers', async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    const chain = blockchainService.getNetwork(req.query.chain);
+
+    const asset = await Asset.findByToken(chain.network, chain.contracts.multimediaNFT, tokenId);
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+
+    const offers = await chain.getTokenOffers(tokenId);
+
+    res.json({
+      tokenId,
+      network: chain.network,
+      chainId: chain.chainId,
+      licensingContract: chain.contracts.licensingContract,
+      offers: offers.map(offer => ({
+        ...offer,
+        seatsRemaining: offer.maxSeats > 0 ? Math.max(0, offer.maxSeats - offer.seatsSold) : null,
+        isAvailable: offer.isActive && (offer.maxSeats === 0 || offer.seatsSold < offer.maxSeats)
+      }))
+    });
+  } catch (error) {
+    console.error('Get asset offers error:', error);
+    res.status(error.statusCode || 500).json({ error: 'Failed to get license offers', details: error.message });
+  }
+});
+
+// Offer licenses of an asset to anyone, e.g. "standard web licence, 0.01 ETH,
+// 1 year"; soulbound offers sell license tokens that cannot be transferred.
+// The backend signer can only list offers while it holds the token;
+// afterwards the owner calls createOffer from their own wallet
+router.post('/:tokenId/offers',
+  authenticateToken,
+  requirePermission('assets:update'),
+  [
+    body('price').custom(isEtherAmount).withMessage('Price must be a positive amount of ETH of at least 1 wei'),
+    body('duration').isInt({ min: 1 }).withMessage('Duration must be a positive number of seconds'),
+    body('maxSeats').optional().isInt({ min: 0 }).withMessage('Max seats must be 0 (unlimited) or more'),
+    body('licenseType').isString().notEmpty().withMessage('License type is required'),
+    body('termsURI').optional().isString(),
+    body('soulbound').optional().isBoolean().withMessage('Soulbound must be a boolean'),
+    query('chain').optional().isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { tokenId } = req.params;
+      const chain = blockchainService.getNetwork(req.query.chain);
+
+      const asset = await Asset.findByToken(chain.network, chain.contracts.multimediaNFT, tokenId);
+      if (!asset) {
+        return res.status(404).json({ error: 'Asset not found' });
+      }
+
+      const ownership = await ownershipService.getOwner(chain, asset);
+      if (!ownershipService.isAuthorized(ownership, asset, req.user.address)) {
+        return res.status(403).json({
+          error: ownershipService.describeDenial(ownership, asset),
+          currentOwner: ownership.owner,
+          custodial: ownership.custodial,
+          network: chain.network
+        });
+      }
+      if (!ownership.custodial) {
+        return res.status(409).json({
+          error: `Token is held by ${ownership.owner}; call createOffer on the licensing contract from that address`,
+          licensingContract: chain.contracts.licensingContract
+        });
+      }
+
+      const offer = {
+        tokenId,
+        price: req.body.price,
+        duration: parseInt(req.body.duration, 10),
+        maxSeats: parseInt(req.body.maxSeats || 0, 10),
+        licenseType: req.body.licenseType,
+        termsURI: req.body.termsURI || '',
+        soulbound: req.body.soulbound === true || req.body.soulbound === 'true'
+      };
+      const job = await chain.submit('createLicenseOffer', [offer], { requestedBy: req.user.address });
+
+      res.status(202).json({
+        success: true,
+        offer,
+        transactionJobId: job.jobId,
+        status: job.status,
+        statusUrl: `/api/transactions/${job.jobId}`
+      });
+    } catch (error) {
+      console.error('Create license offer error:', error);
+      res.status(error.statusCode || 500).json({ error: 'Failed to create license offer', details: error.message });
+    }
+  }
+);
+
+// Stop selling an offer; licenses already bought stay valid
+router.delete('/:tokenId/offers/:offerIndex',
+  authenticateToken,
+  requirePermission('assets:update'),
+  [
+    param('offerIndex').isInt({ min: 0 }).withMessage('Offer index must be a non-negative integer'),
+    query('chain').optional().isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { tokenId } = req.params;
+      const offerIndex = parseInt(req.params.offerIndex, 10);
+      const chain = blockchainService.getNetwork(req.query.chain);
+
+      const asset = await Asset.findByToken(chain.network, chain.contracts.multimediaNFT, tokenId);
+      if (!asset) {
+        return res.status(404).json({ error: 'Asset not found' });
+      }
+
+      const ownership = await ownershipService.getOwner(chain, asset);
+      if (!ownershipService.isAuthorized(ownership, asset, req.user.address)) {
+        return res.status(403).json({
+          error: ownershipService.describeDenial(ownership, asset),
+          currentOwner: ownership.owner,
+          custodial: ownership.custodial,
+          network: chain.network
+        });
+      }
+
+      const offer = (await chain.getTokenOffers(tokenId))[offerIndex];
+      if (!offer) {
+        return res.status(404).json({ error: 'Offer not found' });
+      }
+      if (!offer.isActive) {
+        return res.status(409).json({ error: 'Offer is not active' });
+      }
+      // Only whoever listed the offer can withdraw it
+      if (!ownership.custodial) {
+        return res.status(409).json({
+          error: `Offer was listed by ${offer.licensor}; call deactivateOffer on the licensing contract from that address`,
+          licensingContract: chain.contracts.licensingContract
+        });
+      }
+
+      const job = await chain.submit('deactivateLicenseOffer', [tokenId, offerIndex], { requestedBy: req.user.address });
+
+      res.status(202).json({
+        success: true,
+        transactionJobId: job.jobId,
+        status: job.status,
+        statusUrl: `/api/transactions/${job.jobId}`
+      });
+    } catch (error) {
+      console.error('Deactivate license offer error:', error);
+      res.status(error.statusCode || 500).json({ error: 'Failed to deactivate license offer', details: error.message });
+    }
+  }
+);
+
+// Get the contributors sharing an asset's royalty
+router.get('/:tokenId/royalty-split', async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    const chain = blockchainService.getNetwork(req.query.chain);
+
+    const asset = await Asset.findByToken(chain.network, chain.contracts.multimediaNFT, tokenId);
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+
+    res.json({
+      tokenId,
+      network: chain.network,
+      royalty: asset.royalty,
+      royaltySplit: asset.royaltySplit,
+      onChain: await chain.getRoyaltySplit(tokenId)
+    });
+  } catch (error) {
+    console.error('Get royalty split error:', error);
+    res.status(error.statusCode || 500).json({ error: 'Failed to get royalty split', details: error.message });
   }
 });
 
+// Share an asset's royalty between contributors. The split replaces the
+// token's royalty recipient and, with "lock", can never be changed again.
+// Only the uploader may set it: royalties stay with the creator after a sale
+router.put('/:tokenId/royalty-split',
+  authenticateToken,
+  requirePermission('assets:update'),
+  [
+    body('contributors').isArray({ min: 1 }).withMessage('Contributors must be a non-empty array'),
+    body('contributors.*.address').isEthereumAddress().withMessage('Contributor address must be an Ethereum address'),
+    body('contributors.*.shares').isInt({ min: 1, max: 10000 }).withMessage('Contributor shares must be 1-10000 basis points'),
+    body('contributors.*.role').optional().isString(),
+    body('percentage').isInt({ min: 1, max: 1000 }).withMessage('Royalty must be 1-1000 basis points'),
+    body('lock').optional().isBoolean(),
+    query('chain').optional().isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { tokenId } = req.params;
+      const chain = blockchainService.getNetwork(req.query.chain);
+
+      const asset = await Asset.findByToken(chain.network, chain.contracts.multimediaNFT, tokenId);
+      if (!asset) {
+        return res.status(404).json({ error: 'Asset not found' });
+      }
+      if (!asset.uploader || asset.uploader.toLowerCase() !== req.user.address.toLowerCase()) {
+        return res.status(403).json({ error: `Only the uploader ${asset.uploader} can split the royalty of token ${tokenId}` });
+      }
+
+      const contributors = royaltySplitService.normalizeContributors(req.body.contributors);
+      const job = await royaltySplitService.submitSplit(asset, {
+        contributors,
+        percentage: parseInt(req.body.percentage, 10),
+        lock: req.body.lock === true || req.body.lock === 'true'
+      }, req.user.address);
+
+      res.status(202).json({
+        success: true,
+        contributors,
+        transactionJobId: job.jobId,
+        status: job.status,
+        statusUrl: `/api/transactions/${job.jobId}`
+      });
+    } catch (error) {
+      console.error('Set royalty split error:', error);
+      res.status(error.statusCode || 500).json({ error: 'Failed to set royalty split', details: error.message });
+    }
+  }
+);
+
 // Verify asset authenticity
 router.get('/:tokenId/verify', async (req, res) => {
   try {
     const { tokenId } = req.params;
+    const chain = blockchainService.getNetwork(req.query.chain);
 
-    const asset = await Asset.findOne({ tokenId });
+    const asset = await Asset.findByToken(chain.network, chain.contracts.multimediaNFT, tokenId);
     if (!asset) {
       return res.status(404).json({ error: 'Asset not found' });
     }
 
     // Get blockchain data
-    const blockchainAsset = await blockchainService.getAsset(tokenId);
+    const blockchainAsset = await chain.getAsset(tokenId);
     
     // Verify IPFS hash exists on blockchain
-    const hashExists = await blockchainService.checkIPFSHashExists(asset.ipfsHash);
+    const hashExists = await chain.checkIPFSHashExists(asset.ipfsHash);
     
     // Get current file from IPFS
     const currentFile = await ipfsService.getFile(asset.ipfsHash);
@@ -357,6 +819,8 @@ router.get('/:tokenId/verify', async (req, res) => {
 
     const verification = {
       tokenId,
+      network: chain.network,
+      chainId: chain.chainId,
       ipfsHash: asset.ipfsHash,
       blockchainVerified: hashExists,
       fileIntegrity: currentHash === asset.provenanceHash,
@@ -367,7 +831,7 @@ router.get('/:tokenId/verify', async (req, res) => {
     res.json(verification);
   } catch (error) {
     console.error('Verify asset error:', error);
-    res.status(500).json({ error: 'Failed to verify asset' });
+    res.status(error.statusCode || 500).json({ error: 'Failed to verify asset' });
   }
 });
 
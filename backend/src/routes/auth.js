@@ -1,20 +1,48 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { ethers } = require('ethers');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
+const siweService = require('../services/siweService');
+const sessionService = require('../services/sessionService');
+const { authenticateToken } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Device metadata kept on the session
+const clientOf = req => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+/**
+ * GET /auth/nonce
+ * Issue a single-use nonce for a Sign-In with Ethereum message
+ */
+router.get('/nonce',
+  async (req, res) => {
+    try {
+      const nonce = await siweService.createNonce();
+      res.set('Cache-Control', 'no-store');
+      res.json(nonce);
+
+    } catch (error) {
+      console.error('Nonce error:', error);
+      res.status(500).json({ 
+        error: 'Failed to issue nonce',
+        details: error.message 
+      });
+    }
+  }
+);
+
 /**
  * POST /auth/login
- * Authenticate user with wallet signature
+ * Authenticate user with a signed Sign-In with Ethereum (EIP-4361) message
+ * whose nonce came from GET /auth/nonce, and start a session
  */
 router.post('/login',
   [
-    body('address').notEmpty().withMessage('Wallet address is required'),
     body('signature').notEmpty().withMessage('Signature is required'),
     body('message').notEmpty().withMessage('Message is required'),
-    body('nonce').notEmpty().withMessage('Nonce is required')
+    body('address').optional().isEthereumAddress().withMessage('Invalid wallet address')
   ],
   async (req, res) => {
     try {
@@ -26,38 +54,34 @@ router.post('/login',
         });
       }
 
-      const { address, signature, message, nonce } = req.body;
+      const { address, signature, message } = req.body;
 
-      // Verify the signature
-      const recoveredAddress = ethers.verifyMessage(message, signature);
-      
-      if (recoveredAddress.toLowerCase() !== address.toLowerCase()) {
-        return res.status(401).json({ error: 'Invalid signature' });
+      const siwe = await siweService.verify(message, signature);
+      if (address && address.toLowerCase() !== siwe.address) {
+        return res.status(401).json({ error: 'Invalid signature: address does not match the signed message' });
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { 
-          address: address.toLowerCase(),
-          type: 'wallet',
-          nonce 
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
+      const { session, accessToken, refreshToken, expiresIn } = await sessionService.create(
+        { address: siwe.address, chainId: siwe.chainId },
+        clientOf(req)
       );
 
       res.json({
         success: true,
-        token,
+        token: accessToken,
+        refreshToken,
+        expiresIn,
+        sessionId: session.id,
         user: {
-          address: address.toLowerCase(),
-          type: 'wallet'
+          address: siwe.address,
+          type: 'wallet',
+          chainId: siwe.chainId
         }
       });
 
     } catch (error) {
       console.error('Authentication error:', error);
-      res.status(500).json({ 
+      res.status(error.statusCode || 500).json({ 
         error: 'Authentication failed',
         details: error.message 
       });
@@ -65,9 +89,51 @@ router.post('/login',
   }
 );
 
+/**
+ * POST /auth/refresh
+ * Exchange a refresh token for a new access token and refresh token. Each
+ * refresh token works once
+ */
+router.post('/refresh',
+  [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          error: 'Validation failed',
+          details: errors.array() 
+        });
+      }
+
+      const { session, accessToken, refreshToken, expiresIn } = await sessionService.refresh(
+        req.body.refreshToken,
+        clientOf(req)
+      );
+
+      res.json({
+        success: true,
+        token: accessToken,
+        refreshToken,
+        expiresIn,
+        sessionId: session.id
+      });
+
+    } catch (error) {
+      console.error('Token refresh error:', error);
+      res.status(error.statusCode || 500).json({ 
+        error: 'Token refresh failed',
+        details: error.message 
+      });
+    }
+  }
+);
+
 /**
  * POST /auth/verify
- * Verify JWT token
+ * Verify JWT token and its session
  */
 router.post('/verify',
   async (req, res) => {
@@ -78,7 +144,7 @@ router.post('/verify',
         return res.status(400).json({ error: 'Token is required' });
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = await sessionService.verifyAccessToken(token);
       
       res.json({
         success: true,
@@ -97,13 +163,14 @@ router.post('/verify',
 
 /**
  * POST /auth/logout
- * Logout user (client-side token removal)
+ * Revoke the session of the access token
  */
 router.post('/logout',
+  authenticateToken,
   async (req, res) => {
     try {
-      // In a stateless JWT system, logout is handled client-side
-      // by removing the token from storage
+      await sessionService.revoke(req.user.address, req.user.sid, 'logout');
+
       res.json({
         success: true,
         message: 'Logged out successfully'
@@ -119,4 +186,88 @@ router.post('/logout',
   }
 );
 
+/**
+ * POST /auth/logout-all
+ * Revoke every session of the wallet, this one included
+ */
+router.post('/logout-all',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const revoked = await sessionService.revokeAll(req.user.address, 'logout-all');
+
+      res.json({
+        success: true,
+        revoked,
+        message: `Logged out of ${revoked} session${revoked === 1 ? '' : 's'}`
+      });
+
+    } catch (error) {
+      console.error('Logout all error:', error);
+      res.status(500).json({ 
+        error: 'Logout failed',
+        details: error.message 
+      });
+    }
+  }
+);
+
+/**
+ * GET /auth/sessions
+ * List the wallet's active sessions with their device and IP
+ */
+router.get('/sessions',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const sessions = await sessionService.list(req.user.address, req.user.sid);
+
+      res.json({ sessions });
+
+    } catch (error) {
+      console.error('List sessions error:', error);
+      res.status(500).json({ 
+        error: 'Failed to list sessions',
+        details: error.message 
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /auth/sessions/:sessionId
+ * Revoke one of the wallet's sessions
+ */
+router.delete('/sessions/:sessionId',
+  authenticateToken,
+  [
+    param('sessionId').isMongoId().withMessage('Invalid session ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          error: 'Validation failed',
+          details: errors.array() 
+        });
+      }
+
+      const revoked = await sessionService.revoke(req.user.address, req.params.sessionId, 'revoked');
+      if (!revoked) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      res.json({ success: true });
+
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(500).json({ 
+        error: 'Failed to revoke session',
+        details: error.message 
+      });
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const blockchainService = require('../services/blockchainService');
+const chainIndexerService = require('../services/chainIndexerService');
+const LicenseOffer = require('../models/LicenseOffer');
+
+const router = express.Router();
+
+/**
+ * GET /offers
+ * Browse license offers across assets, as indexed from LicensingContract
+ * events, newest first. Filter with ?licenseType=, ?licensor=, ?tokenId= and
+ * ?available=true for offers that can still be bought.
+ */
+router.get('/',
+  [
+    query('chain').optional().isString(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('licenseType').optional().isString().withMessage('License type must be a string'),
+    query('licensor').optional().isEthereumAddress().withMessage('Licensor must be an address'),
+    query('tokenId').optional().isInt({ min: 1 }).withMessage('Token ID must be a positive integer'),
+    query('available').optional().isBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { page = 1, limit = 20, licenseType, licensor, tokenId, available } = req.query;
+      const chain = blockchainService.getNetwork(req.query.chain);
+
+      const filter = { network: chain.network, contractAddress: chain.contracts.licensingContract };
+      if (licenseType) filter.licenseType = licenseType;
+      if (licensor) filter.licensor = licensor.toLowerCase();
+      if (tokenId) filter.tokenId = tokenId;
+      if (available === 'true') {
+        filter.isActive = true;
+        filter.$or = [{ maxSeats: 0 }, { $expr: { $lt: ['$seatsSold', '$maxSeats'] } }];
+      }
+
+      const offers = await LicenseOffer.find(filter)
+        .sort({ createdBlockNumber: -1, offerIndex: 1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .exec();
+
+      const total = await LicenseOffer.countDocuments(filter);
+
+      res.json({
+        offers: offers.map(offer => offer.toJSON({ virtuals: true })),
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        total,
+        indexer: chainIndexerService.getStatus(chain.network)
+      });
+    } catch (error) {
+      console.error('Get license offers error:', error);
+      res.status(error.statusCode || 500).json({ error: 'Failed to get license offers', details: error.message });
+    }
+  }
+);
+
+module.exports = router;
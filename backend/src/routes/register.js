@@ -1,20 +1,52 @@
 const express = require('express');
 const multer = require('multer');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const ipfsService = require('../services/ipfsService');
 const blockchainService = require('../services/blockchainService');
 const hashService = require('../services/hashService');
 const multimediaService = require('../services/multimediaService');
+const uploadSessionService = require('../services/uploadSessionService');
+const registrationService = require('../services/registrationService');
+const royaltySplitService = require('../services/royaltySplitService');
 const Asset = require('../models/Asset');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const spoolStorage = require('../middleware/spoolStorage');
+const { getUploadConfig } = require('../config/upload');
 
 const router = express.Router();
 
-// Configure multer for file uploads
+const uploadConfig = getUploadConfig();
+
+// MultimediaNFT.MAX_ROYALTY
+const MAX_ROYALTY_BASIS_POINTS = 1000;
+
+// The ERC-2981 royalty to mint with; it goes to the uploader unless another
+// recipient is named
+const royaltyOf = ({ royaltyRecipient, royaltyBasisPoints }, uploader) => {
+  const percentage = parseInt(royaltyBasisPoints, 10) || 0;
+  if (percentage === 0) {
+    return undefined;
+  }
+  return { recipient: (royaltyRecipient || uploader).toLowerCase(), percentage };
+};
+
+// Contributors sharing the royalty, sent as a JSON array in multipart forms
+const royaltySplitOf = ({ royaltyContributors, lockRoyaltySplit }) => {
+  if (!royaltyContributors) {
+    return undefined;
+  }
+  const contributors = typeof royaltyContributors === 'string' ? JSON.parse(royaltyContributors) : royaltyContributors;
+  return {
+    contributors: royaltySplitService.normalizeContributors(contributors),
+    lock: lockRoyaltySplit === true || lockRoyaltySplit === 'true'
+  };
+};
+
+// Configure multer to spool uploads to disk, hashing them as they arrive
 const upload = multer({
-  storage: multer.memoryStorage(),
+  storage: spoolStorage({ directory: uploadConfig.tmpDirectory }),
   limits: {
-    fileSize: 100 * 1024 * 1024, // 100MB limit
+    fileSize: uploadConfig.maxFileSize
   },
   fileFilter: (req, file, cb) => {
     // Allow images, videos, and audio files
@@ -34,10 +66,21 @@ const upload = multer({
 
 /**
  * POST /register
- * Upload, hash, and mint NFT for multimedia file
+ * Accept a multimedia file for registration. The file is either sent as
+ * multipart "file" or, for resumable uploads, referenced by a completed
+ * "uploadId". Responds 202 with a registration job that moves through
+ * received → processed → stored → minted → confirmed; follow it with
+ * GET /register/jobs/:jobId or its event stream. "chain" (a network name or
+ * chain ID) selects where to mint, by default the default network.
+ * "royaltyBasisPoints" mints the token with an ERC-2981 royalty paid to
+ * "royaltyRecipient", by default the uploader. "royaltyContributors"
+ * ([{ address, shares, role }], shares in basis points summing to 10000)
+ * then splits that royalty between them, locked for good with
+ * "lockRoyaltySplit".
  */
 router.post('/',
   authenticateToken,
+  requirePermission('assets:register'),
   upload.single('file'),
   [
     body('originalCreator').notEmpty().withMessage('Original creator is required'),
@@ -54,7 +97,20 @@ router.post('/',
     }).withMessage('Tags must be an array'),
     body('licenseType').optional().isString().withMessage('License type must be a string'),
     body('licensePrice').optional().isNumeric().withMessage('License price must be a number'),
-    body('optimize').optional().isBoolean().withMessage('Optimize must be a boolean')
+    body('royaltyRecipient').optional().isEthereumAddress().withMessage('Royalty recipient must be an Ethereum address'),
+    body('royaltyBasisPoints').optional().isInt({ min: 0, max: MAX_ROYALTY_BASIS_POINTS })
+      .withMessage(`Royalty must be 0-${MAX_ROYALTY_BASIS_POINTS} basis points`),
+    body('royaltyContributors').optional().custom((value, { req }) => {
+      if (!(parseInt(req.body.royaltyBasisPoints, 10) > 0)) {
+        throw new Error('A royalty split needs royaltyBasisPoints');
+      }
+      royaltySplitOf(req.body);
+      return true;
+    }),
+    body('lockRoyaltySplit').optional().isBoolean().withMessage('Lock royalty split must be a boolean'),
+    body('optimize').optional().isBoolean().withMessage('Optimize must be a boolean'),
+    body('uploadId').optional().isUUID().withMessage('Upload ID must be a UUID'),
+    body('chain').optional().isString().withMessage('Chain must be a network name or chain ID')
   ],
   async (req, res) => {
     try {
@@ -76,11 +132,27 @@ router.post('/',
         });
       }
 
-      if (!req.file) {
+      if (!req.file && !req.body.uploadId) {
         console.log('No file uploaded');
         return res.status(400).json({ error: 'No file uploaded' });
       }
 
+      const { uploadId } = req.body;
+      const chain = blockchainService.getNetwork(req.body.chain);
+      if (!req.file && uploadId) {
+        const activeJob = await registrationService.findActiveJob(uploadId);
+        if (activeJob) {
+          return res.status(409).json({
+            error: 'Upload is already being registered',
+            jobId: activeJob.jobId,
+            status: activeJob.status
+          });
+        }
+      }
+
+      // Resumable uploads are already on disk; hand them over like a spooled upload
+      const file = req.file || await uploadSessionService.completeSession(uploadId, req.user.address);
+
       const {
         originalCreator,
         description = '',
@@ -90,191 +162,175 @@ router.post('/',
         optimize = false
       } = req.body;
 
-      // Process multimedia file
-      console.log('Processing multimedia file...');
-      const processedFile = await multimediaService.processMultimediaFile(
-        req.file.buffer,
-        req.file.mimetype,
-        req.file.originalname
-      );
-
-      // Generate hashes
-      console.log('Generating hashes...');
-      const contentHash = hashService.generateSHA256(req.file.buffer);
-      const fileFingerprint = await hashService.generateFileFingerprint(
-        req.file.buffer,
-        req.file.mimetype
-      );
-
-      // Create metadata
-      const metadata = {
-        name: req.file.originalname,
-        description,
+      const job = await registrationService.createJob(file, {
         originalCreator,
+        description,
         tags: Array.isArray(tags) ? tags : JSON.parse(tags || '[]'),
-        fileType: req.file.mimetype,
-        fileSize: req.file.size,
-        uploadDate: new Date().toISOString(),
+        licenseType,
+        licensePrice: parseFloat(licensePrice) || 0,
+        optimize: optimize === true || optimize === 'true',
+        royalty: royaltyOf(req.body, req.user.address),
+        royaltySplit: royaltySplitOf(req.body)
+      }, {
         uploader: req.user.address,
-        dimensions: processedFile.dimensions,
-        duration: processedFile.duration,
-        bitrate: processedFile.bitrate,
-        frameRate: processedFile.frameRate,
-        codec: processedFile.codec,
-        exifData: processedFile.exifData,
-        contentHash,
-        perceptualHash: fileFingerprint.perceptualHash
-      };
+        uploadId: req.file ? undefined : uploadId,
+        network: chain.network
+      });
 
-      // Generate provenance hash
-      const provenanceHash = hashService.generateProvenanceHash(
-        req.file.buffer,
-        metadata,
-        req.user.address,
-        Date.now()
-      );
-
-      // Upload file to IPFS
-      console.log('Uploading file to IPFS...');
-      let fileBuffer = req.file.buffer;
-      
-      // Optimize image if requested
-      if (optimize && processedFile.mimeType.startsWith('image/')) {
-        fileBuffer = await multimediaService.optimizeImage(fileBuffer);
-      }
+      console.log(`Registration accepted, job ${job.jobId}`);
 
-      const uploadResult = await ipfsService.uploadFile(fileBuffer, req.file.originalname);
+      res.status(202).json({
+        success: true,
+        message: 'File received; registration is in progress',
+        jobId: job.jobId,
+        status: job.status,
+        statusUrl: `/api/register/jobs/${job.jobId}`,
+        eventsUrl: `/api/register/jobs/${job.jobId}/events`
+      });
 
-      // Upload metadata to IPFS
-      console.log('Uploading metadata to IPFS...');
-      const metadataResult = await ipfsService.uploadMetadata(metadata);
+    } catch (error) {
+      console.error('Registration error:', error);
+      res.status(error.statusCode || 500).json({ 
+        error: 'Failed to register file',
+        details: error.message 
+      });
+    }
+  }
+);
 
-      // Check if IPFS hash already exists on blockchain
-      console.log('Checking IPFS hash existence...');
-      const hashExists = await blockchainService.checkIPFSHashExists(uploadResult.ipfsHash);
-      if (hashExists) {
-        return res.status(409).json({ 
-          error: 'File already registered on blockchain',
-          ipfsHash: uploadResult.ipfsHash 
+/**
+ * GET /register/jobs/:jobId
+ * Progress of a registration accepted by POST /register. Only the uploader
+ * can see it.
+ */
+router.get('/jobs/:jobId',
+  authenticateToken,
+  [
+    param('jobId').isUUID().withMessage('Job ID must be a UUID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
         });
       }
 
-      // Mint NFT on blockchain
-      console.log('Minting NFT on blockchain...');
-      const mintResult = await blockchainService.mintAsset({
-        ipfsHash: uploadResult.ipfsHash,
-        fileType: req.file.mimetype,
-        fileSize: req.file.size,
-        originalCreator,
-        provenanceHash,
-        tokenURI: metadataResult.ipfsHash
-      });
-
-      // Upload thumbnail to IPFS if available
-      let thumbnailHash = null;
-      if (processedFile.thumbnail) {
-        console.log('Uploading thumbnail to IPFS...');
-        const thumbnailResult = await ipfsService.uploadFile(
-          processedFile.thumbnail,
-          `thumb_${req.file.originalname}`
-        );
-        thumbnailHash = thumbnailResult.ipfsHash;
+      const job = await registrationService.getJob(req.params.jobId);
+      if (!job || job.uploader !== req.user.address) {
+        return res.status(404).json({ error: 'Registration job not found' });
       }
 
-      // Save to database
-      console.log('Saving to database...');
-      const asset = new Asset({
-        tokenId: mintResult.tokenId,
-        ipfsHash: uploadResult.ipfsHash,
-        metadataHash: metadataResult.ipfsHash,
-        originalName: req.file.originalname,
-        fileType: req.file.mimetype,
-        fileSize: req.file.size,
-        mimeType: req.file.mimetype,
-        originalCreator,
-        uploader: req.user.address,
-        description,
-        tags: Array.isArray(tags) ? tags : JSON.parse(tags || '[]'),
-        provenanceHash,
-        contentHash,
-        perceptualHash: fileFingerprint.perceptualHash,
-        isLicensed: licenseType && licenseType !== '',
-        licenseType,
-        licensePrice: parseFloat(licensePrice) || 0,
-        transactionHash: mintResult.transactionHash,
-        blockNumber: mintResult.blockNumber,
-        network: process.env.NETWORK || 'sepolia',
-        status: 'registered',
-        gatewayUrl: ipfsService.getGatewayUrl(uploadResult.ipfsHash),
-        thumbnailUrl: thumbnailHash ? ipfsService.getGatewayUrl(thumbnailHash) : null,
-        dimensions: processedFile.dimensions,
-        duration: processedFile.duration,
-        bitrate: processedFile.bitrate,
-        frameRate: processedFile.frameRate,
-        codec: processedFile.codec,
-        exifData: processedFile.exifData,
-        processingStatus: processedFile.processingStatus,
-        processingError: processedFile.processingError
+      res.json({
+        ...job.toStatus(),
+        simulated: blockchainService.getNetwork(job.network).simulated
       });
 
-      await asset.save();
+    } catch (error) {
+      console.error('Registration job status error:', error);
+      res.status(error.statusCode || 500).json({
+        error: 'Failed to get registration job status',
+        details: error.message
+      });
+    }
+  }
+);
 
-      // Set license on blockchain if provided
-      if (licenseType && licenseType !== '') {
-        console.log('Setting license on blockchain...');
-        await blockchainService.setLicense(mintResult.tokenId, {
-          licenseType,
-          licensePrice: parseFloat(licensePrice) || 0,
-          duration: 86400, // 1 day default
-          terms: `License for ${req.file.originalname}`
+/**
+ * GET /register/jobs/:jobId/events
+ * Server-sent events for a registration job: a "progress" event with the
+ * job status each time it changes, ending once it is confirmed or failed.
+ */
+router.get('/jobs/:jobId/events',
+  authenticateToken,
+  [
+    param('jobId').isUUID().withMessage('Job ID must be a UUID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
         });
       }
 
-      console.log('Registration completed successfully');
+      const { jobId } = req.params;
+      const job = await registrationService.getJob(jobId);
+      if (!job || job.uploader !== req.user.address) {
+        return res.status(404).json({ error: 'Registration job not found' });
+      }
+      const { simulated } = blockchainService.getNetwork(job.network);
 
-      res.status(201).json({
-        success: true,
-        message: 'File registered and NFT minted successfully',
-        asset: {
-          tokenId: asset.tokenId,
-          ipfsHash: asset.ipfsHash,
-          metadataHash: asset.metadataHash,
-          originalName: asset.originalName,
-          fileType: asset.fileType,
-          fileSize: asset.fileSize,
-          originalCreator: asset.originalCreator,
-          uploader: asset.uploader,
-          description: asset.description,
-          tags: asset.tags,
-          transactionHash: asset.transactionHash,
-          blockNumber: asset.blockNumber,
-          gatewayUrl: asset.gatewayUrl,
-          thumbnailUrl: asset.thumbnailUrl,
-          dimensions: asset.dimensions,
-          duration: asset.duration,
-          isLicensed: asset.isLicensed,
-          licenseType: asset.licenseType,
-          licensePrice: asset.licensePrice,
-          processingStatus: asset.processingStatus
-        },
-        blockchain: {
-          tokenId: mintResult.tokenId,
-          transactionHash: mintResult.transactionHash,
-          blockNumber: mintResult.blockNumber
-        },
-        ipfs: {
-          fileHash: uploadResult.ipfsHash,
-          metadataHash: metadataResult.ipfsHash,
-          thumbnailHash,
-          gatewayUrl: asset.gatewayUrl
-        }
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
       });
+      res.flushHeaders();
+
+      let sent = 0;
+      let poll;
+      let heartbeat;
+
+      const write = (chunk) => {
+        res.write(chunk);
+        // Compression buffers responses unless told to flush
+        if (res.flush) res.flush();
+      };
+
+      const close = () => {
+        registrationService.removeListener('progress', onProgress);
+        clearInterval(poll);
+        clearInterval(heartbeat);
+      };
+
+      // Events are numbered by the stages recorded so far, so a job read
+      // again without changes is not sent twice
+      const send = (current) => {
+        if (current.stages.length <= sent) {
+          return;
+        }
+        sent = current.stages.length;
+        const status = { ...current.toStatus(), simulated };
+        write(`event: progress\nid: ${sent}\ndata: ${JSON.stringify(status)}\n\n`);
+        if (!current.isActive) {
+          close();
+          res.end();
+        }
+      };
+
+      function onProgress(current) {
+        if (current.jobId === jobId) {
+          send(current);
+        }
+      }
+
+      registrationService.on('progress', onProgress);
+      req.on('close', close);
+
+      // Jobs are finished by whichever process mined the transaction
+      poll = setInterval(() => {
+        registrationService.getJob(jobId)
+          .then(current => current && send(current))
+          .catch(error => console.error('Registration events error:', error));
+      }, registrationService.config.pollInterval);
+      heartbeat = setInterval(() => write(': heartbeat\n\n'), 15000);
+
+      send(job);
 
     } catch (error) {
-      console.error('Registration error:', error);
-      res.status(500).json({ 
-        error: 'Failed to register file',
-        details: error.message 
+      console.error('Registration events error:', error);
+      if (res.headersSent) {
+        return res.end();
+      }
+      res.status(error.statusCode || 500).json({
+        error: 'Failed to stream registration job',
+        details: error.message
       });
     }
   }
@@ -282,17 +338,24 @@ router.post('/',
 
 /**
  * POST /register/batch
- * Register multiple files in batch
+ * Register multiple files in batch, queueing one mint per file. One Merkle
+ * root over the stored files' content hashes is anchored on-chain, and each
+ * asset stores its inclusion proof. Everything goes to "chain", by default
+ * the default network. Royalties are given as for POST /register.
  */
 router.post('/batch',
   authenticateToken,
+  requirePermission('assets:register'),
   upload.array('files', 10), // Max 10 files
   [
     body('originalCreator').notEmpty().withMessage('Original creator is required'),
     body('description').optional().isString(),
     body('tags').optional().isArray(),
     body('licenseType').optional().isString(),
-    body('licensePrice').optional().isNumeric()
+    body('licensePrice').optional().isNumeric(),
+    body('royaltyRecipient').optional().isEthereumAddress(),
+    body('royaltyBasisPoints').optional().isInt({ min: 0, max: MAX_ROYALTY_BASIS_POINTS }),
+    body('chain').optional().isString()
   ],
   async (req, res) => {
     try {
@@ -308,6 +371,8 @@ router.post('/batch',
         return res.status(400).json({ error: 'No files uploaded' });
       }
 
+      const chain = blockchainService.getNetwork(req.body.chain);
+
       const {
         originalCreator,
         description = '',
@@ -316,151 +381,220 @@ router.post('/batch',
         licensePrice = 0
       } = req.body;
 
-      const results = [];
-      const fileErrors = [];
+      const parsedTags = Array.isArray(tags) ? tags : JSON.parse(tags || '[]');
+      const royalty = royaltyOf(req.body, req.user.address);
+
+      // Store one file and queue its mint. Nonces are assigned by the
+      // transaction queue, so files no longer wait on each other's mints;
+      // processing shares the registration jobs' concurrency limit
+      const registerFile = async (file) => {
+        // Process multimedia file
+        const processedFile = await multimediaService.processMultimediaFile(
+          file.path,
+          file.mimetype,
+          file.originalname
+        );
 
-      // Process files sequentially to avoid overwhelming the blockchain
-      for (let i = 0; i < req.files.length; i++) {
-        try {
-          const file = req.files[i];
-          console.log(`Processing file ${i + 1}/${req.files.length}: ${file.originalname}`);
-
-          // Process multimedia file
-          const processedFile = await multimediaService.processMultimediaFile(
-            file.buffer,
-            file.mimetype,
-            file.originalname
-          );
-
-          // Generate hashes
-          const contentHash = hashService.generateSHA256(file.buffer);
-          const fileFingerprint = await hashService.generateFileFingerprint(
-            file.buffer,
-            file.mimetype
-          );
-
-          // Create metadata
-          const metadata = {
-            name: file.originalname,
-            description,
-            originalCreator,
-            tags: Array.isArray(tags) ? tags : JSON.parse(tags || '[]'),
-            fileType: file.mimetype,
-            fileSize: file.size,
-            uploadDate: new Date().toISOString(),
-            uploader: req.user.address,
-            dimensions: processedFile.dimensions,
-            duration: processedFile.duration,
-            bitrate: processedFile.bitrate,
-            frameRate: processedFile.frameRate,
-            codec: processedFile.codec,
-            exifData: processedFile.exifData,
-            contentHash,
-            perceptualHash: fileFingerprint.perceptualHash
-          };
+        // SHA-256 was computed while the upload was spooled
+        const contentHash = file.sha256;
+        const fileFingerprint = await hashService.generateFileFingerprint(
+          file,
+          file.mimetype
+        );
 
-          // Generate provenance hash
-          const provenanceHash = hashService.generateProvenanceHash(
-            file.buffer,
-            metadata,
-            req.user.address,
-            Date.now()
-          );
+        // Create metadata
+        const metadata = {
+          name: file.originalname,
+          description,
+          originalCreator,
+          tags: parsedTags,
+          fileType: file.mimetype,
+          fileSize: file.size,
+          uploadDate: new Date().toISOString(),
+          uploader: req.user.address,
+          dimensions: processedFile.dimensions,
+          duration: processedFile.duration,
+          bitrate: processedFile.bitrate,
+          frameRate: processedFile.frameRate,
+          codec: processedFile.codec,
+          exifData: processedFile.exifData,
+          contentHash,
+          perceptualHash: fileFingerprint.perceptualHash
+        };
+
+        // Generate provenance hash
+        const provenanceHash = hashService.generateProvenanceHash(
+          file.hasher,
+          metadata,
+          req.user.address,
+          Date.now()
+        );
 
-          // Upload file to IPFS
-          const uploadResult = await ipfsService.uploadFile(file.buffer, file.originalname);
+        // Upload file to IPFS
+        const uploadResult = await ipfsService.uploadFileFromPath(file.path, file.originalname, file.mimetype, {
+          ipfsHash: file.ipfsHash,
+          contentHash
+        });
 
-          // Upload metadata to IPFS
-          const metadataResult = await ipfsService.uploadMetadata(metadata);
+        // Upload metadata to IPFS
+        const metadataResult = await ipfsService.uploadMetadata(metadata);
 
-          // Check if IPFS hash already exists
-          const hashExists = await blockchainService.checkIPFSHashExists(uploadResult.ipfsHash);
-          if (hashExists) {
-            fileErrors.push({
+        // Check if IPFS hash already exists, on-chain or waiting to be minted
+        const hashExists = await chain.checkIPFSHashExists(uploadResult.ipfsHash)
+          || await Asset.findByIpfsHash(uploadResult.ipfsHash);
+        if (hashExists) {
+          return {
+            error: {
               file: file.originalname,
               error: 'File already registered on blockchain',
               ipfsHash: uploadResult.ipfsHash
-            });
-            continue;
-          }
-
-          // Mint NFT on blockchain
-          const mintResult = await blockchainService.mintAsset({
-            ipfsHash: uploadResult.ipfsHash,
-            fileType: file.mimetype,
-            fileSize: file.size,
-            originalCreator,
-            provenanceHash,
-            tokenURI: metadataResult.ipfsHash
-          });
+            }
+          };
+        }
 
-          // Save to database
-          const asset = new Asset({
-            tokenId: mintResult.tokenId,
-            ipfsHash: uploadResult.ipfsHash,
-            metadataHash: metadataResult.ipfsHash,
-            originalName: file.originalname,
-            fileType: file.mimetype,
-            fileSize: file.size,
-            mimeType: file.mimetype,
-            originalCreator,
-            uploader: req.user.address,
-            description,
-            tags: Array.isArray(tags) ? tags : JSON.parse(tags || '[]'),
-            provenanceHash,
-            contentHash,
-            perceptualHash: fileFingerprint.perceptualHash,
-            isLicensed: licenseType && licenseType !== '',
-            licenseType,
-            licensePrice: parseFloat(licensePrice) || 0,
-            transactionHash: mintResult.transactionHash,
-            blockNumber: mintResult.blockNumber,
-            network: process.env.NETWORK || 'sepolia',
-            status: 'registered',
-            gatewayUrl: ipfsService.getGatewayUrl(uploadResult.ipfsHash),
-            dimensions: processedFile.dimensions,
-            duration: processedFile.duration,
-            bitrate: processedFile.bitrate,
-            frameRate: processedFile.frameRate,
-            codec: processedFile.codec,
-            exifData: processedFile.exifData,
-            processingStatus: processedFile.processingStatus
-          });
+        // Save to database
+        const asset = new Asset({
+          ipfsHash: uploadResult.ipfsHash,
+          metadataHash: metadataResult.ipfsHash,
+          originalName: file.originalname,
+          fileType: file.mimetype,
+          fileSize: file.size,
+          mimeType: file.mimetype,
+          originalCreator,
+          uploader: req.user.address,
+          description,
+          tags: parsedTags,
+          provenanceHash,
+          contentHash,
+          perceptualHash: fileFingerprint.perceptualHash,
+          perceptualHashes: fileFingerprint.perceptualHashes,
+          videoFingerprint: processedFile.videoFingerprint || undefined,
+          audioFingerprint: processedFile.audioFingerprint || undefined,
+          isLicensed: licenseType && licenseType !== '',
+          licenseType,
+          licensePrice: parseFloat(licensePrice) || 0,
+          royalty,
+          network: chain.network,
+          contractAddress: chain.contracts.multimediaNFT,
+          status: 'pending',
+          gatewayUrl: ipfsService.getGatewayUrl(uploadResult.ipfsHash),
+          dimensions: processedFile.dimensions,
+          duration: processedFile.duration,
+          bitrate: processedFile.bitrate,
+          frameRate: processedFile.frameRate,
+          codec: processedFile.codec,
+          exifData: processedFile.exifData,
+          processingStatus: processedFile.processingStatus
+        });
 
-          await asset.save();
+        await asset.save();
 
-          results.push({
-            file: file.originalname,
-            tokenId: asset.tokenId,
-            ipfsHash: asset.ipfsHash,
-            transactionHash: asset.transactionHash,
-            gatewayUrl: asset.gatewayUrl
-          });
+        let mintJob;
+        try {
+          mintJob = await registrationService.submitMint(asset, { requestedBy: req.user.address });
+        } catch (error) {
+          await Asset.deleteOne({ _id: asset._id });
+          throw error;
+        }
+
+        return { asset, mintJob };
+      };
 
-          // Add delay between transactions
-          if (i < req.files.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, 2000));
-          }
+      // Identical files would all pass the "already registered" check, so
+      // only the first of them is registered
+      const firstByHash = new Map();
+      const outcomes = await Promise.all(req.files.map(async (file) => {
+        const first = firstByHash.get(file.ipfsHash);
+        if (first) {
+          return {
+            error: {
+              file: file.originalname,
+              error: `Duplicate within batch: same content as ${first.originalname}`,
+              ipfsHash: file.ipfsHash,
+              statusCode: 409
+            }
+          };
+        }
+        firstByHash.set(file.ipfsHash, file);
 
+        try {
+          return await registrationService.schedule(() => registerFile(file));
         } catch (error) {
           console.error(`Error processing file ${file.originalname}:`, error);
-          fileErrors.push({
-            file: file.originalname,
-            error: error.message
+          return {
+            error: {
+              file: file.originalname,
+              error: error.message,
+              statusCode: error.statusCode
+            }
+          };
+        }
+      }));
+
+      const registeredAssets = outcomes.filter(outcome => outcome.asset).map(outcome => outcome.asset);
+      const fileErrors = outcomes.filter(outcome => outcome.error).map(outcome => outcome.error);
+      const results = outcomes.filter(outcome => outcome.asset).map(({ asset, mintJob }) => ({
+        file: asset.originalName,
+        jobId: mintJob.jobId,
+        statusUrl: `/api/transactions/${mintJob.jobId}`,
+        tokenId: null,
+        status: asset.status,
+        ipfsHash: asset.ipfsHash,
+        network: asset.network,
+        chainId: chain.chainId,
+        simulated: chain.simulated,
+        gatewayUrl: asset.gatewayUrl
+      }));
+
+      // Give every stored asset its inclusion proof and queue the anchor of
+      // the batch root; the anchor transaction is copied into the proofs once mined
+      let merkleRoot = null;
+      if (registeredAssets.length > 0) {
+        const tree = hashService.buildMerkleTree(registeredAssets.map(asset => asset.contentHash));
+        merkleRoot = {
+          root: tree.root,
+          leafCount: tree.leafCount,
+          jobId: null,
+          statusUrl: null
+        };
+
+        for (const [index, asset] of registeredAssets.entries()) {
+          const proof = hashService.generateMerkleProof(tree, index);
+          await Asset.updateOne({ _id: asset._id }, {
+            $set: {
+              merkleProof: {
+                root: merkleRoot.root,
+                leafCount: merkleRoot.leafCount,
+                index: proof.index,
+                siblings: proof.siblings
+              }
+            }
           });
+          results[index].merkleProof = proof;
+        }
+
+        // Proofs stay valid offline if anchoring fails; the root can be anchored later
+        try {
+          const anchorJob = await registrationService.submitAnchor(tree, req.user.address, chain);
+          merkleRoot.jobId = anchorJob.jobId;
+          merkleRoot.statusUrl = `/api/transactions/${anchorJob.jobId}`;
+        } catch (error) {
+          console.error('Merkle root anchoring error:', error);
+          merkleRoot.anchorError = error.message;
         }
       }
 
-      res.status(200).json({
+      res.status(registeredAssets.length > 0 ? 202 : 200).json({
         success: true,
-        message: `Batch registration completed. ${results.length} files registered successfully.`,
+        message: `Batch registration accepted. ${results.length} files stored with NFT mints queued.`,
+        merkleRoot,
         results,
         errors: fileErrors.length > 0 ? fileErrors : undefined
       });
 
     } catch (error) {
       console.error('Batch registration error:', error);
-      res.status(500).json({ 
+      res.status(error.statusCode || 500).json({ 
         error: 'Failed to register files in batch',
         details: error.message 
       });
@@ -469,24 +603,27 @@ router.post('/batch',
 );
 
 /**
- * GET /register/status/:tokenId
+ * GET /register/status/:tokenId?chain=
  * Get registration status for a token
  */
 router.get('/status/:tokenId', async (req, res) => {
   try {
     const { tokenId } = req.params;
+    const chain = blockchainService.getNetwork(req.query.chain);
 
-    const asset = await Asset.findOne({ tokenId });
+    const asset = await Asset.findByToken(chain.network, chain.contracts.multimediaNFT, tokenId);
     if (!asset) {
       return res.status(404).json({ error: 'Asset not found' });
     }
 
     // Get blockchain data
-    const blockchainAsset = await blockchainService.getAsset(tokenId);
-    const isVerified = await blockchainService.checkIPFSHashExists(asset.ipfsHash);
+    const blockchainAsset = await chain.getAsset(tokenId);
+    const isVerified = await chain.checkIPFSHashExists(asset.ipfsHash);
 
     res.json({
       tokenId: asset.tokenId,
+      network: chain.network,
+      chainId: chain.chainId,
       status: asset.status,
       isVerified,
       blockchainData: blockchainAsset,
@@ -500,7 +637,7 @@ router.get('/status/:tokenId', async (req, res) => {
 
   } catch (error) {
     console.error('Status check error:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       error: 'Failed to check registration status',
       details: error.message 
     });
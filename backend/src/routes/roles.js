@@ -0,0 +1,212 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const rbacService = require('../services/rbacService');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const describeAssignment = assignment => ({
+  address: assignment.address,
+  role: assignment.role,
+  grantedBy: assignment.grantedBy,
+  grantedAt: assignment.createdAt,
+  mirrorJobs: assignment.mirrorJobs
+});
+
+/**
+ * GET /roles
+ * Roles, the permissions they grant and the default roles of every wallet
+ */
+router.get('/',
+  authenticateToken,
+  async (req, res) => {
+    res.json({
+      roles: rbacService.config.roles,
+      defaultRoles: rbacService.config.defaultRoles
+    });
+  }
+);
+
+/**
+ * GET /roles/me
+ * The signed-in wallet's roles and permissions
+ */
+router.get('/me',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const roles = await rbacService.getRoles(req.user.address);
+
+      res.json({
+        address: req.user.address,
+        roles,
+        permissions: rbacService.getPermissions(roles)
+      });
+
+    } catch (error) {
+      console.error('Get own roles error:', error);
+      res.status(500).json({
+        error: 'Failed to get roles',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /roles/assignments
+ * Stored role assignments, optionally filtered by ?role= and ?address=
+ */
+router.get('/assignments',
+  authenticateToken,
+  requirePermission('roles:manage'),
+  [
+    query('role').optional().isString(),
+    query('address').optional().isEthereumAddress().withMessage('Invalid wallet address')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const assignments = await rbacService.listAssignments({
+        role: req.query.role,
+        address: req.query.address
+      });
+
+      res.json({ assignments: assignments.map(describeAssignment) });
+
+    } catch (error) {
+      console.error('List role assignments error:', error);
+      res.status(500).json({
+        error: 'Failed to list role assignments',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /roles/users/:address
+ * A wallet's roles and permissions
+ */
+router.get('/users/:address',
+  authenticateToken,
+  requirePermission('roles:manage'),
+  [
+    param('address').isEthereumAddress().withMessage('Invalid wallet address')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const address = req.params.address.toLowerCase();
+      const roles = await rbacService.getRoles(address);
+      const assignments = await rbacService.listAssignments({ address });
+
+      res.json({
+        address,
+        roles,
+        permissions: rbacService.getPermissions(roles),
+        assignments: assignments.map(describeAssignment)
+      });
+
+    } catch (error) {
+      console.error('Get user roles error:', error);
+      res.status(500).json({
+        error: 'Failed to get roles',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /roles/users/:address
+ * Grant a role; granting "verifier" is mirrored on-chain when
+ * RBAC_MIRROR_VERIFIERS is on
+ */
+router.post('/users/:address',
+  authenticateToken,
+  requirePermission('roles:manage'),
+  [
+    param('address').isEthereumAddress().withMessage('Invalid wallet address'),
+    body('role').isString().notEmpty().withMessage('Role is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { assignment, created } = await rbacService.grant(req.params.address, req.body.role, req.user.address);
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        created,
+        assignment: describeAssignment(assignment)
+      });
+
+    } catch (error) {
+      console.error('Grant role error:', error);
+      res.status(error.statusCode || 500).json({
+        error: 'Failed to grant role',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /roles/users/:address/:role
+ * Revoke a granted role. Default roles cannot be revoked per wallet
+ */
+router.delete('/users/:address/:role',
+  authenticateToken,
+  requirePermission('roles:manage'),
+  [
+    param('address').isEthereumAddress().withMessage('Invalid wallet address')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { revoked, mirrorJobs } = await rbacService.revoke(req.params.address, req.params.role, req.user.address);
+      if (!revoked) {
+        return res.status(404).json({ error: 'Role assignment not found' });
+      }
+
+      res.json({ success: true, mirrorJobs });
+
+    } catch (error) {
+      console.error('Revoke role error:', error);
+      res.status(error.statusCode || 500).json({
+        error: 'Failed to revoke role',
+        details: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
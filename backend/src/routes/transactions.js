@@ -0,0 +1,52 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const blockchainService = require('../services/blockchainService');
+const { authenticateToken } = require('../middleware/auth');
+const rbacService = require('../services/rbacService');
+
+const router = express.Router();
+
+/**
+ * GET /transactions/:jobId
+ * Status of a queued backend-signed transaction, e.g. the mint behind a 202
+ * from POST /register. Only the user who requested it can see it, or holders
+ * of "transactions:read-all".
+ */
+router.get('/:jobId',
+  authenticateToken,
+  [
+    param('jobId').isUUID().withMessage('Job ID must be a UUID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const job = await blockchainService.getTransactionJob(req.params.jobId);
+      const canReadAll = job && job.requestedBy && job.requestedBy !== req.user.address
+        && rbacService.hasPermission(await rbacService.getRoles(req.user.address), 'transactions:read-all');
+      if (!job || (job.requestedBy && job.requestedBy !== req.user.address && !canReadAll)) {
+        return res.status(404).json({ error: 'Transaction job not found' });
+      }
+
+      res.json({
+        ...job.toStatus(),
+        simulated: blockchainService.simulated
+      });
+
+    } catch (error) {
+      console.error('Transaction job status error:', error);
+      res.status(error.statusCode || 500).json({
+        error: 'Failed to get transaction job status',
+        details: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
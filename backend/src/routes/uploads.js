@@ -0,0 +1,155 @@
+const express = require('express');
+const uploadSessionService = require('../services/uploadSessionService');
+const multimediaService = require('../services/multimediaService');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { getUploadConfig } = require('../config/upload');
+
+const router = express.Router();
+
+const TUS_VERSION = '1.0.0';
+
+/**
+ * Parse a tus Upload-Metadata header ("key base64value,key base64value")
+ * @param {string} header - Header value
+ * @returns {Object} Decoded metadata
+ */
+const parseUploadMetadata = (header = '') => {
+  const metadata = {};
+  header.split(',').forEach((pair) => {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  });
+  return metadata;
+};
+
+const setUploadHeaders = (res, session) => {
+  res.setHeader('Upload-Offset', session.offset);
+  res.setHeader('Upload-Length', session.length);
+  res.setHeader('Upload-Expires', session.expiresAt.toUTCString());
+  res.setHeader('Cache-Control', 'no-store');
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    error: fallbackMessage,
+    details: error.message
+  });
+};
+
+router.use((req, res, next) => {
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+  next();
+});
+
+/**
+ * OPTIONS /uploads
+ * Advertise the supported protocol
+ */
+router.options('/', (req, res) => {
+  res.setHeader('Tus-Version', TUS_VERSION);
+  res.setHeader('Tus-Extension', 'creation,expiration,termination');
+  res.setHeader('Tus-Max-Size', getUploadConfig().maxFileSize);
+  res.status(204).end();
+});
+
+/**
+ * POST /uploads
+ * Create a resumable upload. Expects Upload-Length and Upload-Metadata
+ * carrying base64 "filename" and "filetype" entries.
+ */
+router.post('/', authenticateToken, requirePermission('assets:register'), async (req, res) => {
+  try {
+    const metadata = parseUploadMetadata(req.get('Upload-Metadata'));
+    const length = Number(req.get('Upload-Length'));
+
+    if (!metadata.filename) {
+      return res.status(400).json({ error: 'Upload-Metadata must include a filename' });
+    }
+    if (!multimediaService.isSupportedFileType(metadata.filetype)) {
+      return res.status(415).json({ error: 'Invalid file type. Only images, videos, and audio files are allowed.' });
+    }
+
+    const session = await uploadSessionService.createSession({
+      uploader: req.user.address,
+      fileName: metadata.filename,
+      mimeType: metadata.filetype,
+      length
+    });
+
+    setUploadHeaders(res, session);
+    res.location(`${req.baseUrl}/${session.uploadId}`);
+    res.status(201).json({
+      uploadId: session.uploadId,
+      offset: session.offset,
+      length: session.length,
+      expiresAt: session.expiresAt
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create upload');
+  }
+});
+
+/**
+ * HEAD /uploads/:uploadId
+ * Report how many bytes have been received
+ */
+router.head('/:uploadId', authenticateToken, async (req, res) => {
+  try {
+    const session = await uploadSessionService.getSession(req.params.uploadId, req.user.address);
+    setUploadHeaders(res, session);
+    res.status(200).end();
+  } catch (error) {
+    res.status(error.statusCode || 500).end();
+  }
+});
+
+/**
+ * PATCH /uploads/:uploadId
+ * Append a chunk at Upload-Offset
+ */
+router.patch('/:uploadId', authenticateToken, async (req, res) => {
+  try {
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+    }
+
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isSafeInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'Upload-Offset must be a non-negative integer' });
+    }
+
+    const session = await uploadSessionService.getSession(req.params.uploadId, req.user.address);
+    try {
+      await uploadSessionService.appendChunk(session, offset, req);
+    } finally {
+      // Let the client resync after a rejected chunk
+      setUploadHeaders(res, session);
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to write upload chunk');
+  }
+});
+
+/**
+ * DELETE /uploads/:uploadId
+ * Abandon an upload and discard the received bytes
+ */
+router.delete('/:uploadId', authenticateToken, async (req, res) => {
+  try {
+    const session = await uploadSessionService.getSession(req.params.uploadId, req.user.address);
+    await uploadSessionService.terminate(session);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to terminate upload');
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,12 @@
 const express = require('express');
 const multer = require('multer');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const ipfsService = require('../services/ipfsService');
 const blockchainService = require('../services/blockchainService');
 const hashService = require('../services/hashService');
 const multimediaService = require('../services/multimediaService');
+const audioFingerprintService = require('../services/audioFingerprintService');
+const perceptualIndexService = require('../services/perceptualIndexService');
 const Asset = require('../models/Asset');
 const { authenticateToken } = require('../middleware/auth');
 
@@ -34,15 +36,27 @@ const upload = multer({
 
 /**
  * POST /verify
- * Upload file, hash, and match with blockchain entry
+ * Upload file, hash, and match with blockchain entry. Near-duplicate images are
+ * found through the perceptual index; ?maxDistance= sets the per-algorithm
+ * Hamming radius in bits. Videos are matched by aligning sampled keyframes,
+ * which finds clips and re-encodes and reports the matched time range; audio
+ * is matched the same way through acoustic landmarks, surviving transcoding,
+ * volume changes and excerpts. Matches are ranked by confidence.
+ *
+ * `chain` (a network name or chain ID) limits matches to one network and is
+ * where tokenId is looked up; without it tokenId is looked up on the default
+ * network and matches come from every network. Each match is checked on the
+ * network it was minted on.
  */
 router.post('/',
   authenticateToken,
   upload.single('file'),
   [
     body('tokenId').optional().isString().withMessage('Token ID must be a string'),
+    body('chain').optional().isString().withMessage('Chain must be a network name or chain ID'),
     body('ipfsHash').optional().isString().withMessage('IPFS hash must be a string'),
-    body('verifyOnBlockchain').optional().isBoolean().withMessage('Verify on blockchain must be a boolean')
+    body('verifyOnBlockchain').optional().isBoolean().withMessage('Verify on blockchain must be a boolean'),
+    query('maxDistance').optional().isInt({ min: 0, max: 64 }).withMessage('Max distance must be an integer from 0 to 64').toInt()
   ],
   async (req, res) => {
     try {
@@ -64,6 +78,8 @@ router.post('/',
         ipfsHash,
         verifyOnBlockchain = true
       } = req.body;
+      const chain = blockchainService.getNetwork(req.body.chain);
+      const networkFilter = req.body.chain ? { network: chain.network } : {};
 
       // Process uploaded file
       console.log('Processing uploaded file...');
@@ -112,13 +128,19 @@ router.post('/',
           fileSize: req.file.size,
           contentHash: uploadedContentHash,
           perceptualHash: uploadedFileFingerprint.perceptualHash,
+          perceptualHashes: uploadedFileFingerprint.perceptualHashes,
           provenanceHash: uploadedProvenanceHash,
           dimensions: processedFile.dimensions,
           duration: processedFile.duration,
           bitrate: processedFile.bitrate,
           frameRate: processedFile.frameRate,
           codec: processedFile.codec,
-          exifData: processedFile.exifData
+          exifData: processedFile.exifData,
+          videoFingerprint: processedFile.videoFingerprint,
+          audioFingerprint: processedFile.audioFingerprint ? {
+            algorithm: processedFile.audioFingerprint.algorithm,
+            landmarks: processedFile.audioFingerprint.landmarks.length / 8
+          } : null
         },
         matches: [],
         blockchainVerification: null,
@@ -136,7 +158,7 @@ router.post('/',
       if (tokenId) {
         // Search by token ID
         console.log('Searching by token ID:', tokenId);
-        const asset = await Asset.findOne({ tokenId });
+        const asset = await Asset.findByToken(chain.network, chain.contracts.multimediaNFT, tokenId);
         if (asset) {
           assets.push(asset);
           console.log('Found asset by token ID:', asset.tokenId);
@@ -146,7 +168,7 @@ router.post('/',
       } else if (ipfsHash) {
         // Search by IPFS hash
         console.log('Searching by IPFS hash:', ipfsHash);
-        const asset = await Asset.findOne({ ipfsHash });
+        const asset = await Asset.findByIpfsHash(ipfsHash);
         if (asset) {
           assets.push(asset);
           console.log('Found asset by IPFS hash:', asset.tokenId);
@@ -156,24 +178,46 @@ router.post('/',
       } else {
         // Search by content hash
         console.log('Searching by content hash:', uploadedContentHash);
-        const matchingAssets = await Asset.find({ contentHash: uploadedContentHash });
+        const matchingAssets = await Asset.find({ contentHash: uploadedContentHash, ...networkFilter });
         console.log('Found assets by content hash:', matchingAssets.length);
         assets.push(...matchingAssets);
 
-        // Search by perceptual hash for images
-        if (uploadedFileFingerprint.perceptualHash) {
-          console.log('Searching by perceptual hash:', uploadedFileFingerprint.perceptualHash);
-          const perceptualMatches = await Asset.find({ 
-            perceptualHash: uploadedFileFingerprint.perceptualHash 
+        // Search the perceptual index for near-duplicate images
+        if (uploadedFileFingerprint.perceptualHashes.length > 0) {
+          const nearest = await perceptualIndexService.search(uploadedFileFingerprint.perceptualHashes, {
+            maxDistance: req.query.maxDistance
           });
-          console.log('Found assets by perceptual hash:', perceptualMatches.length);
-          assets.push(...perceptualMatches);
+          console.log('Found assets by perceptual similarity:', nearest.length);
+          if (nearest.length > 0) {
+            const perceptualMatches = await Asset.find({ _id: { $in: nearest.map(result => result.assetId) }, ...networkFilter });
+            assets.push(...perceptualMatches);
+          }
+        }
+
+        // Search the keyframe index for videos sharing footage
+        if (processedFile.videoFingerprint) {
+          const aligned = await perceptualIndexService.searchVideo(processedFile.videoFingerprint);
+          console.log('Found assets by keyframe alignment:', aligned.length);
+          if (aligned.length > 0) {
+            const videoMatches = await Asset.find({ _id: { $in: aligned.map(result => result.assetId) }, ...networkFilter });
+            assets.push(...videoMatches);
+          }
+        }
+
+        // Search the landmark index for recordings sharing audio
+        if (processedFile.audioFingerprint) {
+          const aligned = await perceptualIndexService.searchAudio(processedFile.audioFingerprint);
+          console.log('Found assets by acoustic fingerprint:', aligned.length);
+          if (aligned.length > 0) {
+            const audioMatches = await Asset.find({ _id: { $in: aligned.map(result => result.assetId) }, ...networkFilter });
+            assets.push(...audioMatches);
+          }
         }
       }
 
       // Remove duplicates
       assets = assets.filter((asset, index, self) => 
-        index === self.findIndex(a => a.tokenId === asset.tokenId)
+        index === self.findIndex(a => a.id === asset.id)
       );
 
       console.log('Total unique assets found:', assets.length);
@@ -196,6 +240,8 @@ router.post('/',
       for (const asset of assets) {
         const match = {
           tokenId: asset.tokenId,
+          network: asset.network,
+          contractAddress: asset.contractAddress,
           ipfsHash: asset.ipfsHash,
           originalName: asset.originalName,
           fileType: asset.fileType,
@@ -221,10 +267,10 @@ router.post('/',
         // Get blockchain data if verification is requested
         if (verifyOnBlockchain) {
           try {
-            const blockchainAsset = await blockchainService.getAsset(asset.tokenId);
+            const blockchainAsset = await blockchainService.getNetwork(asset.network).getAsset(asset.tokenId);
             match.blockchainData = blockchainAsset;
           } catch (error) {
-            console.error(`Error getting blockchain data for token ${asset.tokenId}:`, error);
+            console.error(`Error getting blockchain data for token ${asset.tokenId} on ${asset.network}:`, error);
             match.blockchainData = null;
           }
         }
@@ -233,32 +279,59 @@ router.post('/',
         if (asset.contentHash === uploadedContentHash) {
           match.matchType = 'exact';
           match.confidence = 1.0;
-        } else if (asset.perceptualHash && uploadedFileFingerprint.perceptualHash) {
-          const hammingDistance = hashService.calculateHammingDistance(
-            asset.perceptualHash,
-            uploadedFileFingerprint.perceptualHash
+        } else if (processedFile.videoFingerprint && asset.videoFingerprint && asset.videoFingerprint.frames) {
+          // Fraction of overlapping keyframes that line up at the best offset
+          match.temporalAlignment = hashService.alignTemporalFingerprints(
+            processedFile.videoFingerprint,
+            asset.videoFingerprint
           );
-          const similarity = hashService.areImagesSimilar(
-            asset.perceptualHash,
-            uploadedFileFingerprint.perceptualHash,
-            10
+
+          if (match.temporalAlignment) {
+            match.matchType = match.temporalAlignment.similar ? 'similar' : 'partial';
+            match.confidence = match.temporalAlignment.score;
+          } else {
+            match.matchType = 'partial';
+            match.confidence = 0.3;
+          }
+        } else if (processedFile.audioFingerprint && asset.audioFingerprint && asset.audioFingerprint.landmarks) {
+          // Fraction of landmarks that line up at the best time offset
+          match.temporalAlignment = audioFingerprintService.matchFingerprints(
+            processedFile.audioFingerprint,
+            asset.audioFingerprint
           );
-          
-          if (similarity) {
-            match.matchType = 'similar';
-            match.confidence = 1 - (hammingDistance / 64); // 64-bit perceptual hash
+
+          if (match.temporalAlignment) {
+            match.matchType = match.temporalAlignment.similar ? 'similar' : 'partial';
+            match.confidence = match.temporalAlignment.score;
           } else {
             match.matchType = 'partial';
-            match.confidence = 0.5;
+            match.confidence = 0.3;
           }
         } else {
-          match.matchType = 'partial';
-          match.confidence = 0.3;
+          // Weighted score over every perceptual algorithm both files were hashed with
+          match.perceptualSimilarity = hashService.compareFingerprints(
+            uploadedFileFingerprint.perceptualHashes,
+            asset.getPerceptualHashes()
+          );
+
+          if (match.perceptualSimilarity) {
+            match.matchType = match.perceptualSimilarity.similar ? 'similar' : 'partial';
+            match.confidence = match.perceptualSimilarity.score;
+          } else {
+            match.matchType = 'partial';
+            match.confidence = 0.3;
+          }
         }
 
         verificationResult.matches.push(match);
       }
 
+      // Rank matches, best first
+      verificationResult.matches.sort((a, b) => b.confidence - a.confidence);
+      verificationResult.matches.forEach((match, index) => {
+        match.rank = index + 1;
+      });
+
       // Blockchain verification
       if (verifyOnBlockchain && verificationResult.matches.length > 0) {
         console.log('Performing blockchain verification...');
@@ -266,42 +339,31 @@ router.post('/',
 
         for (const match of verificationResult.matches) {
           try {
-            // Check if the functions exist in the contract before calling them
-            let hashExists = false;
-            let tokenExists = false;
-            
-            try {
-              hashExists = await blockchainService.checkIPFSHashExists(match.ipfsHash);
-            } catch (error) {
-              console.warn(`checkIPFSHashExists not available for token ${match.tokenId}, assuming hash exists`);
-              hashExists = true; // Assume it exists if we can't check
-            }
-            
-            try {
-              const tokenData = await blockchainService.getAsset(match.tokenId);
-              tokenExists = !!tokenData;
-            } catch (error) {
-              console.warn(`getAsset not available for token ${match.tokenId}, assuming token exists`);
-              tokenExists = true; // Assume it exists if we can't check
-            }
-            
+            const matchChain = blockchainService.getNetwork(match.network);
+            const hashExists = await matchChain.checkIPFSHashExists(match.ipfsHash);
+            const tokenExists = !!(await matchChain.getAsset(match.tokenId));
+
             blockchainVerifications.push({
               tokenId: match.tokenId,
+              network: match.network,
+              chainId: matchChain.chainId,
               ipfsHash: match.ipfsHash,
               hashExists,
               tokenExists,
               verified: hashExists && tokenExists,
-              note: 'Blockchain verification simulated due to contract limitations'
+              simulated: matchChain.simulated
             });
           } catch (error) {
-            console.error(`Error verifying token ${match.tokenId}:`, error);
+            console.error(`Error verifying token ${match.tokenId} on ${match.network}:`, error);
             blockchainVerifications.push({
               tokenId: match.tokenId,
+              network: match.network,
               ipfsHash: match.ipfsHash,
               hashExists: false,
               tokenExists: false,
               verified: false,
-              error: error.message
+              error: error.message,
+              statusCode: error.statusCode
             });
           }
         }
@@ -344,33 +406,39 @@ router.post('/',
       verificationResult.integrityCheck = integrityChecks;
 
       // Similarity analysis for images
-      if (req.file.mimetype.startsWith('image/') && uploadedFileFingerprint.perceptualHash) {
+      if (req.file.mimetype.startsWith('image/') && uploadedFileFingerprint.perceptualHashes.length > 0) {
         console.log('Performing similarity analysis...');
-        const similarityResults = [];
-
-        for (const match of verificationResult.matches) {
-          if (match.perceptualHash) {
-            const hammingDistance = hashService.calculateHammingDistance(
-              uploadedFileFingerprint.perceptualHash,
-              match.perceptualHash
-            );
-            
-            const similarity = hashService.areImagesSimilar(
-              uploadedFileFingerprint.perceptualHash,
-              match.perceptualHash,
-              10
-            );
-
-            similarityResults.push({
-              tokenId: match.tokenId,
-              hammingDistance,
-              similarity,
-              confidence: 1 - (hammingDistance / 64)
-            });
-          }
-        }
+        verificationResult.similarityAnalysis = verificationResult.matches
+          .filter(match => match.perceptualSimilarity)
+          .map(match => ({
+            tokenId: match.tokenId,
+            similarity: match.perceptualSimilarity.similar,
+            confidence: match.perceptualSimilarity.score,
+            threshold: hashService.similarityThreshold,
+            algorithms: match.perceptualSimilarity.algorithms
+          }));
+      }
 
-        verificationResult.similarityAnalysis = similarityResults;
+      // Temporal analysis for videos and audio
+      if (processedFile.videoFingerprint || processedFile.audioFingerprint) {
+        console.log('Performing temporal analysis...');
+        verificationResult.similarityAnalysis = verificationResult.matches
+          .filter(match => match.temporalAlignment)
+          .map(match => ({
+            tokenId: match.tokenId,
+            similarity: match.temporalAlignment.similar,
+            confidence: match.temporalAlignment.score,
+            threshold: processedFile.videoFingerprint
+              ? hashService.similarityThreshold
+              : audioFingerprintService.matchThreshold,
+            matchedFrames: match.temporalAlignment.matchedFrames,
+            comparedFrames: match.temporalAlignment.comparedFrames,
+            matchedLandmarks: match.temporalAlignment.matchedLandmarks,
+            comparedLandmarks: match.temporalAlignment.comparedLandmarks,
+            offsetSeconds: match.temporalAlignment.offsetSeconds,
+            uploadedRange: match.temporalAlignment.queryRange,
+            registeredRange: match.temporalAlignment.referenceRange
+          }));
       }
 
       // Generate verification summary
@@ -413,7 +481,7 @@ router.post('/',
 
     } catch (error) {
       console.error('Verification error:', error);
-      res.status(500).json({ 
+      res.status(error.statusCode || 500).json({ 
         error: 'Failed to verify file',
         details: error.message 
       });
@@ -447,7 +515,7 @@ router.post('/hash',
       console.log('Verifying hash:', ipfsHash);
 
       // Search for asset by IPFS hash
-      const asset = await Asset.findOne({ ipfsHash });
+      const asset = await Asset.findByIpfsHash(ipfsHash);
       
       if (!asset) {
         return res.status(404).json({
@@ -463,6 +531,7 @@ router.post('/hash',
         message: 'Hash verified successfully',
         asset: {
           tokenId: asset.tokenId,
+          network: asset.network,
           ipfsHash: asset.ipfsHash,
           originalName: asset.originalName,
           fileType: asset.fileType,
@@ -498,27 +567,248 @@ router.post('/hash',
 );
 
 /**
- * GET /verify/status/:tokenId
+ * POST /verify/proof
+ * Check a Merkle inclusion proof for a batch-registered file. The leaf is the
+ * file's SHA-256 content hash; the root is also looked up on-chain, on
+ * `chain` or the default network.
+ */
+router.post('/proof',
+  authenticateToken,
+  [
+    body('leaf').isHexadecimal().withMessage('Leaf must be a hex digest'),
+    body('root').isHexadecimal().withMessage('Root must be a hex digest'),
+    body('proof.index').isInt({ min: 0 }).withMessage('Proof index must be a non-negative integer').toInt(),
+    body('proof.leafCount').isInt({ min: 1 }).withMessage('Proof leaf count must be a positive integer').toInt(),
+    body('proof.siblings').isArray().withMessage('Proof siblings must be an array'),
+    body('proof.siblings.*').isHexadecimal().withMessage('Proof siblings must be hex digests'),
+    body('chain').optional().isString().withMessage('Chain must be a network name or chain ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { leaf, root, proof } = req.body;
+      const chain = blockchainService.getNetwork(req.body.chain);
+      const valid = hashService.verifyMerkleProof(leaf.toLowerCase(), proof, root);
+      const anchoredAt = valid ? await chain.getMerkleRootTimestamp(root.toLowerCase()) : null;
+
+      res.json({
+        success: true,
+        valid,
+        anchored: !!anchoredAt,
+        anchoredAt,
+        network: chain.network,
+        chainId: chain.chainId,
+        root: root.toLowerCase(),
+        leaf: leaf.toLowerCase()
+      });
+
+    } catch (error) {
+      console.error('Proof verification error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: 'Failed to verify proof',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /verify/proof/:tokenId?chain=
+ * Get and check the Merkle inclusion proof of a batch-registered asset
+ */
+router.get('/proof/:tokenId', async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    const chain = blockchainService.getNetwork(req.query.chain);
+
+    const asset = await Asset.findByToken(chain.network, chain.contracts.multimediaNFT, tokenId);
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    if (!asset.merkleProof || !asset.merkleProof.root) {
+      return res.status(404).json({ error: 'Asset was not registered in a batch' });
+    }
+
+    const { root, index, leafCount, siblings, transactionHash, blockNumber } = asset.merkleProof;
+    const proof = { index, leafCount, siblings };
+    const valid = hashService.verifyMerkleProof(asset.contentHash, proof, root);
+    const anchoredAt = await chain.getMerkleRootTimestamp(root);
+
+    res.json({
+      tokenId: asset.tokenId,
+      network: chain.network,
+      chainId: chain.chainId,
+      leaf: asset.contentHash,
+      root,
+      proof,
+      valid,
+      anchored: !!anchoredAt,
+      anchoredAt,
+      transactionHash,
+      blockNumber
+    });
+
+  } catch (error) {
+    console.error('Proof retrieval error:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to get inclusion proof',
+      details: error.message
+    });
+  }
+});
+
+// A time as Unix seconds or an ISO 8601 date, in seconds. Without one, the
+// latest block's time: the chain's clock may run ahead of ours, and a
+// license bought a moment ago would not have started yet
+const toTimestamp = async (value, chain) => {
+  if (value === undefined || value === '') {
+    const block = await chain.getBlock('latest');
+    return block ? block.timestamp : Math.floor(Date.now() / 1000);
+  }
+  return /^\d+$/.test(value) ? Number(value) : Math.floor(new Date(value).getTime() / 1000);
+};
+
+const isTime = value => /^\d+$/.test(value) || !Number.isNaN(new Date(value).getTime());
+
+/**
+ * GET /verify/license/:tokenId?holder=&at=&chain=
+ * Does holder hold a license token of the asset that is valid at `at` (Unix
+ * seconds or an ISO date, default the latest block's time)? Answered from the LicenseToken
+ * contract, so anyone can check a licensee without their say-so. The holder
+ * is the token's current one: a transferred license proves nothing for its
+ * previous holder.
+ */
+router.get('/license/:tokenId',
+  [
+    query('holder').isEthereumAddress().withMessage('Holder must be an address'),
+    query('at').optional().custom(isTime).withMessage('At must be Unix seconds or an ISO 8601 date'),
+    query('chain').optional().isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { tokenId } = req.params;
+      const holder = req.query.holder.toLowerCase();
+      const chain = blockchainService.getNetwork(req.query.chain);
+      const timestamp = await toTimestamp(req.query.at, chain);
+
+      const license = await chain.getValidLicense(holder, tokenId, timestamp);
+
+      res.json({
+        tokenId,
+        network: chain.network,
+        chainId: chain.chainId,
+        holder,
+        at: new Date(timestamp * 1000).toISOString(),
+        valid: !!license,
+        license,
+        simulated: chain.simulated
+      });
+
+    } catch (error) {
+      console.error('License verification error:', error);
+      res.status(error.statusCode || 500).json({
+        error: 'Failed to verify license',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /verify/license-token/:licenseTokenId?at=&chain=
+ * Describe a license token, e.g. one a licensee presents as proof: its
+ * holder, asset, license type, expiry and terms hash, and whether it is valid
+ * at `at` (default now)
+ */
+router.get('/license-token/:licenseTokenId',
+  [
+    param('licenseTokenId').isInt({ min: 1 }).withMessage('License token ID must be a positive integer'),
+    query('at').optional().custom(isTime).withMessage('At must be Unix seconds or an ISO 8601 date'),
+    query('chain').optional().isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const chain = blockchainService.getNetwork(req.query.chain);
+      const timestamp = await toTimestamp(req.query.at, chain);
+
+      const license = await chain.getLicenseToken(req.params.licenseTokenId);
+      if (!license) {
+        return res.status(404).json({ error: 'License token not found' });
+      }
+
+      // As LicenseToken.isValid
+      const valid = timestamp >= Number(license.startDate)
+        && timestamp <= Number(license.expiry)
+        && (!license.revokedAt || timestamp < Number(license.revokedAt));
+
+      res.json({
+        ...license,
+        network: chain.network,
+        chainId: chain.chainId,
+        at: new Date(timestamp * 1000).toISOString(),
+        valid
+      });
+
+    } catch (error) {
+      console.error('License token retrieval error:', error);
+      res.status(error.statusCode || 500).json({
+        error: 'Failed to get license token',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /verify/status/:tokenId?chain=
  * Get verification status for a token
  */
 router.get('/status/:tokenId', async (req, res) => {
   try {
     const { tokenId } = req.params;
+    const chain = blockchainService.getNetwork(req.query.chain);
 
-    const asset = await Asset.findOne({ tokenId });
+    const asset = await Asset.findByToken(chain.network, chain.contracts.multimediaNFT, tokenId);
     if (!asset) {
       return res.status(404).json({ error: 'Asset not found' });
     }
 
     // Get blockchain verification status
-    const hashExists = await blockchainService.checkIPFSHashExists(asset.ipfsHash);
-    const blockchainAsset = await blockchainService.getAsset(tokenId);
+    const hashExists = await chain.checkIPFSHashExists(asset.ipfsHash);
+    const blockchainAsset = await chain.getAsset(tokenId);
 
     res.json({
       tokenId: asset.tokenId,
+      network: chain.network,
+      chainId: chain.chainId,
       ipfsHash: asset.ipfsHash,
       contentHash: asset.contentHash,
       perceptualHash: asset.perceptualHash,
+      perceptualHashes: asset.perceptualHashes,
       isVerified: asset.isVerified,
       verificationTimestamp: asset.verificationTimestamp,
       verifier: asset.verifier,
@@ -531,7 +821,7 @@ router.get('/status/:tokenId', async (req, res) => {
 
   } catch (error) {
     console.error('Verification status error:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       error: 'Failed to get verification status',
       details: error.message 
     });
@@ -0,0 +1,302 @@
+// Audio is decoded to mono PCM at this rate before fingerprinting, which keeps
+// the band where landmarks survive lossy codecs (roughly 300Hz-3.5kHz)
+const SAMPLE_RATE = 8000;
+const WINDOW_SIZE = 1024;
+const HOP_SIZE = 512;
+const MIN_BIN = Math.floor((300 * WINDOW_SIZE) / SAMPLE_RATE);
+const MAX_BIN = Math.ceil((3500 * WINDOW_SIZE) / SAMPLE_RATE);
+
+// Peak picking: a decaying, spread threshold keeps only the dominant peaks
+const PEAKS_PER_FRAME = 5;
+const THRESHOLD_DECAY = 0.05; // natural-log magnitude per frame
+const THRESHOLD_SPREAD = 8; // bins
+const MIN_PEAK_PROMINENCE = 2; // natural-log magnitude above the frame's median
+
+// Landmark pairing: each anchor peak is paired with the next few peaks in its target zone
+const FAN_OUT = 3;
+const MAX_DELTA_FRAMES = 63;
+const MAX_DELTA_BINS = 63;
+
+const MIN_MATCHES = 10;
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float64Array} real - Real parts
+ * @param {Float64Array} imag - Imaginary parts
+ */
+function fft(real, imag) {
+  const n = real.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const wr = Math.cos(angle * k);
+        const wi = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tr = real[b] * wr - imag[b] * wi;
+        const ti = real[b] * wi + imag[b] * wr;
+        real[b] = real[a] - tr;
+        imag[b] = imag[a] - ti;
+        real[a] += tr;
+        imag[a] += ti;
+      }
+    }
+  }
+}
+
+const HANN_WINDOW = Float64Array.from({ length: WINDOW_SIZE }, (_, i) =>
+  0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (WINDOW_SIZE - 1))
+);
+
+/**
+ * Landmark-style acoustic fingerprints. Spectral peaks are paired into
+ * (frequency, frequency delta, time delta) hashes, which survive transcoding
+ * and volume changes; matching hashes that agree on a time offset identify an
+ * excerpt and where it sits in the original.
+ */
+class AudioFingerprintService {
+  constructor() {
+    this.sampleRate = SAMPLE_RATE;
+    this.matchThreshold = parseFloat(process.env.ACOUSTIC_MATCH_THRESHOLD || '0.1');
+  }
+
+  /**
+   * Compute the log-magnitude spectrogram of the fingerprinted band
+   * @param {Float32Array} samples - Mono PCM in [-1, 1] at SAMPLE_RATE
+   * @returns {Array<Float64Array>} One row of MAX_BIN - MIN_BIN bins per frame
+   */
+  spectrogram(samples) {
+    const frames = [];
+    const real = new Float64Array(WINDOW_SIZE);
+    const imag = new Float64Array(WINDOW_SIZE);
+
+    for (let start = 0; start + WINDOW_SIZE <= samples.length; start += HOP_SIZE) {
+      for (let i = 0; i < WINDOW_SIZE; i++) {
+        real[i] = samples[start + i] * HANN_WINDOW[i];
+        imag[i] = 0;
+      }
+      fft(real, imag);
+
+      const row = new Float64Array(MAX_BIN - MIN_BIN);
+      for (let bin = MIN_BIN; bin < MAX_BIN; bin++) {
+        row[bin - MIN_BIN] = Math.log(Math.hypot(real[bin], imag[bin]) + 1e-9);
+      }
+      frames.push(row);
+    }
+
+    return frames;
+  }
+
+  /**
+   * Pick dominant spectral peaks
+   * @param {Array<Float64Array>} frames - Log-magnitude spectrogram
+   * @returns {Array<Object>} Peaks [{ frame, bin }] in time order
+   */
+  findPeaks(frames) {
+    const bins = MAX_BIN - MIN_BIN;
+    const threshold = new Float64Array(bins).fill(-Infinity);
+    const peaks = [];
+
+    // Seed the threshold from the opening frames so it is relative to the track's level
+    frames.slice(0, 10).forEach((row) => {
+      row.forEach((value, bin) => {
+        threshold[bin] = Math.max(threshold[bin], value - 1);
+      });
+    });
+
+    frames.forEach((row, frame) => {
+      // Peaks must stand out from the frame's noise floor as the threshold decays
+      const floor = Float64Array.from(row).sort()[bins >> 1] + MIN_PEAK_PROMINENCE;
+
+      const candidates = [];
+      for (let bin = 2; bin < bins - 2; bin++) {
+        const value = row[bin];
+        if (value > floor && value > row[bin - 1] && value > row[bin + 1] && value >= row[bin - 2] && value >= row[bin + 2]) {
+          candidates.push(bin);
+        }
+      }
+      candidates.sort((a, b) => row[b] - row[a]);
+
+      let accepted = 0;
+      for (const bin of candidates) {
+        if (accepted === PEAKS_PER_FRAME) break;
+        if (row[bin] <= threshold[bin]) continue;
+
+        peaks.push({ frame, bin });
+        accepted++;
+
+        // Mask neighbouring bins so one loud partial does not produce several peaks
+        for (let other = 0; other < bins; other++) {
+          const distance = other - bin;
+          const masked = row[bin] - (distance * distance) / (2 * THRESHOLD_SPREAD * THRESHOLD_SPREAD);
+          threshold[other] = Math.max(threshold[other], masked);
+        }
+      }
+
+      for (let bin = 0; bin < bins; bin++) {
+        threshold[bin] -= THRESHOLD_DECAY;
+      }
+    });
+
+    return peaks;
+  }
+
+  /**
+   * Generate a fingerprint from decoded audio
+   * @param {Float32Array} samples - Mono PCM in [-1, 1] at SAMPLE_RATE
+   * @returns {Object} { algorithm, sampleRate, hopSize, frames, landmarks }, where
+   *   landmarks packs [hash, frame] uint32 pairs
+   */
+  generateFingerprint(samples) {
+    const frames = this.spectrogram(samples);
+    const peaks = this.findPeaks(frames);
+    const landmarks = [];
+
+    peaks.forEach((anchor, index) => {
+      let paired = 0;
+      for (let next = index + 1; next < peaks.length && paired < FAN_OUT; next++) {
+        const target = peaks[next];
+        const deltaFrames = target.frame - anchor.frame;
+        if (deltaFrames > MAX_DELTA_FRAMES) break;
+
+        const deltaBins = target.bin - anchor.bin;
+        if (deltaFrames < 1 || Math.abs(deltaBins) > MAX_DELTA_BINS) continue;
+
+        landmarks.push(this.landmarkHash(anchor.bin, deltaBins, deltaFrames), anchor.frame);
+        paired++;
+      }
+    });
+
+    const packed = Buffer.alloc(landmarks.length * 4);
+    landmarks.forEach((value, index) => packed.writeUInt32LE(value, index * 4));
+
+    return {
+      algorithm: 'landmark',
+      sampleRate: SAMPLE_RATE,
+      hopSize: HOP_SIZE,
+      frames: frames.length,
+      landmarks: packed
+    };
+  }
+
+  /**
+   * Pack a landmark into 22 bits: anchor bin (9), bin delta (7), frame delta (6)
+   */
+  landmarkHash(bin, deltaBins, deltaFrames) {
+    return ((bin & 0x1ff) << 13) | (((deltaBins + 64) & 0x7f) << 6) | (deltaFrames & 0x3f);
+  }
+
+  /**
+   * Unpack a fingerprint's landmarks
+   * @param {Object} fingerprint - Fingerprint from generateFingerprint
+   * @returns {Array<Array<number>>} [[hash, frame]]
+   */
+  decodeLandmarks(fingerprint) {
+    const buffer = Buffer.from(fingerprint.landmarks);
+    const landmarks = [];
+    for (let offset = 0; offset + 8 <= buffer.length; offset += 8) {
+      landmarks.push([buffer.readUInt32LE(offset), buffer.readUInt32LE(offset + 4)]);
+    }
+    return landmarks;
+  }
+
+  /**
+   * Find where a query recording lines up with a reference recording
+   * @param {Object} query - Fingerprint of the file being checked
+   * @param {Object} reference - Fingerprint of a registered asset
+   * @returns {Object|null} Best alignment with matched time ranges in seconds, or null
+   */
+  matchFingerprints(query, reference) {
+    if (!query || !reference || query.algorithm !== reference.algorithm
+      || query.sampleRate !== reference.sampleRate || query.hopSize !== reference.hopSize) {
+      return null;
+    }
+
+    const referenceIndex = new Map();
+    for (const [hash, frame] of this.decodeLandmarks(reference)) {
+      if (!referenceIndex.has(hash)) {
+        referenceIndex.set(hash, []);
+      }
+      referenceIndex.get(hash).push(frame);
+    }
+
+    // Every shared hash votes for the offset between its two occurrences
+    const queryLandmarks = this.decodeLandmarks(query);
+    const votes = new Map();
+    for (const [hash, frame] of queryLandmarks) {
+      for (const referenceFrame of referenceIndex.get(hash) || []) {
+        const offset = referenceFrame - frame;
+        votes.set(offset, (votes.get(offset) || 0) + 1);
+      }
+    }
+
+    // Re-encoding can shift peaks by a frame, so neighbouring offsets count too
+    let bestOffset = null;
+    let bestVotes = 0;
+    for (const offset of votes.keys()) {
+      const total = (votes.get(offset - 1) || 0) + votes.get(offset) + (votes.get(offset + 1) || 0);
+      if (total > bestVotes) {
+        bestVotes = total;
+        bestOffset = offset;
+      }
+    }
+    if (bestOffset === null) {
+      return null;
+    }
+
+    let matched = 0;
+    let compared = 0;
+    let firstMatch = Infinity;
+    let lastMatch = -Infinity;
+    for (const [hash, frame] of queryLandmarks) {
+      const referenceFrame = frame + bestOffset;
+      if (referenceFrame < 0 || referenceFrame >= reference.frames) continue;
+
+      compared++;
+      const candidates = referenceIndex.get(hash) || [];
+      if (candidates.some(candidate => Math.abs(candidate - referenceFrame) <= 1)) {
+        matched++;
+        firstMatch = Math.min(firstMatch, frame);
+        lastMatch = Math.max(lastMatch, frame);
+      }
+    }
+
+    if (matched === 0) {
+      return null;
+    }
+
+    const secondsPerFrame = query.hopSize / query.sampleRate;
+    const score = matched / compared;
+    return {
+      score,
+      similar: matched >= MIN_MATCHES && score >= this.matchThreshold,
+      matchedLandmarks: matched,
+      comparedLandmarks: compared,
+      offsetSeconds: bestOffset * secondsPerFrame,
+      queryRange: {
+        start: firstMatch * secondsPerFrame,
+        end: (lastMatch + 1) * secondsPerFrame
+      },
+      referenceRange: {
+        start: (firstMatch + bestOffset) * secondsPerFrame,
+        end: (lastMatch + bestOffset + 1) * secondsPerFrame
+      }
+    };
+  }
+}
+
+module.exports = new AudioFingerprintService();
@@ -0,0 +1,78 @@
+/**
+ * Base class for blockchain failures. statusCode is the HTTP status routes
+ * respond with.
+ */
+class BlockchainError extends Error {
+  constructor(message, statusCode, cause) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * The node could not be reached, timed out or is not configured (503)
+ */
+class BlockchainUnavailableError extends BlockchainError {
+  constructor(message, cause) {
+    super(message, 503, cause);
+  }
+}
+
+/**
+ * The node answered but the call or transaction failed, e.g. a revert (502)
+ */
+class BlockchainTransactionError extends BlockchainError {
+  constructor(message, cause) {
+    super(message, 502, cause);
+  }
+}
+
+/**
+ * A request named a chain that is not in the network registry (400)
+ */
+class UnknownNetworkError extends BlockchainError {
+  constructor(chain, known) {
+    super(`Unknown chain "${chain}". Expected one of: ${known.join(', ')}`, 400);
+  }
+}
+
+// ethers and Node error codes that mean the node itself is unreachable
+const UNAVAILABLE_CODES = new Set([
+  'NETWORK_ERROR',
+  'SERVER_ERROR',
+  'TIMEOUT',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ENOTFOUND',
+  'ETIMEDOUT',
+  'EAI_AGAIN'
+]);
+
+/**
+ * Wrap an error from ethers in the matching typed error
+ * @param {Error} error - Original error
+ * @param {string} action - What was being attempted, e.g. "mint asset"
+ * @returns {BlockchainError} Typed error
+ */
+const toBlockchainError = (error, action) => {
+  if (error instanceof BlockchainError) {
+    return error;
+  }
+
+  const code = error.code || (error.cause && error.cause.code);
+  if (UNAVAILABLE_CODES.has(code)) {
+    return new BlockchainUnavailableError(`Blockchain node unavailable, could not ${action}`, error);
+  }
+
+  const reason = error.reason || error.shortMessage || error.message;
+  return new BlockchainTransactionError(`Failed to ${action}: ${reason}`, error);
+};
+
+module.exports = {
+  BlockchainError,
+  BlockchainUnavailableError,
+  BlockchainTransactionError,
+  UnknownNetworkError,
+  toBlockchainError
+};
@@ -0,0 +1,680 @@
+const { ethers } = require('ethers');
+const MultimediaNFT = require('../../contracts/MultimediaNFT.json');
+const LicensingContract = require('../../contracts/LicensingContract.json');
+const MultimediaRegistry = require('../../contracts/MultimediaRegistry.json');
+const LicenseToken = require('../../contracts/LicenseToken.json');
+const {
+  BlockchainUnavailableError,
+  BlockchainTransactionError,
+  toBlockchainError
+} = require('./errors');
+
+// Event arguments as stored in ChainEvent: bigints (also inside arrays) as strings
+const plainArg = value => {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return Array.from(value, plainArg);
+  return value;
+};
+
+/**
+ * Driver for a real node over JSON-RPC. Every failure is raised as a
+ * BlockchainUnavailableError or BlockchainTransactionError.
+ *
+ * Writes are not sent from here directly: TransactionQueue builds, signs and
+ * sends them with the transaction primitives so that it owns the nonces.
+ */
+class EthersDriver {
+  constructor(config = {}) {
+    this.name = 'ethers';
+    this.simulated = false;
+    this.network = config.name;
+    this.config = config;
+    this.contracts = null;
+    this.licenseToken = null;
+  }
+
+  /**
+   * Connect on first use, so a missing key only fails the calls that need it
+   * @returns {Object} { provider, wallet, multimediaNFT, licensingContract, multimediaRegistry }
+   */
+  connect() {
+    if (this.contracts) {
+      return this.contracts;
+    }
+
+    const { rpcUrl, privateKey, multimediaNFTAddress, licensingContractAddress, multimediaRegistryAddress } = this.config;
+    if (!rpcUrl || !privateKey || !multimediaNFTAddress || !licensingContractAddress) {
+      throw new BlockchainUnavailableError(
+        `Blockchain network "${this.network}" is not configured: an RPC URL, a private key and the MultimediaNFT and LicensingContract addresses are required`
+      );
+    }
+
+    // Without the request cache, back-to-back transactions read a fresh nonce.
+    // With a chainId, a node on the wrong chain fails instead of being used
+    const provider = new ethers.JsonRpcProvider(rpcUrl, this.config.chainId || undefined, { cacheTimeout: -1 });
+    const wallet = new ethers.Wallet(privateKey, provider);
+
+    this.contracts = {
+      provider,
+      wallet,
+      multimediaNFT: new ethers.Contract(multimediaNFTAddress, MultimediaNFT.abi, wallet),
+      licensingContract: new ethers.Contract(licensingContractAddress, LicensingContract.abi, wallet),
+      // Optional
+      multimediaRegistry: multimediaRegistryAddress
+        ? new ethers.Contract(multimediaRegistryAddress, MultimediaRegistry.abi, wallet)
+        : null
+    };
+    return this.contracts;
+  }
+
+  /**
+   * Run a node call, turning failures and timeouts into typed errors
+   * @param {string} action - What is being attempted, for error messages
+   * @param {Function} fn - Async callback receiving the connected contracts
+   * @param {number} timeout - Milliseconds before the node counts as unavailable
+   * @returns {Promise<*>} Result of fn
+   */
+  async call(action, fn, timeout = this.config.timeout) {
+    let timer;
+    try {
+      const contracts = this.connect();
+      return await Promise.race([
+        fn(contracts),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => {
+            reject(new BlockchainUnavailableError(`Blockchain node did not respond in ${timeout}ms, could not ${action}`));
+          }, timeout);
+        })
+      ]);
+    } catch (error) {
+      console.error(`Blockchain error (${action}):`, error);
+      throw toBlockchainError(error, action);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Get a contract function, failing clearly if the ABI does not include it
+   */
+  contractFunction(contract, name) {
+    if (typeof contract[name] !== 'function') {
+      throw new BlockchainUnavailableError(`Contract ABI does not include ${name}; redeploy or update the ABI`);
+    }
+    return contract[name];
+  }
+
+  /**
+   * Contract call behind a write operation
+   * @param {string} operation - Write method name, e.g. 'mintAsset'
+   * @param {Array} args - Its arguments, as passed to blockchainService
+   * @param {Object} contracts - Connected contracts
+   * @returns {Promise<Object|null>} { contract, method, args, value }, or null if the contract does not record it
+   */
+  async contractCall(operation, args, { multimediaNFT, licensingContract, multimediaRegistry }) {
+    switch (operation) {
+      case 'mintAsset': {
+        const {
+          ipfsHash,
+          fileType,
+          fileSize,
+          originalCreator,
+          provenanceHash,
+          tokenURI,
+          royalty
+        } = args[0];
+        const mintArgs = [ipfsHash, fileType, fileSize, originalCreator, provenanceHash, tokenURI];
+        if (royalty && royalty.percentage > 0) {
+          return {
+            contract: multimediaNFT,
+            method: 'mintAssetWithRoyalty',
+            args: [...mintArgs, royalty.recipient, royalty.percentage],
+            value: await multimediaNFT.mintingFee()
+          };
+        }
+        return {
+          contract: multimediaNFT,
+          method: 'mintAsset',
+          args: mintArgs,
+          value: await multimediaNFT.mintingFee()
+        };
+      }
+      case 'anchorMerkleRoot': {
+        const [root, leafCount] = args;
+        return { contract: multimediaNFT, method: 'anchorMerkleRoot', args: [`0x${root}`, leafCount] };
+      }
+      case 'setLicense': {
+        // MultimediaNFT keeps license terms off-chain; only contracts that expose
+        // setLicense record them
+        if (typeof multimediaNFT.setLicense !== 'function') {
+          return null;
+        }
+        const [tokenId, { isLicensed, licensePrice, licenseType }] = args;
+        return {
+          contract: multimediaNFT,
+          method: 'setLicense',
+          args: [tokenId, isLicensed, ethers.parseEther(licensePrice.toString()), licenseType]
+        };
+      }
+      case 'createLicense': {
+        const {
+          tokenId,
+          licensee,
+          price,
+          duration,
+          licenseType,
+          terms
+        } = args[0];
+        return {
+          contract: licensingContract,
+          method: 'createLicense',
+          args: [tokenId, licensee, ethers.parseEther(price.toString()), duration, licenseType, terms]
+        };
+      }
+      case 'purchaseLicense': {
+        const [tokenId, licenseIndex, price] = args;
+        return {
+          contract: licensingContract,
+          method: 'purchaseLicense',
+          args: [tokenId, licenseIndex],
+          value: ethers.parseEther(price.toString())
+        };
+      }
+      case 'createLicenseOffer': {
+        const {
+          tokenId,
+          price,
+          duration,
+          maxSeats,
+          licenseType,
+          termsURI,
+          soulbound
+        } = args[0];
+        return {
+          contract: licensingContract,
+          method: 'createOffer',
+          args: [tokenId, ethers.parseEther(price.toString()), duration, maxSeats || 0, licenseType, termsURI || '', !!soulbound]
+        };
+      }
+      case 'deactivateLicenseOffer': {
+        const [tokenId, offerIndex] = args;
+        return { contract: licensingContract, method: 'deactivateOffer', args: [tokenId, offerIndex] };
+      }
+      case 'setRoyaltySplit': {
+        const [tokenId, { contributors, percentage }] = args;
+        return {
+          contract: multimediaNFT,
+          method: 'setRoyaltySplit',
+          args: [
+            tokenId,
+            contributors.map(contributor => contributor.address),
+            contributors.map(contributor => contributor.shares),
+            percentage
+          ]
+        };
+      }
+      case 'lockRoyalty':
+        return { contract: multimediaNFT, method: 'lockRoyalty', args: [args[0]] };
+      case 'addAuthorizedMinter':
+      case 'removeAuthorizedMinter':
+        return { contract: multimediaNFT, method: operation, args: [args[0]] };
+      case 'addAuthorizedRegistrar':
+      case 'removeAuthorizedRegistrar':
+        if (!multimediaRegistry) {
+          throw new BlockchainUnavailableError(`MultimediaRegistry address is not configured on ${this.network}`);
+        }
+        return { contract: multimediaRegistry, method: operation, args: [args[0]] };
+      default:
+        throw new BlockchainTransactionError(`Unknown transaction operation ${operation}`);
+    }
+  }
+
+  /**
+   * Build the unsigned transaction for a write operation. Gas is estimated
+   * here, so a transaction that would revert fails before it takes a nonce.
+   * @param {string} operation - Write method name, e.g. 'mintAsset'
+   * @param {Array} args - Its arguments, as passed to blockchainService
+   * @returns {Promise<Object|null>} { to, data, value, gasLimit } with amounts as strings, or null if there is nothing to send
+   */
+  async buildTransaction(operation, args) {
+    return this.call(`prepare ${operation}`, async (contracts) => {
+      const request = await this.contractCall(operation, args, contracts);
+      if (!request) {
+        return null;
+      }
+
+      const contractFunction = this.contractFunction(request.contract, request.method);
+      const tx = await contractFunction.populateTransaction(...request.args, { value: request.value || 0n });
+      const gasLimit = await contracts.wallet.estimateGas(tx);
+
+      return {
+        to: tx.to,
+        data: tx.data,
+        value: (tx.value || 0n).toString(),
+        // Headroom for state that changes before the transaction is mined
+        gasLimit: (gasLimit * 6n / 5n).toString()
+      };
+    });
+  }
+
+  /**
+   * Address transactions are signed with, lowercase
+   */
+  getSignerAddress() {
+    return this.connect().wallet.address.toLowerCase();
+  }
+
+  /**
+   * Transaction count of the signer
+   * @param {string} blockTag - 'latest' for mined transactions, 'pending' to include the mempool
+   * @returns {Promise<number>} Next nonce
+   */
+  async getNonce(blockTag = 'pending') {
+    return this.call('get nonce', ({ provider, wallet }) => provider.getTransactionCount(wallet.address, blockTag));
+  }
+
+  /**
+   * Current fees in wei. EIP-1559 networks return maxFeePerGas and
+   * maxPriorityFeePerGas, others only gasPrice.
+   * @returns {Promise<Object>} { maxFeePerGas, maxPriorityFeePerGas, gasPrice } as bigints or null
+   */
+  async getFeeData() {
+    const feeData = await this.call('get fee data', ({ provider }) => provider.getFeeData());
+    return {
+      maxFeePerGas: feeData.maxFeePerGas,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+      gasPrice: feeData.maxFeePerGas ? null : feeData.gasPrice
+    };
+  }
+
+  /**
+   * Sign a transaction without sending it, so its hash can be stored first
+   * @param {Object} request - From buildTransaction
+   * @param {Object} options - { nonce, fees } with fees as from getFeeData
+   * @returns {Promise<Object>} { hash, raw }
+   */
+  async signTransaction(request, { nonce, fees }) {
+    return this.call('sign transaction', async ({ provider, wallet }) => {
+      const { chainId } = await provider.getNetwork();
+      const feeFields = fees.maxFeePerGas
+        ? { type: 2, maxFeePerGas: fees.maxFeePerGas, maxPriorityFeePerGas: fees.maxPriorityFeePerGas }
+        : { type: 0, gasPrice: fees.gasPrice };
+      const raw = await wallet.signTransaction({
+        to: request.to,
+        data: request.data,
+        value: request.value,
+        gasLimit: request.gasLimit,
+        nonce,
+        chainId,
+        ...feeFields
+      });
+      return { hash: ethers.keccak256(raw), raw };
+    });
+  }
+
+  /**
+   * Send a signed transaction to the node
+   * @param {string} raw - Signed transaction
+   * @returns {Promise<string>} Transaction hash
+   */
+  async broadcastTransaction(raw) {
+    const tx = await this.call('send transaction', ({ provider }) => provider.broadcastTransaction(raw));
+    return tx.hash;
+  }
+
+  /**
+   * @param {string} hash - Transaction hash
+   * @returns {Promise<Object|null>} { hash, status, blockNumber, logs }, or null while unmined
+   */
+  async getTransactionReceipt(hash) {
+    const receipt = await this.call(`get receipt for ${hash}`, ({ provider }) => provider.getTransactionReceipt(hash));
+    return receipt
+      ? { hash: receipt.hash, status: receipt.status, blockNumber: receipt.blockNumber, logs: receipt.logs }
+      : null;
+  }
+
+  /**
+   * Result of a mined write operation, in the shape the simulated driver
+   * returns for the same method
+   * @param {string} operation - Write method name
+   * @param {Object|null} receipt - From getTransactionReceipt, or null if buildTransaction had nothing to send
+   * @returns {Object} { success, simulated, transactionHash, blockNumber, ... }
+   */
+  transactionResult(operation, receipt) {
+    if (!receipt) {
+      return {
+        success: true,
+        simulated: false,
+        onChain: false,
+        transactionHash: null,
+        blockNumber: null
+      };
+    }
+
+    const result = {
+      success: true,
+      simulated: false,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber
+    };
+
+    if (operation === 'setLicense') {
+      result.onChain = true;
+    }
+
+    if (operation === 'mintAsset') {
+      // Extract token ID from event
+      const { multimediaNFT } = this.connect();
+      const address = multimediaNFT.target.toLowerCase();
+      const event = receipt.logs
+        .filter(log => log.address.toLowerCase() === address)
+        .map(log => multimediaNFT.interface.parseLog(log))
+        .find(parsed => parsed && parsed.name === 'AssetMinted');
+      if (!event) {
+        throw new BlockchainTransactionError(`Transaction ${receipt.hash} did not emit AssetMinted`);
+      }
+      result.tokenId = event.args[0].toString();
+    }
+
+    if (operation === 'createLicenseOffer') {
+      const { licensingContract } = this.connect();
+      const address = licensingContract.target.toLowerCase();
+      const event = receipt.logs
+        .filter(log => log.address.toLowerCase() === address)
+        .map(log => licensingContract.interface.parseLog(log))
+        .find(parsed => parsed && parsed.name === 'LicenseOfferCreated');
+      if (!event) {
+        throw new BlockchainTransactionError(`Transaction ${receipt.hash} did not emit LicenseOfferCreated`);
+      }
+      result.offerIndex = Number(event.args.offerIndex);
+    }
+
+    if (operation === 'setRoyaltySplit') {
+      const { multimediaNFT } = this.connect();
+      const address = multimediaNFT.target.toLowerCase();
+      const event = receipt.logs
+        .filter(log => log.address.toLowerCase() === address)
+        .map(log => multimediaNFT.interface.parseLog(log))
+        .find(parsed => parsed && parsed.name === 'RoyaltySplitSet');
+      if (event) {
+        result.splitter = event.args.splitter.toLowerCase();
+      }
+    }
+
+    return result;
+  }
+
+  async getAsset(tokenId) {
+    try {
+      const asset = await this.call('get asset', ({ multimediaNFT }) =>
+        this.contractFunction(multimediaNFT, 'getAsset')(tokenId)
+      );
+
+      return {
+        ipfsHash: asset.ipfsHash,
+        fileType: asset.fileType,
+        fileSize: asset.fileSize.toString(),
+        originalCreator: asset.originalCreator,
+        creationTimestamp: asset.creationTimestamp.toString(),
+        provenanceHash: asset.provenanceHash,
+        isLicensed: asset.isLicensed,
+        licensePrice: ethers.formatEther(asset.licensePrice),
+        licenseType: asset.licenseType,
+        simulated: false
+      };
+    } catch (error) {
+      // The contract reverts for unknown tokens
+      if (error.cause && error.cause.reason === 'Token does not exist') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Current holder of a token, read with ownerOf
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<string|null>} Lowercase owner, or null if the token does not exist or was burned
+   */
+  async getOwner(tokenId) {
+    try {
+      const owner = await this.call('get token owner', ({ multimediaNFT }) => multimediaNFT.ownerOf(tokenId));
+      return owner.toLowerCase();
+    } catch (error) {
+      if (error.cause && error.cause.revert && error.cause.revert.name === 'ERC721NonexistentToken') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Every Transfer of a token since the network's start block, mint and burn included
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<Array<Object>>} { from, to, blockNumber, logIndex, transactionHash } in chain order
+   */
+  async getTransfers(tokenId, fromBlock) {
+    return this.call(`get transfers of token ${tokenId}`, async ({ multimediaNFT }) => {
+      const logs = await multimediaNFT.queryFilter(
+        multimediaNFT.filters.Transfer(null, null, tokenId),
+        fromBlock || this.config.startBlock || 0
+      );
+      return logs.map(log => ({
+        from: log.args.from.toLowerCase(),
+        to: log.args.to.toLowerCase(),
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        transactionHash: log.transactionHash
+      }));
+    });
+  }
+
+  async getTokenLicenses(tokenId) {
+    const licenses = await this.call('get token licenses', ({ licensingContract }) =>
+      this.contractFunction(licensingContract, 'getTokenLicenses')(tokenId)
+    );
+
+    return licenses.map(license => ({
+      tokenId: license.tokenId.toString(),
+      licensee: license.licensee,
+      licensor: license.licensor,
+      price: ethers.formatEther(license.price),
+      startDate: license.startDate.toString(),
+      endDate: license.endDate.toString(),
+      licenseType: license.licenseType,
+      isActive: license.isActive,
+      terms: license.terms,
+      purchased: license.purchased
+    }));
+  }
+
+  async getTokenOffers(tokenId) {
+    const offers = await this.call('get token offers', ({ licensingContract }) =>
+      this.contractFunction(licensingContract, 'getTokenOffers')(tokenId)
+    );
+
+    return offers.map((offer, offerIndex) => ({
+      tokenId: offer.tokenId.toString(),
+      offerIndex,
+      licensor: offer.licensor,
+      price: ethers.formatEther(offer.price),
+      duration: offer.duration.toString(),
+      maxSeats: Number(offer.maxSeats),
+      seatsSold: Number(offer.seatsSold),
+      licenseType: offer.licenseType,
+      termsURI: offer.termsURI,
+      isActive: offer.isActive,
+      soulbound: offer.soulbound
+    }));
+  }
+
+  /**
+   * LicenseToken deployed by the licensing contract, looked up once
+   * @returns {Promise<Object>} ethers Contract
+   */
+  async getLicenseTokenContract() {
+    if (!this.licenseToken) {
+      this.licenseToken = await this.call('get license token address', async ({ licensingContract, wallet }) =>
+        new ethers.Contract(await licensingContract.licenseToken(), LicenseToken.abi, wallet)
+      );
+    }
+    return this.licenseToken;
+  }
+
+  /**
+   * A license token and its current holder
+   * @param {string} licenseTokenId - LicenseToken ID
+   * @returns {Promise<Object|null>} License token, or null if it does not exist
+   */
+  async getLicenseToken(licenseTokenId) {
+    const licenseToken = await this.getLicenseTokenContract();
+    try {
+      return await this.call(`get license token ${licenseTokenId}`, async () => {
+        const holder = await licenseToken.ownerOf(licenseTokenId);
+        const license = await licenseToken.licenses(licenseTokenId);
+        return {
+          licenseTokenId: licenseTokenId.toString(),
+          contract: licenseToken.target.toLowerCase(),
+          holder: holder.toLowerCase(),
+          parentTokenId: license.parentTokenId.toString(),
+          licenseIndex: Number(license.licenseIndex),
+          licenseType: license.licenseType,
+          startDate: license.startDate.toString(),
+          expiry: license.expiry.toString(),
+          termsHash: license.termsHash,
+          soulbound: license.soulbound,
+          revokedAt: license.revokedAt === 0n ? null : license.revokedAt.toString()
+        };
+      });
+    } catch (error) {
+      if (error.cause && error.cause.revert && error.cause.revert.name === 'ERC721NonexistentToken') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getValidLicense(holder, tokenId, timestamp) {
+    const licenseToken = await this.getLicenseTokenContract();
+    const licenseTokenId = await this.call('check license', () =>
+      licenseToken.validLicenseOf(holder, tokenId, timestamp)
+    );
+    return licenseTokenId === 0n ? null : this.getLicenseToken(licenseTokenId.toString());
+  }
+
+  async getRoyaltySplit(tokenId) {
+    return this.call('get royalty split', async ({ multimediaNFT }) => {
+      const [recipients, shares] = await this.contractFunction(multimediaNFT, 'getRoyaltySplit')(tokenId);
+      const splitter = await multimediaNFT.royaltySplitters(tokenId);
+      return {
+        contributors: recipients.map((address, index) => ({
+          address: address.toLowerCase(),
+          shares: Number(shares[index])
+        })),
+        splitter: splitter === ethers.ZeroAddress ? null : splitter.toLowerCase(),
+        locked: await multimediaNFT.royaltyLocked(tokenId)
+      };
+    });
+  }
+
+  async getUserLicenses(userAddress) {
+    const tokenIds = await this.call('get user licenses', ({ licensingContract }) =>
+      this.contractFunction(licensingContract, 'getUserLicenses')(userAddress)
+    );
+    return tokenIds.map(id => id.toString());
+  }
+
+  async getCreatorTokens(creatorAddress) {
+    const tokenIds = await this.call('get creator tokens', ({ multimediaNFT }) =>
+      this.contractFunction(multimediaNFT, 'getCreatorTokens')(creatorAddress)
+    );
+    return tokenIds.map(id => id.toString());
+  }
+
+  async checkIPFSHashExists(ipfsHash) {
+    return this.call('check IPFS hash', ({ multimediaNFT }) =>
+      this.contractFunction(multimediaNFT, 'checkIPFSHashExists')(ipfsHash)
+    );
+  }
+
+  async getTokenURI(tokenId) {
+    return this.call('get token URI', ({ multimediaNFT }) => multimediaNFT.tokenURI(tokenId));
+  }
+
+  async getNetworkInfo() {
+    return this.call('get network information', async ({ provider }) => {
+      const network = await provider.getNetwork();
+      const blockNumber = await provider.getBlockNumber();
+      const feeData = await provider.getFeeData();
+
+      return {
+        chainId: network.chainId.toString(),
+        blockNumber: blockNumber.toString(),
+        gasPrice: ethers.formatUnits(feeData.gasPrice, 'gwei'),
+        simulated: false
+      };
+    });
+  }
+
+  async getBlockNumber() {
+    return this.call('get block number', ({ provider }) => provider.getBlockNumber());
+  }
+
+  async getBlock(blockNumber) {
+    const block = await this.call(`get block ${blockNumber}`, ({ provider }) => provider.getBlock(blockNumber));
+    return block ? { number: block.number, hash: block.hash, timestamp: block.timestamp } : null;
+  }
+
+  /**
+   * Read and decode MultimediaNFT and LicensingContract logs in a block range
+   * @param {number} fromBlock - First block, inclusive
+   * @param {number} toBlock - Last block, inclusive
+   * @returns {Promise<Array<Object>>} Events in chain order
+   */
+  async getEvents(fromBlock, toBlock) {
+    return this.call(`get events for blocks ${fromBlock}-${toBlock}`, async ({ provider, multimediaNFT, licensingContract }) => {
+      const contracts = new Map([
+        [(await multimediaNFT.getAddress()).toLowerCase(), { name: 'MultimediaNFT', contract: multimediaNFT }],
+        [(await licensingContract.getAddress()).toLowerCase(), { name: 'LicensingContract', contract: licensingContract }]
+      ]);
+
+      const logs = await provider.getLogs({
+        address: [...contracts.keys()],
+        fromBlock,
+        toBlock
+      });
+
+      const events = [];
+      for (const log of logs) {
+        const source = contracts.get(log.address.toLowerCase());
+        const parsed = source.contract.interface.parseLog(log);
+        if (!parsed) continue;
+
+        const args = {};
+        parsed.fragment.inputs.forEach((input, index) => {
+          args[input.name] = plainArg(parsed.args[index]);
+        });
+
+        events.push({
+          contract: source.name,
+          address: log.address,
+          name: parsed.name,
+          args,
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          logIndex: log.index,
+          transactionHash: log.transactionHash
+        });
+      }
+      return events;
+    });
+  }
+
+  async estimateGas(method, ...args) {
+    return this.call(`estimate gas for ${method}`, ({ multimediaNFT }) =>
+      this.contractFunction(multimediaNFT, method).estimateGas(...args)
+    );
+  }
+}
+
+module.exports = EthersDriver;
@@ -0,0 +1,88 @@
+const EthersDriver = require('./ethersDriver');
+const SimulatedDriver = require('./simulatedDriver');
+
+/**
+ * Blockchain drivers share one read interface:
+ *
+ *   getMerkleRootTimestamp(root)    -> anchor time in seconds as a string, or null
+ *   getAsset(tokenId)               -> on-chain asset, or null if the token does not exist
+ *   getOwner(tokenId)               -> lowercase ownerOf, or null if the token does not exist
+ *   getTransfers(tokenId, fromBlock) -> Transfer events of the token in chain order, from fromBlock
+ *                                      (by default the network's start block):
+ *                                      { from, to, blockNumber, logIndex, transactionHash }
+ *   getTokenLicenses(tokenId)       -> Array of licenses
+ *   getTokenOffers(tokenId)         -> Array of license offers, with offerIndex
+ *   getLicenseToken(licenseTokenId) -> license token with its holder, or null if it does not exist
+ *   getValidLicense(holder, tokenId, timestamp) -> license token of tokenId that holder holds and
+ *                                      that is valid at timestamp (seconds), or null
+ *   getRoyaltySplit(tokenId)        -> { contributors: [{ address, shares }], splitter, locked }
+ *   getUserLicenses(address)        -> Array of token IDs
+ *   getCreatorTokens(address)       -> Array of token IDs
+ *   checkIPFSHashExists(ipfsHash)   -> boolean
+ *   getTokenURI(tokenId)            -> token URI
+ *   getNetworkInfo()                -> { chainId, blockNumber, gasPrice, simulated }
+ *   getBlockNumber()                -> latest block number
+ *   getBlock(blockNumber)           -> { number, hash, timestamp }, or null
+ *   getEvents(fromBlock, toBlock)   -> decoded contract events in chain order:
+ *                                      { contract, address, name, args, blockNumber, blockHash, logIndex, transactionHash }
+ *   estimateGas(method, ...args)    -> gas estimate
+ *
+ * Writes always go through TransactionQueue. The simulated driver applies
+ * them directly:
+ *
+ *   mintAsset(assetData)            -> { success, simulated, tokenId, transactionHash, blockNumber }
+ *                                      assetData.royalty ({ recipient, percentage } in basis
+ *                                      points) sets the token's ERC-2981 royalty
+ *   anchorMerkleRoot(root, leafCount) -> { success, simulated, transactionHash, blockNumber }
+ *   setLicense(tokenId, licenseData) -> { success, simulated, onChain, transactionHash, blockNumber }
+ *   createLicense(licenseData)      -> { success, simulated, transactionHash, blockNumber }
+ *   purchaseLicense(tokenId, licenseIndex, price) -> same as createLicense
+ *   createLicenseOffer(offerData)   -> { success, simulated, offerIndex, transactionHash, blockNumber }
+ *                                      offerData is { tokenId, price, duration, maxSeats, licenseType,
+ *                                      termsURI, soulbound } with price in ETH and maxSeats 0 for
+ *                                      unlimited; soulbound license tokens cannot be transferred
+ *   deactivateLicenseOffer(tokenId, offerIndex) -> same as createLicense
+ *   setRoyaltySplit(tokenId, { contributors, percentage }) -> { success, simulated, splitter, transactionHash, blockNumber }
+ *                                      contributors are { address, shares } with shares in
+ *                                      basis points summing to 10000
+ *   lockRoyalty(tokenId)            -> same as createLicense
+ *
+ * Contract-owner operations are only sent by signing drivers:
+ * addAuthorizedMinter(address), removeAuthorizedMinter(address) and, with a
+ * MultimediaRegistry address, addAuthorizedRegistrar(address) and
+ * removeAuthorizedRegistrar(address).
+ *
+ * Signing drivers instead expose the primitives the queue sends them with:
+ *
+ *   buildTransaction(operation, args) -> { to, data, value, gasLimit }, or null if there is nothing to send
+ *   getSignerAddress()              -> lowercase sending address
+ *   getNonce(blockTag)              -> transaction count at 'latest' or 'pending'
+ *   getFeeData()                    -> { maxFeePerGas, maxPriorityFeePerGas, gasPrice } in wei
+ *   signTransaction(request, { nonce, fees }) -> { hash, raw }
+ *   broadcastTransaction(raw)       -> transaction hash
+ *   getTransactionReceipt(hash)     -> { hash, status, blockNumber, logs }, or null while unmined
+ *   transactionResult(operation, receipt) -> same shape as the simulated write method
+ *
+ * Drivers expose name, network and simulated. Failures are raised as the
+ * typed errors in ./errors.
+ */
+const drivers = {
+  ethers: EthersDriver,
+  simulated: SimulatedDriver
+};
+
+/**
+ * Create the blockchain driver selected by configuration for one network
+ * @param {string} name - Driver name, BLOCKCHAIN_DRIVER
+ * @param {Object} networkConfig - Network from config/blockchain
+ * @returns {Object} Blockchain driver instance
+ */
+const createBlockchainDriver = (name, networkConfig) => {
+  const Driver = drivers[name];
+  if (!Driver) {
+    throw new Error(`Unknown blockchain driver "${name}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+  }
+  return new Driver(networkConfig);
+};
+
+module.exports = { createBlockchainDriver };
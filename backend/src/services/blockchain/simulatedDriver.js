@@ -0,0 +1,247 @@
+const { BlockchainTransactionError } = require('./errors');
+
+/**
+ * Offline driver for development without a node. Mints and anchors are kept in
+ * memory for the life of the process, and every result is labelled
+ * simulated: true with transactionHash 'simulated' so it can never be mistaken
+ * for (or reconciled as) an on-chain record.
+ */
+class SimulatedDriver {
+  constructor() {
+    this.name = 'simulated';
+    this.simulated = true;
+    this.network = 'simulated';
+
+    this.assets = new Map();
+    this.ipfsHashes = new Set();
+    this.merkleRoots = new Map();
+    this.licenses = new Map();
+    this.offers = new Map();
+  }
+
+  transactionResult(fields = {}) {
+    return {
+      success: true,
+      simulated: true,
+      transactionHash: 'simulated',
+      blockNumber: 0,
+      ...fields
+    };
+  }
+
+  async mintAsset(assetData) {
+    // Generate a unique token ID based on timestamp and random number
+    const tokenId = Date.now().toString() + Math.floor(Math.random() * 1000).toString();
+
+    this.assets.set(tokenId, {
+      ipfsHash: assetData.ipfsHash,
+      fileType: assetData.fileType,
+      fileSize: String(assetData.fileSize),
+      originalCreator: assetData.originalCreator,
+      creationTimestamp: Math.floor(Date.now() / 1000).toString(),
+      provenanceHash: assetData.provenanceHash,
+      isLicensed: false,
+      licensePrice: '0',
+      licenseType: '',
+      tokenURI: assetData.tokenURI,
+      royalty: assetData.royalty,
+      simulated: true
+    });
+    this.ipfsHashes.add(assetData.ipfsHash);
+
+    return this.transactionResult({ tokenId });
+  }
+
+  async anchorMerkleRoot(root) {
+    this.merkleRoots.set(root, Math.floor(Date.now() / 1000).toString());
+    return this.transactionResult();
+  }
+
+  async getMerkleRootTimestamp(root) {
+    return this.merkleRoots.get(root) || null;
+  }
+
+  async setLicense(tokenId, licenseData) {
+    const asset = this.assets.get(String(tokenId));
+    if (asset) {
+      asset.isLicensed = !!licenseData.isLicensed;
+      asset.licensePrice = String(licenseData.licensePrice || 0);
+      asset.licenseType = licenseData.licenseType || '';
+    }
+    return this.transactionResult({ onChain: false });
+  }
+
+  async createLicense(licenseData) {
+    const tokenId = String(licenseData.tokenId);
+    const startDate = Math.floor(Date.now() / 1000);
+
+    if (!this.licenses.has(tokenId)) {
+      this.licenses.set(tokenId, []);
+    }
+    this.licenses.get(tokenId).push({
+      tokenId,
+      licensee: licenseData.licensee,
+      licensor: null,
+      price: String(licenseData.price),
+      startDate: startDate.toString(),
+      endDate: (startDate + Number(licenseData.duration)).toString(),
+      licenseType: licenseData.licenseType,
+      isActive: true,
+      terms: licenseData.terms,
+      purchased: false
+    });
+
+    return this.transactionResult();
+  }
+
+  async purchaseLicense(tokenId, licenseIndex) {
+    const license = (this.licenses.get(String(tokenId)) || [])[licenseIndex];
+    if (license) {
+      license.purchased = true;
+    }
+    return this.transactionResult();
+  }
+
+  async createLicenseOffer(offerData) {
+    const tokenId = String(offerData.tokenId);
+    if (!this.offers.has(tokenId)) {
+      this.offers.set(tokenId, []);
+    }
+    const offers = this.offers.get(tokenId);
+    offers.push({
+      tokenId,
+      offerIndex: offers.length,
+      licensor: null,
+      price: String(offerData.price),
+      duration: String(offerData.duration),
+      maxSeats: offerData.maxSeats || 0,
+      seatsSold: 0,
+      licenseType: offerData.licenseType,
+      termsURI: offerData.termsURI || '',
+      isActive: true,
+      soulbound: !!offerData.soulbound
+    });
+
+    return this.transactionResult({ offerIndex: offers.length - 1 });
+  }
+
+  async deactivateLicenseOffer(tokenId, offerIndex) {
+    const offer = (this.offers.get(String(tokenId)) || [])[offerIndex];
+    if (offer) {
+      offer.isActive = false;
+    }
+    return this.transactionResult();
+  }
+
+  async setRoyaltySplit(tokenId, { contributors, percentage }) {
+    const asset = this.assets.get(String(tokenId));
+    if (asset) {
+      if (asset.royaltyLocked) {
+        throw new BlockchainTransactionError('Royalty is locked');
+      }
+      asset.royaltySplit = contributors.map(({ address, shares }) => ({ address, shares }));
+      asset.royalty = { recipient: null, percentage };
+    }
+    return this.transactionResult({ splitter: null });
+  }
+
+  async lockRoyalty(tokenId) {
+    const asset = this.assets.get(String(tokenId));
+    if (asset) {
+      asset.royaltyLocked = true;
+    }
+    return this.transactionResult();
+  }
+
+  async getAsset(tokenId) {
+    return this.assets.get(String(tokenId)) || null;
+  }
+
+  async getRoyaltySplit(tokenId) {
+    const asset = this.assets.get(String(tokenId));
+    return {
+      contributors: (asset && asset.royaltySplit) || [],
+      // Simulated splits have no splitter contract
+      splitter: null,
+      locked: !!(asset && asset.royaltyLocked)
+    };
+  }
+
+  async getOwner() {
+    // Simulated tokens have no on-chain holder
+    return null;
+  }
+
+  async getTransfers() {
+    return [];
+  }
+
+  async getTokenLicenses(tokenId) {
+    return this.licenses.get(String(tokenId)) || [];
+  }
+
+  async getTokenOffers(tokenId) {
+    return this.offers.get(String(tokenId)) || [];
+  }
+
+  async getLicenseToken() {
+    // Simulated licenses are not minted as tokens
+    return null;
+  }
+
+  async getValidLicense() {
+    return null;
+  }
+
+  async getUserLicenses(userAddress) {
+    const tokenIds = [];
+    for (const [tokenId, licenses] of this.licenses) {
+      if (licenses.some(license => license.licensee === userAddress)) {
+        tokenIds.push(tokenId);
+      }
+    }
+    return tokenIds;
+  }
+
+  async getCreatorTokens() {
+    // Simulated mints have no on-chain minter
+    return [];
+  }
+
+  async checkIPFSHashExists(ipfsHash) {
+    return this.ipfsHashes.has(ipfsHash);
+  }
+
+  async getTokenURI(tokenId) {
+    const asset = this.assets.get(String(tokenId));
+    return asset ? asset.tokenURI : null;
+  }
+
+  async getNetworkInfo() {
+    return {
+      chainId: null,
+      blockNumber: '0',
+      gasPrice: '0',
+      simulated: true
+    };
+  }
+
+  async getBlockNumber() {
+    return 0;
+  }
+
+  async getBlock() {
+    // Nothing is mined, so there is nothing to index
+    return null;
+  }
+
+  async getEvents() {
+    return [];
+  }
+
+  async estimateGas() {
+    return 0n;
+  }
+}
+
+module.exports = SimulatedDriver;
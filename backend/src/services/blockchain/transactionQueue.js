@@ -0,0 +1,687 @@
+const crypto = require('crypto');
+const os = require('os');
+const EventEmitter = require('events');
+const TransactionJob = require('../../models/TransactionJob');
+const TransactionSigner = require('../../models/TransactionSigner');
+const {
+  BlockchainUnavailableError,
+  BlockchainTransactionError
+} = require('./errors');
+
+const errorCode = error => error.code || (error.cause && error.cause.code);
+
+const errorText = error => `${error.message} ${error.cause ? error.cause.message : ''}`;
+
+// The nonce has been mined, by this transaction or another
+const isNonceUsed = error =>
+  errorCode(error) === 'NONCE_EXPIRED' || /nonce too low|nonce has already been used/i.test(errorText(error));
+
+// The node already holds this exact transaction
+const isKnown = error => /already known|known transaction/i.test(errorText(error));
+
+const feeFields = ['maxFeePerGas', 'maxPriorityFeePerGas', 'gasPrice'];
+
+/**
+ * Raise a previous fee by percent, or use the current network fee if that
+ * is higher
+ */
+const bumpFee = (previous, current, percent) => {
+  const bumped = (BigInt(previous) * BigInt(100 + percent) + 99n) / 100n;
+  return current && current > bumped ? current : bumped;
+};
+
+/**
+ * Persistent queue for every transaction the backend signs.
+ *
+ * Jobs are stored in TransactionJob and sent by a single worker per signing
+ * address, which holds a lease in TransactionSigner so workers in other
+ * processes leave its nonces alone. The worker:
+ *
+ *   - builds each transaction and estimates its gas before giving it a
+ *     nonce, so transactions that would revert fail without leaving a gap
+ *   - assigns consecutive nonces and keeps up to `maxPending` transactions in
+ *     the mempool at once
+ *   - stores every signed transaction before sending it, so a restart picks
+ *     up where it left off
+ *   - re-sends transactions unmined after `stuckTimeout` with fees raised by
+ *     `gasBumpPercent`, up to `maxBumps` times
+ *   - retries transient RPC failures with exponential backoff
+ *
+ * With the simulated driver jobs are still stored, then applied directly.
+ * 'submitted' is emitted with each job whose transaction the node accepted,
+ * and 'settled' with each job that is confirmed or failed.
+ */
+class TransactionQueue extends EventEmitter {
+  constructor(driver, config = {}) {
+    super();
+    this.setMaxListeners(0);
+    this.driver = driver;
+    this.config = config;
+    this.network = driver.network;
+    this.owner = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+    this.handlers = new Map();
+    this.signer = null;
+    this.nextNonce = null;
+    this.holdsLease = false;
+    this.recovered = false;
+    this.timer = null;
+    this.ticking = null;
+    this.rerun = false;
+  }
+
+  /**
+   * Sending address, or undefined for the simulated driver
+   */
+  getSigner() {
+    if (this.driver.simulated) {
+      return undefined;
+    }
+    if (!this.signer) {
+      this.signer = this.driver.getSignerAddress();
+    }
+    return this.signer;
+  }
+
+  /**
+   * Register the handler run when a job with context.type settles. Handlers
+   * that throw are retried when a worker next starts.
+   * @param {string} type - Context type, e.g. 'asset-mint'
+   * @param {Function} handler - Async callback receiving the TransactionJob
+   */
+  onSettled(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Queue a write without waiting for it
+   * @param {string} operation - blockchainService write method, e.g. 'mintAsset'
+   * @param {Array} args - Its arguments
+   * @param {Object} options - { context, requestedBy }
+   * @returns {Promise<Object>} TransactionJob
+   */
+  async enqueue(operation, args, options = {}) {
+    const { context = {}, requestedBy } = options;
+
+    const job = new TransactionJob({
+      jobId: crypto.randomUUID(),
+      network: this.network,
+      signer: this.getSigner(),
+      operation,
+      args,
+      context,
+      requestedBy
+    });
+    await job.save();
+
+    this.wake();
+    return job;
+  }
+
+  /**
+   * Queue a write and wait until it is mined
+   * @returns {Promise<Object>} Driver result, e.g. { tokenId, transactionHash, blockNumber }
+   */
+  async execute(operation, args, options = {}) {
+    const job = await this.enqueue(operation, args, options);
+    return this.wait(job.jobId);
+  }
+
+  /**
+   * Wait for a job to settle
+   * @param {string} jobId - Job ID
+   * @param {number} timeout - Milliseconds to wait
+   * @returns {Promise<Object>} Driver result; rejects with the job's error
+   */
+  async wait(jobId, timeout = this.config.confirmationTimeout) {
+    return new Promise((resolve, reject) => {
+      let done = false;
+      let poll;
+      let timer;
+
+      const finish = (job) => {
+        if (done) return;
+        done = true;
+        clearInterval(poll);
+        clearTimeout(timer);
+        this.off('settled', onSettled);
+
+        if (!job) {
+          reject(new BlockchainUnavailableError(`Transaction job ${jobId} was not mined within ${timeout}ms; it is still queued`));
+        } else if (job.status === 'confirmed') {
+          resolve(job.result);
+        } else {
+          reject(this.jobError(job));
+        }
+      };
+
+      const onSettled = (job) => {
+        if (job.jobId === jobId) finish(job);
+      };
+      this.on('settled', onSettled);
+
+      // Jobs sent by a worker in another process only show up in the database
+      poll = setInterval(async () => {
+        try {
+          const job = await TransactionJob.findOne({ jobId });
+          if (job && !job.isPending) finish(job);
+        } catch (error) {
+          console.error(`Transaction job ${jobId} lookup error:`, error);
+        }
+      }, this.config.pollInterval);
+
+      timer = setTimeout(() => finish(null), timeout);
+    });
+  }
+
+  /**
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} TransactionJob
+   */
+  async getJob(jobId) {
+    return TransactionJob.findOne({ jobId });
+  }
+
+  /**
+   * Typed error for a failed job, carrying its ID and transaction
+   */
+  jobError(job) {
+    const { message, statusCode } = job.error || {};
+    const error = statusCode === 503
+      ? new BlockchainUnavailableError(message)
+      : new BlockchainTransactionError(message || `Transaction job ${job.jobId} failed`);
+    error.jobId = job.jobId;
+    error.transactionHash = job.transactionHash;
+    return error;
+  }
+
+  /**
+   * Start the worker in this process
+   * @returns {boolean} Whether the worker was started
+   */
+  start() {
+    if (this.timer || !this.config.worker) {
+      return false;
+    }
+
+    try {
+      this.getSigner();
+    } catch (error) {
+      console.error('Transaction queue worker not started:', error.message);
+      return false;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.config.pollInterval);
+    this.timer.unref();
+    this.wake();
+    return true;
+  }
+
+  /**
+   * Stop the worker and hand the signer over to other processes
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.ticking;
+
+    if (this.holdsLease) {
+      this.holdsLease = false;
+      await TransactionSigner.updateOne(
+        { network: this.network, address: this.signer, leaseOwner: this.owner },
+        { $set: { leaseExpiresAt: new Date() } }
+      );
+    }
+  }
+
+  isRunning() {
+    return !!this.timer;
+  }
+
+  getStatus() {
+    return {
+      worker: this.isRunning(),
+      holdsLease: this.holdsLease,
+      signer: this.signer,
+      nextNonce: this.nextNonce
+    };
+  }
+
+  /**
+   * Run the worker now instead of at the next poll
+   */
+  wake() {
+    if (this.timer) {
+      setImmediate(() => this.tick());
+    }
+  }
+
+  tick() {
+    if (this.ticking) {
+      this.rerun = true;
+      return this.ticking;
+    }
+
+    this.ticking = this.work()
+      .catch((error) => {
+        console.error('Transaction queue error:', error);
+      })
+      .finally(() => {
+        this.ticking = null;
+        if (this.rerun && this.timer) {
+          this.rerun = false;
+          this.tick();
+        }
+      });
+    return this.ticking;
+  }
+
+  async work() {
+    if (this.driver.simulated) {
+      await this.recover();
+      return this.applySimulated();
+    }
+
+    if (!(await this.acquireLease())) {
+      return;
+    }
+    await this.recover();
+
+    try {
+      await this.monitor();
+      await this.submit();
+    } catch (error) {
+      // The node is down; everything is retried at the next poll
+      if (!(error instanceof BlockchainUnavailableError)) throw error;
+      console.warn(`Transaction queue paused: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run the handlers of jobs that settled while no handler ran, e.g. before
+   * a crash
+   */
+  async recover() {
+    if (this.recovered) {
+      return;
+    }
+    this.recovered = true;
+
+    const jobs = await TransactionJob.find({
+      network: this.network,
+      status: { $in: ['confirmed', 'failed'] },
+      handled: false,
+      'context.type': { $exists: true }
+    }).sort({ createdAt: 1 });
+
+    for (const job of jobs) {
+      await this.runHandler(job);
+    }
+  }
+
+  /**
+   * Take or renew the lease on the signer
+   * @returns {Promise<boolean>} Whether this process may send
+   */
+  async acquireLease() {
+    const now = new Date();
+    if (!this.holdsLease) {
+      // Another worker may have used nonces since this one last held the lease
+      this.nextNonce = null;
+    }
+
+    try {
+      await TransactionSigner.updateOne({
+        network: this.network,
+        address: this.getSigner(),
+        $or: [
+          { leaseOwner: this.owner },
+          { leaseExpiresAt: { $lte: now } }
+        ]
+      }, {
+        $set: {
+          leaseOwner: this.owner,
+          leaseExpiresAt: new Date(now.getTime() + this.config.leaseTime)
+        }
+      }, { upsert: true });
+      this.holdsLease = true;
+    } catch (error) {
+      // The upsert collides with the lease held by another process
+      if (error.code !== 11000) throw error;
+      this.holdsLease = false;
+    }
+    return this.holdsLease;
+  }
+
+  /**
+   * Next nonce: whatever the node has seen, past any transaction this queue
+   * signed that the node may not have yet
+   */
+  async syncNonce() {
+    const pending = await this.driver.getNonce('pending');
+    const last = await TransactionJob.findOne({
+      network: this.network,
+      signer: this.signer,
+      status: 'submitted'
+    }).sort({ nonce: -1 });
+
+    this.nextNonce = last ? Math.max(pending, last.nonce + 1) : pending;
+  }
+
+  /**
+   * Send queued jobs while there is room in the mempool
+   */
+  async submit() {
+    if (this.nextNonce === null) {
+      await this.syncNonce();
+    }
+
+    const inFlight = await TransactionJob.countDocuments({
+      network: this.network,
+      signer: this.signer,
+      status: 'submitted'
+    });
+    const room = this.config.maxPending - inFlight;
+    if (room <= 0) {
+      return;
+    }
+
+    const jobs = await TransactionJob.find({
+      network: this.network,
+      signer: this.signer,
+      status: 'queued',
+      nextAttemptAt: { $not: { $gt: new Date() } }
+    }).sort({ createdAt: 1 }).limit(room);
+
+    for (const job of jobs) {
+      if (!(await this.acquireLease()) || !(await this.send(job))) {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Build, sign and send one queued job
+   * @returns {Promise<boolean>} Whether to go on with the next job
+   */
+  async send(job) {
+    let request;
+    let signed;
+    let fees;
+    const nonce = this.nextNonce;
+
+    try {
+      request = await this.driver.buildTransaction(job.operation, job.args);
+      if (!request) {
+        await this.settle(job, 'confirmed', { result: this.driver.transactionResult(job.operation, null) });
+        return true;
+      }
+      fees = await this.driver.getFeeData();
+      signed = await this.driver.signTransaction(request, { nonce, fees });
+    } catch (error) {
+      return this.retryOrFail(job, error);
+    }
+
+    // Stored before sending, so the hash is tracked even if this process dies mid-send
+    job.status = 'submitted';
+    job.nonce = nonce;
+    job.request = request;
+    job.submittedAt = new Date();
+    job.transactions.push(this.transactionRecord(signed, fees));
+    await job.save();
+    this.nextNonce = nonce + 1;
+
+    const transaction = job.transactions[job.transactions.length - 1];
+    try {
+      await this.driver.broadcastTransaction(signed.raw);
+      transaction.broadcast = true;
+      await job.save();
+      this.emit('submitted', job);
+      return true;
+    } catch (error) {
+      if (isKnown(error)) {
+        transaction.broadcast = true;
+        await job.save();
+        this.emit('submitted', job);
+        return true;
+      }
+      if (isNonceUsed(error)) {
+        // Something outside the queue used this nonce; send again with a fresh one
+        this.nextNonce = null;
+        await this.requeue(job, error);
+        return false;
+      }
+      if (error instanceof BlockchainUnavailableError) {
+        // The node may or may not have it; monitor() sends it again
+        job.lastError = error.message;
+        await job.save();
+        return false;
+      }
+
+      // Rejected outright, e.g. for insufficient funds. Nothing later has
+      // been signed yet, so the next job takes over the nonce
+      this.nextNonce = nonce;
+      job.nonce = undefined;
+      await this.settle(job, 'failed', { error });
+      return true;
+    }
+  }
+
+  transactionRecord(signed, fees) {
+    const record = {
+      hash: signed.hash,
+      raw: signed.raw,
+      sentAt: new Date(),
+      broadcast: false
+    };
+    feeFields.forEach((field) => {
+      if (fees[field] != null) record[field] = fees[field].toString();
+    });
+    return record;
+  }
+
+  /**
+   * Back off and retry after a transient failure, or fail the job
+   * @returns {Promise<boolean>} Whether to go on with the next job
+   */
+  async retryOrFail(job, error) {
+    if (error instanceof BlockchainUnavailableError && job.attempts < this.config.maxRetries) {
+      job.attempts += 1;
+      job.lastError = error.message;
+      job.nextAttemptAt = new Date(Date.now() + this.config.retryDelay * 2 ** (job.attempts - 1));
+      await job.save();
+      return false;
+    }
+
+    await this.settle(job, 'failed', { error });
+    return true;
+  }
+
+  /**
+   * Put a job whose nonce was taken back in the queue
+   */
+  async requeue(job, error) {
+    console.warn(`Nonce ${job.nonce} of transaction job ${job.jobId} was used by another transaction; queueing it again`);
+    job.status = 'queued';
+    job.nonce = undefined;
+    job.request = undefined;
+    job.transactions = [];
+    job.bumps = 0;
+    job.submittedAt = undefined;
+    job.lastError = error.message;
+    await job.save();
+  }
+
+  /**
+   * Check sent jobs for receipts, re-send and bump fees where needed
+   */
+  async monitor() {
+    const jobs = await TransactionJob.find({
+      network: this.network,
+      signer: this.signer,
+      status: 'submitted'
+    }).sort({ nonce: 1 });
+    if (jobs.length === 0) {
+      return;
+    }
+
+    // Read before the receipts, so a nonce counted as mined here has a
+    // receipt by the time they are checked
+    const minedNonce = await this.driver.getNonce('latest');
+
+    for (const job of jobs) {
+      await this.check(job, minedNonce);
+    }
+  }
+
+  async check(job, minedNonce) {
+    // Any of the job's transactions may be the one that was mined
+    for (const transaction of [...job.transactions].reverse()) {
+      const receipt = await this.driver.getTransactionReceipt(transaction.hash);
+      if (receipt) {
+        return this.confirm(job, receipt);
+      }
+    }
+
+    if (job.nonce < minedNonce) {
+      this.nextNonce = null;
+      return this.requeue(job, new Error(`Nonce ${job.nonce} was mined by a transaction outside the queue`));
+    }
+
+    const latest = job.transactions[job.transactions.length - 1];
+    if (!latest.broadcast) {
+      await this.broadcast(job, latest);
+    }
+    if (Date.now() - new Date(latest.sentAt).getTime() >= this.config.stuckTimeout) {
+      await this.bump(job);
+    }
+  }
+
+  /**
+   * Send a stored transaction again
+   */
+  async broadcast(job, transaction) {
+    const accepted = transaction.broadcast;
+    try {
+      await this.driver.broadcastTransaction(transaction.raw);
+      transaction.broadcast = true;
+    } catch (error) {
+      if (isKnown(error)) {
+        transaction.broadcast = true;
+      } else if (error instanceof BlockchainUnavailableError) {
+        throw error;
+      } else if (!isNonceUsed(error)) {
+        // A mined nonce shows up as a receipt at the next check
+        job.lastError = error.message;
+      }
+    }
+    await job.save();
+    if (transaction.broadcast && !accepted) {
+      this.emit('submitted', job);
+    }
+  }
+
+  /**
+   * Replace a stuck transaction with one paying higher fees
+   */
+  async bump(job) {
+    const latest = job.transactions[job.transactions.length - 1];
+
+    if (job.bumps >= this.config.maxBumps) {
+      // Out of bumps: keep the last transaction in the mempool and wait
+      console.warn(`Transaction job ${job.jobId} (nonce ${job.nonce}) is still unmined after ${job.bumps} fee bumps`);
+      latest.sentAt = new Date();
+      return this.broadcast(job, latest);
+    }
+
+    const current = await this.driver.getFeeData();
+    const percent = this.config.gasBumpPercent;
+    const fees = latest.maxFeePerGas
+      ? {
+        maxFeePerGas: bumpFee(latest.maxFeePerGas, current.maxFeePerGas, percent),
+        maxPriorityFeePerGas: bumpFee(latest.maxPriorityFeePerGas, current.maxPriorityFeePerGas, percent)
+      }
+      : { gasPrice: bumpFee(latest.gasPrice, current.gasPrice, percent) };
+
+    const signed = await this.driver.signTransaction(job.request, { nonce: job.nonce, fees });
+    job.transactions.push(this.transactionRecord(signed, fees));
+    job.bumps += 1;
+    await job.save();
+
+    console.log(`Transaction job ${job.jobId} (nonce ${job.nonce}) re-sent with higher fees as ${signed.hash}`);
+    await this.broadcast(job, job.transactions[job.transactions.length - 1]);
+  }
+
+  async confirm(job, receipt) {
+    if (receipt.status !== 1) {
+      return this.settle(job, 'failed', {
+        receipt,
+        error: new BlockchainTransactionError(`Transaction ${receipt.hash} reverted, could not ${job.operation}`)
+      });
+    }
+
+    let result;
+    try {
+      result = this.driver.transactionResult(job.operation, receipt);
+    } catch (error) {
+      return this.settle(job, 'failed', { receipt, error });
+    }
+    return this.settle(job, 'confirmed', { receipt, result });
+  }
+
+  /**
+   * Apply queued jobs with the simulated driver
+   */
+  async applySimulated() {
+    const jobs = await TransactionJob.find({ network: this.network, status: 'queued' }).sort({ createdAt: 1 });
+
+    for (const job of jobs) {
+      try {
+        const result = await this.driver[job.operation](...job.args);
+        await this.settle(job, 'confirmed', { result });
+      } catch (error) {
+        await this.settle(job, 'failed', { error });
+      }
+    }
+  }
+
+  /**
+   * Record a job's outcome, notify waiters and run its handler
+   */
+  async settle(job, status, { receipt, result, error }) {
+    job.status = status;
+    job.nextAttemptAt = undefined;
+    if (receipt) {
+      job.transactionHash = receipt.hash;
+      job.blockNumber = receipt.blockNumber;
+    }
+    if (status === 'confirmed') {
+      job.result = result;
+      job.confirmedAt = new Date();
+    } else {
+      console.error(`Transaction job ${job.jobId} (${job.operation}) failed:`, error.message);
+      job.error = { message: error.message, statusCode: error.statusCode || 500 };
+      job.failedAt = new Date();
+    }
+    await job.save();
+
+    this.emit('settled', job);
+    await this.runHandler(job);
+  }
+
+  async runHandler(job) {
+    const handler = job.context && this.handlers.get(job.context.type);
+    if (!handler) {
+      return;
+    }
+
+    try {
+      await handler(job);
+      job.handled = true;
+      await job.save();
+    } catch (error) {
+      console.error(`Transaction job ${job.jobId} handler error:`, error);
+    }
+  }
+}
+
+module.exports = TransactionQueue;
@@ -1,330 +1,281 @@
-const { ethers } = require('ethers');
-const MultimediaNFT = require('../contracts/MultimediaNFT.json');
-const LicensingContract = require('../contracts/LicensingContract.json');
+const { createBlockchainDriver } = require('./blockchain');
+const { UnknownNetworkError } = require('./blockchain/errors');
+const TransactionQueue = require('./blockchain/transactionQueue');
+const { getBlockchainConfig } = require('../config/blockchain');
 
+/**
+ * Blockchain access through the driver selected by BLOCKCHAIN_DRIVER. The
+ * 'ethers' driver raises BlockchainUnavailableError (503) or
+ * BlockchainTransactionError (502) instead of faking success; simulated
+ * results only ever come from the explicitly configured 'simulated' driver.
+ *
+ * There is one instance per network in the registry, each with its own
+ * driver, contracts and transaction queue. The module exports the default
+ * network's instance; getNetwork(chain) returns any other.
+ *
+ * Writes go through the persistent transaction queue. The write methods below
+ * wait until the transaction is mined; submit() queues one and returns the
+ * job straight away.
+ */
 class BlockchainService {
-  constructor() {
-    this.provider = new ethers.JsonRpcProvider(
-      process.env.BLOCKCHAIN_RPC_URL || 'http://localhost:8545'
-    );
-    
-    this.wallet = new ethers.Wallet(
-      process.env.PRIVATE_KEY || '',
-      this.provider
-    );
-
-    this.multimediaNFT = new ethers.Contract(
-      process.env.MULTIMEDIA_NFT_ADDRESS || '',
-      MultimediaNFT.abi,
-      this.wallet
-    );
-
-    this.licensingContract = new ethers.Contract(
-      process.env.LICENSING_CONTRACT_ADDRESS || '',
-      LicensingContract.abi,
-      this.wallet
-    );
+  /**
+   * @param {Object} config - Blockchain configuration from config/blockchain
+   * @param {Object} networkConfig - This instance's network from config.networks
+   * @param {Map} registry - Instances by network name, shared by all of them
+   */
+  constructor(config, networkConfig, registry) {
+    this.config = config;
+    this.registry = registry;
+    this.driver = createBlockchainDriver(config.driver, networkConfig);
+
+    // Stored on assets as Asset.network, so simulated records stay identifiable
+    this.network = this.driver.network;
+    this.chainId = networkConfig.chainId;
+    this.simulated = this.driver.simulated;
+    // Indexer settings for this chain
+    this.confirmations = networkConfig.confirmations;
+    this.startBlock = networkConfig.startBlock;
+    // Stored on assets as Asset.contractAddress; token IDs are only unique per contract
+    this.contracts = {
+      multimediaNFT: networkConfig.multimediaNFTAddress || null,
+      licensingContract: networkConfig.licensingContractAddress || null,
+      multimediaRegistry: networkConfig.multimediaRegistryAddress || null
+    };
+
+    this.queue = new TransactionQueue(this.driver, config.queue);
+
+    if (this.simulated) {
+      console.warn('Blockchain service running with the "simulated" driver: nothing is written on-chain');
+    } else {
+      console.log(`Blockchain service initialized with "${this.driver.name}" driver on ${this.network}`);
+    }
   }
 
-  async mintAsset(assetData) {
-    try {
-      const {
-        ipfsHash,
-        fileType,
-        fileSize,
-        originalCreator,
-        provenanceHash,
-        tokenURI
-      } = assetData;
-
-      // Check if mintAsset function exists in the contract
-      if (typeof this.multimediaNFT.mintAsset === 'function') {
-        const tx = await this.multimediaNFT.mintAsset(
-          ipfsHash,
-          fileType,
-          fileSize,
-          originalCreator,
-          provenanceHash,
-          tokenURI
-        );
-
-        const receipt = await tx.wait();
-        
-        // Extract token ID from event
-        const event = receipt.logs.find(log => 
-          log.fragment && log.fragment.name === 'AssetMinted'
-        );
-        
-        const tokenId = event ? event.args[0] : null;
-
-        return {
-          success: true,
-          transactionHash: receipt.hash,
-          tokenId: tokenId ? tokenId.toString() : null,
-          blockNumber: receipt.blockNumber
-        };
-      } else {
-        console.warn('mintAsset function not available in contract, simulating success');
-        // Generate a unique token ID based on timestamp and random number
-        const uniqueTokenId = Date.now().toString() + Math.floor(Math.random() * 1000).toString();
-        return {
-          success: true,
-          transactionHash: 'simulated',
-          tokenId: uniqueTokenId,
-          blockNumber: 0
-        };
-      }
-    } catch (error) {
-      console.error('Mint asset error:', error);
-      console.warn('Simulating successful mint due to error');
-      // Generate a unique token ID based on timestamp and random number
-      const uniqueTokenId = Date.now().toString() + Math.floor(Math.random() * 1000).toString();
-      return {
-        success: true,
-        transactionHash: 'simulated',
-        tokenId: uniqueTokenId,
-        blockNumber: 0
-      };
+  /**
+   * Resolve a chain named in a request
+   * @param {string|number} [chain] - Network name or chain ID; the default network if omitted
+   * @returns {BlockchainService} Instance for that network
+   * @throws {UnknownNetworkError} If the chain is not in the registry
+   */
+  getNetwork(chain) {
+    if (chain === undefined || chain === null || chain === '') {
+      return this.registry.get(this.config.defaultNetwork);
+    }
+
+    const key = String(chain).trim().toLowerCase();
+    const match = /^\d+$/.test(key)
+      ? this.getNetworks().find(service => service.chainId === parseInt(key, 10))
+      : this.getNetworks().find(service => service.network.toLowerCase() === key);
+    if (!match) {
+      throw new UnknownNetworkError(chain, this.getNetworks().map(service => service.network));
     }
+    return match;
+  }
+
+  /**
+   * @returns {Array<BlockchainService>} Every network in the registry, default first
+   */
+  getNetworks() {
+    const defaultService = this.registry.get(this.config.defaultNetwork);
+    return [defaultService, ...[...this.registry.values()].filter(service => service !== defaultService)];
+  }
+
+  /**
+   * Network as reported to API clients
+   * @returns {Object} { network, chainId, simulated, default, contracts }
+   */
+  describe() {
+    return {
+      network: this.network,
+      chainId: this.chainId,
+      simulated: this.simulated,
+      default: this.network === this.config.defaultNetwork,
+      contracts: this.contracts
+    };
+  }
+
+  /**
+   * Queue a write without waiting for it to be mined
+   * @param {string} operation - Write method, e.g. 'mintAsset'
+   * @param {Array} args - Its arguments
+   * @param {Object} options - { context, requestedBy }
+   * @returns {Promise<Object>} TransactionJob
+   */
+  async submit(operation, args, options = {}) {
+    return this.queue.enqueue(operation, args, options);
+  }
+
+  /**
+   * @param {string} jobId - Transaction job ID
+   * @returns {Promise<Object|null>} TransactionJob
+   */
+  async getTransactionJob(jobId) {
+    return this.queue.getJob(jobId);
+  }
+
+  async mintAsset(assetData) {
+    return this.queue.execute('mintAsset', [assetData]);
+  }
+
+  /**
+   * Anchor a batch Merkle root on-chain
+   * @param {string} root - Merkle root as hex
+   * @param {number} leafCount - Number of leaves in the batch
+   * @returns {Promise<Object>} Transaction result
+   */
+  async anchorMerkleRoot(root, leafCount) {
+    return this.queue.execute('anchorMerkleRoot', [root, leafCount]);
+  }
+
+  /**
+   * Look up when a Merkle root was anchored
+   * @param {string} root - Merkle root as hex
+   * @returns {Promise<string|null>} Anchor time in seconds, or null if not anchored
+   */
+  async getMerkleRootTimestamp(root) {
+    return this.driver.getMerkleRootTimestamp(root);
   }
 
   async setLicense(tokenId, licenseData) {
-    try {
-      const {
-        isLicensed,
-        licensePrice,
-        licenseType
-      } = licenseData;
-
-      // Check if setLicense function exists in the contract
-      if (typeof this.multimediaNFT.setLicense === 'function') {
-        const tx = await this.multimediaNFT.setLicense(
-          tokenId,
-          isLicensed,
-          ethers.parseEther(licensePrice.toString()),
-          licenseType
-        );
-
-        const receipt = await tx.wait();
-
-        return {
-          success: true,
-          transactionHash: receipt.hash,
-          blockNumber: receipt.blockNumber
-        };
-      } else {
-        console.warn('setLicense function not available in contract, skipping license setting');
-        return {
-          success: true,
-          transactionHash: null,
-          blockNumber: null
-        };
-      }
-    } catch (error) {
-      console.error('Set license error:', error);
-      console.warn('Skipping license setting due to error');
-      return {
-        success: true,
-        transactionHash: null,
-        blockNumber: null
-      };
-    }
+    return this.queue.execute('setLicense', [tokenId, licenseData]);
   }
 
   async createLicense(licenseData) {
-    try {
-      const {
-        tokenId,
-        licensee,
-        price,
-        duration,
-        licenseType,
-        terms
-      } = licenseData;
-
-      const tx = await this.licensingContract.createLicense(
-        tokenId,
-        licensee,
-        ethers.parseEther(price.toString()),
-        duration,
-        licenseType,
-        terms
-      );
-
-      const receipt = await tx.wait();
-
-      return {
-        success: true,
-        transactionHash: receipt.hash,
-        blockNumber: receipt.blockNumber
-      };
-    } catch (error) {
-      console.error('Create license error:', error);
-      throw new Error('Failed to create license on blockchain');
-    }
+    return this.queue.execute('createLicense', [licenseData]);
   }
 
   async purchaseLicense(tokenId, licenseIndex, price) {
-    try {
-      const tx = await this.licensingContract.purchaseLicense(
-        tokenId,
-        licenseIndex,
-        { value: ethers.parseEther(price.toString()) }
-      );
-
-      const receipt = await tx.wait();
-
-      return {
-        success: true,
-        transactionHash: receipt.hash,
-        blockNumber: receipt.blockNumber
-      };
-    } catch (error) {
-      console.error('Purchase license error:', error);
-      throw new Error('Failed to purchase license on blockchain');
-    }
+    return this.queue.execute('purchaseLicense', [tokenId, licenseIndex, price]);
+  }
+
+  async createLicenseOffer(offerData) {
+    return this.queue.execute('createLicenseOffer', [offerData]);
+  }
+
+  async deactivateLicenseOffer(tokenId, offerIndex) {
+    return this.queue.execute('deactivateLicenseOffer', [tokenId, offerIndex]);
+  }
+
+  async getTokenOffers(tokenId) {
+    return this.driver.getTokenOffers(tokenId);
+  }
+
+  async getLicenseToken(licenseTokenId) {
+    return this.driver.getLicenseToken(licenseTokenId);
+  }
+
+  /**
+   * Find a license token of an asset that an address holds and that is
+   * valid at a given time
+   * @param {string} holder - Address
+   * @param {string} tokenId - MultimediaNFT token ID
+   * @param {number} timestamp - Time in seconds
+   * @returns {Promise<Object|null>} License token, or null if there is none
+   */
+  async getValidLicense(holder, tokenId, timestamp) {
+    return this.driver.getValidLicense(holder, tokenId, timestamp);
+  }
+
+  /**
+   * Share a token's royalty between contributors through a RoyaltySplitter
+   * @param {string} tokenId - Token ID
+   * @param {Object} split - { contributors: [{ address, shares }], percentage } in basis points
+   * @returns {Promise<Object>} Transaction result with the splitter address
+   */
+  async setRoyaltySplit(tokenId, split) {
+    return this.queue.execute('setRoyaltySplit', [tokenId, split]);
+  }
+
+  async lockRoyalty(tokenId) {
+    return this.queue.execute('lockRoyalty', [tokenId]);
+  }
+
+  async getRoyaltySplit(tokenId) {
+    return this.driver.getRoyaltySplit(tokenId);
   }
 
   async getAsset(tokenId) {
-    try {
-      // Check if the function exists in the contract
-      if (typeof this.multimediaNFT.getAsset === 'function') {
-        const asset = await this.multimediaNFT.getAsset(tokenId);
-        
-        return {
-          ipfsHash: asset.ipfsHash,
-          fileType: asset.fileType,
-          fileSize: asset.fileSize.toString(),
-          originalCreator: asset.originalCreator,
-          creationTimestamp: asset.creationTimestamp.toString(),
-          provenanceHash: asset.provenanceHash,
-          isLicensed: asset.isLicensed,
-          licensePrice: ethers.formatEther(asset.licensePrice),
-          licenseType: asset.licenseType
-        };
-      } else {
-        console.warn('getAsset function not available in contract, simulating asset data');
-        // Return simulated asset data
-        return {
-          ipfsHash: 'simulated',
-          fileType: 'unknown',
-          fileSize: '0',
-          originalCreator: 'unknown',
-          creationTimestamp: Date.now().toString(),
-          provenanceHash: 'simulated',
-          isLicensed: false,
-          licensePrice: '0',
-          licenseType: 'none'
-        };
-      }
-    } catch (error) {
-      console.error('Get asset error:', error);
-      console.warn('Simulating asset data due to error');
-      return {
-        ipfsHash: 'simulated',
-        fileType: 'unknown',
-        fileSize: '0',
-        originalCreator: 'unknown',
-        creationTimestamp: Date.now().toString(),
-        provenanceHash: 'simulated',
-        isLicensed: false,
-        licensePrice: '0',
-        licenseType: 'none'
-      };
-    }
+    return this.driver.getAsset(tokenId);
+  }
+
+  async getOwner(tokenId) {
+    return this.driver.getOwner(tokenId);
+  }
+
+  async getTransfers(tokenId, fromBlock) {
+    return this.driver.getTransfers(tokenId, fromBlock);
+  }
+
+  /**
+   * Address backend-signed transactions are sent from. Tokens are minted to
+   * it, so it holds every token until the token is transferred
+   * @returns {string|null} Lowercase address, or null for the simulated driver
+   */
+  getSignerAddress() {
+    return this.simulated ? null : this.driver.getSignerAddress();
   }
 
   async getTokenLicenses(tokenId) {
-    try {
-      const licenses = await this.licensingContract.getTokenLicenses(tokenId);
-      
-      return licenses.map(license => ({
-        tokenId: license.tokenId.toString(),
-        licensee: license.licensee,
-        licensor: license.licensor,
-        price: ethers.formatEther(license.price),
-        startDate: license.startDate.toString(),
-        endDate: license.endDate.toString(),
-        licenseType: license.licenseType,
-        isActive: license.isActive,
-        terms: license.terms
-      }));
-    } catch (error) {
-      console.error('Get token licenses error:', error);
-      throw new Error('Failed to get licenses from blockchain');
-    }
+    return this.driver.getTokenLicenses(tokenId);
   }
 
   async getUserLicenses(userAddress) {
-    try {
-      const tokenIds = await this.licensingContract.getUserLicenses(userAddress);
-      return tokenIds.map(id => id.toString());
-    } catch (error) {
-      console.error('Get user licenses error:', error);
-      throw new Error('Failed to get user licenses from blockchain');
-    }
+    return this.driver.getUserLicenses(userAddress);
   }
 
   async getCreatorTokens(creatorAddress) {
-    try {
-      const tokenIds = await this.multimediaNFT.getCreatorTokens(creatorAddress);
-      return tokenIds.map(id => id.toString());
-    } catch (error) {
-      console.error('Get creator tokens error:', error);
-      throw new Error('Failed to get creator tokens from blockchain');
-    }
+    return this.driver.getCreatorTokens(creatorAddress);
   }
 
   async checkIPFSHashExists(ipfsHash) {
-    try {
-      // Check if the function exists in the contract
-      if (typeof this.multimediaNFT.checkIPFSHashExists === 'function') {
-        return await this.multimediaNFT.checkIPFSHashExists(ipfsHash);
-      } else {
-        console.warn('checkIPFSHashExists function not available in contract, skipping check');
-        return false; // Assume it doesn't exist if we can't check
-      }
-    } catch (error) {
-      console.error('Check IPFS hash error:', error);
-      console.warn('Assuming IPFS hash does not exist due to error');
-      return false; // Assume it doesn't exist if there's an error
-    }
+    return this.driver.checkIPFSHashExists(ipfsHash);
   }
 
   async getTokenURI(tokenId) {
-    try {
-      return await this.multimediaNFT.tokenURI(tokenId);
-    } catch (error) {
-      console.error('Get token URI error:', error);
-      throw new Error('Failed to get token URI from blockchain');
-    }
+    return this.driver.getTokenURI(tokenId);
   }
 
   async getNetworkInfo() {
-    try {
-      const network = await this.provider.getNetwork();
-      const blockNumber = await this.provider.getBlockNumber();
-      const gasPrice = await this.provider.getFeeData();
-
-      return {
-        chainId: network.chainId.toString(),
-        blockNumber: blockNumber.toString(),
-        gasPrice: ethers.formatUnits(gasPrice.gasPrice, 'gwei')
-      };
-    } catch (error) {
-      console.error('Get network info error:', error);
-      throw new Error('Failed to get network information');
-    }
+    return this.driver.getNetworkInfo();
+  }
+
+  async getBlockNumber() {
+    return this.driver.getBlockNumber();
+  }
+
+  async getBlock(blockNumber) {
+    return this.driver.getBlock(blockNumber);
+  }
+
+  /**
+   * Decoded MultimediaNFT and LicensingContract events in a block range
+   * @param {number} fromBlock - First block, inclusive
+   * @param {number} toBlock - Last block, inclusive
+   * @returns {Promise<Array<Object>>} Events in chain order
+   */
+  async getEvents(fromBlock, toBlock) {
+    return this.driver.getEvents(fromBlock, toBlock);
   }
 
   async estimateGas(method, ...args) {
-    try {
-      return await this.multimediaNFT[method].estimateGas(...args);
-    } catch (error) {
-      console.error('Estimate gas error:', error);
-      throw new Error('Failed to estimate gas');
-    }
+    return this.driver.estimateGas(method, ...args);
   }
 }
 
-module.exports = new BlockchainService(); 
\ No newline at end of file
+/**
+ * Create an instance for every configured network
+ * @returns {BlockchainService} The default network's instance
+ */
+const createRegistry = () => {
+  const config = getBlockchainConfig();
+  const registry = new Map();
+  for (const networkConfig of config.networks) {
+    registry.set(networkConfig.name, new BlockchainService(config, networkConfig, registry));
+  }
+  if (!registry.has(config.defaultNetwork)) {
+    throw new Error(`Default network "${config.defaultNetwork}" is not listed in BLOCKCHAIN_NETWORKS`);
+  }
+  return registry.get(config.defaultNetwork);
+};
+
+module.exports = createRegistry();
@@ -0,0 +1,689 @@
+const Asset = require('../models/Asset');
+const ChainEvent = require('../models/ChainEvent');
+const IndexerCheckpoint = require('../models/IndexerCheckpoint');
+const License = require('../models/License');
+const LicenseOffer = require('../models/LicenseOffer');
+const TokenOwnership = require('../models/TokenOwnership');
+const blockchainService = require('./blockchainService');
+const { BlockchainUnavailableError } = require('./blockchain/errors');
+const { getIndexerConfig } = require('../config/indexer');
+
+const INDEXED_EVENTS = {
+  MultimediaNFT: new Set(['AssetMinted', 'AssetVerified', 'Transfer', 'RoyaltySet', 'RoyaltySplitSet', 'RoyaltyLocked']),
+  LicensingContract: new Set([
+    'LicenseCreated', 'LicenseRevoked', 'LicensePurchased',
+    'LicenseOfferCreated', 'LicenseOfferDeactivated', 'LicenseOfferPurchased',
+    'LicenseTokenMinted'
+  ])
+};
+
+// Recent block hashes kept in the checkpoint to find where a reorg forked
+const TRACKED_BLOCKS = 64;
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const lower = address => (address ? address.toLowerCase() : address);
+
+const toDate = seconds => (seconds ? new Date(Number(seconds) * 1000) : undefined);
+
+/**
+ * Follows one network's MultimediaNFT and LicensingContract events into
+ * MongoDB.
+ *
+ * Only blocks at least the network's `confirmations` deep are indexed. Raw
+ * events are kept in ChainEvent, and TokenOwnership, License, LicenseOffer
+ * and the chain-owned Asset fields (owner, isVerified, verifier,
+ * verificationTimestamp, royalty, royaltySplit) are rebuilt from a token's
+ * events whenever they change. When a reorg replaces indexed
+ * blocks, their events are dropped and the affected tokens rebuilt the same
+ * way.
+ */
+class ChainIndexer {
+  /**
+   * @param {Object} chain - blockchainService of the network to index
+   * @param {Object} config - Indexer configuration from config/indexer
+   */
+  constructor(chain, config) {
+    this.chain = chain;
+    this.config = config;
+    this.syncing = null;
+    this.timer = null;
+    this.status = {
+      lastBlock: null,
+      headBlock: null,
+      lastSyncAt: null,
+      lastError: null
+    };
+  }
+
+  get network() {
+    return this.chain.network;
+  }
+
+  /**
+   * Index every confirmed block since the checkpoint. Concurrent calls share
+   * a run.
+   * @returns {Promise<Object>} { fromBlock, toBlock, headBlock, events, reorg }
+   */
+  async sync() {
+    if (!this.syncing) {
+      this.syncing = this.runSync()
+        .then((result) => {
+          this.status = {
+            lastBlock: result.toBlock,
+            headBlock: result.headBlock,
+            lastSyncAt: new Date(),
+            lastError: null
+          };
+          return result;
+        }, (error) => {
+          this.status.lastError = error.message;
+          throw error;
+        })
+        .finally(() => {
+          this.syncing = null;
+        });
+    }
+    return this.syncing;
+  }
+
+  async runSync() {
+    if (this.chain.simulated) {
+      throw new BlockchainUnavailableError('The chain indexer needs a real blockchain driver; BLOCKCHAIN_DRIVER is "simulated"');
+    }
+
+    const checkpoint = await this.getCheckpoint();
+    const reorg = await this.detectReorg(checkpoint);
+
+    const headBlock = await this.chain.getBlockNumber();
+    const targetBlock = headBlock - this.chain.confirmations;
+    const result = {
+      fromBlock: checkpoint.lastBlock + 1,
+      toBlock: checkpoint.lastBlock,
+      headBlock,
+      events: 0,
+      reorg
+    };
+
+    while (checkpoint.lastBlock < targetBlock) {
+      const fromBlock = checkpoint.lastBlock + 1;
+      const toBlock = Math.min(targetBlock, fromBlock + this.config.batchSize - 1);
+
+      const events = (await this.chain.getEvents(fromBlock, toBlock))
+        .filter(event => INDEXED_EVENTS[event.contract].has(event.name));
+      const endBlock = await this.chain.getBlock(toBlock);
+      if (!endBlock) {
+        throw new BlockchainUnavailableError(`Block ${toBlock} is not available from the node`);
+      }
+
+      await this.store(events);
+      await this.project(events);
+
+      checkpoint.lastBlock = toBlock;
+      this.track(checkpoint, [
+        ...events.map(event => ({ number: event.blockNumber, hash: event.blockHash })),
+        { number: endBlock.number, hash: endBlock.hash }
+      ]);
+      await checkpoint.save();
+
+      result.toBlock = toBlock;
+      result.events += events.length;
+    }
+
+    return result;
+  }
+
+  async getCheckpoint() {
+    const checkpoint = await IndexerCheckpoint.findOne({ network: this.network });
+    return checkpoint || new IndexerCheckpoint({
+      network: this.network,
+      lastBlock: this.chain.startBlock - 1,
+      blocks: []
+    });
+  }
+
+  /**
+   * Remember indexed block hashes, keeping the most recent TRACKED_BLOCKS
+   */
+  track(checkpoint, blocks) {
+    const byNumber = new Map(checkpoint.blocks.map(block => [block.number, block.hash]));
+    blocks.forEach(block => byNumber.set(block.number, block.hash));
+
+    checkpoint.blocks = [...byNumber.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .slice(-TRACKED_BLOCKS)
+      .map(([number, hash]) => ({ number, hash }));
+  }
+
+  /**
+   * Compare tracked block hashes with the chain and roll back past any fork
+   * @returns {Promise<Object|null>} Rollback summary, or null if the chain is unchanged
+   */
+  async detectReorg(checkpoint) {
+    const tracked = checkpoint.blocks;
+    if (tracked.length === 0) {
+      return null;
+    }
+
+    for (let i = tracked.length - 1; i >= 0; i--) {
+      const block = await this.chain.getBlock(tracked[i].number);
+      if (block && block.hash === tracked[i].hash) {
+        return i === tracked.length - 1 ? null : this.rollback(checkpoint, tracked[i].number);
+      }
+    }
+
+    // The fork is older than every tracked block, e.g. a reset dev chain
+    return this.rollback(checkpoint, this.chain.startBlock - 1);
+  }
+
+  /**
+   * Drop events after a block and rebuild the tokens they touched
+   * @param {Object} checkpoint - Indexer checkpoint
+   * @param {number} forkBlock - Last block still on the canonical chain
+   * @returns {Promise<Object>} { forkBlock, droppedBlocks, droppedEvents }
+   */
+  async rollback(checkpoint, forkBlock) {
+    const query = { network: this.network, blockNumber: { $gt: forkBlock } };
+    const events = await ChainEvent.find(query);
+    await ChainEvent.deleteMany(query);
+    await this.project(events);
+
+    const summary = {
+      forkBlock,
+      droppedBlocks: checkpoint.lastBlock - forkBlock,
+      droppedEvents: events.length
+    };
+
+    checkpoint.lastBlock = forkBlock;
+    checkpoint.blocks = checkpoint.blocks.filter(block => block.number <= forkBlock);
+    await checkpoint.save();
+
+    console.warn(`Chain reorg on ${this.network}: rolled back ${summary.droppedEvents} events after block ${forkBlock}`);
+    return summary;
+  }
+
+  async store(events) {
+    if (events.length === 0) return;
+
+    const details = await this.readLicenseDetails(events);
+    await ChainEvent.bulkWrite(events.map(event => ({
+      updateOne: {
+        filter: { network: this.network, blockHash: event.blockHash, logIndex: event.logIndex },
+        update: {
+          $set: {
+            contract: event.contract,
+            contractAddress: lower(event.address),
+            name: event.name,
+            tokenId: event.args.tokenId,
+            args: event.args,
+            details: details.get(event) || null,
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash
+          }
+        },
+        upsert: true
+      }
+    })));
+  }
+
+  /**
+   * License events do not carry the license index, dates or terms, so read
+   * them from the contract. Licenses are only ever appended, and a license's
+   * startDate is the timestamp of the block that created it.
+   * @param {Array<Object>} events - Events being indexed
+   * @returns {Promise<Map>} Event -> details
+   */
+  async readLicenseDetails(events) {
+    const details = new Map();
+    const licensesByToken = new Map();
+    const timestamps = new Map();
+    const created = new Map();
+
+    for (const event of events) {
+      if (event.name !== 'LicenseCreated' && event.name !== 'LicenseRevoked') continue;
+
+      const { tokenId, licensee, licensor } = event.args;
+      if (!licensesByToken.has(tokenId)) {
+        licensesByToken.set(tokenId, await this.chain.getTokenLicenses(tokenId));
+      }
+      const licenses = licensesByToken.get(tokenId)
+        .map((license, index) => ({ license, index }))
+        .filter(({ license }) =>
+          lower(license.licensee) === lower(licensee) && lower(license.licensor) === lower(licensor)
+        );
+
+      if (event.name === 'LicenseRevoked') {
+        details.set(event, {
+          inactiveIndexes: licenses.filter(({ license }) => !license.isActive).map(({ index }) => index)
+        });
+        continue;
+      }
+
+      if (!timestamps.has(event.blockNumber)) {
+        const block = await this.chain.getBlock(event.blockNumber);
+        timestamps.set(event.blockNumber, block ? String(block.timestamp) : null);
+      }
+
+      // Several licenses for the same pair can be created in one block
+      const key = `${event.blockNumber}:${tokenId}:${lower(licensee)}:${lower(licensor)}`;
+      const ordinal = created.get(key) || 0;
+      created.set(key, ordinal + 1);
+
+      const match = licenses.filter(({ license }) => license.startDate === timestamps.get(event.blockNumber))[ordinal];
+      details.set(event, match ? {
+        licenseIndex: match.index,
+        startDate: match.license.startDate,
+        endDate: match.license.endDate,
+        terms: match.license.terms
+      } : null);
+    }
+
+    return details;
+  }
+
+  /**
+   * Rebuild everything derived from the tokens these events belong to
+   */
+  async project(events) {
+    // Stored events carry tokenId; freshly read ones only have it in args
+    const tokens = new Set(events.map(event => `${event.contract}:${event.tokenId || event.args.tokenId}`));
+
+    for (const key of tokens) {
+      const [contract, tokenId] = key.split(':');
+      if (contract === 'MultimediaNFT') {
+        await this.projectToken(tokenId);
+      } else {
+        await this.projectLicenses(tokenId);
+      }
+    }
+  }
+
+  async projectToken(tokenId) {
+    const events = await ChainEvent.findForToken(this.network, 'MultimediaNFT', tokenId);
+
+    let ownership = null;
+    let verification = null;
+    let royalty = null;
+    let split = null;
+    const splitters = new Set();
+    let royaltyLocked = false;
+    for (const event of events) {
+      const { args } = event;
+      if (!ownership) {
+        ownership = {
+          network: this.network,
+          contractAddress: event.contractAddress,
+          tokenId,
+          owner: null,
+          transferCount: 0
+        };
+      }
+
+      switch (event.name) {
+        case 'AssetMinted':
+          ownership.minter = lower(args.creator);
+          ownership.mintTransactionHash = event.transactionHash;
+          ownership.mintBlockNumber = event.blockNumber;
+          break;
+        case 'Transfer':
+          if (lower(args.from) !== ZERO_ADDRESS) {
+            ownership.transferCount += 1;
+          }
+          ownership.owner = lower(args.to) === ZERO_ADDRESS ? null : lower(args.to);
+          ownership.lastTransferTransactionHash = event.transactionHash;
+          ownership.lastTransferBlockNumber = event.blockNumber;
+          break;
+        case 'AssetVerified':
+          verification = {
+            verifier: lower(args.verifier),
+            timestamp: toDate(args.verificationTimestamp)
+          };
+          break;
+        case 'RoyaltySet':
+          // A zero recipient resets the token to the default royalty
+          royalty = lower(args.recipient) === ZERO_ADDRESS ? null : {
+            recipient: lower(args.recipient),
+            percentage: Number(args.percentage)
+          };
+          // Setting a single recipient drops the split
+          if (split && (!royalty || royalty.recipient !== split.splitter)) {
+            split = null;
+          }
+          break;
+        case 'RoyaltySplitSet':
+          splitters.add(lower(args.splitter));
+          split = {
+            splitter: lower(args.splitter),
+            contributors: args.recipients.map((recipient, index) => ({
+              address: lower(recipient),
+              shares: Number(args.shares[index])
+            }))
+          };
+          break;
+        case 'RoyaltyLocked':
+          royaltyLocked = true;
+          break;
+        default:
+          break;
+      }
+    }
+
+    if (ownership) {
+      await TokenOwnership.updateOne(
+        { network: this.network, contractAddress: ownership.contractAddress, tokenId },
+        { $set: ownership },
+        { upsert: true }
+      );
+    } else {
+      await TokenOwnership.deleteMany({ network: this.network, contractAddress: this.chain.contracts.multimediaNFT, tokenId });
+    }
+
+    // Saved through the document so the status middleware runs
+    const asset = await Asset.findByToken(this.network, this.chain.contracts.multimediaNFT, tokenId);
+    if (!asset) return;
+
+    asset.owner = ownership && ownership.owner ? ownership.owner : undefined;
+    if (verification) {
+      asset.isVerified = true;
+      asset.verifier = verification.verifier;
+      asset.verificationTimestamp = verification.timestamp;
+    } else {
+      asset.isVerified = false;
+      asset.verifier = undefined;
+      asset.verificationTimestamp = undefined;
+      if (asset.status === 'verified') {
+        asset.status = 'registered';
+      }
+    }
+    asset.royalty = royalty || undefined;
+    // A split queued through the API is kept until its own RoyaltySplitSet
+    // is indexed
+    const stored = asset.royaltySplit && asset.royaltySplit.contributors.length > 0 ? asset.royaltySplit : null;
+    const pending = stored && !splitters.has(stored.splitter);
+    if (split && !pending) {
+      // Roles are only known off-chain
+      const roles = new Map((stored ? stored.contributors : []).map(contributor => [contributor.address, contributor.role]));
+      asset.royaltySplit = {
+        contributors: split.contributors.map(contributor => ({ ...contributor, role: roles.get(contributor.address) })),
+        splitter: split.splitter,
+        locked: royaltyLocked,
+        transactionJobId: stored ? stored.transactionJobId : undefined
+      };
+    } else if (!split && stored && splitters.has(stored.splitter)) {
+      // Replaced by a single recipient
+      asset.royaltySplit = undefined;
+    }
+    await asset.save();
+  }
+
+  async projectLicenses(tokenId) {
+    const events = await ChainEvent.findForToken(this.network, 'LicensingContract', tokenId);
+
+    const licenses = [];
+    const offers = [];
+    for (const event of events) {
+      const { args } = event;
+      const details = event.details || {};
+
+      switch (event.name) {
+        case 'LicenseCreated':
+          licenses.push({
+            network: this.network,
+            contractAddress: event.contractAddress,
+            tokenId,
+            licenseIndex: Number.isInteger(details.licenseIndex) ? details.licenseIndex : licenses.length,
+            licensee: lower(args.licensee),
+            licensor: lower(args.licensor),
+            price: args.price,
+            licenseType: args.licenseType,
+            terms: details.terms,
+            startDate: toDate(details.startDate),
+            endDate: toDate(details.endDate),
+            isActive: true,
+            purchased: false,
+            createdTransactionHash: event.transactionHash,
+            createdBlockNumber: event.blockNumber
+          });
+          break;
+        case 'LicenseRevoked': {
+          // The event does not name the license; prefer one the contract shows as revoked
+          const inactive = new Set(details.inactiveIndexes || []);
+          const candidates = licenses.filter(license =>
+            license.isActive &&
+            license.licensee === lower(args.licensee) &&
+            license.licensor === lower(args.licensor)
+          );
+          const license = candidates.find(candidate => inactive.has(candidate.licenseIndex)) || candidates[0];
+          if (license) {
+            license.isActive = false;
+            license.revokedTransactionHash = event.transactionHash;
+            license.revokedBlockNumber = event.blockNumber;
+          }
+          break;
+        }
+        case 'LicensePurchased': {
+          const license = licenses.find(candidate => candidate.licenseIndex === Number(args.licenseIndex));
+          if (license) {
+            license.purchased = true;
+            license.purchasedTransactionHash = event.transactionHash;
+            license.purchasedBlockNumber = event.blockNumber;
+          }
+          break;
+        }
+        case 'LicenseOfferCreated':
+          offers.push({
+            network: this.network,
+            contractAddress: event.contractAddress,
+            tokenId,
+            offerIndex: Number(args.offerIndex),
+            licensor: lower(args.licensor),
+            price: args.price,
+            duration: Number(args.duration),
+            maxSeats: Number(args.maxSeats),
+            seatsSold: 0,
+            licenseType: args.licenseType,
+            termsURI: args.termsURI,
+            isActive: true,
+            soulbound: !!args.soulbound,
+            createdTransactionHash: event.transactionHash,
+            createdBlockNumber: event.blockNumber
+          });
+          break;
+        case 'LicenseOfferDeactivated': {
+          const offer = offers.find(candidate => candidate.offerIndex === Number(args.offerIndex));
+          if (offer) {
+            offer.isActive = false;
+            offer.deactivatedTransactionHash = event.transactionHash;
+            offer.deactivatedBlockNumber = event.blockNumber;
+          }
+          break;
+        }
+        case 'LicenseOfferPurchased': {
+          const offer = offers.find(candidate => candidate.offerIndex === Number(args.offerIndex));
+          if (offer) {
+            offer.seatsSold += 1;
+          }
+          const license = licenses.find(candidate => candidate.licenseIndex === Number(args.licenseIndex));
+          if (license) {
+            license.offerIndex = Number(args.offerIndex);
+          }
+          break;
+        }
+        case 'LicenseTokenMinted': {
+          const license = licenses.find(candidate => candidate.licenseIndex === Number(args.licenseIndex));
+          if (license) {
+            license.licenseTokenId = args.licenseTokenId;
+          }
+          break;
+        }
+        default:
+          break;
+      }
+    }
+
+    for (const license of licenses) {
+      const update = { $set: license };
+      const unset = {};
+      if (license.isActive) {
+        Object.assign(unset, { revokedTransactionHash: '', revokedBlockNumber: '' });
+      }
+      if (!license.purchased) {
+        Object.assign(unset, { purchasedTransactionHash: '', purchasedBlockNumber: '' });
+      }
+      if (license.offerIndex === undefined) {
+        unset.offerIndex = '';
+      }
+      if (license.licenseTokenId === undefined) {
+        unset.licenseTokenId = '';
+      }
+      if (Object.keys(unset).length > 0) {
+        update.$unset = unset;
+      }
+      await License.updateOne(
+        {
+          network: this.network,
+          contractAddress: license.contractAddress,
+          tokenId,
+          licenseIndex: license.licenseIndex
+        },
+        update,
+        { upsert: true }
+      );
+    }
+    await License.deleteMany({
+      network: this.network,
+      contractAddress: this.chain.contracts.licensingContract,
+      tokenId,
+      licenseIndex: { $nin: licenses.map(license => license.licenseIndex) }
+    });
+
+    for (const offer of offers) {
+      const update = { $set: offer };
+      if (offer.isActive) {
+        update.$unset = { deactivatedTransactionHash: '', deactivatedBlockNumber: '' };
+      }
+      await LicenseOffer.updateOne(
+        {
+          network: this.network,
+          contractAddress: offer.contractAddress,
+          tokenId,
+          offerIndex: offer.offerIndex
+        },
+        update,
+        { upsert: true }
+      );
+    }
+    await LicenseOffer.deleteMany({
+      network: this.network,
+      contractAddress: this.chain.contracts.licensingContract,
+      tokenId,
+      offerIndex: { $nin: offers.map(offer => offer.offerIndex) }
+    });
+  }
+
+  /**
+   * Follow the chain every INDEXER_POLL_INTERVAL ms inside this process
+   * @returns {boolean} Whether the indexer was started
+   */
+  start() {
+    if (!this.config.enabled || this.timer || this.chain.simulated) {
+      return false;
+    }
+
+    const tick = async () => {
+      try {
+        const result = await this.sync();
+        if (result.events > 0 || result.reorg) {
+          console.log(`Chain indexer (${this.network}): ${result.events} events in blocks ${result.fromBlock}-${result.toBlock}`);
+        }
+      } catch (error) {
+        console.error(`Chain indexer error (${this.network}):`, error.message);
+      }
+    };
+
+    this.timer = setInterval(tick, this.config.pollInterval);
+    this.timer.unref();
+    tick();
+    return true;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  isRunning() {
+    return this.timer !== null;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.isRunning(),
+      network: this.network,
+      chainId: this.chain.chainId,
+      confirmations: this.chain.confirmations,
+      ...this.status
+    };
+  }
+}
+
+/**
+ * One ChainIndexer per network in the blockchain network registry
+ */
+class ChainIndexerService {
+  constructor() {
+    this.config = getIndexerConfig();
+    this.indexers = new Map(
+      blockchainService.getNetworks().map(chain => [chain.network, new ChainIndexer(chain, this.config)])
+    );
+  }
+
+  /**
+   * @param {string|number} [chain] - Network name or chain ID; the default network if omitted
+   * @returns {ChainIndexer} Indexer of that network
+   */
+  getIndexer(chain) {
+    return this.indexers.get(blockchainService.getNetwork(chain).network);
+  }
+
+  /**
+   * Index every confirmed block since the checkpoint on one network
+   * @param {string|number} [chain] - Network name or chain ID; the default network if omitted
+   * @returns {Promise<Object>} { fromBlock, toBlock, headBlock, events, reorg }
+   */
+  async sync(chain) {
+    return this.getIndexer(chain).sync();
+  }
+
+  /**
+   * Follow every network inside this process
+   * @returns {boolean} Whether any indexer was started
+   */
+  start() {
+    return [...this.indexers.values()].map(indexer => indexer.start()).some(Boolean);
+  }
+
+  stop() {
+    this.indexers.forEach(indexer => indexer.stop());
+  }
+
+  isRunning() {
+    return [...this.indexers.values()].some(indexer => indexer.isRunning());
+  }
+
+  /**
+   * @param {string|number} [chain] - Network name or chain ID; every network if omitted
+   * @returns {Object} One network's status, or { enabled, networks }
+   */
+  getStatus(chain) {
+    if (chain !== undefined) {
+      return this.getIndexer(chain).getStatus();
+    }
+    return {
+      enabled: this.isRunning(),
+      networks: [...this.indexers.values()].map(indexer => indexer.getStatus())
+    };
+  }
+}
+
+module.exports = new ChainIndexerService();
@@ -0,0 +1,405 @@
+const crypto = require('crypto');
+
+// Multicodec and multihash codes used by UnixFS
+const CODEC_RAW = 0x55;
+const CODEC_DAG_PB = 0x70;
+const MULTIHASH_SHA2_256 = 0x12;
+const SHA2_256_LENGTH = 32;
+
+// Same layout as `ipfs add --cid-version=1` (256KiB fixed-size chunks, raw leaves,
+// balanced DAG with at most 174 links per node)
+const DEFAULT_CHUNK_SIZE = 262144;
+const DEFAULT_MAX_CHILDREN = 174;
+
+// UnixFS Data.DataType
+const UNIXFS_TYPE_FILE = 2;
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Encode an unsigned integer as a protobuf/multiformats varint
+ * @param {number} value - Non-negative integer
+ * @returns {Buffer} Varint bytes
+ */
+function encodeVarint(value) {
+  const bytes = [];
+  let remaining = value;
+  while (remaining >= 0x80) {
+    bytes.push((remaining % 0x80) | 0x80);
+    remaining = Math.floor(remaining / 0x80);
+  }
+  bytes.push(remaining);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode a varint at the given offset
+ * @param {Buffer} buffer - Source bytes
+ * @param {number} offset - Start offset
+ * @returns {{value: number, length: number}} Decoded value and bytes consumed
+ */
+function decodeVarint(buffer, offset = 0) {
+  let value = 0;
+  let multiplier = 1;
+  for (let i = offset; i < buffer.length && i < offset + 9; i++) {
+    const byte = buffer[i];
+    value += (byte & 0x7f) * multiplier;
+    if ((byte & 0x80) === 0) {
+      return { value, length: i - offset + 1 };
+    }
+    multiplier *= 0x80;
+  }
+  throw new Error('Invalid varint');
+}
+
+/**
+ * Encode a protobuf length-delimited field
+ * @param {number} fieldNumber - Field number
+ * @param {Buffer} bytes - Field payload
+ * @returns {Buffer} Encoded field
+ */
+function encodeBytesField(fieldNumber, bytes) {
+  return Buffer.concat([encodeVarint((fieldNumber << 3) | 2), encodeVarint(bytes.length), bytes]);
+}
+
+/**
+ * Encode a protobuf varint field
+ * @param {number} fieldNumber - Field number
+ * @param {number} value - Field value
+ * @returns {Buffer} Encoded field
+ */
+function encodeVarintField(fieldNumber, value) {
+  return Buffer.concat([encodeVarint(fieldNumber << 3), encodeVarint(value)]);
+}
+
+function base32Encode(bytes) {
+  let output = '';
+  let bits = 0;
+  let value = 0;
+  for (const byte of bytes) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+  for (const char of text) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function base58Encode(bytes) {
+  const digits = [0];
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = Math.floor(carry / 58);
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = Math.floor(carry / 58);
+    }
+  }
+  let output = '';
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+    output += BASE58_ALPHABET[0];
+  }
+  for (let i = digits.length - 1; i >= 0; i--) {
+    output += BASE58_ALPHABET[digits[i]];
+  }
+  return output;
+}
+
+function base58Decode(text) {
+  const bytes = [0];
+  for (const char of text) {
+    const index = BASE58_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base58 character');
+    }
+    let carry = index;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  for (let i = 0; i < text.length && text[i] === BASE58_ALPHABET[0]; i++) {
+    bytes.push(0);
+  }
+  return Buffer.from(bytes.reverse());
+}
+
+/**
+ * Incremental UnixFS file builder.
+ *
+ * Bytes are fed in with update() as they arrive; only the CIDs and sizes of
+ * completed leaves are retained, so memory use is independent of file size.
+ */
+class UnixFSFileBuilder {
+  constructor(cidService, options = {}) {
+    this.cidService = cidService;
+    this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    this.maxChildren = options.maxChildren || DEFAULT_MAX_CHILDREN;
+    this.pending = [];
+    this.pendingLength = 0;
+    this.leaves = [];
+    this.size = 0;
+  }
+
+  /**
+   * Append bytes to the file
+   * @param {Buffer} data - Next slice of file content
+   * @returns {UnixFSFileBuilder} This builder
+   */
+  update(data) {
+    let chunk = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    this.size += chunk.length;
+
+    while (this.pendingLength + chunk.length >= this.chunkSize) {
+      const take = this.chunkSize - this.pendingLength;
+      this.pending.push(chunk.subarray(0, take));
+      this.flushLeaf();
+      chunk = chunk.subarray(take);
+    }
+
+    if (chunk.length > 0) {
+      this.pending.push(Buffer.from(chunk));
+      this.pendingLength += chunk.length;
+    }
+
+    return this;
+  }
+
+  flushLeaf() {
+    const block = Buffer.concat(this.pending);
+    this.pending = [];
+    this.pendingLength = 0;
+    this.leaves.push({
+      cid: this.cidService.createCID(CODEC_RAW, block),
+      fileSize: block.length,
+      tsize: block.length
+    });
+  }
+
+  /**
+   * Finish the file and compute its root CID
+   * @returns {{cid: string, size: number}} Base32 CIDv1 and byte length
+   */
+  digest() {
+    if (this.pendingLength > 0 || this.leaves.length === 0) {
+      this.flushLeaf();
+    }
+
+    // A single-chunk file is addressed by its raw leaf directly
+    if (this.leaves.length === 1) {
+      return { cid: this.cidService.toBase32(this.leaves[0].cid), size: this.size };
+    }
+
+    let level = this.leaves;
+    while (level.length > 1) {
+      const parents = [];
+      for (let i = 0; i < level.length; i += this.maxChildren) {
+        parents.push(this.buildParent(level.slice(i, i + this.maxChildren)));
+      }
+      level = parents;
+    }
+
+    return { cid: this.cidService.toBase32(level[0].cid), size: this.size };
+  }
+
+  buildParent(children) {
+    const links = children.filter(child => child.fileSize > 0);
+
+    // UnixFS Data: Type, filesize, blocksizes
+    const fileSize = links.reduce((sum, child) => sum + child.fileSize, 0);
+    const unixfsData = Buffer.concat([
+      encodeVarintField(1, UNIXFS_TYPE_FILE),
+      encodeVarintField(3, fileSize),
+      ...links.map(child => encodeVarintField(4, child.fileSize))
+    ]);
+
+    // dag-pb PBNode: Links (field 2) are serialized before Data (field 1)
+    const encodedLinks = links.map(child => encodeBytesField(2, Buffer.concat([
+      encodeBytesField(1, child.cid),
+      encodeBytesField(2, Buffer.alloc(0)),
+      encodeVarintField(3, child.tsize)
+    ])));
+    const node = Buffer.concat([...encodedLinks, encodeBytesField(1, unixfsData)]);
+
+    return {
+      cid: this.cidService.createCID(CODEC_DAG_PB, node),
+      fileSize,
+      tsize: node.length + links.reduce((sum, child) => sum + child.tsize, 0)
+    };
+  }
+}
+
+class CIDService {
+  constructor() {
+    this.codecs = {
+      raw: CODEC_RAW,
+      dagPb: CODEC_DAG_PB
+    };
+  }
+
+  /**
+   * Create binary CIDv1 for a block
+   * @param {number} codec - Multicodec of the block
+   * @param {Buffer} block - Encoded block bytes
+   * @returns {Buffer} Binary CID
+   */
+  createCID(codec, block) {
+    const digest = crypto.createHash('sha256').update(block).digest();
+    return Buffer.concat([
+      encodeVarint(1),
+      encodeVarint(codec),
+      encodeVarint(MULTIHASH_SHA2_256),
+      encodeVarint(SHA2_256_LENGTH),
+      digest
+    ]);
+  }
+
+  /**
+   * Encode binary CIDv1 with the base32 multibase prefix
+   * @param {Buffer} cidBytes - Binary CID
+   * @returns {string} CID string (bafy.../bafk...)
+   */
+  toBase32(cidBytes) {
+    return `b${base32Encode(cidBytes)}`;
+  }
+
+  /**
+   * Start an incremental UnixFS import
+   * @param {Object} options - Chunker options (chunkSize, maxChildren)
+   * @returns {UnixFSFileBuilder} Builder accepting update()/digest()
+   */
+  createFileBuilder(options = {}) {
+    return new UnixFSFileBuilder(this, options);
+  }
+
+  /**
+   * Compute the UnixFS CIDv1 of a complete file
+   * @param {Buffer} fileBuffer - File content
+   * @param {Object} options - Chunker options (chunkSize, maxChildren)
+   * @returns {string} Base32 CIDv1
+   */
+  computeCID(fileBuffer, options = {}) {
+    return this.createFileBuilder(options).update(fileBuffer).digest().cid;
+  }
+
+  /**
+   * Parse a CIDv0 or CIDv1 string
+   * @param {string} cid - CID string
+   * @returns {Object|null} { version, codec, multihash } or null if invalid
+   */
+  parse(cid) {
+    if (typeof cid !== 'string' || cid.length === 0) {
+      return null;
+    }
+
+    try {
+      // CIDv0: bare base58btc sha2-256 multihash
+      if (cid.length === 46 && cid.startsWith('Qm')) {
+        const multihash = base58Decode(cid);
+        if (multihash.length !== 34 || multihash[0] !== MULTIHASH_SHA2_256 || multihash[1] !== SHA2_256_LENGTH) {
+          return null;
+        }
+        return { version: 0, codec: CODEC_DAG_PB, multihash };
+      }
+
+      let bytes;
+      if (cid[0] === 'b') {
+        bytes = base32Decode(cid.slice(1));
+      } else if (cid[0] === 'z') {
+        bytes = base58Decode(cid.slice(1));
+      } else {
+        return null;
+      }
+
+      const version = decodeVarint(bytes, 0);
+      if (version.value !== 1) {
+        return null;
+      }
+      const codec = decodeVarint(bytes, version.length);
+      const multihash = bytes.subarray(version.length + codec.length);
+      const hashCode = decodeVarint(multihash, 0);
+      const digestLength = decodeVarint(multihash, hashCode.length);
+      if (multihash.length !== hashCode.length + digestLength.length + digestLength.value) {
+        return null;
+      }
+
+      return { version: 1, codec: codec.value, multihash };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a string is a valid CIDv0 or CIDv1
+   * @param {string} cid - CID string
+   * @returns {boolean} True if valid
+   */
+  isValidCID(cid) {
+    return this.parse(cid) !== null;
+  }
+
+  /**
+   * List the string forms under which the same content may be recorded.
+   * A dag-pb CIDv0 and its CIDv1 share a multihash and are interchangeable;
+   * raw-leaf CIDs have no CIDv0 form.
+   * @param {string} cid - CID string
+   * @returns {Array<string>} Equivalent CID strings (input first)
+   */
+  getEquivalentCIDs(cid) {
+    const parsed = this.parse(cid);
+    if (!parsed) {
+      return [cid];
+    }
+
+    const forms = [cid];
+    const v1 = this.toBase32(Buffer.concat([encodeVarint(1), encodeVarint(parsed.codec), parsed.multihash]));
+    if (!forms.includes(v1)) {
+      forms.push(v1);
+    }
+
+    if (parsed.codec === CODEC_DAG_PB && parsed.multihash[0] === MULTIHASH_SHA2_256) {
+      const v0 = base58Encode(parsed.multihash);
+      if (!forms.includes(v0)) {
+        forms.push(v0);
+      }
+    }
+
+    return forms;
+  }
+}
+
+module.exports = new CIDService();
@@ -2,7 +2,52 @@ const crypto = require('crypto');
 const sharp = require('sharp');
 const { createHash } = require('crypto');
 
+const PHASH_SIZE = 32;
+const HASH_SIZE = 8;
+const WHASH_SIZE = 64;
+
+// Relative weight of each algorithm in the combined similarity score. pHash is
+// the most robust to recompression and gamma changes, aHash the least.
+const ALGORITHM_WEIGHTS = {
+  phash: 0.4,
+  dhash: 0.3,
+  whash: 0.2,
+  ahash: 0.1
+};
+
+// Domain separation between Merkle leaves and interior nodes
+const MERKLE_LEAF_PREFIX = Buffer.from([0x00]);
+const MERKLE_NODE_PREFIX = Buffer.from([0x01]);
+
+// Number of set bits in each hex digit
+const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+// DCT-II basis for the low 8 frequencies of a 32-sample signal
+const DCT_BASIS = Array.from({ length: HASH_SIZE }, (_, u) =>
+  Array.from({ length: PHASH_SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * PHASH_SIZE)))
+);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = sorted.length / 2;
+  return (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Pack a bit array (most significant first) into a hex string
+const bitsToHex = (bits) => {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hex;
+};
+
 class HashService {
+  constructor() {
+    // Combined score at or above which two files count as perceptually similar
+    this.similarityThreshold = parseFloat(process.env.PERCEPTUAL_SIMILARITY_THRESHOLD || '0.85');
+  }
+
   /**
    * Generate SHA-256 hash of file buffer
    * @param {Buffer} fileBuffer - File buffer
@@ -14,29 +59,31 @@ class HashService {
 
   /**
    * Generate content hash combining file and metadata
-   * @param {Buffer} fileBuffer - File buffer
+   * @param {Buffer|Hash} fileData - File buffer, or the running SHA-256 Hash of a spooled upload
    * @param {Object} metadata - File metadata
    * @returns {string} Content hash
    */
-  generateContentHash(fileBuffer, metadata) {
-    const combinedData = Buffer.concat([
-      fileBuffer,
-      Buffer.from(JSON.stringify(metadata, Object.keys(metadata).sort()))
-    ]);
-    return crypto.createHash('sha256').update(combinedData).digest('hex');
+  generateContentHash(fileData, metadata) {
+    // Continuing a copy of the file digest gives the same result as hashing file + metadata
+    const hash = Buffer.isBuffer(fileData)
+      ? crypto.createHash('sha256').update(fileData)
+      : fileData.copy();
+    return hash
+      .update(Buffer.from(JSON.stringify(metadata, Object.keys(metadata).sort())))
+      .digest('hex');
   }
 
   /**
    * Generate provenance hash for tracking file history
-   * @param {Buffer} fileBuffer - File buffer
+   * @param {Buffer|Hash} fileData - File buffer, or the running SHA-256 Hash of a spooled upload
    * @param {Object} metadata - File metadata
    * @param {string} uploader - Uploader address
    * @param {number} timestamp - Upload timestamp
    * @returns {string} Provenance hash
    */
-  generateProvenanceHash(fileBuffer, metadata, uploader, timestamp) {
+  generateProvenanceHash(fileData, metadata, uploader, timestamp) {
     const provenanceData = {
-      contentHash: this.generateContentHash(fileBuffer, metadata),
+      contentHash: this.generateContentHash(fileData, metadata),
       uploader,
       timestamp,
       metadata
@@ -46,7 +93,7 @@ class HashService {
 
   /**
    * Generate perceptual hash for image similarity detection
-   * @param {Buffer} imageBuffer - Image buffer
+   * @param {Buffer|string} imageBuffer - Image buffer or file path
    * @returns {Promise<string>} Perceptual hash
    */
   async generatePerceptualHash(imageBuffer) {
@@ -75,6 +122,299 @@ class HashService {
     }
   }
 
+  /**
+   * Load an image as a grayscale pixel grid
+   * @param {Buffer|string} image - Image buffer or file path
+   * @param {number} width - Target width
+   * @param {number} height - Target height
+   * @returns {Promise<Uint8Array>} Row-major grayscale pixels
+   */
+  async loadGrayscale(image, width, height) {
+    const pixels = await sharp(image)
+      .resize(width, height, { fit: 'fill' })
+      .grayscale()
+      .raw()
+      .toBuffer();
+    return new Uint8Array(pixels);
+  }
+
+  /**
+   * Average hash: 8x8 pixels compared with their mean
+   * @param {Buffer|string} image - Image buffer or file path
+   * @returns {Promise<string>} 64-bit hash as hex
+   */
+  async generateAverageHash(image) {
+    const pixels = await this.loadGrayscale(image, HASH_SIZE, HASH_SIZE);
+    const average = pixels.reduce((sum, pixel) => sum + pixel, 0) / pixels.length;
+    return bitsToHex(Array.from(pixels, pixel => (pixel > average ? 1 : 0)));
+  }
+
+  /**
+   * DCT hash: low 8x8 frequencies of a 32x32 DCT compared with their median
+   * @param {Buffer|string} image - Image buffer or file path
+   * @returns {Promise<string>} 64-bit hash as hex
+   */
+  async generateDCTHash(image) {
+    return this.generateDCTHashFromPixels(await this.loadGrayscale(image, PHASH_SIZE, PHASH_SIZE));
+  }
+
+  /**
+   * DCT hash of an already downscaled grayscale frame
+   * @param {Uint8Array|Buffer} pixels - 32x32 row-major grayscale pixels
+   * @returns {string} 64-bit hash as hex
+   */
+  generateDCTHashFromPixels(pixels) {
+    // Separable 2D DCT-II, rows then columns, keeping only the low frequencies
+    const rows = [];
+    for (let y = 0; y < PHASH_SIZE; y++) {
+      rows.push(DCT_BASIS.map(basis => {
+        let sum = 0;
+        for (let x = 0; x < PHASH_SIZE; x++) {
+          sum += pixels[y * PHASH_SIZE + x] * basis[x];
+        }
+        return sum;
+      }));
+    }
+
+    const coefficients = [];
+    for (let v = 0; v < HASH_SIZE; v++) {
+      for (let u = 0; u < HASH_SIZE; u++) {
+        let sum = 0;
+        for (let y = 0; y < PHASH_SIZE; y++) {
+          sum += rows[y][u] * DCT_BASIS[v][y];
+        }
+        coefficients.push(sum);
+      }
+    }
+
+    const threshold = median(coefficients);
+    return bitsToHex(coefficients.map(value => (value > threshold ? 1 : 0)));
+  }
+
+  /**
+   * Difference hash: horizontal gradient direction over a 9x8 grid
+   * @param {Buffer|string} image - Image buffer or file path
+   * @returns {Promise<string>} 64-bit hash as hex
+   */
+  async generateDifferenceHash(image) {
+    const width = HASH_SIZE + 1;
+    const pixels = await this.loadGrayscale(image, width, HASH_SIZE);
+
+    const bits = [];
+    for (let y = 0; y < HASH_SIZE; y++) {
+      for (let x = 0; x < HASH_SIZE; x++) {
+        bits.push(pixels[y * width + x + 1] > pixels[y * width + x] ? 1 : 0);
+      }
+    }
+    return bitsToHex(bits);
+  }
+
+  /**
+   * Wavelet hash: Haar LL band of a 64x64 image, with the global mean (the
+   * deepest LL coefficient) removed, compared with its median
+   * @param {Buffer|string} image - Image buffer or file path
+   * @returns {Promise<string>} 64-bit hash as hex
+   */
+  async generateWaveletHash(image) {
+    const pixels = await this.loadGrayscale(image, WHASH_SIZE, WHASH_SIZE);
+    const mean = pixels.reduce((sum, pixel) => sum + pixel, 0) / pixels.length;
+
+    let size = WHASH_SIZE;
+    let band = Array.from(pixels, pixel => (pixel - mean) / 255);
+    while (size > HASH_SIZE) {
+      const half = size / 2;
+      const next = new Array(half * half);
+      for (let y = 0; y < half; y++) {
+        for (let x = 0; x < half; x++) {
+          const i = 2 * y * size + 2 * x;
+          next[y * half + x] = (band[i] + band[i + 1] + band[i + size] + band[i + size + 1]) / 2;
+        }
+      }
+      band = next;
+      size = half;
+    }
+
+    const threshold = median(band);
+    return bitsToHex(band.map(value => (value > threshold ? 1 : 0)));
+  }
+
+  /**
+   * Generate every perceptual hash for an image
+   * @param {Buffer|string} image - Image buffer or file path
+   * @returns {Promise<Array<Object>>} [{ algorithm, bits, hash }], empty if the image cannot be decoded
+   */
+  async generatePerceptualHashes(image) {
+    try {
+      const [ahash, phash, dhash, whash] = await Promise.all([
+        this.generateAverageHash(image),
+        this.generateDCTHash(image),
+        this.generateDifferenceHash(image),
+        this.generateWaveletHash(image)
+      ]);
+
+      return Object.entries({ ahash, phash, dhash, whash })
+        .map(([algorithm, hash]) => ({ algorithm, bits: hash.length * 4, hash }));
+    } catch (error) {
+      console.error('Error generating perceptual hashes:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Hamming distance between two hex-encoded hashes
+   * @param {string} hash1 - First hash
+   * @param {string} hash2 - Second hash
+   * @returns {number} Number of differing bits
+   */
+  calculateHashDistance(hash1, hash2) {
+    if (hash1.length !== hash2.length) {
+      throw new Error('Hash lengths must be equal');
+    }
+
+    let distance = 0;
+    for (let i = 0; i < hash1.length; i++) {
+      distance += NIBBLE_BITS[parseInt(hash1[i], 16) ^ parseInt(hash2[i], 16)];
+    }
+    return distance;
+  }
+
+  /**
+   * Combine per-algorithm perceptual hash distances into one similarity score
+   * @param {Array<Object>} hashes1 - [{ algorithm, bits, hash }]
+   * @param {Array<Object>} hashes2 - [{ algorithm, bits, hash }]
+   * @returns {Object|null} { score, similar, algorithms }, or null if no algorithm is shared
+   */
+  compareFingerprints(hashes1 = [], hashes2 = []) {
+    const algorithms = [];
+    let weightedSum = 0;
+    let totalWeight = 0;
+
+    for (const entry of hashes1) {
+      const other = hashes2.find(candidate => candidate.algorithm === entry.algorithm);
+      const weight = ALGORITHM_WEIGHTS[entry.algorithm];
+      if (!other || !weight || other.hash.length !== entry.hash.length) continue;
+
+      const distance = this.calculateHashDistance(entry.hash, other.hash);
+      const similarity = 1 - distance / entry.bits;
+      algorithms.push({ algorithm: entry.algorithm, distance, bits: entry.bits, similarity });
+
+      weightedSum += weight * similarity;
+      totalWeight += weight;
+    }
+
+    if (totalWeight === 0) {
+      return null;
+    }
+
+    const score = weightedSum / totalWeight;
+    return {
+      score,
+      similar: score >= this.similarityThreshold,
+      algorithms
+    };
+  }
+
+  /**
+   * Align two temporal (per-frame) video fingerprints, finding the frame offset
+   * at which the query best overlaps the reference. Handles clips, trims and
+   * re-encodes; both fingerprints must be sampled at the same interval.
+   * @param {Object} query - { interval, frames: [hex] } of the file being checked
+   * @param {Object} reference - { interval, frames: [hex] } of a registered asset
+   * @param {Object} options - { maxFrameDistance (bits), minFrames }
+   * @returns {Object|null} Best alignment with matched time ranges in seconds, or null
+   */
+  alignTemporalFingerprints(query, reference, options = {}) {
+    const { maxFrameDistance = 10, minFrames = 3 } = options;
+    if (!query || !reference || query.interval !== reference.interval) {
+      return null;
+    }
+
+    const queryFrames = query.frames;
+    const referenceFrames = reference.frames;
+    if (queryFrames.length === 0 || referenceFrames.length === 0) {
+      return null;
+    }
+
+    // Vote for offsets using a bounded sample of query frames
+    const step = Math.max(1, Math.floor(queryFrames.length / 120));
+    const votes = new Map();
+    for (let i = 0; i < queryFrames.length; i += step) {
+      for (let j = 0; j < referenceFrames.length; j++) {
+        if (this.calculateHashDistance(queryFrames[i], referenceFrames[j]) <= maxFrameDistance) {
+          votes.set(j - i, (votes.get(j - i) || 0) + 1);
+        }
+      }
+    }
+
+    // Score the most voted offsets over their full overlap
+    const offsets = [...votes.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([offset]) => offset);
+
+    let best = null;
+    for (const offset of offsets) {
+      const start = Math.max(0, -offset);
+      const end = Math.min(queryFrames.length, referenceFrames.length - offset);
+      let matched = 0;
+      let firstMatch = -1;
+      let lastMatch = -1;
+
+      for (let i = start; i < end; i++) {
+        if (this.calculateHashDistance(queryFrames[i], referenceFrames[i + offset]) <= maxFrameDistance) {
+          matched++;
+          if (firstMatch === -1) firstMatch = i;
+          lastMatch = i;
+        }
+      }
+
+      const compared = end - start;
+      if (matched < Math.min(minFrames, compared)) continue;
+
+      const score = matched / compared;
+      if (!best || score > best.score || (score === best.score && matched > best.matchedFrames)) {
+        best = { offset, firstMatch, lastMatch, matchedFrames: matched, comparedFrames: compared, score };
+      }
+    }
+
+    if (!best) {
+      return null;
+    }
+
+    const { interval } = query;
+    return {
+      score: best.score,
+      similar: best.score >= this.similarityThreshold,
+      matchedFrames: best.matchedFrames,
+      comparedFrames: best.comparedFrames,
+      offsetSeconds: best.offset * interval,
+      queryRange: {
+        start: best.firstMatch * interval,
+        end: (best.lastMatch + 1) * interval
+      },
+      referenceRange: {
+        start: (best.firstMatch + best.offset) * interval,
+        end: (best.lastMatch + best.offset + 1) * interval
+      }
+    };
+  }
+
+  /**
+   * Convert a legacy binary-string average hash into a tagged hex hash
+   * @param {string} perceptualHash - 64-character string of 0s and 1s
+   * @returns {Object|null} { algorithm: 'ahash', bits, hash }
+   */
+  fromLegacyPerceptualHash(perceptualHash) {
+    if (!perceptualHash || !/^[01]+$/.test(perceptualHash) || perceptualHash.length % 4 !== 0) {
+      return null;
+    }
+    return {
+      algorithm: 'ahash',
+      bits: perceptualHash.length,
+      hash: bitsToHex(Array.from(perceptualHash, bit => Number(bit)))
+    };
+  }
+
   /**
    * Calculate Hamming distance between two perceptual hashes
    * @param {string} hash1 - First perceptual hash
@@ -109,23 +449,28 @@ class HashService {
 
   /**
    * Generate file fingerprint for duplicate detection
-   * @param {Buffer} fileBuffer - File buffer
+   * @param {Buffer|Object} file - File buffer, or a spooled upload { path, size, sha256 }
    * @param {string} mimeType - File MIME type
    * @returns {Promise<Object>} File fingerprint
    */
-  async generateFileFingerprint(fileBuffer, mimeType) {
-    const sha256 = this.generateSHA256(fileBuffer);
+  async generateFileFingerprint(file, mimeType) {
+    const spooled = !Buffer.isBuffer(file);
+    const sha256 = spooled ? file.sha256 : this.generateSHA256(file);
     let perceptualHash = null;
+    let perceptualHashes = [];
 
-    // Generate perceptual hash for images
+    // Generate perceptual hashes for images; sharp decodes spooled files straight from disk
     if (mimeType.startsWith('image/')) {
-      perceptualHash = await this.generatePerceptualHash(fileBuffer);
+      const image = spooled ? file.path : file;
+      perceptualHash = await this.generatePerceptualHash(image);
+      perceptualHashes = await this.generatePerceptualHashes(image);
     }
 
     return {
       sha256,
       perceptualHash,
-      fileSize: fileBuffer.length,
+      perceptualHashes,
+      fileSize: spooled ? file.size : file.length,
       mimeType
     };
   }
@@ -159,31 +504,128 @@ class HashService {
   }
 
   /**
-   * Generate Merkle root for batch verification
-   * @param {Array<string>} hashes - Array of hashes
-   * @returns {string} Merkle root
+   * Hash a Merkle leaf. Leaves and interior nodes are hashed under different
+   * prefixes (0x00 / 0x01, as in RFC 6962) so an interior node can never be
+   * passed off as a leaf.
+   * @param {string} leaf - Hex digest, e.g. an asset's content hash
+   * @returns {string} Leaf hash as hex
    */
-  generateMerkleRoot(hashes) {
-    if (hashes.length === 0) return '';
-    if (hashes.length === 1) return hashes[0];
+  hashMerkleLeaf(leaf) {
+    return createHash('sha256')
+      .update(MERKLE_LEAF_PREFIX)
+      .update(Buffer.from(leaf, 'hex'))
+      .digest('hex');
+  }
 
-    const merkleTree = [];
-    merkleTree.push(hashes);
+  /**
+   * Hash two Merkle child nodes into their parent
+   * @param {string} left - Left child hash as hex
+   * @param {string} right - Right child hash as hex
+   * @returns {string} Parent hash as hex
+   */
+  hashMerkleNode(left, right) {
+    return createHash('sha256')
+      .update(MERKLE_NODE_PREFIX)
+      .update(Buffer.from(left, 'hex'))
+      .update(Buffer.from(right, 'hex'))
+      .digest('hex');
+  }
 
-    let currentLevel = hashes;
+  /**
+   * Build a Merkle tree. An unpaired last node is promoted to the next level
+   * rather than duplicated, giving the same tree shape as RFC 6962.
+   * @param {Array<string>} leaves - Hex digests in batch order
+   * @returns {Object} { root, leafCount, levels }, levels[0] being the leaf hashes
+   */
+  buildMerkleTree(leaves) {
+    if (leaves.length === 0) {
+      return { root: '', leafCount: 0, levels: [] };
+    }
+
+    const levels = [leaves.map(leaf => this.hashMerkleLeaf(leaf))];
+    let currentLevel = levels[0];
     while (currentLevel.length > 1) {
       const nextLevel = [];
       for (let i = 0; i < currentLevel.length; i += 2) {
-        const left = currentLevel[i];
-        const right = i + 1 < currentLevel.length ? currentLevel[i + 1] : left;
-        const combined = left + right;
-        nextLevel.push(crypto.createHash('sha256').update(combined).digest('hex'));
+        nextLevel.push(i + 1 < currentLevel.length
+          ? this.hashMerkleNode(currentLevel[i], currentLevel[i + 1])
+          : currentLevel[i]);
       }
-      merkleTree.push(nextLevel);
+      levels.push(nextLevel);
       currentLevel = nextLevel;
     }
 
-    return currentLevel[0];
+    return { root: currentLevel[0], leafCount: leaves.length, levels };
+  }
+
+  /**
+   * Generate Merkle root for batch verification
+   * @param {Array<string>} hashes - Array of hex digests
+   * @returns {string} Merkle root
+   */
+  generateMerkleRoot(hashes) {
+    return this.buildMerkleTree(hashes).root;
+  }
+
+  /**
+   * Generate the inclusion proof for one leaf of a tree
+   * @param {Object} tree - Tree from buildMerkleTree
+   * @param {number} index - Leaf index
+   * @returns {Object} { index, leafCount, siblings } with siblings ordered leaf to root
+   */
+  generateMerkleProof(tree, index) {
+    if (!Number.isInteger(index) || index < 0 || index >= tree.leafCount) {
+      throw new Error(`Leaf index ${index} is out of range`);
+    }
+
+    const siblings = [];
+    let position = index;
+    for (const level of tree.levels.slice(0, -1)) {
+      const sibling = position % 2 === 1 ? position - 1 : position + 1;
+      // Promoted nodes have no sibling at this level
+      if (sibling < level.length) {
+        siblings.push(level[sibling]);
+      }
+      position = Math.floor(position / 2);
+    }
+
+    return { index, leafCount: tree.leafCount, siblings };
+  }
+
+  /**
+   * Verify a Merkle inclusion proof. Pure: needs nothing but its arguments, so
+   * proofs can be checked offline against a root read from the chain.
+   * @param {string} leaf - Hex digest the proof is for
+   * @param {Object} proof - { index, leafCount, siblings }
+   * @param {string} root - Expected Merkle root as hex
+   * @returns {boolean} Whether the leaf is included under root
+   */
+  verifyMerkleProof(leaf, proof, root) {
+    const { index, leafCount, siblings } = proof || {};
+    if (!Number.isInteger(index) || !Number.isInteger(leafCount) || index < 0 || index >= leafCount
+      || !Array.isArray(siblings)) {
+      return false;
+    }
+
+    let hash = this.hashMerkleLeaf(leaf);
+    let position = index;
+    let lastPosition = leafCount - 1;
+    let next = 0;
+
+    while (lastPosition > 0) {
+      if (position % 2 === 1) {
+        if (next === siblings.length) return false;
+        hash = this.hashMerkleNode(siblings[next++], hash);
+      } else if (position < lastPosition) {
+        if (next === siblings.length) return false;
+        hash = this.hashMerkleNode(hash, siblings[next++]);
+      }
+      // Otherwise this node is unpaired and is promoted unchanged
+      position = Math.floor(position / 2);
+      lastPosition = Math.floor(lastPosition / 2);
+    }
+
+    return next === siblings.length && hash === String(root).toLowerCase().replace(/^0x/, '');
   }
 
   /**
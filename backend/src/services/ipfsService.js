@@ -1,44 +1,78 @@
 const sharp = require('sharp');
 const crypto = require('crypto');
-const fs = require('fs');
-const path = require('path');
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const cidService = require('./cidService');
+const { createStorageDriver } = require('./storage');
+const { getStorageConfig } = require('../config/storage');
 
 class IPFSService {
   constructor() {
-    // Temporarily disable IPFS for development
-    this.ipfs = null;
-    this.storageDir = path.join(__dirname, '../../uploads');
+    this.config = getStorageConfig();
+    this.storage = createStorageDriver(this.config);
     
-    // Ensure storage directory exists
-    if (!fs.existsSync(this.storageDir)) {
-      fs.mkdirSync(this.storageDir, { recursive: true });
-    }
-    
-    console.log('IPFS service initialized (disabled for development)');
-    console.log('Files will be stored locally in:', this.storageDir);
+    console.log(`IPFS service initialized with "${this.storage.name}" storage driver`);
   }
 
-  async uploadFile(fileBuffer, fileName) {
+  async uploadFile(fileBuffer, fileName, mimeType) {
     try {
       // Generate content hash for provenance
       const contentHash = crypto.createHash('sha256').update(fileBuffer).digest('hex');
       
-      // Generate a unique hash for the file
-      const fileHash = crypto.createHash('sha256').update(fileBuffer).digest('hex').substring(0, 44);
-      const mockIpfsHash = `Qm${fileHash}`;
+      // Compute the UnixFS CIDv1 so the identifier can be re-derived from the bytes
+      const ipfsHash = cidService.computeCID(fileBuffer);
       
-      // Store file locally
-      const filePath = path.join(this.storageDir, `${mockIpfsHash}_${fileName}`);
-      fs.writeFileSync(filePath, fileBuffer);
+      const stored = await this.storage.upload(ipfsHash, fileBuffer, { fileName, mimeType });
       
-      console.log(`File stored locally: ${filePath}`);
+      console.log(`File stored: ${stored.location}`);
 
       return {
-        ipfsHash: mockIpfsHash,
+        ipfsHash,
         contentHash,
         fileName,
         size: fileBuffer.length,
-        localPath: filePath
+        location: stored.location
+      };
+    } catch (error) {
+      console.error('IPFS upload error:', error);
+      throw new Error('Failed to upload file to IPFS');
+    }
+  }
+
+  /**
+   * Upload a file from disk without loading it into memory
+   * @param {string} filePath - Path of the file to upload
+   * @param {string} fileName - Original file name
+   * @param {string} mimeType - File MIME type
+   * @param {Object} digests - Precomputed { ipfsHash, contentHash }, e.g. from spoolStorage
+   * @returns {Promise<Object>} Upload result, as for uploadFile
+   */
+  async uploadFileFromPath(filePath, fileName, mimeType, digests = {}) {
+    try {
+      let { ipfsHash, contentHash } = digests;
+
+      if (!ipfsHash || !contentHash) {
+        const hasher = crypto.createHash('sha256');
+        const cidBuilder = cidService.createFileBuilder();
+        for await (const chunk of createReadStream(filePath)) {
+          hasher.update(chunk);
+          cidBuilder.update(chunk);
+        }
+        ipfsHash = cidBuilder.digest().cid;
+        contentHash = hasher.digest('hex');
+      }
+
+      const { size } = await fs.stat(filePath);
+      const stored = await this.storage.uploadFromPath(ipfsHash, filePath, { fileName, mimeType, size });
+
+      console.log(`File stored: ${stored.location}`);
+
+      return {
+        ipfsHash,
+        contentHash,
+        fileName,
+        size,
+        location: stored.location
       };
     } catch (error) {
       console.error('IPFS upload error:', error);
@@ -94,10 +128,10 @@ class IPFSService {
   async uploadMetadata(metadata) {
     try {
       const metadataBuffer = Buffer.from(JSON.stringify(metadata, null, 2));
-      const mockIpfsHash = `Qm${crypto.createHash('sha256').update(metadataBuffer).digest('hex').substring(0, 44)}`;
+      const uploadResult = await this.uploadFile(metadataBuffer, 'metadata.json', 'application/json');
 
       return {
-        ipfsHash: mockIpfsHash,
+        ipfsHash: uploadResult.ipfsHash,
         metadata
       };
     } catch (error) {
@@ -107,25 +141,46 @@ class IPFSService {
   }
 
   async getFile(ipfsHash) {
+    let fileBuffer;
     try {
-      // For development, try to find the file locally
       console.log(`Looking for file with hash: ${ipfsHash}`);
-      
-      const files = fs.readdirSync(this.storageDir);
-      const targetFile = files.find(file => file.startsWith(ipfsHash));
-      
-      if (targetFile) {
-        const filePath = path.join(this.storageDir, targetFile);
-        console.log(`Found file locally: ${filePath}`);
-        return fs.readFileSync(filePath);
-      } else {
-        console.log(`File not found locally for hash: ${ipfsHash}`);
-        return Buffer.from('File not found');
-      }
+      fileBuffer = await this.storage.get(ipfsHash);
     } catch (error) {
       console.error('IPFS retrieval error:', error);
       throw new Error('Failed to retrieve file from IPFS');
     }
+
+    if (!fileBuffer) {
+      throw this.notFoundError(ipfsHash);
+    }
+    return fileBuffer;
+  }
+
+  /**
+   * Open a stream over a stored file
+   * @param {string} ipfsHash - CID of the file
+   * @param {Object} range - Optional inclusive byte range { start, end }
+   * @returns {Promise<Readable>} File stream
+   */
+  async getFileStream(ipfsHash, range = {}) {
+    let stream;
+    try {
+      stream = await this.storage.createReadStream(ipfsHash, range);
+    } catch (error) {
+      console.error('IPFS stream error:', error);
+      throw new Error('Failed to retrieve file from IPFS');
+    }
+
+    if (!stream) {
+      throw this.notFoundError(ipfsHash);
+    }
+    return stream;
+  }
+
+  notFoundError(ipfsHash) {
+    const error = new Error(`File not found in ${this.storage.name} storage: ${ipfsHash}`);
+    error.statusCode = 404;
+    return error;
   }
 
   async getMetadata(ipfsHash) {
@@ -140,9 +195,7 @@ class IPFSService {
 
   async pinFile(ipfsHash) {
     try {
-      // For development, just return success
-      console.log(`Mock IPFS pin file: ${ipfsHash}`);
-      return true;
+      return await this.storage.pin(ipfsHash);
     } catch (error) {
       console.error('IPFS pin error:', error);
       throw new Error('Failed to pin file to IPFS');
@@ -151,15 +204,31 @@ class IPFSService {
 
   async unpinFile(ipfsHash) {
     try {
-      // For development, just return success
-      console.log(`Mock IPFS unpin file: ${ipfsHash}`);
-      return true;
+      return await this.storage.unpin(ipfsHash);
     } catch (error) {
       console.error('IPFS unpin error:', error);
       throw new Error('Failed to unpin file from IPFS');
     }
   }
 
+  async statFile(ipfsHash) {
+    try {
+      return await this.storage.stat(ipfsHash);
+    } catch (error) {
+      console.error('IPFS stat error:', error);
+      throw new Error('Failed to stat file on IPFS');
+    }
+  }
+
+  async listFiles() {
+    try {
+      return await this.storage.list();
+    } catch (error) {
+      console.error('IPFS list error:', error);
+      throw new Error('Failed to list files on IPFS');
+    }
+  }
+
   getGatewayUrl(ipfsHash) {
     const gateway = process.env.IPFS_GATEWAY || 'https://ipfs.io';
     return `${gateway}/ipfs/${ipfsHash}`;
@@ -167,20 +236,18 @@ class IPFSService {
 
   async checkFileExists(ipfsHash) {
     try {
-      // For development, always return true
-      console.log(`Mock IPFS check file exists: ${ipfsHash}`);
-      return true;
+      return (await this.storage.stat(ipfsHash)) !== null;
     } catch (error) {
       return false;
     }
   }
 
-  generateProvenanceHash(fileBuffer, metadata) {
-    const combinedData = Buffer.concat([
-      fileBuffer,
-      Buffer.from(JSON.stringify(metadata))
-    ]);
-    return crypto.createHash('sha256').update(combinedData).digest('hex');
+  generateProvenanceHash(fileData, metadata) {
+    // fileData is a Buffer or the running SHA-256 Hash of a spooled upload
+    const hash = Buffer.isBuffer(fileData)
+      ? crypto.createHash('sha256').update(fileData)
+      : fileData.copy();
+    return hash.update(Buffer.from(JSON.stringify(metadata))).digest('hex');
   }
 }
 
@@ -4,17 +4,53 @@ const { promisify } = require('util');
 const exifReader = require('exifreader');
 const path = require('path');
 const fs = require('fs').promises;
+const crypto = require('crypto');
+const hashService = require('./hashService');
+const audioFingerprintService = require('./audioFingerprintService');
+
+// EXIF lives in the image header, so spooled files only need their first bytes read
+const EXIF_HEADER_BYTES = 256 * 1024;
+
+// Sampled video frames are downscaled to the pHash input size before hashing
+const FRAME_SIZE = 32;
+const FRAME_BYTES = FRAME_SIZE * FRAME_SIZE;
+const MAX_FINGERPRINT_FRAMES = 7200;
+
+// Longer recordings are fingerprinted over their opening half hour
+const MAX_AUDIO_FINGERPRINT_SECONDS = 30 * 60;
 
 class MultimediaService {
   constructor() {
     this.supportedImageTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/bmp', 'image/tiff'];
     this.supportedVideoTypes = ['video/mp4', 'video/avi', 'video/mov', 'video/wmv', 'video/flv', 'video/webm'];
     this.supportedAudioTypes = ['audio/mpeg', 'audio/wav', 'audio/flac', 'audio/ogg', 'audio/aac', 'audio/mp3'];
+    this.videoFingerprintInterval = parseFloat(process.env.VIDEO_FINGERPRINT_INTERVAL || '1'); // seconds
+  }
+
+  /**
+   * Run fn against a file path, writing buffers to a temporary file first
+   * @param {Buffer|string} input - File buffer or path of a file already on disk
+   * @param {string} extension - Extension for the temporary file
+   * @param {Function} fn - Async callback receiving the file path
+   * @returns {Promise<*>} Result of fn
+   */
+  async withFilePath(input, extension, fn) {
+    if (typeof input === 'string') {
+      return fn(input);
+    }
+
+    const tempPath = `/tmp/media_${crypto.randomUUID()}.${extension}`;
+    await fs.writeFile(tempPath, input);
+    try {
+      return await fn(tempPath);
+    } finally {
+      fs.unlink(tempPath).catch(() => {}); // Clean up temp file
+    }
   }
 
   /**
    * Process and analyze multimedia file
-   * @param {Buffer} fileBuffer - File buffer
+   * @param {Buffer|string} fileBuffer - File buffer or path of a spooled upload
    * @param {string} mimeType - File MIME type
    * @param {string} originalName - Original filename
    * @returns {Promise<Object>} Processed file information
@@ -23,7 +59,7 @@ class MultimediaService {
     const result = {
       originalName,
       mimeType,
-      fileSize: fileBuffer.length,
+      fileSize: typeof fileBuffer === 'string' ? (await fs.stat(fileBuffer)).size : fileBuffer.length,
       dimensions: null,
       duration: null,
       bitrate: null,
@@ -51,6 +87,7 @@ class MultimediaService {
         result.frameRate = videoInfo.frameRate;
         result.codec = videoInfo.codec;
         result.thumbnail = await this.generateVideoThumbnail(fileBuffer);
+        result.videoFingerprint = await this.generateVideoFingerprint(fileBuffer);
       }
 
       // Process audio files
@@ -59,6 +96,7 @@ class MultimediaService {
         result.duration = audioInfo.duration;
         result.bitrate = audioInfo.bitrate;
         result.codec = audioInfo.codec;
+        result.audioFingerprint = await this.generateAudioFingerprint(fileBuffer);
       }
 
     } catch (error) {
@@ -72,7 +110,7 @@ class MultimediaService {
 
   /**
    * Extract EXIF data from image
-   * @param {Buffer} imageBuffer - Image buffer
+   * @param {Buffer|string} imageBuffer - Image buffer or file path
    * @returns {Promise<Object>} EXIF data
    */
   async extractExifData(imageBuffer) {
@@ -83,7 +121,9 @@ class MultimediaService {
         return null;
       }
       
-      const tags = exifReader(imageBuffer);
+      const tags = exifReader(typeof imageBuffer === 'string'
+        ? await this.readHeader(imageBuffer, EXIF_HEADER_BYTES)
+        : imageBuffer);
       return this.sanitizeExifData(tags);
     } catch (error) {
       console.error('Error extracting EXIF data:', error);
@@ -91,6 +131,22 @@ class MultimediaService {
     }
   }
 
+  /**
+   * Read the first bytes of a file
+   * @param {string} filePath - File path
+   * @param {number} length - Maximum number of bytes to read
+   * @returns {Promise<Buffer>} File header
+   */
+  async readHeader(filePath, length) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+
   /**
    * Sanitize EXIF data to remove sensitive information
    * @param {Object} exifData - Raw EXIF data
@@ -115,7 +171,7 @@ class MultimediaService {
 
   /**
    * Get image dimensions
-   * @param {Buffer} imageBuffer - Image buffer
+   * @param {Buffer|string} imageBuffer - Image buffer or file path
    * @returns {Promise<Object>} Image dimensions
    */
   async getImageDimensions(imageBuffer) {
@@ -133,7 +189,7 @@ class MultimediaService {
 
   /**
    * Generate thumbnail for image
-   * @param {Buffer} imageBuffer - Image buffer
+   * @param {Buffer|string} imageBuffer - Image buffer or file path
    * @returns {Promise<Buffer>} Thumbnail buffer
    */
   async generateThumbnail(imageBuffer) {
@@ -150,116 +206,173 @@ class MultimediaService {
 
   /**
    * Get video information
-   * @param {Buffer} videoBuffer - Video buffer
+   * @param {Buffer|string} videoBuffer - Video buffer or file path
    * @returns {Promise<Object>} Video information
    */
   async getVideoInfo(videoBuffer) {
-    return new Promise((resolve, reject) => {
-      // Create temporary file for ffmpeg
-      const tempPath = `/tmp/video_${Date.now()}.mp4`;
-      
-      fs.writeFile(tempPath, videoBuffer)
-        .then(() => {
-          ffmpeg.ffprobe(tempPath, (err, metadata) => {
-            fs.unlink(tempPath).catch(() => {}); // Clean up temp file
-            
-            if (err) {
-              reject(err);
-              return;
-            }
-
-            const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
-            const audioStream = metadata.streams.find(stream => stream.codec_type === 'audio');
-
-            resolve({
-              dimensions: videoStream ? {
-                width: videoStream.width,
-                height: videoStream.height
-              } : null,
-              duration: metadata.format.duration ? parseFloat(metadata.format.duration) : null,
-              bitrate: metadata.format.bit_rate ? parseInt(metadata.format.bit_rate) : null,
-              frameRate: videoStream && videoStream.r_frame_rate ? 
-                this.parseFrameRate(videoStream.r_frame_rate) : null,
-              codec: videoStream ? videoStream.codec_name : null,
-              audioCodec: audioStream ? audioStream.codec_name : null
-            });
-          });
-        })
-        .catch(reject);
-    });
+    return this.withFilePath(videoBuffer, 'mp4', (videoPath) => new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(videoPath, (err, metadata) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
+        const audioStream = metadata.streams.find(stream => stream.codec_type === 'audio');
+
+        resolve({
+          dimensions: videoStream ? {
+            width: videoStream.width,
+            height: videoStream.height
+          } : null,
+          duration: metadata.format.duration ? parseFloat(metadata.format.duration) : null,
+          bitrate: metadata.format.bit_rate ? parseInt(metadata.format.bit_rate) : null,
+          frameRate: videoStream && videoStream.r_frame_rate ? 
+            this.parseFrameRate(videoStream.r_frame_rate) : null,
+          codec: videoStream ? videoStream.codec_name : null,
+          audioCodec: audioStream ? audioStream.codec_name : null
+        });
+      });
+    }));
   }
 
   /**
    * Generate video thumbnail
-   * @param {Buffer} videoBuffer - Video buffer
+   * @param {Buffer|string} videoBuffer - Video buffer or file path
    * @returns {Promise<Buffer>} Thumbnail buffer
    */
   async generateVideoThumbnail(videoBuffer) {
-    return new Promise((resolve, reject) => {
-      const tempPath = `/tmp/video_${Date.now()}.mp4`;
-      const thumbnailPath = `/tmp/thumb_${Date.now()}.jpg`;
-      
-      fs.writeFile(tempPath, videoBuffer)
-        .then(() => {
-          ffmpeg(tempPath)
-            .screenshots({
-              timestamps: ['50%'],
-              filename: path.basename(thumbnailPath),
-              folder: path.dirname(thumbnailPath),
-              size: '300x300'
-            })
-            .on('end', async () => {
-              try {
-                const thumbnailBuffer = await fs.readFile(thumbnailPath);
-                await fs.unlink(tempPath);
-                await fs.unlink(thumbnailPath);
-                resolve(thumbnailBuffer);
-              } catch (error) {
-                reject(error);
-              }
-            })
-            .on('error', (err) => {
-              fs.unlink(tempPath).catch(() => {});
-              fs.unlink(thumbnailPath).catch(() => {});
-              reject(err);
-            });
+    return this.withFilePath(videoBuffer, 'mp4', (videoPath) => new Promise((resolve, reject) => {
+      const thumbnailPath = `/tmp/thumb_${crypto.randomUUID()}.jpg`;
+
+      ffmpeg(videoPath)
+        .screenshots({
+          timestamps: ['50%'],
+          filename: path.basename(thumbnailPath),
+          folder: path.dirname(thumbnailPath),
+          size: '300x300'
         })
-        .catch(reject);
-    });
+        .on('end', async () => {
+          try {
+            const thumbnailBuffer = await fs.readFile(thumbnailPath);
+            await fs.unlink(thumbnailPath);
+            resolve(thumbnailBuffer);
+          } catch (error) {
+            reject(error);
+          }
+        })
+        .on('error', (err) => {
+          fs.unlink(thumbnailPath).catch(() => {});
+          reject(err);
+        });
+    }));
+  }
+
+  /**
+   * Generate a temporal fingerprint from frames sampled at a fixed interval.
+   * Fixed sampling (rather than scene-change detection) keeps frame indexes
+   * proportional to time, so a clip or re-encode lines up with the original
+   * at a constant offset.
+   * @param {Buffer|string} videoBuffer - Video buffer or file path
+   * @returns {Promise<Object|null>} { algorithm, interval, frames: [hex] }, or null if frames could not be extracted
+   */
+  async generateVideoFingerprint(videoBuffer) {
+    const interval = this.videoFingerprintInterval;
+
+    try {
+      const frames = await this.withFilePath(videoBuffer, 'mp4', (videoPath) => new Promise((resolve, reject) => {
+        const chunks = [];
+
+        const output = ffmpeg(videoPath)
+          .noAudio()
+          .videoFilters([
+            `fps=1/${interval}`,
+            `scale=${FRAME_SIZE}:${FRAME_SIZE}:flags=area`,
+            'format=gray'
+          ])
+          .outputOptions(['-frames:v', String(MAX_FINGERPRINT_FRAMES)])
+          .format('rawvideo')
+          .on('error', reject)
+          .pipe();
+
+        output.on('data', chunk => chunks.push(chunk));
+        output.on('end', () => resolve(Buffer.concat(chunks)));
+        output.on('error', reject);
+      }));
+
+      const hashes = [];
+      for (let offset = 0; offset + FRAME_BYTES <= frames.length; offset += FRAME_BYTES) {
+        hashes.push(hashService.generateDCTHashFromPixels(frames.subarray(offset, offset + FRAME_BYTES)));
+      }
+
+      return hashes.length > 0 ? { algorithm: 'phash', interval, frames: hashes } : null;
+    } catch (error) {
+      console.error('Error generating video fingerprint:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Generate an acoustic fingerprint from the decoded audio track
+   * @param {Buffer|string} audioBuffer - Audio buffer or file path
+   * @returns {Promise<Object|null>} Landmark fingerprint, or null if the audio could not be decoded
+   */
+  async generateAudioFingerprint(audioBuffer) {
+    try {
+      const pcm = await this.withFilePath(audioBuffer, 'mp3', (audioPath) => new Promise((resolve, reject) => {
+        const chunks = [];
+
+        const output = ffmpeg(audioPath)
+          .noVideo()
+          .audioChannels(1)
+          .audioFrequency(audioFingerprintService.sampleRate)
+          .duration(MAX_AUDIO_FINGERPRINT_SECONDS)
+          .format('s16le')
+          .on('error', reject)
+          .pipe();
+
+        output.on('data', chunk => chunks.push(chunk));
+        output.on('end', () => resolve(Buffer.concat(chunks)));
+        output.on('error', reject);
+      }));
+
+      const samples = new Float32Array(pcm.length >> 1);
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = pcm.readInt16LE(i * 2) / 32768;
+      }
+
+      const fingerprint = audioFingerprintService.generateFingerprint(samples);
+      return fingerprint.landmarks.length > 0 ? fingerprint : null;
+    } catch (error) {
+      console.error('Error generating audio fingerprint:', error);
+      return null;
+    }
   }
 
   /**
    * Get audio information
-   * @param {Buffer} audioBuffer - Audio buffer
+   * @param {Buffer|string} audioBuffer - Audio buffer or file path
    * @returns {Promise<Object>} Audio information
    */
   async getAudioInfo(audioBuffer) {
-    return new Promise((resolve, reject) => {
-      const tempPath = `/tmp/audio_${Date.now()}.mp3`;
-      
-      fs.writeFile(tempPath, audioBuffer)
-        .then(() => {
-          ffmpeg.ffprobe(tempPath, (err, metadata) => {
-            fs.unlink(tempPath).catch(() => {});
-            
-            if (err) {
-              reject(err);
-              return;
-            }
-
-            const audioStream = metadata.streams.find(stream => stream.codec_type === 'audio');
-
-            resolve({
-              duration: metadata.format.duration ? parseFloat(metadata.format.duration) : null,
-              bitrate: metadata.format.bit_rate ? parseInt(metadata.format.bit_rate) : null,
-              codec: audioStream ? audioStream.codec_name : null,
-              sampleRate: audioStream ? audioStream.sample_rate : null,
-              channels: audioStream ? audioStream.channels : null
-            });
-          });
-        })
-        .catch(reject);
-    });
+    return this.withFilePath(audioBuffer, 'mp3', (audioPath) => new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(audioPath, (err, metadata) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        const audioStream = metadata.streams.find(stream => stream.codec_type === 'audio');
+
+        resolve({
+          duration: metadata.format.duration ? parseFloat(metadata.format.duration) : null,
+          bitrate: metadata.format.bit_rate ? parseInt(metadata.format.bit_rate) : null,
+          codec: audioStream ? audioStream.codec_name : null,
+          sampleRate: audioStream ? audioStream.sample_rate : null,
+          channels: audioStream ? audioStream.channels : null
+        });
+      });
+    }));
   }
 
   /**
@@ -302,9 +415,9 @@ class MultimediaService {
 
   /**
    * Optimize image for web
-   * @param {Buffer} imageBuffer - Image buffer
+   * @param {Buffer|string} imageBuffer - Image buffer or file path
    * @param {Object} options - Optimization options
-   * @returns {Promise<Buffer>} Optimized image buffer
+   * @returns {Promise<Buffer|string>} Optimized image buffer, or the input unchanged if optimization fails
    */
   async optimizeImage(imageBuffer, options = {}) {
     const {
@@ -0,0 +1,135 @@
+const ChainEvent = require('../models/ChainEvent');
+const TokenOwnership = require('../models/TokenOwnership');
+const chainIndexerService = require('./chainIndexerService');
+const { BlockchainUnavailableError } = require('./blockchain/errors');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const lower = address => (address ? address.toLowerCase() : address);
+
+/**
+ * Who holds an asset's token, and so who may change the asset.
+ *
+ * Tokens are minted to the backend signer, which holds them on the
+ * uploader's behalf until they are transferred out. While the signer holds a
+ * token its uploader may edit the asset; once it is transferred only the
+ * current ownerOf may.
+ */
+class OwnershipService {
+  /**
+   * Current holder of an asset's token. ownerOf is read live, since the
+   * indexer lags the chain by the network's confirmations; the indexed owner
+   * is only used while the node is unavailable.
+   * @param {Object} chain - blockchainService of the asset's network
+   * @param {Object} asset - Asset document
+   * @returns {Promise<Object>} { owner, custodial, source, signer }
+   */
+  async getOwner(chain, asset) {
+    // Saved without a real mint, so there is no token to hold yet
+    if (chain.simulated || asset.transactionHash === 'simulated' || asset.blockNumber === 0) {
+      return { owner: null, custodial: true, source: 'simulated', signer: null };
+    }
+
+    let owner;
+    let source = 'chain';
+    try {
+      owner = await chain.getOwner(asset.tokenId);
+    } catch (error) {
+      if (!(error instanceof BlockchainUnavailableError)) throw error;
+
+      const indexed = await TokenOwnership.findOne({
+        network: chain.network,
+        contractAddress: { $in: [chain.contracts.multimediaNFT, asset.contractAddress].filter(Boolean) },
+        tokenId: asset.tokenId
+      });
+      if (!indexed) throw error;
+      owner = indexed.owner || null;
+      source = 'indexer';
+    }
+
+    const signer = chain.getSignerAddress();
+    return { owner, custodial: owner !== null && owner === signer, source, signer };
+  }
+
+  /**
+   * Whether an address may edit the asset and its license
+   * @param {Object} ownership - Result of getOwner
+   * @param {Object} asset - Asset document
+   * @param {string} address - Authenticated wallet address
+   * @returns {boolean}
+   */
+  isAuthorized(ownership, asset, address) {
+    const user = lower(address);
+    if (ownership.custodial) {
+      return lower(asset.uploader) === user;
+    }
+    return ownership.owner !== null && ownership.owner === user;
+  }
+
+  /**
+   * Explain a refusal from isAuthorized
+   * @param {Object} ownership - Result of getOwner
+   * @param {Object} asset - Asset document
+   * @returns {string} Message naming who may change the asset
+   */
+  describeDenial(ownership, asset) {
+    const token = `Token ${asset.tokenId} on ${asset.network}`;
+    if (ownership.custodial) {
+      return `${token} is held by the platform for its uploader ${asset.uploader}; only the uploader can change it`;
+    }
+    if (ownership.owner === null) {
+      return `${token} has been burned and can no longer be changed`;
+    }
+    return `${token} is owned by ${ownership.owner}; only its current owner can change it`;
+  }
+
+  /**
+   * Transfers of an asset's token, mint and burn included. Indexed events
+   * are used once the network's indexer has passed the mint; otherwise the
+   * node is queried.
+   * @param {Object} chain - blockchainService of the asset's network
+   * @param {Object} asset - Asset document
+   * @returns {Promise<Object>} { source, transfers: [{ type, from, to, blockNumber, transactionHash }] }
+   */
+  async getHistory(chain, asset) {
+    if (chain.simulated || asset.transactionHash === 'simulated' || asset.blockNumber === 0) {
+      return { source: 'simulated', transfers: [] };
+    }
+
+    const indexer = chainIndexerService.getIndexer(chain.network);
+    const { lastBlock } = indexer.getStatus();
+    let source;
+    let transfers;
+    if (indexer.isRunning() && lastBlock !== null && lastBlock >= (asset.blockNumber || 0)) {
+      const events = await ChainEvent.findForToken(chain.network, 'MultimediaNFT', asset.tokenId);
+      source = 'indexer';
+      transfers = events
+        .filter(event => event.name === 'Transfer')
+        .map(event => ({
+          from: lower(event.args.from),
+          to: lower(event.args.to),
+          blockNumber: event.blockNumber,
+          transactionHash: event.transactionHash
+        }));
+    } else {
+      // Nothing happens to the token before its mint, so skip the blocks before it
+      source = 'chain';
+      transfers = (await chain.getTransfers(asset.tokenId, asset.blockNumber)).map(({ from, to, blockNumber, transactionHash }) => ({
+        from,
+        to,
+        blockNumber,
+        transactionHash
+      }));
+    }
+
+    return {
+      source,
+      transfers: transfers.map(transfer => ({
+        type: transfer.from === ZERO_ADDRESS ? 'mint' : transfer.to === ZERO_ADDRESS ? 'burn' : 'transfer',
+        ...transfer
+      }))
+    };
+  }
+}
+
+module.exports = new OwnershipService();
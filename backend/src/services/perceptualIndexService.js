@@ -0,0 +1,293 @@
+const Asset = require('../models/Asset');
+const hashService = require('./hashService');
+const audioFingerprintService = require('./audioFingerprintService');
+
+const DEFAULT_MAX_DISTANCE = 12;
+const DEFAULT_LIMIT = 20;
+const DEFAULT_FRAME_DISTANCE = 10;
+const MAX_QUERY_FRAMES = 240;
+const MIN_LANDMARK_HITS = 5;
+
+// Blank frames (fades, black leaders) hash identically in every video
+const FLAT_FRAME_HASH = hashService.generateDCTHashFromPixels(new Uint8Array(32 * 32));
+
+/**
+ * Burkhard-Keller tree over hex hashes under Hamming distance. Each node's
+ * children are keyed by their distance to it, so by the triangle inequality a
+ * search only descends into edges within maxDistance of the query distance.
+ */
+class BKTree {
+  constructor() {
+    this.root = null;
+    this.size = 0;
+  }
+
+  createNode(hash, value) {
+    this.size++;
+    return { hash, values: new Set([value]), children: new Map() };
+  }
+
+  add(hash, value) {
+    if (!this.root) {
+      this.root = this.createNode(hash, value);
+      return;
+    }
+
+    let node = this.root;
+    for (;;) {
+      const distance = hashService.calculateHashDistance(hash, node.hash);
+      if (distance === 0) {
+        node.values.add(value);
+        return;
+      }
+
+      const child = node.children.get(distance);
+      if (!child) {
+        node.children.set(distance, this.createNode(hash, value));
+        return;
+      }
+      node = child;
+    }
+  }
+
+  search(hash, maxDistance) {
+    const results = [];
+    const stack = this.root ? [this.root] : [];
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const distance = hashService.calculateHashDistance(hash, node.hash);
+      if (distance <= maxDistance) {
+        results.push({ distance, values: node.values });
+      }
+
+      for (const [edge, child] of node.children) {
+        if (edge >= distance - maxDistance && edge <= distance + maxDistance) {
+          stack.push(child);
+        }
+      }
+    }
+
+    return results;
+  }
+}
+
+/**
+ * Nearest-neighbour index over asset perceptual hashes, one BK-tree per
+ * algorithm, plus a tree of sampled video frames and an inverted index of
+ * audio landmarks. Built from the database on first use and kept current as
+ * assets are registered.
+ */
+class PerceptualIndexService {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Drop everything so the index is rebuilt from the database on next use,
+   * e.g. after reconciliation has re-minted assets
+   */
+  reset() {
+    this.trees = new Map();
+    this.entries = new Map();
+    this.frameTree = new BKTree();
+    this.videoEntries = new Map();
+    this.landmarks = new Map();
+    this.audioEntries = new Map();
+    this.loading = null;
+  }
+
+  /**
+   * Load every hashed asset into the index once
+   * @returns {Promise<void>}
+   */
+  async ensureLoaded() {
+    if (!this.loading) {
+      this.loading = this.load().catch((error) => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async load() {
+    // Assets join the index once their mint is mined and they have a token
+    // ID; entries are keyed by asset ID since token IDs repeat across chains
+    const assets = await Asset.find({
+      tokenId: { $exists: true },
+      $or: [
+        { 'perceptualHashes.0': { $exists: true } },
+        { perceptualHash: { $exists: true, $nin: [null, ''] } },
+        { 'videoFingerprint.frames.0': { $exists: true } },
+        { 'audioFingerprint.landmarks': { $exists: true } }
+      ]
+    }).select('tokenId perceptualHash perceptualHashes videoFingerprint audioFingerprint');
+
+    assets.forEach((asset) => {
+      this.index(asset.id, asset.getPerceptualHashes());
+      this.indexVideo(asset.id, asset.videoFingerprint);
+      this.indexAudio(asset.id, asset.audioFingerprint);
+    });
+    console.log(`Perceptual index loaded with ${this.entries.size} assets, ${this.videoEntries.size} videos and ${this.audioEntries.size} recordings`);
+  }
+
+  index(assetId, hashes) {
+    if (hashes.length === 0 || this.entries.has(assetId)) return;
+
+    this.entries.set(assetId, hashes);
+    for (const { algorithm, hash } of hashes) {
+      if (!this.trees.has(algorithm)) {
+        this.trees.set(algorithm, new BKTree());
+      }
+      this.trees.get(algorithm).add(hash, assetId);
+    }
+  }
+
+  indexVideo(assetId, fingerprint) {
+    if (!fingerprint || !fingerprint.frames || fingerprint.frames.length === 0) return;
+    if (this.videoEntries.has(assetId)) return;
+
+    this.videoEntries.set(assetId, fingerprint);
+    for (const hash of new Set(fingerprint.frames)) {
+      if (hash !== FLAT_FRAME_HASH) {
+        this.frameTree.add(hash, assetId);
+      }
+    }
+  }
+
+  indexAudio(assetId, fingerprint) {
+    if (!fingerprint || !fingerprint.landmarks || this.audioEntries.has(assetId)) return;
+
+    this.audioEntries.set(assetId, fingerprint);
+    for (const [hash] of audioFingerprintService.decodeLandmarks(fingerprint)) {
+      if (!this.landmarks.has(hash)) {
+        this.landmarks.set(hash, new Set());
+      }
+      this.landmarks.get(hash).add(assetId);
+    }
+  }
+
+  /**
+   * Add a newly registered asset
+   * @param {Object} asset - Asset document
+   */
+  async addAsset(asset) {
+    await this.ensureLoaded();
+    this.index(asset.id, asset.getPerceptualHashes());
+    this.indexVideo(asset.id, asset.videoFingerprint);
+    this.indexAudio(asset.id, asset.audioFingerprint);
+  }
+
+  /**
+   * Find assets whose perceptual hashes are near the given ones
+   * @param {Array<Object>} hashes - Query hashes [{ algorithm, bits, hash }]
+   * @param {Object} options - { maxDistance (bits, per algorithm), limit }
+   * @returns {Promise<Array<Object>>} [{ assetId, distance, score, similar, algorithms }], best first
+   */
+  async search(hashes, options = {}) {
+    const { maxDistance = DEFAULT_MAX_DISTANCE, limit = DEFAULT_LIMIT } = options;
+    await this.ensureLoaded();
+
+    // Candidates are assets within maxDistance under any shared algorithm
+    const candidates = new Map();
+    for (const { algorithm, hash } of hashes) {
+      const tree = this.trees.get(algorithm);
+      if (!tree) continue;
+
+      for (const { distance, values } of tree.search(hash, maxDistance)) {
+        for (const assetId of values) {
+          const best = candidates.get(assetId);
+          candidates.set(assetId, best === undefined ? distance : Math.min(best, distance));
+        }
+      }
+    }
+
+    const results = [];
+    for (const [assetId, distance] of candidates) {
+      const comparison = hashService.compareFingerprints(hashes, this.entries.get(assetId));
+      if (comparison) {
+        results.push({ assetId, distance, ...comparison });
+      }
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score || a.distance - b.distance)
+      .slice(0, limit);
+  }
+
+  /**
+   * Find videos that share footage with the given temporal fingerprint, aligned
+   * to report where in each video the match lies
+   * @param {Object} fingerprint - Query fingerprint { interval, frames: [hex] }
+   * @param {Object} options - { maxFrameDistance (bits), limit }
+   * @returns {Promise<Array<Object>>} [{ assetId, alignment }], best first
+   */
+  async searchVideo(fingerprint, options = {}) {
+    const { maxFrameDistance = DEFAULT_FRAME_DISTANCE, limit = DEFAULT_LIMIT } = options;
+    await this.ensureLoaded();
+
+    // Candidates are videos containing any of a bounded sample of query frames
+    const frames = fingerprint.frames.filter(hash => hash !== FLAT_FRAME_HASH);
+    const step = Math.max(1, Math.floor(frames.length / MAX_QUERY_FRAMES));
+    const hits = new Map();
+    for (let i = 0; i < frames.length; i += step) {
+      const matched = new Set();
+      for (const { values } of this.frameTree.search(frames[i], maxFrameDistance)) {
+        values.forEach(assetId => matched.add(assetId));
+      }
+      matched.forEach(assetId => hits.set(assetId, (hits.get(assetId) || 0) + 1));
+    }
+
+    const results = [];
+    for (const [assetId] of [...hits.entries()].sort((a, b) => b[1] - a[1]).slice(0, limit)) {
+      const alignment = hashService.alignTemporalFingerprints(fingerprint, this.videoEntries.get(assetId), {
+        maxFrameDistance
+      });
+      if (alignment) {
+        results.push({ assetId, alignment });
+      }
+    }
+
+    return results.sort((a, b) => b.alignment.score - a.alignment.score
+      || b.alignment.matchedFrames - a.alignment.matchedFrames);
+  }
+
+  /**
+   * Find recordings that share audio with the given acoustic fingerprint,
+   * aligned to report where in each recording the match lies
+   * @param {Object} fingerprint - Query landmark fingerprint
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array<Object>>} [{ assetId, alignment }], best first
+   */
+  async searchAudio(fingerprint, options = {}) {
+    const { limit = DEFAULT_LIMIT } = options;
+    await this.ensureLoaded();
+
+    // Candidates are recordings sharing several landmark hashes with the query
+    const hits = new Map();
+    for (const [hash] of audioFingerprintService.decodeLandmarks(fingerprint)) {
+      for (const assetId of this.landmarks.get(hash) || []) {
+        hits.set(assetId, (hits.get(assetId) || 0) + 1);
+      }
+    }
+
+    const results = [];
+    const candidates = [...hits.entries()]
+      .filter(([, count]) => count >= MIN_LANDMARK_HITS)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit);
+    for (const [assetId] of candidates) {
+      // Unrelated recordings always share a few landmarks by chance
+      const alignment = audioFingerprintService.matchFingerprints(fingerprint, this.audioEntries.get(assetId));
+      if (alignment && alignment.similar) {
+        results.push({ assetId, alignment });
+      }
+    }
+
+    return results.sort((a, b) => b.alignment.score - a.alignment.score
+      || b.alignment.matchedLandmarks - a.alignment.matchedLandmarks);
+  }
+}
+
+module.exports = new PerceptualIndexService();
@@ -0,0 +1,162 @@
+const RoleAssignment = require('../models/RoleAssignment');
+const blockchainService = require('./blockchainService');
+const { getRbacConfig } = require('../config/rbac');
+
+/**
+ * Role-based access control. Roles are stored per wallet in RoleAssignment
+ * on top of the default roles every signed-in wallet has; routes check the
+ * permissions the roles grant (config/rbac).
+ */
+class RbacService {
+  constructor() {
+    this.config = getRbacConfig();
+  }
+
+  /**
+   * Roles of a wallet, default roles included
+   * @param {string} address - Wallet address
+   * @returns {Promise<Array<string>>}
+   */
+  async getRoles(address) {
+    const assignments = await RoleAssignment.find({ address: address.toLowerCase() });
+    return [...new Set([...this.config.defaultRoles, ...assignments.map(assignment => assignment.role)])];
+  }
+
+  /**
+   * @param {Array<string>} roles - From getRoles
+   * @returns {Array<string>} Permissions the roles grant
+   */
+  getPermissions(roles) {
+    return [...new Set(roles.flatMap(role => this.config.roles[role] || []))];
+  }
+
+  /**
+   * @param {Array<string>} roles - From getRoles
+   * @param {string} permission - e.g. 'assets:register'
+   * @returns {boolean}
+   */
+  hasPermission(roles, permission) {
+    const permissions = this.getPermissions(roles);
+    return permissions.includes('*') || permissions.includes(permission);
+  }
+
+  /**
+   * Stored role assignments
+   * @param {Object} filter - { address, role }, both optional
+   * @returns {Promise<Array<Object>>}
+   */
+  async listAssignments({ address, role } = {}) {
+    const query = {};
+    if (address) query.address = address.toLowerCase();
+    if (role) query.role = role;
+    return RoleAssignment.find(query).sort({ address: 1, role: 1 });
+  }
+
+  /**
+   * Grant a role. Granting a role the wallet already has changes nothing
+   * @param {string} address - Wallet address
+   * @param {string} role - Role name
+   * @param {string} grantedBy - Admin granting it
+   * @returns {Promise<Object>} { assignment, created }
+   * @throws {Error} 400 for an unknown role
+   */
+  async grant(address, role, grantedBy) {
+    this.checkRole(role);
+    const wallet = address.toLowerCase();
+
+    const existing = await RoleAssignment.findOne({ address: wallet, role });
+    if (existing) {
+      return { assignment: existing, created: false };
+    }
+
+    const assignment = new RoleAssignment({ address: wallet, role, grantedBy });
+    assignment.mirrorJobs = await this.mirror(role, 'add', wallet, grantedBy);
+    await assignment.save();
+    return { assignment, created: true };
+  }
+
+  /**
+   * Revoke a stored role
+   * @param {string} address - Wallet address
+   * @param {string} role - Role name
+   * @param {string} revokedBy - Admin revoking it
+   * @returns {Promise<Object>} { revoked, mirrorJobs }
+   * @throws {Error} 400 for an unknown role, 409 when revoking the last admin
+   */
+  async revoke(address, role, revokedBy) {
+    this.checkRole(role);
+    const wallet = address.toLowerCase();
+
+    const assignment = await RoleAssignment.findOne({ address: wallet, role });
+    if (!assignment) {
+      return { revoked: false, mirrorJobs: [] };
+    }
+    if (role === 'admin' && await RoleAssignment.countDocuments({ role: 'admin' }) <= 1) {
+      throw this.httpError('Cannot revoke the last admin; grant admin to another wallet first', 409);
+    }
+
+    await RoleAssignment.deleteOne({ _id: assignment._id });
+    const mirrorJobs = await this.mirror(role, 'remove', wallet, revokedBy);
+    return { revoked: true, mirrorJobs };
+  }
+
+  /**
+   * Grant admin to ADMIN_ADDRESSES while no wallet holds the role
+   * @returns {Promise<Array<string>>} Wallets made admin
+   */
+  async bootstrapAdmins() {
+    if (this.config.bootstrapAdmins.length === 0 || await RoleAssignment.exists({ role: 'admin' })) {
+      return [];
+    }
+    for (const address of this.config.bootstrapAdmins) {
+      await this.grant(address, 'admin', 'ADMIN_ADDRESSES');
+    }
+    return this.config.bootstrapAdmins;
+  }
+
+  /**
+   * Queue the on-chain side of a verifier grant or revocation
+   * @param {string} role - Role being changed
+   * @param {string} action - 'add' or 'remove'
+   * @param {string} address - Wallet address
+   * @param {string} requestedBy - Admin making the change
+   * @returns {Promise<Array<Object>>} { network, contract, transactionJobId } per queued transaction
+   */
+  async mirror(role, action, address, requestedBy) {
+    if (role !== 'verifier' || !this.config.mirrorVerifiers) {
+      return [];
+    }
+
+    const jobs = [];
+    for (const chain of blockchainService.getNetworks()) {
+      if (chain.simulated) continue;
+
+      const targets = [['MultimediaNFT', `${action}AuthorizedMinter`]];
+      if (chain.contracts.multimediaRegistry) {
+        targets.push(['MultimediaRegistry', `${action}AuthorizedRegistrar`]);
+      }
+      for (const [contract, operation] of targets) {
+        const job = await chain.submit(operation, [address], {
+          context: { role, address },
+          requestedBy
+        });
+        jobs.push({ network: chain.network, contract, transactionJobId: job.jobId });
+      }
+    }
+    return jobs;
+  }
+
+  checkRole(role) {
+    if (!this.config.roles[role]) {
+      throw this.httpError(`Unknown role "${role}". Expected one of: ${Object.keys(this.config.roles).join(', ')}`, 400);
+    }
+  }
+
+  httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = new RbacService();
@@ -0,0 +1,272 @@
+const Asset = require('../models/Asset');
+const UploadSession = require('../models/UploadSession');
+const blockchainService = require('./blockchainService');
+const perceptualIndexService = require('./perceptualIndexService');
+const { BlockchainUnavailableError } = require('./blockchain/errors');
+const { getReconciliationConfig } = require('../config/reconciliation');
+
+/**
+ * Re-mints assets that were saved without a real on-chain mint
+ * (transactionHash 'simulated' or blockNumber 0) or whose queued mint failed,
+ * using their stored provenanceHash and metadataHash, and reports what could
+ * not be repaired.
+ */
+class ReconciliationService {
+  constructor() {
+    this.config = getReconciliationConfig();
+    this.running = null;
+    this.timer = null;
+  }
+
+  /**
+   * Reconcile one batch of unminted assets. Concurrent calls share a run.
+   * @param {Object} options - { dryRun, limit, maxAttempts, includeSimulatedNetwork }
+   * @returns {Promise<Object>} Report
+   */
+  async reconcile(options = {}) {
+    if (!this.running) {
+      this.running = this.run(options).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async run(options) {
+    const {
+      dryRun = false,
+      limit = this.config.batchSize,
+      maxAttempts = this.config.maxAttempts,
+      includeSimulatedNetwork = false
+    } = options;
+
+    if (blockchainService.simulated && !dryRun) {
+      throw new BlockchainUnavailableError('Reconciliation needs a real blockchain driver; BLOCKCHAIN_DRIVER is "simulated"');
+    }
+
+    const report = {
+      startedAt: new Date(),
+      finishedAt: null,
+      dryRun,
+      network: blockchainService.network,
+      scanned: 0,
+      repaired: [],
+      failed: [],
+      skipped: [],
+      aborted: null
+    };
+
+    const assets = await Asset.findUnminted({ includeSimulatedNetwork, maxAttempts, limit });
+    report.scanned = assets.length;
+
+    for (const asset of assets) {
+      if (dryRun) {
+        report.skipped.push({ ...this.describe(asset), reason: 'Dry run' });
+        continue;
+      }
+
+      try {
+        const result = await this.reconcileAsset(asset);
+        if (result.repaired) {
+          report.repaired.push(result.entry);
+        } else {
+          report.skipped.push(result.entry);
+        }
+      } catch (error) {
+        report.failed.push({
+          ...this.describe(asset),
+          reason: error.message,
+          statusCode: error.statusCode,
+          transactionHash: error.transactionHash,
+          attempts: error.attempts
+        });
+
+        // Every remaining asset would fail the same way
+        if (error instanceof BlockchainUnavailableError) {
+          report.aborted = error.message;
+          break;
+        }
+      }
+    }
+
+    if (report.repaired.length > 0) {
+      perceptualIndexService.reset();
+    }
+
+    report.finishedAt = new Date();
+    return report;
+  }
+
+  /**
+   * Re-mint one asset on its network and move its records to the new token
+   * ID. Assets on the 'simulated' network were never on a real chain and are
+   * minted on the default network
+   * @param {Object} asset - Asset document
+   * @returns {Promise<Object>} { repaired, entry }
+   */
+  async reconcileAsset(asset) {
+    const entry = this.describe(asset);
+    const claimed = await this.claim(asset);
+    if (!claimed) {
+      return {
+        repaired: false,
+        entry: { ...entry, reason: 'Being reconciled by another worker' }
+      };
+    }
+
+    let chain;
+    let mintResult;
+    try {
+      chain = asset.network === 'simulated' ? blockchainService : blockchainService.getNetwork(asset.network);
+
+      // The contract rejects a second mint of the same content
+      const alreadyMinted = await chain.checkIPFSHashExists(asset.ipfsHash);
+      if (alreadyMinted) {
+        throw new Error('IPFS hash is already minted on-chain; link the existing token manually');
+      }
+
+      mintResult = await chain.mintAsset({
+        ipfsHash: asset.ipfsHash,
+        fileType: asset.mimeType,
+        fileSize: asset.fileSize,
+        originalCreator: asset.originalCreator,
+        provenanceHash: asset.provenanceHash,
+        tokenURI: asset.metadataHash,
+        royalty: asset.royalty && asset.royalty.recipient ? asset.royalty : undefined
+      });
+    } catch (error) {
+      throw await this.release(asset, error);
+    }
+
+    try {
+      const update = {
+        $set: {
+          tokenId: mintResult.tokenId,
+          transactionHash: mintResult.transactionHash,
+          blockNumber: mintResult.blockNumber,
+          network: chain.network,
+          contractAddress: chain.contracts.multimediaNFT,
+          'reconciliation.reconciledAt': new Date(),
+          'reconciliation.previousTokenId': entry.tokenId,
+          'reconciliation.previousTransactionHash': asset.transactionHash
+        },
+        $unset: {
+          'reconciliation.lastError': '',
+          'reconciliation.lockedUntil': ''
+        }
+      };
+      if (asset.status === 'failed') {
+        update.$set.status = 'registered';
+        update.$unset.mintError = '';
+      }
+      await Asset.updateOne({ _id: asset._id }, update);
+      if (entry.tokenId) {
+        await UploadSession.updateMany({ tokenId: entry.tokenId }, { $set: { tokenId: mintResult.tokenId } });
+      }
+    } catch (error) {
+      // Minted but not recorded. The contract will not mint this content
+      // again, so report the transaction for manual repair
+      error.message = `Minted token ${mintResult.tokenId} but could not save it: ${error.message}`;
+      error.transactionHash = mintResult.transactionHash;
+      throw await this.release(asset, error);
+    }
+
+    return {
+      repaired: true,
+      entry: {
+        ...entry,
+        previousTokenId: entry.tokenId,
+        network: chain.network,
+        tokenId: mintResult.tokenId,
+        transactionHash: mintResult.transactionHash,
+        blockNumber: mintResult.blockNumber
+      }
+    };
+  }
+
+  /**
+   * Lease an asset so concurrent workers do not mint it twice
+   * @returns {Promise<boolean>} Whether this worker holds the lease
+   */
+  async claim(asset) {
+    const now = new Date();
+    const result = await Asset.updateOne({
+      _id: asset._id,
+      // Missing for failed queued mints; null matches that
+      transactionHash: asset.transactionHash || null,
+      'reconciliation.lockedUntil': { $not: { $gt: now } }
+    }, {
+      $set: {
+        'reconciliation.lockedUntil': new Date(now.getTime() + this.config.leaseTime),
+        'reconciliation.lastAttemptAt': now
+      }
+    });
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Record a failed attempt and release the lease
+   * @returns {Promise<Error>} The original error, annotated with attempts
+   */
+  async release(asset, error) {
+    const update = {
+      $set: { 'reconciliation.lastError': error.message },
+      $unset: { 'reconciliation.lockedUntil': '' }
+    };
+    // An unreachable node says nothing about the asset, so it does not count
+    if (!(error instanceof BlockchainUnavailableError)) {
+      update.$inc = { 'reconciliation.attempts': 1 };
+    }
+
+    try {
+      const updated = await Asset.findByIdAndUpdate(asset._id, update, { new: true });
+      error.attempts = updated ? updated.reconciliation.attempts : undefined;
+    } catch (updateError) {
+      console.error(`Could not record reconciliation failure for asset ${asset._id}:`, updateError);
+    }
+    return error;
+  }
+
+  describe(asset) {
+    return {
+      assetId: asset._id.toString(),
+      network: asset.network,
+      tokenId: asset.tokenId,
+      ipfsHash: asset.ipfsHash,
+      originalName: asset.originalName
+    };
+  }
+
+  /**
+   * Run reconciliation every RECONCILIATION_INTERVAL ms inside this process
+   * @returns {boolean} Whether the worker was started
+   */
+  start() {
+    if (!this.config.interval || this.timer || blockchainService.simulated) {
+      return false;
+    }
+
+    this.timer = setInterval(async () => {
+      try {
+        const report = await this.reconcile();
+        if (report.scanned > 0) {
+          console.log(`Reconciliation: ${report.repaired.length} repaired, ${report.failed.length} failed, ${report.skipped.length} skipped`);
+        }
+        report.failed.forEach(entry => {
+          console.warn(`Reconciliation failed for asset ${entry.assetId} (token ${entry.tokenId}): ${entry.reason}`);
+        });
+      } catch (error) {
+        console.error('Reconciliation error:', error);
+      }
+    }, this.config.interval);
+    this.timer.unref();
+    return true;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,640 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const Asset = require('../models/Asset');
+const RegistrationJob = require('../models/RegistrationJob');
+const blockchainService = require('./blockchainService');
+const hashService = require('./hashService');
+const ipfsService = require('./ipfsService');
+const multimediaService = require('./multimediaService');
+const perceptualIndexService = require('./perceptualIndexService');
+const royaltySplitService = require('./royaltySplitService');
+const uploadSessionService = require('./uploadSessionService');
+const { getRegistrationConfig } = require('../config/registration');
+const { getUploadConfig } = require('../config/upload');
+
+const { STAGES } = RegistrationJob;
+
+/**
+ * Runs registrations as jobs and finishes those whose transactions go
+ * through the transaction queue.
+ *
+ * A file accepted by POST /register becomes a RegistrationJob that moves
+ * through received → processed → stored → minted → confirmed:
+ *
+ *   processed  - media probed, fingerprinted and its provenance hash built
+ *   stored     - file and metadata on IPFS, asset saved as 'pending' and
+ *                its mint queued
+ *   minted     - mint transaction accepted by the node
+ *   confirmed  - mint mined; the asset has its token ID
+ *
+ * Up to `concurrency` jobs and batch files are processed at once in the
+ * accepting process.
+ * 'progress' is emitted with the RegistrationJob whenever one changes.
+ *
+ * Assets whose mint fails are marked 'failed' for reconciliation. A batch's
+ * anchored Merkle root is copied into the proofs of its assets.
+ */
+class RegistrationService extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.config = getRegistrationConfig();
+    this.uploadConfig = getUploadConfig();
+    this.active = 0;
+    this.waiting = [];
+    // Jobs waiting or running in this process
+    this.local = new Set();
+    this.timer = null;
+
+    for (const chain of blockchainService.getNetworks()) {
+      chain.queue.onSettled('asset-mint', job => this.completeMint(job));
+      chain.queue.onSettled('merkle-anchor', job => this.completeAnchor(job));
+      chain.queue.on('submitted', (job) => {
+        if (job.context && job.context.registrationJobId) {
+          this.advance(job.context.registrationJobId, 'minted', {
+            transactionJobId: job.jobId,
+            transactionHash: job.transactions[job.transactions.length - 1].hash
+          }).catch(error => console.error('Registration progress error:', error));
+        }
+      });
+    }
+  }
+
+  /**
+   * Accept a file for registration and process it in the background
+   * @param {Object} file - Spooled upload, or a completed resumable upload
+   * @param {Object} params - { originalCreator, description, tags, licenseType, licensePrice, optimize,
+   *   royalty, royaltySplit }; royalty is { recipient, percentage } in basis
+   *   points, royaltySplit { contributors, lock } shares it once minted
+   * @param {Object} options - { uploader, uploadId, network }; network
+   *   defaults to the default network
+   * @returns {Promise<Object>} RegistrationJob
+   */
+  async createJob(file, params, options = {}) {
+    const { uploader, uploadId, network = blockchainService.network } = options;
+    const jobId = crypto.randomUUID();
+
+    // Spooled files are removed when the request closes, so the job takes
+    // them over. Resumable uploads stay in place until they are registered
+    const owned = !uploadId;
+    if (owned) {
+      const jobPath = path.join(this.uploadConfig.tmpDirectory, `registration_${jobId}`);
+      await fs.promises.rename(file.path, jobPath);
+      file.path = jobPath;
+    }
+
+    const job = new RegistrationJob({
+      jobId,
+      uploader,
+      status: 'received',
+      stages: [{ status: 'received', at: new Date() }],
+      file: {
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        uploadId
+      },
+      params,
+      network
+    });
+
+    try {
+      await job.save();
+    } catch (error) {
+      if (owned) {
+        await fs.promises.rm(file.path, { force: true });
+      }
+      throw error;
+    }
+
+    this.emit('progress', job);
+    this.local.add(jobId);
+    this.schedule(() => this.run(job, file, owned));
+    return job;
+  }
+
+  /**
+   * Run a task once fewer than `concurrency` registrations are being
+   * processed. Batch registrations process their files through this too
+   * @param {Function} task - Returns a promise
+   * @returns {Promise} Settles as the task does
+   */
+  schedule(task) {
+    return new Promise((resolve, reject) => {
+      this.waiting.push(() => task().then(resolve, reject));
+      this.drain();
+    });
+  }
+
+  drain() {
+    while (this.active < this.config.concurrency && this.waiting.length > 0) {
+      const task = this.waiting.shift();
+      this.active++;
+      task().finally(() => {
+        this.active--;
+        this.drain();
+      });
+    }
+  }
+
+  async run(job, file, owned) {
+    const { jobId, uploader, params } = job;
+    try {
+      console.log(`Registration ${jobId}: processing ${file.originalname}`);
+      const prepared = await this.prepare(file, params, uploader);
+      await this.advance(jobId, 'processed');
+
+      console.log(`Registration ${jobId}: storing`);
+      const asset = await this.store(file, params, uploader, prepared, blockchainService.getNetwork(job.network));
+
+      let mintJob;
+      try {
+        mintJob = await this.submitMint(asset, {
+          uploadId: job.file.uploadId,
+          registrationJobId: jobId,
+          requestedBy: uploader,
+          license: params.licenseType ? {
+            licenseType: params.licenseType,
+            licensePrice: params.licensePrice,
+            duration: 86400, // 1 day default
+            terms: `License for ${file.originalname}`
+          } : undefined,
+          royaltySplit: params.royaltySplit && params.royaltySplit.contributors.length > 0
+            ? params.royaltySplit
+            : undefined
+        });
+      } catch (error) {
+        await Asset.deleteOne({ _id: asset._id });
+        throw error;
+      }
+
+      // A simulated mint may have settled already; advance() never goes back
+      await this.advance(jobId, 'stored', {
+        assetId: asset._id.toString(),
+        ipfsHash: asset.ipfsHash,
+        metadataHash: asset.metadataHash,
+        transactionJobId: mintJob.jobId
+      });
+      console.log(`Registration ${jobId}: stored, mint job ${mintJob.jobId}`);
+    } catch (error) {
+      console.error(`Registration ${jobId} error:`, error);
+      await this.fail(jobId, error).catch(failError => console.error('Registration progress error:', failError));
+    } finally {
+      this.local.delete(jobId);
+      if (owned) {
+        await fs.promises.rm(file.path, { force: true }).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Probe and fingerprint a file and build its metadata and provenance hash
+   * @returns {Promise<Object>} { processedFile, fileFingerprint, metadata, provenanceHash }
+   */
+  async prepare(file, params, uploader) {
+    const processedFile = await multimediaService.processMultimediaFile(
+      file.path,
+      file.mimetype,
+      file.originalname
+    );
+
+    // SHA-256 was computed while the upload was spooled
+    const fileFingerprint = await hashService.generateFileFingerprint(file, file.mimetype);
+
+    const metadata = {
+      name: file.originalname,
+      description: params.description,
+      originalCreator: params.originalCreator,
+      tags: params.tags,
+      fileType: file.mimetype,
+      fileSize: file.size,
+      uploadDate: new Date().toISOString(),
+      uploader,
+      dimensions: processedFile.dimensions,
+      duration: processedFile.duration,
+      bitrate: processedFile.bitrate,
+      frameRate: processedFile.frameRate,
+      codec: processedFile.codec,
+      exifData: processedFile.exifData,
+      contentHash: file.sha256,
+      perceptualHash: fileFingerprint.perceptualHash
+    };
+
+    const provenanceHash = hashService.generateProvenanceHash(
+      file.hasher,
+      metadata,
+      uploader,
+      Date.now()
+    );
+
+    return { processedFile, fileFingerprint, metadata, provenanceHash };
+  }
+
+  /**
+   * Upload a prepared file to IPFS and save it as a pending asset
+   * @param {Object} chain - blockchainService of the network to mint on
+   * @returns {Promise<Object>} Saved Asset
+   */
+  async store(file, params, uploader, prepared, chain) {
+    const { processedFile, fileFingerprint, metadata, provenanceHash } = prepared;
+
+    const optimizedImage = params.optimize && processedFile.mimeType.startsWith('image/')
+      ? await multimediaService.optimizeImage(file.path)
+      : null;
+
+    const uploadResult = Buffer.isBuffer(optimizedImage)
+      ? await ipfsService.uploadFile(optimizedImage, file.originalname, file.mimetype)
+      : await ipfsService.uploadFileFromPath(file.path, file.originalname, file.mimetype, {
+        ipfsHash: file.ipfsHash,
+        contentHash: file.sha256
+      });
+
+    const metadataResult = await ipfsService.uploadMetadata(metadata);
+
+    // On-chain, or stored with its mint still queued
+    if (await chain.checkIPFSHashExists(uploadResult.ipfsHash)) {
+      throw this.httpError(`File already registered on blockchain (${uploadResult.ipfsHash})`, 409);
+    }
+    if (await Asset.findByIpfsHash(uploadResult.ipfsHash)) {
+      throw this.httpError(`File already registered (${uploadResult.ipfsHash})`, 409);
+    }
+
+    let thumbnailHash = null;
+    if (processedFile.thumbnail) {
+      const thumbnailResult = await ipfsService.uploadFile(
+        processedFile.thumbnail,
+        `thumb_${file.originalname}`,
+        'image/jpeg'
+      );
+      thumbnailHash = thumbnailResult.ipfsHash;
+    }
+
+    // The token ID is filled in once the mint is mined
+    const asset = new Asset({
+      ipfsHash: uploadResult.ipfsHash,
+      metadataHash: metadataResult.ipfsHash,
+      originalName: file.originalname,
+      fileType: file.mimetype,
+      fileSize: file.size,
+      mimeType: file.mimetype,
+      originalCreator: params.originalCreator,
+      uploader,
+      description: params.description,
+      tags: params.tags,
+      provenanceHash,
+      contentHash: file.sha256,
+      perceptualHash: fileFingerprint.perceptualHash,
+      perceptualHashes: fileFingerprint.perceptualHashes,
+      videoFingerprint: processedFile.videoFingerprint || undefined,
+      audioFingerprint: processedFile.audioFingerprint || undefined,
+      isLicensed: !!params.licenseType,
+      licenseType: params.licenseType,
+      licensePrice: params.licensePrice,
+      royalty: params.royalty,
+      network: chain.network,
+      contractAddress: chain.contracts.multimediaNFT,
+      status: 'pending',
+      gatewayUrl: ipfsService.getGatewayUrl(uploadResult.ipfsHash),
+      thumbnailUrl: thumbnailHash ? ipfsService.getGatewayUrl(thumbnailHash) : null,
+      dimensions: processedFile.dimensions,
+      duration: processedFile.duration,
+      bitrate: processedFile.bitrate,
+      frameRate: processedFile.frameRate,
+      codec: processedFile.codec,
+      exifData: processedFile.exifData,
+      processingStatus: processedFile.processingStatus,
+      processingError: processedFile.processingError
+    });
+
+    await asset.save();
+    return asset;
+  }
+
+  /**
+   * Move a registration job forward to a stage, recording any stages it
+   * skipped. Jobs already at or past the stage, or failed, are left alone.
+   * @param {string} jobId - Registration job ID
+   * @param {string} status - Stage reached
+   * @param {Object} fields - Other fields to set
+   * @returns {Promise<Object|null>} Updated RegistrationJob
+   */
+  async advance(jobId, status, fields = {}) {
+    const to = STAGES.indexOf(status);
+
+    for (;;) {
+      const current = await RegistrationJob.findOne({ jobId });
+      if (!current || !current.isActive || STAGES.indexOf(current.status) >= to) {
+        return null;
+      }
+
+      const at = new Date();
+      const reached = STAGES.slice(STAGES.indexOf(current.status) + 1, to + 1).map(stage => ({ status: stage, at }));
+
+      // Only applies if nothing else moved the job in between
+      const job = await RegistrationJob.findOneAndUpdate(
+        { jobId, status: current.status },
+        { $set: { ...fields, status }, $push: { stages: { $each: reached } } },
+        { new: true }
+      );
+      if (job) {
+        this.emit('progress', job);
+        return job;
+      }
+    }
+  }
+
+  /**
+   * Mark a registration job failed at the stage it was trying to reach
+   * @returns {Promise<Object|null>} Updated RegistrationJob
+   */
+  async fail(jobId, error, fields = {}) {
+    for (;;) {
+      const current = await RegistrationJob.findOne({ jobId });
+      if (!current || !current.isActive) {
+        return null;
+      }
+
+      const job = await RegistrationJob.findOneAndUpdate(
+        { jobId, status: current.status },
+        {
+          $set: {
+            ...fields,
+            status: 'failed',
+            error: {
+              message: error.message,
+              statusCode: error.statusCode || 500,
+              stage: STAGES[STAGES.indexOf(current.status) + 1]
+            }
+          },
+          $push: { stages: { status: 'failed', at: new Date() } }
+        },
+        { new: true }
+      );
+      if (job) {
+        this.emit('progress', job);
+        return job;
+      }
+    }
+  }
+
+  /**
+   * Get a registration job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} RegistrationJob
+   */
+  async getJob(jobId) {
+    return RegistrationJob.findOne({ jobId });
+  }
+
+  /**
+   * Find a registration of a resumable upload that is still in progress
+   * @param {string} uploadId - Upload ID
+   * @returns {Promise<Object|null>} RegistrationJob
+   */
+  async findActiveJob(uploadId) {
+    return RegistrationJob.findOne({
+      'file.uploadId': uploadId,
+      status: { $nin: ['confirmed', 'failed'] }
+    });
+  }
+
+  /**
+   * Fail jobs that stopped before their mint was queued, e.g. because the
+   * process handling them exited
+   * @returns {Promise<number>} Jobs failed
+   */
+  async sweep() {
+    const jobs = await RegistrationJob.find({
+      status: { $in: ['received', 'processed'] },
+      updatedAt: { $lt: new Date(Date.now() - this.config.jobTimeout) }
+    });
+
+    let failed = 0;
+    for (const job of jobs) {
+      if (this.local.has(job.jobId)) {
+        continue;
+      }
+      if (await this.fail(job.jobId, this.httpError('Registration was interrupted; please register the file again', 503))) {
+        failed++;
+      }
+    }
+    return failed;
+  }
+
+  /**
+   * Look for interrupted jobs every REGISTRATION_SWEEP_INTERVAL ms
+   * @returns {boolean} Whether the sweeper was started
+   */
+  start() {
+    if (!this.config.sweepInterval || this.timer) {
+      return false;
+    }
+
+    this.timer = setInterval(async () => {
+      try {
+        const failed = await this.sweep();
+        if (failed > 0) {
+          console.warn(`Registration: ${failed} interrupted jobs marked failed`);
+        }
+      } catch (error) {
+        console.error('Registration sweep error:', error);
+      }
+    }, this.config.sweepInterval);
+    this.timer.unref();
+    return true;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Queue the mint of a pending asset on its network
+   * @param {Object} asset - Saved Asset
+   * @param {Object} options - { uploadId, registrationJobId, license,
+   *   royaltySplit, requestedBy }; license and royaltySplit are set on the
+   *   token once it is minted
+   * @returns {Promise<Object>} TransactionJob
+   */
+  async submitMint(asset, options = {}) {
+    const { uploadId, registrationJobId, license, royaltySplit, requestedBy } = options;
+
+    const job = await blockchainService.getNetwork(asset.network).submit('mintAsset', [{
+      ipfsHash: asset.ipfsHash,
+      fileType: asset.mimeType,
+      fileSize: asset.fileSize,
+      originalCreator: asset.originalCreator,
+      provenanceHash: asset.provenanceHash,
+      tokenURI: asset.metadataHash,
+      royalty: asset.royalty && asset.royalty.recipient ? asset.royalty : undefined
+    }], {
+      context: {
+        type: 'asset-mint',
+        assetId: asset._id.toString(),
+        uploadId,
+        registrationJobId,
+        license,
+        royaltySplit
+      },
+      requestedBy
+    });
+
+    // The job may already have settled, so only this field is written
+    await Asset.updateOne({ _id: asset._id }, { $set: { mintJobId: job.jobId } });
+    asset.mintJobId = job.jobId;
+    return job;
+  }
+
+  /**
+   * Queue the on-chain anchor of a batch Merkle root
+   * @param {Object} tree - From hashService.buildMerkleTree
+   * @param {string} requestedBy - Uploader address
+   * @param {Object} [chain] - blockchainService of the batch's network; the default network if omitted
+   * @returns {Promise<Object>} TransactionJob
+   */
+  async submitAnchor(tree, requestedBy, chain = blockchainService) {
+    return chain.submit('anchorMerkleRoot', [tree.root, tree.leafCount], {
+      context: { type: 'merkle-anchor', root: tree.root },
+      requestedBy
+    });
+  }
+
+  async completeMint(job) {
+    const { assetId, uploadId, registrationJobId, license, royaltySplit } = job.context;
+    const asset = await Asset.findById(assetId);
+    if (!asset) {
+      console.warn(`Transaction job ${job.jobId} finished for missing asset ${assetId}`);
+      if (registrationJobId) {
+        await this.fail(registrationJobId, this.httpError('Asset was removed before its mint finished', 410));
+      }
+      return;
+    }
+
+    if (job.status === 'failed') {
+      asset.status = 'failed';
+      asset.mintError = job.error.message;
+      await asset.save();
+      if (registrationJobId) {
+        await this.fail(registrationJobId, job.error, { transactionJobId: job.jobId });
+      }
+      return;
+    }
+
+    const { tokenId, transactionHash, blockNumber } = job.result;
+    asset.tokenId = tokenId;
+    asset.transactionHash = transactionHash;
+    asset.blockNumber = blockNumber;
+    asset.mintError = undefined;
+    if (asset.status === 'pending' || asset.status === 'failed') {
+      asset.status = 'registered';
+    }
+    await asset.save();
+
+    // Make the asset findable by perceptual similarity; the index reloads if this fails
+    perceptualIndexService.addAsset(asset).catch(error => console.error('Perceptual index update error:', error));
+
+    if (uploadId) {
+      await uploadSessionService.markRegistered(uploadId, tokenId);
+    }
+
+    if (license) {
+      await blockchainService.getNetwork(asset.network).submit('setLicense', [tokenId, license], { requestedBy: job.requestedBy });
+    }
+
+    if (royaltySplit) {
+      await royaltySplitService.submitSplit(asset, {
+        contributors: royaltySplit.contributors,
+        percentage: asset.royalty.percentage,
+        lock: royaltySplit.lock
+      }, job.requestedBy);
+    }
+
+    if (registrationJobId) {
+      await this.advance(registrationJobId, 'confirmed', {
+        assetId,
+        ipfsHash: asset.ipfsHash,
+        metadataHash: asset.metadataHash,
+        transactionJobId: job.jobId,
+        transactionHash,
+        blockNumber,
+        tokenId,
+        result: this.describeRegistration(asset, job)
+      });
+    }
+  }
+
+  async completeAnchor(job) {
+    const { root } = job.context;
+
+    // Proofs stay valid offline if anchoring fails; the root can be anchored later
+    if (job.status === 'failed') {
+      console.error(`Merkle root ${root} was not anchored: ${job.error.message}`);
+      return;
+    }
+
+    await Asset.updateMany({ 'merkleProof.root': root, network: job.network }, {
+      $set: {
+        'merkleProof.transactionHash': job.result.transactionHash,
+        'merkleProof.blockNumber': job.result.blockNumber
+      }
+    });
+  }
+
+  /**
+   * Registration result as POST /register used to return it
+   */
+  describeRegistration(asset, job) {
+    const chain = blockchainService.getNetwork(asset.network);
+    return {
+      success: true,
+      asset: {
+        tokenId: asset.tokenId,
+        status: asset.status,
+        ipfsHash: asset.ipfsHash,
+        metadataHash: asset.metadataHash,
+        originalName: asset.originalName,
+        fileType: asset.fileType,
+        fileSize: asset.fileSize,
+        originalCreator: asset.originalCreator,
+        uploader: asset.uploader,
+        description: asset.description,
+        tags: asset.tags,
+        gatewayUrl: asset.gatewayUrl,
+        thumbnailUrl: asset.thumbnailUrl,
+        dimensions: asset.dimensions,
+        duration: asset.duration,
+        isLicensed: asset.isLicensed,
+        licenseType: asset.licenseType,
+        licensePrice: asset.licensePrice,
+        processingStatus: asset.processingStatus
+      },
+      blockchain: {
+        tokenId: asset.tokenId,
+        transactionHash: asset.transactionHash,
+        blockNumber: asset.blockNumber,
+        network: asset.network,
+        chainId: chain.chainId,
+        contractAddress: asset.contractAddress,
+        jobId: job.jobId,
+        simulated: chain.simulated
+      },
+      ipfs: {
+        fileHash: asset.ipfsHash,
+        metadataHash: asset.metadataHash,
+        gatewayUrl: asset.gatewayUrl,
+        thumbnailUrl: asset.thumbnailUrl
+      }
+    };
+  }
+
+  httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = new RegistrationService();
@@ -0,0 +1,147 @@
+const { ethers } = require('ethers');
+const Asset = require('../models/Asset');
+const blockchainService = require('./blockchainService');
+
+// MultimediaNFT.MAX_SPLIT_RECIPIENTS
+const MAX_CONTRIBUTORS = 10;
+const TOTAL_SHARES = 10000;
+
+/**
+ * Royalty splits for collaborative works. A token's ERC-2981 royalty is
+ * shared between contributors (photographer, editor, composer, ...) by
+ * basis-point shares summing to 10000: MultimediaNFT pays it into a
+ * RoyaltySplitter, and LicensingContract credits license royalties to the
+ * contributors directly. The backend signer mints every token, so it is the
+ * token creator that sets and locks splits on-chain; a locked split can no
+ * longer be changed.
+ */
+class RoyaltySplitService {
+  constructor() {
+    for (const chain of blockchainService.getNetworks()) {
+      chain.queue.onSettled('royalty-split', job => this.completeSplit(job));
+      chain.queue.onSettled('royalty-lock', job => this.completeLock(job));
+    }
+  }
+
+  /**
+   * Check contributors as MultimediaNFT.setRoyaltySplit does
+   * @param {Array<Object>} contributors - [{ address, shares, role }]
+   * @returns {Array<Object>} Contributors with lowercase addresses and numeric shares
+   * @throws {Error} 400 describing the first problem
+   */
+  normalizeContributors(contributors) {
+    if (!Array.isArray(contributors) || contributors.length === 0 || contributors.length > MAX_CONTRIBUTORS) {
+      throw this.httpError(`A split needs 1 to ${MAX_CONTRIBUTORS} contributors`, 400);
+    }
+
+    const seen = new Set();
+    const normalized = contributors.map((contributor) => {
+      const { address, shares, role } = contributor || {};
+      if (typeof address !== 'string' || !ethers.isAddress(address) || BigInt(address) === 0n) {
+        throw this.httpError(`Invalid contributor address ${address}`, 400);
+      }
+      const wallet = address.toLowerCase();
+      if (seen.has(wallet)) {
+        throw this.httpError(`Contributor ${wallet} is listed more than once`, 400);
+      }
+      seen.add(wallet);
+
+      const basisPoints = Number(shares);
+      if (!Number.isInteger(basisPoints) || basisPoints <= 0) {
+        throw this.httpError(`Shares of ${wallet} must be a positive whole number of basis points`, 400);
+      }
+      return { address: wallet, shares: basisPoints, role: role ? String(role).trim() : undefined };
+    });
+
+    const total = normalized.reduce((sum, contributor) => sum + contributor.shares, 0);
+    if (total !== TOTAL_SHARES) {
+      throw this.httpError(`Contributor shares must sum to ${TOTAL_SHARES} basis points, not ${total}`, 400);
+    }
+    return normalized;
+  }
+
+  /**
+   * Queue a token's royalty split, and optionally its lock
+   * @param {Object} asset - Minted Asset document
+   * @param {Object} split - { contributors, percentage, lock }; contributors
+   *   from normalizeContributors, percentage in basis points
+   * @param {string} requestedBy - Wallet asking for it
+   * @returns {Promise<Object>} TransactionJob
+   * @throws {Error} 409 if the token is not minted yet or its royalty is locked
+   */
+  async submitSplit(asset, { contributors, percentage, lock = false }, requestedBy) {
+    if (!asset.tokenId) {
+      throw this.httpError('Asset has not been minted yet', 409);
+    }
+    const chain = blockchainService.getNetwork(asset.network);
+    const current = await chain.getRoyaltySplit(asset.tokenId);
+    if (current.locked) {
+      throw this.httpError(`Royalty of token ${asset.tokenId} on ${asset.network} is locked`, 409);
+    }
+
+    // Contributor roles only live here; the splitter is filled in once mined.
+    // Saved first because the job may settle before submit() returns
+    await Asset.updateOne({ _id: asset._id }, { $set: { royaltySplit: { contributors, locked: false } } });
+
+    const job = await chain.submit('setRoyaltySplit', [asset.tokenId, {
+      contributors: contributors.map(({ address, shares }) => ({ address, shares })),
+      percentage
+    }], {
+      context: { type: 'royalty-split', assetId: asset._id.toString(), lock },
+      requestedBy
+    });
+
+    await Asset.updateOne({ _id: asset._id }, { $set: { 'royaltySplit.transactionJobId': job.jobId } });
+    return job;
+  }
+
+  async completeSplit(job) {
+    const { assetId, lock } = job.context;
+    const asset = await Asset.findById(assetId);
+    if (!asset || !asset.royaltySplit) {
+      return;
+    }
+
+    // The requested contributors stay on the asset with the error, so the
+    // split can be sent again
+    if (job.status === 'failed') {
+      console.error(`Royalty split of asset ${assetId} failed: ${job.error.message}`);
+      asset.royaltySplit.error = job.error.message;
+      await asset.save();
+      return;
+    }
+
+    // The chain indexer records the same from RoyaltySplitSet; this covers
+    // networks it does not follow
+    const [tokenId, { percentage }] = job.args;
+    if (job.result.splitter) {
+      asset.royaltySplit.splitter = job.result.splitter;
+    }
+    asset.royalty = { recipient: asset.royaltySplit.splitter, percentage };
+    await asset.save();
+
+    if (lock) {
+      await blockchainService.getNetwork(asset.network).submit('lockRoyalty', [tokenId], {
+        context: { type: 'royalty-lock', assetId },
+        requestedBy: job.requestedBy
+      });
+    }
+  }
+
+  async completeLock(job) {
+    const { assetId } = job.context;
+    if (job.status === 'failed') {
+      console.error(`Royalty lock of asset ${assetId} failed: ${job.error.message}`);
+      return;
+    }
+    await Asset.updateOne({ _id: assetId }, { $set: { 'royaltySplit.locked': true } });
+  }
+
+  httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = new RoyaltySplitService();
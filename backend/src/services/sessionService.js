@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { getAuthConfig } = require('../config/auth');
+
+const hashToken = secret => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Server-side sessions behind the short-lived access tokens.
+ *
+ * A refresh token is "<session id>.<secret>"; only the secret's hash is
+ * stored. Every refresh replaces it, so a refresh token works once. Presenting
+ * one that was already replaced means it was copied, and revokes the session.
+ */
+class SessionService {
+  constructor() {
+    this.config = getAuthConfig();
+  }
+
+  /**
+   * Start a session for a signed-in wallet
+   * @param {Object} user - { address, chainId }
+   * @param {Object} client - { userAgent, ip } of the request
+   * @returns {Promise<Object>} { session, accessToken, refreshToken, expiresIn }
+   */
+  async create({ address, chainId }, client) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    const session = await Session.create({
+      address: address.toLowerCase(),
+      chainId,
+      tokenHash: hashToken(secret),
+      ...this.describeClient(client),
+      lastUsedAt: now,
+      expiresAt: new Date(now.getTime() + this.config.refreshTokenTtl)
+    });
+    return this.issue(session, secret);
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @param {string} refreshToken - From create or the previous refresh
+   * @param {Object} client - { userAgent, ip } of the request
+   * @returns {Promise<Object>} { session, accessToken, refreshToken, expiresIn }
+   * @throws {Error} 401 if the token is invalid, expired, revoked or reused
+   */
+  async refresh(refreshToken, client) {
+    const [sessionId, secret] = String(refreshToken).split('.');
+    if (!secret || !mongoose.isValidObjectId(sessionId)) {
+      throw this.httpError('Invalid refresh token', 401);
+    }
+
+    const next = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, tokenHash: hashToken(secret), revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+      {
+        $set: {
+          tokenHash: hashToken(next),
+          ...this.describeClient(client),
+          lastUsedAt: now,
+          expiresAt: new Date(now.getTime() + this.config.refreshTokenTtl)
+        }
+      },
+      { new: true }
+    );
+    if (session) {
+      return this.issue(session, next);
+    }
+
+    const existing = await Session.findById(sessionId);
+    if (!existing || existing.expiresAt <= now) {
+      throw this.httpError('Session has expired; sign in again', 401);
+    }
+    if (existing.revokedAt) {
+      throw this.httpError('Session has been revoked; sign in again', 401);
+    }
+    await this.revoke(existing.address, existing.id, 'refresh token reused');
+    throw this.httpError('Refresh token was already used; the session has been revoked', 401);
+  }
+
+  /**
+   * Verify an access token and check its session is still active
+   * @param {string} token - Access token (JWT)
+   * @returns {Promise<Object>} Decoded token; `sid` is the session ID
+   * @throws {Error} 401 if the session was revoked or has expired; JWT errors as thrown by jsonwebtoken
+   */
+  async verifyAccessToken(token) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!decoded.sid || !mongoose.isValidObjectId(decoded.sid)) {
+      throw this.httpError('Token has no session; sign in again', 401);
+    }
+    const active = await Session.exists({
+      _id: decoded.sid,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    });
+    if (!active) {
+      throw this.httpError('Session has been revoked or has expired; sign in again', 401);
+    }
+    return decoded;
+  }
+
+  /**
+   * Revoke one of a wallet's sessions
+   * @param {string} address - Wallet the session must belong to
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Kept on the session
+   * @returns {Promise<boolean>} Whether an active session was revoked
+   */
+  async revoke(address, sessionId, reason) {
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return false;
+    }
+    const result = await Session.updateOne(
+      { _id: sessionId, address: address.toLowerCase(), revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke every session of a wallet
+   * @param {string} address - Wallet address
+   * @param {string} reason - Kept on the sessions
+   * @returns {Promise<number>} Sessions revoked
+   */
+  async revokeAll(address, reason) {
+    const result = await Session.updateMany(
+      { address: address.toLowerCase(), revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Active sessions of a wallet, most recently used first
+   * @param {string} address - Wallet address
+   * @param {string} [currentSessionId] - Session of the request, flagged as current
+   * @returns {Promise<Array<Object>>}
+   */
+  async list(address, currentSessionId) {
+    const sessions = await Session.findActive(address);
+    return sessions.map(session => ({
+      id: session.id,
+      current: session.id === currentSessionId,
+      chainId: session.chainId,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt
+    }));
+  }
+
+  issue(session, secret) {
+    const accessToken = jwt.sign(
+      {
+        address: session.address,
+        type: 'wallet',
+        chainId: session.chainId,
+        sid: session.id
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: this.config.accessTokenTtl }
+    );
+    return {
+      session,
+      accessToken,
+      refreshToken: `${session.id}.${secret}`,
+      expiresIn: this.config.accessTokenTtl
+    };
+  }
+
+  describeClient({ userAgent, ip } = {}) {
+    return {
+      userAgent: userAgent ? userAgent.slice(0, 512) : undefined,
+      ip
+    };
+  }
+
+  httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const AuthNonce = require('../models/AuthNonce');
+const blockchainService = require('./blockchainService');
+const { getAuthConfig } = require('../config/auth');
+
+const HEADER = /^(?:([a-zA-Z][a-zA-Z0-9+\-.]*):\/\/)?([^\s/?#]+) wants you to sign in with your Ethereum account:$/;
+const ADDRESS = /^0x[a-fA-F0-9]{40}$/;
+const NONCE = /^[a-zA-Z0-9]{8,}$/;
+// RFC 3339 date-time
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+// Tagged fields in the order EIP-4361 lists them
+const FIELDS = [
+  { tag: 'URI', key: 'uri', required: true },
+  { tag: 'Version', key: 'version', required: true },
+  { tag: 'Chain ID', key: 'chainId', required: true },
+  { tag: 'Nonce', key: 'nonce', required: true },
+  { tag: 'Issued At', key: 'issuedAt', required: true },
+  { tag: 'Expiration Time', key: 'expirationTime' },
+  { tag: 'Not Before', key: 'notBefore' },
+  { tag: 'Request ID', key: 'requestId' }
+];
+
+/**
+ * Sign-In with Ethereum (EIP-4361). Nonces are issued by the server, stored
+ * in MongoDB and deleted on use, so a signed message signs in once only.
+ */
+class SiweService {
+  constructor() {
+    this.config = getAuthConfig();
+  }
+
+  /**
+   * Issue a nonce for the client to put in its message
+   * @returns {Promise<Object>} { nonce, issuedAt, expiresAt }
+   */
+  async createNonce() {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + this.config.nonceTtl);
+    await AuthNonce.create({ nonce, expiresAt });
+    return { nonce, issuedAt: issuedAt.toISOString(), expiresAt: expiresAt.toISOString() };
+  }
+
+  /**
+   * Parse an EIP-4361 message
+   * @param {string} message - Message as signed
+   * @returns {Object} { scheme, domain, address, statement, uri, version, chainId, nonce,
+   *   issuedAt, expirationTime, notBefore, requestId, resources }
+   * @throws {Error} 400 if the message does not follow EIP-4361
+   */
+  parseMessage(message) {
+    const invalid = reason => this.httpError(`Invalid Sign-In with Ethereum message: ${reason}`, 400);
+    const lines = String(message).split('\n');
+    let line = 0;
+
+    const header = HEADER.exec(lines[line++] || '');
+    if (!header) throw invalid('the first line must be "<domain> wants you to sign in with your Ethereum account:"');
+    const fields = { scheme: header[1], domain: header[2] };
+
+    fields.address = lines[line++];
+    if (!ADDRESS.test(fields.address || '')) throw invalid('the second line must be an Ethereum address');
+    if (lines[line++] !== '') throw invalid('expected an empty line after the address');
+
+    // An optional statement, then an empty line
+    if (lines[line] !== '') {
+      fields.statement = lines[line++];
+      if (lines[line] !== '') throw invalid('the statement must be a single line followed by an empty line');
+    }
+    line++;
+
+    for (const { tag, key, required } of FIELDS) {
+      const prefix = `${tag}: `;
+      if (lines[line] !== undefined && lines[line].startsWith(prefix)) {
+        fields[key] = lines[line++].slice(prefix.length);
+      } else if (required) {
+        throw invalid(`missing "${tag}" on line ${line + 1}`);
+      }
+    }
+
+    if (lines[line] === 'Resources:') {
+      line++;
+      fields.resources = [];
+      while (lines[line] !== undefined && lines[line].startsWith('- ')) {
+        fields.resources.push(lines[line++].slice(2));
+      }
+    }
+    if (line !== lines.length) throw invalid(`unexpected content on line ${line + 1}`);
+
+    if (fields.version !== '1') throw invalid('Version must be 1');
+    if (!/^\d+$/.test(fields.chainId)) throw invalid('Chain ID must be a number');
+    fields.chainId = parseInt(fields.chainId, 10);
+    if (!NONCE.test(fields.nonce)) throw invalid('Nonce must be at least 8 alphanumeric characters');
+    for (const key of ['issuedAt', 'expirationTime', 'notBefore']) {
+      if (fields[key] !== undefined && (!DATE_TIME.test(fields[key]) || isNaN(Date.parse(fields[key])))) {
+        throw invalid(`${key} must be an RFC 3339 date-time`);
+      }
+    }
+    try {
+      new URL(fields.uri);
+    } catch (error) {
+      throw invalid('URI must be an absolute URI');
+    }
+
+    return fields;
+  }
+
+  /**
+   * Check a parsed message's domain, URI, chain and validity period
+   * @param {Object} fields - Result of parseMessage
+   * @param {Date} [now] - Time to check against
+   * @throws {Error} 401 naming the first check that failed
+   */
+  validateMessage(fields, now = new Date()) {
+    const rejected = reason => this.httpError(`Sign-In with Ethereum message rejected: ${reason}`, 401);
+
+    const origin = this.config.origins.find(allowed => new URL(allowed).host === fields.domain);
+    if (!origin) {
+      throw rejected(`domain ${fields.domain} is not allowed`);
+    }
+    if (new URL(fields.uri).origin !== new URL(origin).origin) {
+      throw rejected(`URI ${fields.uri} does not belong to ${origin}`);
+    }
+    if (fields.scheme && `${fields.scheme}:` !== new URL(origin).protocol) {
+      throw rejected(`scheme ${fields.scheme} does not match ${origin}`);
+    }
+
+    const chainIds = this.getChainIds();
+    if (chainIds.length > 0 && !chainIds.includes(fields.chainId)) {
+      throw rejected(`chain ID ${fields.chainId} is not supported; expected one of ${chainIds.join(', ')}`);
+    }
+
+    const time = now.getTime();
+    const { clockSkew, nonceTtl } = this.config;
+    const issuedAt = Date.parse(fields.issuedAt);
+    if (issuedAt > time + clockSkew) {
+      throw rejected('Issued At is in the future');
+    }
+    if (issuedAt < time - nonceTtl - clockSkew) {
+      throw rejected('the message is too old; request a new nonce');
+    }
+    if (fields.expirationTime && Date.parse(fields.expirationTime) <= time - clockSkew) {
+      throw rejected('the message has expired');
+    }
+    if (fields.notBefore && Date.parse(fields.notBefore) > time + clockSkew) {
+      throw rejected('the message is not valid yet');
+    }
+  }
+
+  /**
+   * Verify a signed message and use up its nonce
+   * @param {string} message - EIP-4361 message
+   * @param {string} signature - personal_sign signature of the message
+   * @returns {Promise<Object>} Parsed message, with address lowercased
+   * @throws {Error} 400 for a malformed message, 401 if it cannot sign in
+   */
+  async verify(message, signature) {
+    const fields = this.parseMessage(message);
+    this.validateMessage(fields);
+
+    let recovered;
+    try {
+      recovered = ethers.verifyMessage(message, signature);
+    } catch (error) {
+      throw this.httpError('Invalid signature', 401);
+    }
+    if (recovered !== fields.address) {
+      // EIP-4361 requires the checksummed address in the message
+      const reason = recovered.toLowerCase() === fields.address.toLowerCase()
+        ? 'the address must be EIP-55 checksummed'
+        : 'it was not signed by the address in the message';
+      throw this.httpError(`Invalid signature: ${reason}`, 401);
+    }
+
+    // Checked last, so only a correctly signed message can use a nonce up
+    const used = await AuthNonce.findOneAndDelete({ nonce: fields.nonce, expiresAt: { $gt: new Date() } });
+    if (!used) {
+      throw this.httpError('Sign-In with Ethereum message rejected: the nonce is unknown, expired or already used', 401);
+    }
+
+    return { ...fields, address: fields.address.toLowerCase() };
+  }
+
+  getChainIds() {
+    if (this.config.chainIds.length > 0) {
+      return this.config.chainIds;
+    }
+    return blockchainService.getNetworks().map(chain => chain.chainId).filter(Boolean);
+  }
+
+  httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = new SiweService();
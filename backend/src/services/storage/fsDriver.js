@@ -0,0 +1,114 @@
+const fs = require('fs').promises;
+const { existsSync, mkdirSync, createReadStream } = require('fs');
+const path = require('path');
+
+/**
+ * Local filesystem storage driver.
+ *
+ * Files are stored as `<cid>_<fileName>` so existing uploads remain readable.
+ * Pins are tracked as marker files in a `.pins` subdirectory. There is no
+ * garbage collector on local disk, so unpinning removes the file.
+ */
+class FileSystemDriver {
+  constructor(config) {
+    this.name = 'fs';
+    this.directory = config.directory;
+    this.pinDirectory = path.join(this.directory, '.pins');
+
+    if (!existsSync(this.pinDirectory)) {
+      mkdirSync(this.pinDirectory, { recursive: true });
+    }
+  }
+
+  async findFileName(ipfsHash) {
+    const files = await fs.readdir(this.directory);
+    return files.find(file => file.startsWith(`${ipfsHash}_`)) || null;
+  }
+
+  async upload(ipfsHash, fileBuffer, options = {}) {
+    const fileName = options.fileName || 'file';
+    const filePath = path.join(this.directory, `${ipfsHash}_${fileName}`);
+
+    await fs.writeFile(filePath, fileBuffer);
+    await this.pin(ipfsHash);
+
+    return { ipfsHash, size: fileBuffer.length, location: filePath };
+  }
+
+  async uploadFromPath(ipfsHash, sourcePath, options = {}) {
+    const fileName = options.fileName || 'file';
+    const filePath = path.join(this.directory, `${ipfsHash}_${fileName}`);
+
+    await fs.copyFile(sourcePath, filePath);
+    await this.pin(ipfsHash);
+
+    const stats = await fs.stat(filePath);
+    return { ipfsHash, size: stats.size, location: filePath };
+  }
+
+  async get(ipfsHash) {
+    const fileName = await this.findFileName(ipfsHash);
+    if (!fileName) {
+      return null;
+    }
+    return fs.readFile(path.join(this.directory, fileName));
+  }
+
+  async createReadStream(ipfsHash, range = {}) {
+    const fileName = await this.findFileName(ipfsHash);
+    if (!fileName) {
+      return null;
+    }
+    return createReadStream(path.join(this.directory, fileName), { start: range.start, end: range.end });
+  }
+
+  async stat(ipfsHash) {
+    const fileName = await this.findFileName(ipfsHash);
+    if (!fileName) {
+      return null;
+    }
+    return this.statEntry(ipfsHash, fileName);
+  }
+
+  async statEntry(ipfsHash, fileName) {
+    const stats = await fs.stat(path.join(this.directory, fileName));
+    return {
+      ipfsHash,
+      fileName: fileName.slice(ipfsHash.length + 1),
+      size: stats.size,
+      pinned: existsSync(path.join(this.pinDirectory, ipfsHash)),
+      modified: stats.mtime
+    };
+  }
+
+  async pin(ipfsHash) {
+    await fs.writeFile(path.join(this.pinDirectory, ipfsHash), '');
+    return true;
+  }
+
+  async unpin(ipfsHash) {
+    await fs.rm(path.join(this.pinDirectory, ipfsHash), { force: true });
+
+    const fileName = await this.findFileName(ipfsHash);
+    if (fileName) {
+      await fs.unlink(path.join(this.directory, fileName));
+    }
+    return true;
+  }
+
+  async list() {
+    const files = await fs.readdir(this.directory);
+    const entries = [];
+
+    for (const file of files) {
+      const separator = file.indexOf('_');
+      if (file.startsWith('.') || separator === -1) continue;
+
+      entries.push(await this.statEntry(file.slice(0, separator), file));
+    }
+
+    return entries;
+  }
+}
+
+module.exports = FileSystemDriver;
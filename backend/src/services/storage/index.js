@@ -0,0 +1,38 @@
+const FileSystemDriver = require('./fsDriver');
+const S3Driver = require('./s3Driver');
+const KuboDriver = require('./kuboDriver');
+
+/**
+ * Storage drivers share one interface, keyed by CID:
+ *
+ *   upload(ipfsHash, fileBuffer, { fileName, mimeType }) -> { ipfsHash, size, location }
+ *   uploadFromPath(ipfsHash, filePath, { fileName, mimeType, size })
+ *                    -> same as upload, streaming the content from disk
+ *   get(ipfsHash)    -> Buffer, or null if the content is not stored
+ *   createReadStream(ipfsHash, { start, end }) -> Readable over the inclusive
+ *                      byte range (whole file if omitted), or null
+ *   stat(ipfsHash)   -> { ipfsHash, fileName, size, pinned, modified }, or null
+ *   pin(ipfsHash)    -> true
+ *   unpin(ipfsHash)  -> true
+ *   list()           -> Array of stat entries
+ */
+const drivers = {
+  fs: FileSystemDriver,
+  s3: S3Driver,
+  kubo: KuboDriver
+};
+
+/**
+ * Create the storage driver selected by configuration
+ * @param {Object} config - Storage configuration from config/storage
+ * @returns {Object} Storage driver instance
+ */
+const createStorageDriver = (config) => {
+  const Driver = drivers[config.driver];
+  if (!Driver) {
+    throw new Error(`Unknown storage driver "${config.driver}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+  }
+  return new Driver(config[config.driver]);
+};
+
+module.exports = { createStorageDriver };
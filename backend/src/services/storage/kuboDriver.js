@@ -0,0 +1,190 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const { createReadStream } = require('fs');
+
+/**
+ * Kubo (go-ipfs) HTTP RPC API storage driver.
+ *
+ * Files are added with the same parameters cidService uses locally, and the
+ * CID returned by the node is checked against the locally computed one.
+ */
+class KuboDriver {
+  constructor(config) {
+    this.name = 'kubo';
+    this.client = axios.create({
+      baseURL: `${config.apiUrl.replace(/\/$/, '')}/api/v0`,
+      timeout: config.timeout,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      auth: config.projectId ? {
+        username: config.projectId,
+        password: config.projectSecret
+      } : undefined
+    });
+  }
+
+  /**
+   * Call an RPC endpoint (Kubo only accepts POST)
+   * @param {string} endpoint - RPC path, e.g. 'pin/add'
+   * @param {Object} params - Query parameters
+   * @param {Object} options - Extra axios options
+   * @returns {Promise<Object>} Axios response
+   */
+  async rpc(endpoint, params = {}, options = {}) {
+    try {
+      return await this.client.post(endpoint, options.data || null, { params, ...options });
+    } catch (error) {
+      const message = error.response && await this.errorMessage(error.response.data);
+      throw new Error(`IPFS ${endpoint} failed: ${message || error.message}`);
+    }
+  }
+
+  /**
+   * Kubo's error Message from a response body, which arrives as a Buffer or
+   * a stream when the request asked for one (cat)
+   * @param {*} data - Error response body
+   * @returns {Promise<string|null>} Message, or null if there is none
+   */
+  async errorMessage(data) {
+    if (!data) return null;
+    if (typeof data.pipe === 'function') {
+      const chunks = [];
+      for await (const chunk of data) {
+        chunks.push(Buffer.from(chunk));
+      }
+      data = Buffer.concat(chunks);
+    }
+    if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+      try {
+        data = JSON.parse(Buffer.from(data).toString('utf8'));
+      } catch (parseError) {
+        return null;
+      }
+    }
+    return data.Message || null;
+  }
+
+  isNotFound(error) {
+    return /not found|no link named|not pinned|block was not found/i.test(error.message);
+  }
+
+  async upload(ipfsHash, fileBuffer, options = {}) {
+    const form = new FormData();
+    form.append('file', fileBuffer, { filename: options.fileName || 'file' });
+
+    return this.add(ipfsHash, form, fileBuffer.length);
+  }
+
+  async uploadFromPath(ipfsHash, filePath, options = {}) {
+    const form = new FormData();
+    form.append('file', createReadStream(filePath), {
+      filename: options.fileName || 'file',
+      knownLength: options.size
+    });
+
+    return this.add(ipfsHash, form, options.size);
+  }
+
+  async add(ipfsHash, form, size) {
+    const response = await this.rpc('add', {
+      'cid-version': 1,
+      'raw-leaves': true,
+      chunker: 'size-262144',
+      pin: true
+    }, {
+      data: form,
+      headers: { ...form.getHeaders(), 'Content-Length': form.getLengthSync() }
+    });
+
+    if (response.data.Hash !== ipfsHash) {
+      throw new Error(`IPFS node returned CID ${response.data.Hash}, expected ${ipfsHash}`);
+    }
+
+    return { ipfsHash, size, location: `ipfs://${ipfsHash}` };
+  }
+
+  async get(ipfsHash) {
+    try {
+      // offline=true keeps a missing CID from blocking on a network lookup
+      const response = await this.rpc('cat', { arg: ipfsHash, offline: true }, {
+        responseType: 'arraybuffer'
+      });
+      return Buffer.from(response.data);
+    } catch (error) {
+      if (this.isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async createReadStream(ipfsHash, range = {}) {
+    const params = { arg: ipfsHash, offline: true };
+    if (range.start !== undefined) {
+      params.offset = range.start;
+      if (range.end !== undefined) {
+        params.length = range.end - range.start + 1;
+      }
+    }
+
+    try {
+      const response = await this.rpc('cat', params, { responseType: 'stream' });
+      return response.data;
+    } catch (error) {
+      if (this.isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async isPinned(ipfsHash) {
+    try {
+      const response = await this.rpc('pin/ls', { arg: ipfsHash, type: 'recursive' });
+      return !!(response.data.Keys && response.data.Keys[ipfsHash]);
+    } catch (error) {
+      if (this.isNotFound(error)) return false;
+      throw error;
+    }
+  }
+
+  async stat(ipfsHash) {
+    try {
+      const response = await this.rpc('files/stat', { arg: `/ipfs/${ipfsHash}`, offline: true });
+      return {
+        ipfsHash,
+        fileName: null,
+        size: response.data.Size,
+        pinned: await this.isPinned(ipfsHash),
+        modified: null
+      };
+    } catch (error) {
+      if (this.isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async pin(ipfsHash) {
+    await this.rpc('pin/add', { arg: ipfsHash });
+    return true;
+  }
+
+  async unpin(ipfsHash) {
+    try {
+      await this.rpc('pin/rm', { arg: ipfsHash });
+    } catch (error) {
+      if (!this.isNotFound(error)) throw error;
+    }
+    return true;
+  }
+
+  async list() {
+    const response = await this.rpc('pin/ls', { type: 'recursive' });
+    const entries = [];
+
+    for (const ipfsHash of Object.keys(response.data.Keys || {})) {
+      const entry = await this.stat(ipfsHash);
+      if (entry) entries.push(entry);
+    }
+
+    return entries;
+  }
+}
+
+module.exports = KuboDriver;
@@ -0,0 +1,187 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { createReadStream } = require('fs');
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, R2, ...).
+ *
+ * Objects are keyed by CID; the original file name and pin state are kept in
+ * object metadata. S3 has no garbage collector, so unpinning deletes the object.
+ */
+class S3Driver {
+  constructor(config) {
+    if (!config.bucket) {
+      throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+
+    this.name = 's3';
+    this.bucket = config.bucket;
+    this.prefix = config.prefix;
+    this.client = new S3Client({
+      endpoint: config.endpoint,
+      region: config.region,
+      forcePathStyle: config.forcePathStyle,
+      credentials: config.accessKeyId ? {
+        accessKeyId: config.accessKeyId,
+        secretAccessKey: config.secretAccessKey
+      } : undefined
+    });
+  }
+
+  key(ipfsHash) {
+    return `${this.prefix}${ipfsHash}`;
+  }
+
+  isNotFound(error) {
+    return error.name === 'NoSuchKey' || error.name === 'NotFound' ||
+      (error.$metadata && error.$metadata.httpStatusCode === 404);
+  }
+
+  async putObject(ipfsHash, body, size, options) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.key(ipfsHash),
+      Body: body,
+      ContentLength: size,
+      ContentType: options.mimeType || 'application/octet-stream',
+      Metadata: {
+        'file-name': encodeURIComponent(options.fileName || 'file'),
+        pinned: 'true'
+      }
+    }));
+
+    return { ipfsHash, size, location: `s3://${this.bucket}/${this.key(ipfsHash)}` };
+  }
+
+  async upload(ipfsHash, fileBuffer, options = {}) {
+    return this.putObject(ipfsHash, fileBuffer, fileBuffer.length, options);
+  }
+
+  async uploadFromPath(ipfsHash, filePath, options = {}) {
+    // A known ContentLength lets the SDK stream the body instead of buffering it
+    return this.putObject(ipfsHash, createReadStream(filePath), options.size, options);
+  }
+
+  async get(ipfsHash) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.key(ipfsHash)
+      }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      if (this.isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async createReadStream(ipfsHash, range = {}) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.key(ipfsHash),
+        Range: range.start !== undefined ? `bytes=${range.start}-${range.end !== undefined ? range.end : ''}` : undefined
+      }));
+      return response.Body;
+    } catch (error) {
+      if (this.isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async stat(ipfsHash) {
+    try {
+      const head = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.key(ipfsHash)
+      }));
+      const metadata = head.Metadata || {};
+
+      return {
+        ipfsHash,
+        fileName: metadata['file-name'] ? decodeURIComponent(metadata['file-name']) : null,
+        size: head.ContentLength,
+        pinned: metadata.pinned === 'true',
+        modified: head.LastModified
+      };
+    } catch (error) {
+      if (this.isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async pin(ipfsHash) {
+    let head;
+    try {
+      head = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.key(ipfsHash)
+      }));
+    } catch (error) {
+      if (this.isNotFound(error)) {
+        throw new Error(`Cannot pin ${ipfsHash}: object does not exist`);
+      }
+      throw error;
+    }
+
+    // Metadata can only be changed by copying the object onto itself. REPLACE
+    // also replaces the content headers, so the current ones are sent along
+    await this.client.send(new CopyObjectCommand({
+      Bucket: this.bucket,
+      Key: this.key(ipfsHash),
+      CopySource: `${this.bucket}/${this.key(ipfsHash)}`,
+      MetadataDirective: 'REPLACE',
+      ContentType: head.ContentType,
+      ContentDisposition: head.ContentDisposition,
+      ContentEncoding: head.ContentEncoding,
+      ContentLanguage: head.ContentLanguage,
+      CacheControl: head.CacheControl,
+      Expires: head.Expires,
+      Metadata: {
+        'file-name': 'file',
+        ...head.Metadata,
+        pinned: 'true'
+      }
+    }));
+    return true;
+  }
+
+  async unpin(ipfsHash) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.key(ipfsHash)
+    }));
+    return true;
+  }
+
+  async list() {
+    const entries = [];
+    let continuationToken;
+
+    do {
+      const page = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.prefix || undefined,
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of page.Contents || []) {
+        const entry = await this.stat(object.Key.slice(this.prefix.length));
+        if (entry) entries.push(entry);
+      }
+
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return entries;
+  }
+}
+
+module.exports = S3Driver;
@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const UploadSession = require('../models/UploadSession');
+const cidService = require('./cidService');
+const { getUploadConfig } = require('../config/upload');
+
+/**
+ * Resumable (tus-style) upload sessions.
+ *
+ * Chunks are appended to a partial file at the offset the client reports.
+ * Whatever reaches disk is kept, so an interrupted chunk can be resumed from
+ * the last byte written instead of starting over.
+ */
+class UploadSessionService {
+  constructor() {
+    this.config = getUploadConfig();
+    this.directory = path.join(this.config.tmpDirectory, 'resumable');
+    this.sessionTtl = parseInt(process.env.UPLOAD_SESSION_TTL || String(24 * 60 * 60 * 1000), 10); // 24 hours
+
+    // Running SHA-256/CID digests, valid while this process has seen every byte
+    // of an upload; otherwise the file is re-read when the upload completes
+    this.digests = new Map();
+    this.locks = new Set();
+
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  createDigest() {
+    return {
+      hasher: crypto.createHash('sha256'),
+      cidBuilder: cidService.createFileBuilder(),
+      offset: 0
+    };
+  }
+
+  httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Start a new upload
+   * @param {Object} params - { uploader, fileName, mimeType, length }
+   * @returns {Promise<Object>} Upload session
+   */
+  async createSession({ uploader, fileName, mimeType, length }) {
+    if (!Number.isSafeInteger(length) || length < 0) {
+      throw this.httpError('Upload-Length must be a non-negative integer', 400);
+    }
+    if (length > this.config.maxFileSize) {
+      throw this.httpError(`Upload exceeds the maximum allowed size of ${this.config.maxFileSize} bytes`, 413);
+    }
+
+    await this.purgeExpired();
+
+    const uploadId = crypto.randomUUID();
+    const filePath = path.join(this.directory, uploadId);
+    await fs.promises.writeFile(filePath, '');
+
+    const session = await UploadSession.create({
+      uploadId,
+      uploader,
+      fileName,
+      mimeType,
+      length,
+      path: filePath,
+      status: length === 0 ? 'completed' : 'uploading',
+      expiresAt: new Date(Date.now() + this.sessionTtl)
+    });
+
+    this.digests.set(uploadId, this.createDigest());
+    return session;
+  }
+
+  /**
+   * Load an upload owned by the given user
+   * @param {string} uploadId - Upload ID
+   * @param {string} uploader - Address of the authenticated user
+   * @returns {Promise<Object>} Upload session
+   */
+  async getSession(uploadId, uploader) {
+    const session = await UploadSession.findOne({ uploadId });
+    if (!session || session.uploader !== uploader) {
+      throw this.httpError('Upload not found', 404);
+    }
+    if (session.expiresAt < new Date()) {
+      throw this.httpError('Upload has expired', 410);
+    }
+    return session;
+  }
+
+  /**
+   * Append a chunk to an upload
+   * @param {Object} session - Upload session
+   * @param {number} offset - Offset the client is writing at
+   * @param {Readable} stream - Chunk body
+   * @returns {Promise<Object>} Updated upload session
+   */
+  async appendChunk(session, offset, stream) {
+    const { uploadId } = session;
+
+    if (session.status !== 'uploading') {
+      throw this.httpError('Upload is already complete', 409);
+    }
+    if (offset !== session.offset) {
+      throw this.httpError(`Upload-Offset ${offset} does not match current offset ${session.offset}`, 409);
+    }
+    if (this.locks.has(uploadId)) {
+      throw this.httpError('Another chunk is being written to this upload', 423);
+    }
+
+    this.locks.add(uploadId);
+    try {
+      // Discard any bytes past the recorded offset left behind by a crash
+      await fs.promises.truncate(session.path, session.offset);
+
+      const digest = this.digests.get(uploadId);
+      const hashing = !!digest && digest.offset === session.offset;
+      if (!hashing) {
+        this.digests.delete(uploadId);
+      }
+
+      const remaining = session.length - session.offset;
+      let received = 0;
+      const counter = new Transform({
+        transform: (chunk, encoding, callback) => {
+          received += chunk.length;
+          if (received > remaining) {
+            callback(this.httpError('Chunk extends past Upload-Length', 413));
+            return;
+          }
+          if (hashing) {
+            digest.hasher.update(chunk);
+            digest.cidBuilder.update(chunk);
+            digest.offset += chunk.length;
+          }
+          callback(null, chunk);
+        }
+      });
+
+      const output = fs.createWriteStream(session.path, { flags: 'a' });
+      let failure = null;
+      try {
+        await pipeline(stream, counter, output);
+      } catch (error) {
+        failure = error;
+      }
+
+      const written = output.bytesWritten;
+      if (hashing && digest.offset !== session.offset + written) {
+        // The digest saw bytes that never reached disk
+        this.digests.delete(uploadId);
+      }
+
+      session.offset += written;
+      if (session.isComplete) {
+        session.status = 'completed';
+      }
+      session.expiresAt = new Date(Date.now() + this.sessionTtl);
+      await session.save();
+
+      // A dropped connection is expected here; only surface errors the client caused
+      if (failure && failure.statusCode) {
+        throw failure;
+      }
+      return session;
+    } finally {
+      this.locks.delete(uploadId);
+    }
+  }
+
+  /**
+   * Hand a fully received upload to the registration pipeline
+   * @param {string} uploadId - Upload ID
+   * @param {string} uploader - Address of the authenticated user
+   * @returns {Promise<Object>} File in the shape produced by spoolStorage
+   */
+  async completeSession(uploadId, uploader) {
+    const session = await this.getSession(uploadId, uploader);
+
+    if (session.status === 'registered') {
+      throw this.httpError('Upload has already been registered', 409);
+    }
+    if (!session.isComplete) {
+      throw this.httpError(`Upload is incomplete: ${session.offset} of ${session.length} bytes received`, 409);
+    }
+
+    let digest = this.digests.get(uploadId);
+    if (!digest || digest.offset !== session.length) {
+      digest = this.createDigest();
+      for await (const chunk of fs.createReadStream(session.path)) {
+        digest.hasher.update(chunk);
+        digest.cidBuilder.update(chunk);
+        digest.offset += chunk.length;
+      }
+      this.digests.set(uploadId, digest);
+    }
+
+    return {
+      path: session.path,
+      originalname: session.fileName,
+      mimetype: session.mimeType,
+      size: session.length,
+      sha256: digest.hasher.copy().digest('hex'),
+      hasher: digest.hasher,
+      ipfsHash: digest.cidBuilder.digest().cid
+    };
+  }
+
+  /**
+   * Record that an upload was registered and release its file
+   * @param {string} uploadId - Upload ID
+   * @param {string} tokenId - Token minted for the upload
+   */
+  async markRegistered(uploadId, tokenId) {
+    const session = await UploadSession.findOneAndUpdate(
+      { uploadId },
+      { status: 'registered', tokenId },
+      { new: true }
+    );
+    this.digests.delete(uploadId);
+    if (session) {
+      await fs.promises.rm(session.path, { force: true });
+    }
+  }
+
+  /**
+   * Abandon an upload
+   * @param {Object} session - Upload session
+   */
+  async terminate(session) {
+    if (this.locks.has(session.uploadId)) {
+      throw this.httpError('Another chunk is being written to this upload', 423);
+    }
+    this.digests.delete(session.uploadId);
+    await fs.promises.rm(session.path, { force: true });
+    await UploadSession.deleteOne({ uploadId: session.uploadId });
+  }
+
+  /**
+   * Remove expired uploads and their partial files
+   * @returns {Promise<number>} Number of sessions removed
+   */
+  async purgeExpired() {
+    const expired = await UploadSession.findExpired();
+    for (const session of expired) {
+      this.digests.delete(session.uploadId);
+      await fs.promises.rm(session.path, { force: true });
+    }
+    if (expired.length > 0) {
+      await UploadSession.deleteMany({ uploadId: { $in: expired.map(session => session.uploadId) } });
+    }
+    return expired.length;
+  }
+}
+
+module.exports = new UploadSessionService();
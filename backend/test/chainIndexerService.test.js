@@ -0,0 +1,187 @@
+/**
+ * Runs the chain indexer against a Hardhat node. It needs compiled contracts
+ * (`pnpm run compile` in contracts/), a node with Hardhat's default accounts
+ * (`pnpm run node` in contracts/) and a MongoDB database it may wipe:
+ *
+ *   TEST_RPC_URL=http://127.0.0.1:8545 \
+ *   TEST_MONGODB_URI=mongodb://localhost:27017/multimedia-auth-test pnpm test
+ *
+ * The suite is skipped unless both variables are set.
+ */
+const path = require('path');
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+
+const { TEST_RPC_URL, TEST_MONGODB_URI } = process.env;
+const describeChain = TEST_RPC_URL && TEST_MONGODB_URI ? describe : describe.skip;
+
+// Hardhat's first three default accounts
+const DEPLOYER_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const HOLDER_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const LICENSEE_KEY = '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a';
+
+const NETWORK = 'localhost';
+const LICENSE_PRICE = ethers.parseEther('0.01');
+
+const loadArtifact = name =>
+  require(path.join(__dirname, '../../contracts/artifacts/contracts', `${name}.sol`, `${name}.json`));
+
+jest.setTimeout(60000);
+
+describeChain('chainIndexerService', () => {
+  let provider;
+  let deployer;
+  let holder;
+  let licensee;
+  let nft;
+  let licensing;
+  let indexer;
+  let Asset;
+  let License;
+  let TokenOwnership;
+
+  const findOwnership = () => TokenOwnership.findOne({ network: NETWORK, tokenId: '1' });
+  const findLicense = () => License.findOne({ network: NETWORK, tokenId: '1', licenseIndex: 0 });
+  const findAsset = async () => Asset.findByToken(NETWORK, await nft.getAddress(), 1);
+
+  const send = async (transaction) => {
+    const response = await transaction;
+    return response.wait();
+  };
+
+  beforeAll(async () => {
+    provider = new ethers.JsonRpcProvider(TEST_RPC_URL, undefined, { cacheTimeout: -1 });
+    [deployer, holder, licensee] = [DEPLOYER_KEY, HOLDER_KEY, LICENSEE_KEY]
+      .map(key => new ethers.NonceManager(new ethers.Wallet(key, provider)));
+
+    const deploy = async (name, ...args) => {
+      const { abi, bytecode } = loadArtifact(name);
+      const contract = await new ethers.ContractFactory(abi, bytecode, deployer).deploy(...args);
+      await contract.waitForDeployment();
+      return contract;
+    };
+    nft = await deploy('MultimediaNFT');
+    licensing = await deploy('LicensingContract', await nft.getAddress(), await deployer.getAddress());
+
+    // The services read their configuration when they are first required
+    Object.assign(process.env, {
+      BLOCKCHAIN_DRIVER: 'ethers',
+      NETWORK,
+      BLOCKCHAIN_RPC_URL: TEST_RPC_URL,
+      PRIVATE_KEY: DEPLOYER_KEY,
+      MULTIMEDIA_NFT_ADDRESS: await nft.getAddress(),
+      LICENSING_CONTRACT_ADDRESS: await licensing.getAddress(),
+      INDEXER_CONFIRMATIONS: '0',
+      INDEXER_START_BLOCK: String(await provider.getBlockNumber() + 1)
+    });
+    indexer = require('../src/services/chainIndexerService').getIndexer(NETWORK);
+    Asset = require('../src/models/Asset');
+    License = require('../src/models/License');
+    TokenOwnership = require('../src/models/TokenOwnership');
+
+    await mongoose.connect(TEST_MONGODB_URI);
+    await mongoose.connection.dropDatabase();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (provider) provider.destroy();
+  });
+
+  it('projects a mint, a transfer and a purchased license', async () => {
+    const deployerAddress = (await deployer.getAddress()).toLowerCase();
+    const holderAddress = (await holder.getAddress()).toLowerCase();
+    const licenseeAddress = (await licensee.getAddress()).toLowerCase();
+
+    const minted = await send(nft.mintAsset(
+      'QmIndexerTest', 'image/png', 1024, 'Alice', 'QmProvenance', 'ipfs://QmMetadata',
+      { value: await nft.mintingFee() }
+    ));
+    await new Asset({
+      tokenId: '1',
+      ipfsHash: 'QmIndexerTest',
+      metadataHash: 'QmMetadata',
+      originalName: 'image.png',
+      fileType: 'image',
+      fileSize: 1024,
+      mimeType: 'image/png',
+      originalCreator: 'Alice',
+      uploader: deployerAddress,
+      provenanceHash: 'QmProvenance',
+      contentHash: 'content-hash',
+      transactionHash: minted.hash,
+      blockNumber: minted.blockNumber,
+      network: NETWORK,
+      contractAddress: (await nft.getAddress()).toLowerCase(),
+      status: 'registered'
+    }).save();
+
+    await send(nft.transferFrom(deployerAddress, holderAddress, 1));
+    await send(licensing.connect(holder).createLicense(1, licenseeAddress, LICENSE_PRICE, 86400, 'Commercial', 'Commercial use'));
+    await send(licensing.connect(licensee).purchaseLicense(1, 0, { value: LICENSE_PRICE }));
+
+    const result = await indexer.sync();
+    expect(result.reorg).toBeNull();
+    expect(result.toBlock).toBe(await provider.getBlockNumber());
+    expect(result.events).toBeGreaterThan(0);
+
+    const ownership = await findOwnership();
+    expect(ownership.owner).toBe(holderAddress);
+    expect(ownership.minter).toBe(deployerAddress);
+    expect(ownership.mintBlockNumber).toBe(minted.blockNumber);
+    expect(ownership.transferCount).toBe(1);
+
+    const license = await findLicense();
+    expect(license.licensee).toBe(licenseeAddress);
+    expect(license.licensor).toBe(holderAddress);
+    expect(license.terms).toBe('Commercial use');
+    expect(license.isActive).toBe(true);
+    expect(license.purchased).toBe(true);
+    expect(license.licenseTokenId).toBe('1');
+
+    expect((await findAsset()).owner).toBe(holderAddress);
+
+    // Nothing new to index
+    expect((await indexer.sync()).events).toBe(0);
+  });
+
+  it('rolls the projections back when indexed blocks are reorged away', async () => {
+    const holderAddress = (await holder.getAddress()).toLowerCase();
+    const licenseeAddress = (await licensee.getAddress()).toLowerCase();
+    const forkBlock = await provider.getBlockNumber();
+
+    // Index a fork, then replace it with empty blocks
+    const snapshot = await provider.send('evm_snapshot', []);
+    await send(licensing.connect(holder).revokeLicense(1, 0));
+    await send(nft.connect(holder).transferFrom(holderAddress, licenseeAddress, 1));
+
+    const forked = await indexer.sync();
+    expect(forked.events).toBeGreaterThan(0);
+    expect((await findOwnership()).owner).toBe(licenseeAddress);
+    expect((await findOwnership()).transferCount).toBe(2);
+    expect((await findLicense()).isActive).toBe(false);
+    expect((await findAsset()).owner).toBe(licenseeAddress);
+
+    await provider.send('evm_revert', [snapshot]);
+    for (let i = 0; i < 3; i++) {
+      await provider.send('evm_mine', []);
+    }
+
+    const result = await indexer.sync();
+    expect(result.reorg).toEqual({
+      forkBlock,
+      droppedBlocks: 2,
+      droppedEvents: forked.events
+    });
+    expect(result.toBlock).toBe(forkBlock + 3);
+    expect(result.events).toBe(0);
+
+    const ownership = await findOwnership();
+    expect(ownership.owner).toBe(holderAddress);
+    expect(ownership.transferCount).toBe(1);
+    const license = await findLicense();
+    expect(license.isActive).toBe(true);
+    expect(license.revokedBlockNumber).toBeUndefined();
+    expect((await findAsset()).owner).toBe(holderAddress);
+  });
+});
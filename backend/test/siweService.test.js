@@ -0,0 +1,221 @@
+const { ethers } = require('ethers');
+
+// Read by config/auth and config/blockchain when siweService is required
+Object.assign(process.env, {
+  SIWE_ORIGINS: 'https://app.example.com',
+  SIWE_CHAIN_IDS: '1337',
+  BLOCKCHAIN_DRIVER: 'simulated'
+});
+
+// Issued nonces, kept in memory instead of MongoDB
+jest.mock('../src/models/AuthNonce', () => {
+  const nonces = new Map();
+  return {
+    create: async ({ nonce, expiresAt }) => {
+      nonces.set(nonce, { nonce, expiresAt });
+    },
+    findOneAndDelete: async ({ nonce, expiresAt }) => {
+      const stored = nonces.get(nonce);
+      if (!stored || stored.expiresAt <= expiresAt.$gt) return null;
+      nonces.delete(nonce);
+      return stored;
+    }
+  };
+});
+
+const siweService = require('../src/services/siweService');
+
+const wallet = new ethers.Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+const now = new Date('2026-01-01T12:00:00.000Z');
+
+const buildMessage = ({
+  domain = 'app.example.com',
+  scheme,
+  address = wallet.address,
+  statement = 'Sign in to Multimedia Auth.',
+  uri = 'https://app.example.com/login',
+  chainId = 1337,
+  nonce = 'abcdef123456',
+  issuedAt = now.toISOString(),
+  expirationTime,
+  notBefore,
+  resources
+} = {}) => [
+  `${scheme ? `${scheme}://` : ''}${domain} wants you to sign in with your Ethereum account:`,
+  address,
+  '',
+  // Without a statement EIP-4361 keeps both empty lines
+  ...(statement ? [statement] : []),
+  '',
+  `URI: ${uri}`,
+  'Version: 1',
+  `Chain ID: ${chainId}`,
+  `Nonce: ${nonce}`,
+  `Issued At: ${issuedAt}`,
+  ...(expirationTime ? [`Expiration Time: ${expirationTime}`] : []),
+  ...(notBefore ? [`Not Before: ${notBefore}`] : []),
+  ...(resources ? ['Resources:', ...resources.map(resource => `- ${resource}`)] : [])
+].join('\n');
+
+const validate = (options, at = now) => siweService.validateMessage(siweService.parseMessage(buildMessage(options)), at);
+
+const expectError = (fn, statusCode, message) => {
+  let error;
+  try {
+    fn();
+  } catch (caught) {
+    error = caught;
+  }
+  expect(error).toBeDefined();
+  expect(error.statusCode).toBe(statusCode);
+  expect(error.message).toMatch(message);
+};
+
+describe('siweService', () => {
+  describe('parseMessage', () => {
+    it('parses a message with a statement', () => {
+      const fields = siweService.parseMessage(buildMessage({
+        expirationTime: '2026-01-01T12:10:00.000Z',
+        resources: ['ipfs://QmResource', 'https://app.example.com/terms']
+      }));
+
+      expect(fields).toEqual({
+        scheme: undefined,
+        domain: 'app.example.com',
+        address: wallet.address,
+        statement: 'Sign in to Multimedia Auth.',
+        uri: 'https://app.example.com/login',
+        version: '1',
+        chainId: 1337,
+        nonce: 'abcdef123456',
+        issuedAt: now.toISOString(),
+        expirationTime: '2026-01-01T12:10:00.000Z',
+        resources: ['ipfs://QmResource', 'https://app.example.com/terms']
+      });
+    });
+
+    it('parses a message without a statement', () => {
+      const fields = siweService.parseMessage(buildMessage({ statement: null, scheme: 'https' }));
+
+      expect(fields.statement).toBeUndefined();
+      expect(fields.scheme).toBe('https');
+      expect(fields.uri).toBe('https://app.example.com/login');
+      expect(fields.nonce).toBe('abcdef123456');
+    });
+
+    it('rejects a message missing a required field', () => {
+      const message = buildMessage().replace('Chain ID: 1337\n', '');
+
+      expectError(() => siweService.parseMessage(message), 400, 'missing "Chain ID" on line 8');
+    });
+
+    it('rejects tagged fields out of order', () => {
+      const message = buildMessage().replace('Version: 1\nChain ID: 1337', 'Chain ID: 1337\nVersion: 1');
+
+      expectError(() => siweService.parseMessage(message), 400, 'missing "Version" on line 7');
+    });
+
+    it('rejects optional fields out of order', () => {
+      const message = buildMessage({
+        expirationTime: '2026-01-01T12:10:00.000Z',
+        notBefore: '2026-01-01T11:59:00.000Z'
+      }).replace(
+        'Expiration Time: 2026-01-01T12:10:00.000Z\nNot Before: 2026-01-01T11:59:00.000Z',
+        'Not Before: 2026-01-01T11:59:00.000Z\nExpiration Time: 2026-01-01T12:10:00.000Z'
+      );
+
+      expectError(() => siweService.parseMessage(message), 400, 'unexpected content on line 12');
+    });
+
+    it('rejects a statement spanning several lines', () => {
+      expectError(
+        () => siweService.parseMessage(buildMessage({ statement: 'Sign in\nto Multimedia Auth.' })),
+        400,
+        'the statement must be a single line'
+      );
+    });
+  });
+
+  describe('validateMessage', () => {
+    it('accepts a message for an allowed origin and chain', () => {
+      expect(() => validate({ scheme: 'https' })).not.toThrow();
+    });
+
+    it('rejects a domain that is not allowed', () => {
+      expectError(() => validate({ domain: 'evil.example.com' }), 401, 'domain evil.example.com is not allowed');
+    });
+
+    it('rejects a URI of another origin', () => {
+      expectError(
+        () => validate({ uri: 'https://evil.example.com/login' }),
+        401,
+        'URI https://evil.example.com/login does not belong to https://app.example.com'
+      );
+    });
+
+    it('rejects a scheme that does not match the origin', () => {
+      expectError(() => validate({ scheme: 'http' }), 401, 'scheme http does not match https://app.example.com');
+    });
+
+    it('rejects an unsupported chain', () => {
+      expectError(() => validate({ chainId: 1 }), 401, 'chain ID 1 is not supported');
+    });
+
+    it('rejects an expired message', () => {
+      const options = { expirationTime: '2026-01-01T12:05:00.000Z' };
+
+      expect(() => validate(options, new Date('2026-01-01T12:05:30.000Z'))).not.toThrow();
+      expectError(() => validate(options, new Date('2026-01-01T12:06:30.000Z')), 401, 'the message has expired');
+    });
+
+    it('rejects a message before its Not Before time', () => {
+      const options = { notBefore: '2026-01-01T12:05:00.000Z' };
+
+      expectError(() => validate(options), 401, 'the message is not valid yet');
+      expect(() => validate(options, new Date('2026-01-01T12:05:00.000Z'))).not.toThrow();
+    });
+
+    it('rejects a message issued too long ago', () => {
+      expectError(() => validate({}, new Date('2026-01-01T12:20:00.000Z')), 401, 'the message is too old');
+    });
+  });
+
+  describe('verify', () => {
+    const signIn = async (options = {}) => {
+      const { nonce, issuedAt } = await siweService.createNonce();
+      const message = buildMessage({ nonce, issuedAt, ...options });
+      return { message, signature: await wallet.signMessage(message) };
+    };
+
+    it('signs in once per nonce', async () => {
+      const { message, signature } = await signIn();
+
+      const fields = await siweService.verify(message, signature);
+      expect(fields.address).toBe(wallet.address.toLowerCase());
+
+      await expect(siweService.verify(message, signature)).rejects.toMatchObject({
+        statusCode: 401,
+        message: expect.stringContaining('the nonce is unknown, expired or already used')
+      });
+    });
+
+    it('rejects an address that is not checksummed', async () => {
+      const { message, signature } = await signIn({ address: wallet.address.toLowerCase() });
+
+      await expect(siweService.verify(message, signature)).rejects.toMatchObject({
+        statusCode: 401,
+        message: 'Invalid signature: the address must be EIP-55 checksummed'
+      });
+    });
+
+    it('rejects a message signed by another address', async () => {
+      const { message } = await signIn();
+      const signature = await ethers.Wallet.createRandom().signMessage(message);
+
+      await expect(siweService.verify(message, signature)).rejects.toMatchObject({
+        statusCode: 401,
+        message: 'Invalid signature: it was not signed by the address in the message'
+      });
+    });
+  });
+});
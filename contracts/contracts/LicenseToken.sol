@@ -0,0 +1,121 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+
+// Proof of a purchased license. LicensingContract deploys this contract and
+// mints one token per paid license to the licensee; whoever holds the token
+// holds the license, so a licensee can prove it to anyone. Soulbound tokens
+// cannot be transferred
+contract LicenseToken is ERC721 {
+    address public immutable licensingContract;
+    
+    uint256 private _tokenIds;
+    
+    struct LicenseRecord {
+        uint256 parentTokenId;
+        uint256 licenseIndex;
+        string licenseType;
+        uint256 startDate;
+        uint256 expiry;
+        bytes32 termsHash;
+        bool soulbound;
+        uint256 revokedAt;
+    }
+    
+    mapping(uint256 => LicenseRecord) public licenses;
+    // License tokens of each MultimediaNFT token
+    mapping(uint256 => uint256[]) private _parentLicenses;
+    
+    event LicenseTokenRevoked(uint256 indexed licenseTokenId, uint256 revokedAt);
+    
+    modifier onlyLicensingContract() {
+        require(msg.sender == licensingContract, "Not the licensing contract");
+        _;
+    }
+    
+    constructor(address _licensingContract) ERC721("Multimedia License", "MMLIC") {
+        licensingContract = _licensingContract;
+    }
+    
+    function mint(
+        address to,
+        uint256 parentTokenId,
+        uint256 licenseIndex,
+        string memory licenseType,
+        uint256 startDate,
+        uint256 expiry,
+        bytes32 termsHash,
+        bool soulbound
+    ) external onlyLicensingContract returns (uint256) {
+        _tokenIds++;
+        uint256 licenseTokenId = _tokenIds;
+        
+        licenses[licenseTokenId] = LicenseRecord({
+            parentTokenId: parentTokenId,
+            licenseIndex: licenseIndex,
+            licenseType: licenseType,
+            startDate: startDate,
+            expiry: expiry,
+            termsHash: termsHash,
+            soulbound: soulbound,
+            revokedAt: 0
+        });
+        _parentLicenses[parentTokenId].push(licenseTokenId);
+        _mint(to, licenseTokenId);
+        
+        return licenseTokenId;
+    }
+    
+    // A revoked license stays valid for the time before its revocation
+    function revoke(uint256 licenseTokenId) external onlyLicensingContract {
+        require(_ownerOf(licenseTokenId) != address(0), "License token does not exist");
+        require(licenses[licenseTokenId].revokedAt == 0, "License token is already revoked");
+        
+        licenses[licenseTokenId].revokedAt = block.timestamp;
+        
+        emit LicenseTokenRevoked(licenseTokenId, block.timestamp);
+    }
+    
+    function isValid(uint256 licenseTokenId, uint256 timestamp) public view returns (bool) {
+        if (_ownerOf(licenseTokenId) == address(0)) {
+            return false;
+        }
+        LicenseRecord storage license = licenses[licenseTokenId];
+        return timestamp >= license.startDate
+            && timestamp <= license.expiry
+            && (license.revokedAt == 0 || timestamp < license.revokedAt);
+    }
+    
+    // First license token of a MultimediaNFT token that holder currently
+    // holds and that is valid at timestamp, or 0 if there is none
+    function validLicenseOf(address holder, uint256 parentTokenId, uint256 timestamp) public view returns (uint256) {
+        uint256[] storage licenseTokenIds = _parentLicenses[parentTokenId];
+        for (uint256 i = 0; i < licenseTokenIds.length; i++) {
+            if (_ownerOf(licenseTokenIds[i]) == holder && isValid(licenseTokenIds[i], timestamp)) {
+                return licenseTokenIds[i];
+            }
+        }
+        return 0;
+    }
+    
+    function hasValidLicense(address holder, uint256 parentTokenId, uint256 timestamp) public view returns (bool) {
+        return validLicenseOf(holder, parentTokenId, timestamp) != 0;
+    }
+    
+    function getLicenseTokens(uint256 parentTokenId) public view returns (uint256[] memory) {
+        return _parentLicenses[parentTokenId];
+    }
+    
+    function totalSupply() public view returns (uint256) {
+        return _tokenIds;
+    }
+    
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address) {
+        address from = _ownerOf(tokenId);
+        if (from != address(0) && to != address(0)) {
+            require(!licenses[tokenId].soulbound, "License token is soulbound");
+        }
+        return super._update(to, tokenId, auth);
+    }
+}
\ No newline at end of file
@@ -4,9 +4,17 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import "./LicenseToken.sol";
+
+// Royalty splits of MultimediaNFT
+interface IRoyaltySplits {
+    function getRoyaltySplit(uint256 tokenId) external view returns (address[] memory, uint256[] memory);
+}
 
 contract LicensingContract is Ownable, ReentrancyGuard {
     IERC721 public multimediaNFT;
+    LicenseToken public immutable licenseToken;
     
     struct License {
         uint256 tokenId;
@@ -18,21 +26,37 @@ contract LicensingContract is Ownable, ReentrancyGuard {
         string licenseType;
         bool isActive;
         string terms;
+        bool purchased;
     }
     
-    struct Royalty {
-        address recipient;
-        uint256 percentage;
+    // Open offer of a token's license that any address can buy, each
+    // purchase adding a License for the buyer. maxSeats 0 means unlimited;
+    // the license tokens of soulbound offers cannot be transferred
+    struct LicenseOffer {
+        uint256 tokenId;
+        address licensor;
+        uint256 price;
+        uint256 duration;
+        uint256 maxSeats;
+        uint256 seatsSold;
+        string licenseType;
+        string termsURI;
         bool isActive;
+        bool soulbound;
     }
     
     mapping(uint256 => License[]) public tokenLicenses;
-    mapping(uint256 => Royalty) public tokenRoyalties;
     mapping(address => uint256[]) public userLicenses;
+    mapping(uint256 => LicenseOffer[]) public tokenOffers;
+    // LicenseToken minted for each paid license, 0 for none
+    mapping(uint256 => mapping(uint256 => uint256)) public licenseTokenIds;
     
     uint256 public platformFee = 250; // 2.5% in basis points
     address public platformWallet;
     
+    // Settled license payments owed to each address, paid out by withdraw()
+    mapping(address => uint256) public pendingWithdrawals;
+    
     event LicenseCreated(
         uint256 indexed tokenId,
         address indexed licensee,
@@ -47,15 +71,54 @@ contract LicensingContract is Ownable, ReentrancyGuard {
         address indexed licensor
     );
     
-    event RoyaltySet(
+    event LicensePurchased(
         uint256 indexed tokenId,
-        address indexed recipient,
-        uint256 percentage
+        uint256 indexed licenseIndex,
+        address indexed licensee,
+        uint256 price,
+        uint256 platformFeeAmount,
+        uint256 royaltyAmount,
+        uint256 licensorAmount
     );
     
+    event LicenseOfferCreated(
+        uint256 indexed tokenId,
+        uint256 indexed offerIndex,
+        address indexed licensor,
+        uint256 price,
+        uint256 duration,
+        uint256 maxSeats,
+        string licenseType,
+        string termsURI,
+        bool soulbound
+    );
+    
+    event LicenseOfferDeactivated(uint256 indexed tokenId, uint256 indexed offerIndex);
+    
+    event LicenseOfferPurchased(
+        uint256 indexed tokenId,
+        uint256 indexed offerIndex,
+        address indexed licensee,
+        uint256 licenseIndex
+    );
+    
+    event LicenseTokenMinted(
+        uint256 indexed tokenId,
+        uint256 indexed licenseIndex,
+        uint256 indexed licenseTokenId,
+        address licensee
+    );
+    
+    event PaymentCredited(address indexed payee, uint256 amount);
+    
+    event Refunded(address indexed payer, uint256 amount);
+    
+    event Withdrawn(address indexed payee, uint256 amount);
+    
     constructor(address _multimediaNFT, address _platformWallet) Ownable(msg.sender) {
         multimediaNFT = IERC721(_multimediaNFT);
         platformWallet = _platformWallet;
+        licenseToken = new LicenseToken(address(this));
     }
     
     function createLicense(
@@ -83,7 +146,8 @@ contract LicensingContract is Ownable, ReentrancyGuard {
             endDate: endDate,
             licenseType: licenseType,
             isActive: true,
-            terms: terms
+            terms: terms,
+            purchased: false
         });
         
         tokenLicenses[tokenId].push(newLicense);
@@ -98,24 +162,105 @@ contract LicensingContract is Ownable, ReentrancyGuard {
         
         require(license.isActive, "License is not active");
         require(license.licensee == msg.sender, "Not the intended licensee");
-        require(msg.value >= license.price, "Insufficient payment");
         require(block.timestamp <= license.endDate, "License has expired");
+        require(!license.purchased, "License already purchased");
+        require(msg.value >= license.price, "Insufficient payment");
         
-        // Calculate platform fee
-        uint256 platformFeeAmount = (license.price * platformFee) / 10000;
-        uint256 licensorAmount = license.price - platformFeeAmount;
+        license.purchased = true;
+        _mintLicenseToken(tokenId, licenseIndex, false);
+        _settle(tokenId, licenseIndex, license.licensor, license.price);
+    }
+    
+    function createOffer(
+        uint256 tokenId,
+        uint256 price,
+        uint256 duration,
+        uint256 maxSeats,
+        string memory licenseType,
+        string memory termsURI,
+        bool soulbound
+    ) public nonReentrant {
+        require(multimediaNFT.ownerOf(tokenId) == msg.sender, "Not the token owner");
+        require(price > 0, "Price must be greater than 0");
+        require(duration > 0, "Duration must be greater than 0");
         
-        // Transfer payments
-        payable(platformWallet).transfer(platformFeeAmount);
-        payable(license.licensor).transfer(licensorAmount);
+        tokenOffers[tokenId].push(LicenseOffer({
+            tokenId: tokenId,
+            licensor: msg.sender,
+            price: price,
+            duration: duration,
+            maxSeats: maxSeats,
+            seatsSold: 0,
+            licenseType: licenseType,
+            termsURI: termsURI,
+            isActive: true,
+            soulbound: soulbound
+        }));
         
-        // Process royalties if any
-        Royalty memory royalty = tokenRoyalties[tokenId];
-        if (royalty.isActive && royalty.percentage > 0) {
-            uint256 royaltyAmount = (licensorAmount * royalty.percentage) / 10000;
-            payable(royalty.recipient).transfer(royaltyAmount);
-            payable(license.licensor).transfer(licensorAmount - royaltyAmount);
-        }
+        emit LicenseOfferCreated(
+            tokenId,
+            tokenOffers[tokenId].length - 1,
+            msg.sender,
+            price,
+            duration,
+            maxSeats,
+            licenseType,
+            termsURI,
+            soulbound
+        );
+    }
+    
+    function deactivateOffer(uint256 tokenId, uint256 offerIndex) public {
+        require(offerIndex < tokenOffers[tokenId].length, "Offer does not exist");
+        LicenseOffer storage offer = tokenOffers[tokenId][offerIndex];
+        
+        require(offer.licensor == msg.sender, "Not the licensor");
+        require(offer.isActive, "Offer is not active");
+        
+        offer.isActive = false;
+        
+        emit LicenseOfferDeactivated(tokenId, offerIndex);
+    }
+    
+    // Buy a seat of an offer: the buyer gets a paid License running from now
+    // for the offer's duration, and its license token
+    function purchaseOffer(uint256 tokenId, uint256 offerIndex) public payable nonReentrant returns (uint256) {
+        require(offerIndex < tokenOffers[tokenId].length, "Offer does not exist");
+        LicenseOffer storage offer = tokenOffers[tokenId][offerIndex];
+        
+        require(offer.isActive, "Offer is not active");
+        require(offer.maxSeats == 0 || offer.seatsSold < offer.maxSeats, "Offer is sold out");
+        // Offers lapse when the token changes hands
+        require(multimediaNFT.ownerOf(tokenId) == offer.licensor, "Licensor no longer owns the token");
+        require(msg.value >= offer.price, "Insufficient payment");
+        
+        offer.seatsSold += 1;
+        
+        uint256 licenseIndex = tokenLicenses[tokenId].length;
+        tokenLicenses[tokenId].push(License({
+            tokenId: tokenId,
+            licensee: msg.sender,
+            licensor: offer.licensor,
+            price: offer.price,
+            startDate: block.timestamp,
+            endDate: block.timestamp + offer.duration,
+            licenseType: offer.licenseType,
+            isActive: true,
+            terms: offer.termsURI,
+            purchased: true
+        }));
+        userLicenses[msg.sender].push(tokenId);
+        
+        emit LicenseCreated(tokenId, msg.sender, offer.licensor, offer.price, offer.licenseType);
+        emit LicenseOfferPurchased(tokenId, offerIndex, msg.sender, licenseIndex);
+        
+        _mintLicenseToken(tokenId, licenseIndex, offer.soulbound);
+        _settle(tokenId, licenseIndex, offer.licensor, offer.price);
+        return licenseIndex;
+    }
+    
+    function withdraw() public nonReentrant {
+        _withdraw(msg.sender);
     }
     
     function revokeLicense(uint256 tokenId, uint256 licenseIndex) public {
@@ -126,32 +271,21 @@ contract LicensingContract is Ownable, ReentrancyGuard {
         require(license.isActive, "License is already inactive");
         
         license.isActive = false;
+        if (licenseTokenIds[tokenId][licenseIndex] != 0) {
+            licenseToken.revoke(licenseTokenIds[tokenId][licenseIndex]);
+        }
         
         emit LicenseRevoked(tokenId, license.licensee, msg.sender);
     }
     
-    function setRoyalty(
-        uint256 tokenId,
-        address recipient,
-        uint256 percentage
-    ) public {
-        require(multimediaNFT.ownerOf(tokenId) == msg.sender, "Not the token owner");
-        require(recipient != address(0), "Invalid recipient address");
-        require(percentage <= 1000, "Royalty percentage cannot exceed 10%");
-        
-        tokenRoyalties[tokenId] = Royalty({
-            recipient: recipient,
-            percentage: percentage,
-            isActive: true
-        });
-        
-        emit RoyaltySet(tokenId, recipient, percentage);
-    }
-    
     function getTokenLicenses(uint256 tokenId) public view returns (License[] memory) {
         return tokenLicenses[tokenId];
     }
     
+    function getTokenOffers(uint256 tokenId) public view returns (LicenseOffer[] memory) {
+        return tokenOffers[tokenId];
+    }
+    
     function getUserLicenses(address user) public view returns (uint256[] memory) {
         return userLicenses[user];
     }
@@ -159,7 +293,7 @@ contract LicensingContract is Ownable, ReentrancyGuard {
     function getActiveLicense(uint256 tokenId, address licensee) public view returns (License memory) {
         for (uint256 i = 0; i < tokenLicenses[tokenId].length; i++) {
             License memory license = tokenLicenses[tokenId][i];
-            if (license.licensee == licensee && license.isActive && block.timestamp <= license.endDate) {
+            if (license.licensee == licensee && license.isActive && license.purchased && block.timestamp <= license.endDate) {
                 return license;
             }
         }
@@ -176,7 +310,102 @@ contract LicensingContract is Ownable, ReentrancyGuard {
         platformWallet = newWallet;
     }
     
-    function withdrawPlatformFees() public onlyOwner {
-        payable(platformWallet).transfer(address(this).balance);
+    function withdrawPlatformFees() public onlyOwner nonReentrant {
+        _withdraw(platformWallet);
+    }
+    
+    // Issue a paid license's token to its licensee, carrying the hash of
+    // its terms
+    function _mintLicenseToken(uint256 tokenId, uint256 licenseIndex, bool soulbound) private {
+        License storage license = tokenLicenses[tokenId][licenseIndex];
+        uint256 licenseTokenId = licenseToken.mint(
+            license.licensee,
+            tokenId,
+            licenseIndex,
+            license.licenseType,
+            license.startDate,
+            license.endDate,
+            keccak256(bytes(license.terms)),
+            soulbound
+        );
+        licenseTokenIds[tokenId][licenseIndex] = licenseTokenId;
+        
+        emit LicenseTokenMinted(tokenId, licenseIndex, licenseTokenId, license.licensee);
+    }
+    
+    // Settle a paid license; msg.value may exceed its price
+    function _settle(uint256 tokenId, uint256 licenseIndex, address licensor, uint256 price) private {
+        // Split the price into the platform fee, the token's ERC-2981 royalty
+        // (on what remains after the fee) and the licensor's share
+        uint256 platformFeeAmount = (price * platformFee) / 10000;
+        (address royaltyRecipient, uint256 royaltyAmount) = IERC2981(address(multimediaNFT)).royaltyInfo(
+            tokenId,
+            price - platformFeeAmount
+        );
+        uint256 licensorAmount = price - platformFeeAmount - royaltyAmount;
+        
+        // Credit the shares; payees collect them with withdraw(). A split
+        // royalty is credited to its recipients rather than their splitter
+        _credit(platformWallet, platformFeeAmount);
+        (address[] memory splitRecipients, uint256[] memory splitShares) =
+            IRoyaltySplits(address(multimediaNFT)).getRoyaltySplit(tokenId);
+        if (splitRecipients.length > 0) {
+            _creditSplit(splitRecipients, splitShares, royaltyAmount);
+        } else {
+            _credit(royaltyRecipient, royaltyAmount);
+        }
+        _credit(licensor, licensorAmount);
+        
+        emit LicensePurchased(
+            tokenId,
+            licenseIndex,
+            msg.sender,
+            price,
+            platformFeeAmount,
+            royaltyAmount,
+            licensorAmount
+        );
+        
+        // Refund overpayment
+        uint256 excess = msg.value - price;
+        if (excess > 0) {
+            // A payer that cannot take the refund can withdraw it instead
+            (bool refunded, ) = payable(msg.sender).call{value: excess}("");
+            if (refunded) {
+                emit Refunded(msg.sender, excess);
+            } else {
+                _credit(msg.sender, excess);
+            }
+        }
+    }
+    
+    function _credit(address payee, uint256 amount) private {
+        if (amount == 0) {
+            return;
+        }
+        pendingWithdrawals[payee] += amount;
+        emit PaymentCredited(payee, amount);
+    }
+    
+    // The last recipient also gets the rounding remainder
+    function _creditSplit(address[] memory recipients, uint256[] memory shares, uint256 amount) private {
+        uint256 credited = 0;
+        for (uint256 i = 0; i < recipients.length - 1; i++) {
+            uint256 share = (amount * shares[i]) / 10000;
+            _credit(recipients[i], share);
+            credited += share;
+        }
+        _credit(recipients[recipients.length - 1], amount - credited);
+    }
+    
+    function _withdraw(address payee) private {
+        uint256 amount = pendingWithdrawals[payee];
+        require(amount > 0, "Nothing to withdraw");
+        
+        pendingWithdrawals[payee] = 0;
+        (bool success, ) = payable(payee).call{value: amount}("");
+        require(success, "Withdrawal failed");
+        
+        emit Withdrawn(payee, amount);
     }
-} 
\ No newline at end of file
+}
\ No newline at end of file
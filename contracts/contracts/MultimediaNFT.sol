@@ -2,11 +2,14 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./RoyaltySplitter.sol";
 
-contract MultimediaNFT is ERC721, Ownable, ReentrancyGuard {
+contract MultimediaNFT is ERC721, ERC2981, Ownable, ReentrancyGuard {
     using Strings for uint256;
     
     uint256 private _tokenIds;
@@ -32,10 +35,24 @@ contract MultimediaNFT is ERC721, Ownable, ReentrancyGuard {
     mapping(string => bool) public ipfsHashExists;
     mapping(address => bool) public authorizedMinters;
     mapping(uint256 => bool) public tokenExists;
+    mapping(bytes32 => uint256) public merkleRootTimestamps;
+    // Minter of each token, who controls its royalty
+    mapping(uint256 => address) public tokenCreators;
+    // Royalty splits: recipients and basis-point shares summing to 10000,
+    // paid through a RoyaltySplitter clone set as the token's ERC-2981 receiver
+    mapping(uint256 => address[]) private _splitRecipients;
+    mapping(uint256 => uint256[]) private _splitShares;
+    mapping(uint256 => address) public royaltySplitters;
+    // Locked royalties (and splits) can no longer be changed
+    mapping(uint256 => bool) public royaltyLocked;
+    
+    address public immutable royaltySplitterImplementation;
     
     uint256 public mintingFee = 0.005 ether;
     uint256 public verificationFee = 0.002 ether;
     uint256 public platformFee = 250; // 2.5% in basis points
+    uint96 public constant MAX_ROYALTY = 1000; // 10% in basis points
+    uint256 public constant MAX_SPLIT_RECIPIENTS = 10;
     
     event AssetMinted(
         uint256 indexed tokenId,
@@ -52,6 +69,35 @@ contract MultimediaNFT is ERC721, Ownable, ReentrancyGuard {
         uint256 verificationTimestamp
     );
     
+    event MerkleRootAnchored(
+        bytes32 indexed root,
+        address indexed submitter,
+        uint256 leafCount,
+        uint256 timestamp
+    );
+    
+    // ERC-2981 royalty of one token; a zero recipient means it was reset to
+    // the default royalty
+    event RoyaltySet(
+        uint256 indexed tokenId,
+        address indexed recipient,
+        uint256 percentage
+    );
+    
+    event RoyaltySplitSet(
+        uint256 indexed tokenId,
+        address indexed splitter,
+        address[] recipients,
+        uint256[] shares
+    );
+    
+    event RoyaltyLocked(uint256 indexed tokenId);
+    
+    event DefaultRoyaltySet(
+        address indexed recipient,
+        uint256 percentage
+    );
+    
     modifier onlyAuthorizedMinter() {
         require(
             authorizedMinters[msg.sender] || msg.sender == owner(),
@@ -65,7 +111,20 @@ contract MultimediaNFT is ERC721, Ownable, ReentrancyGuard {
         _;
     }
     
-    constructor() ERC721("Multimedia NFT", "MNFT") Ownable(msg.sender) {}
+    modifier onlyTokenCreator(uint256 tokenId) {
+        require(tokenExists[tokenId], "Token does not exist");
+        require(tokenCreators[tokenId] == msg.sender, "Not the token creator");
+        _;
+    }
+    
+    modifier whenRoyaltyUnlocked(uint256 tokenId) {
+        require(!royaltyLocked[tokenId], "Royalty is locked");
+        _;
+    }
+    
+    constructor() ERC721("Multimedia NFT", "MNFT") Ownable(msg.sender) {
+        royaltySplitterImplementation = address(new RoyaltySplitter());
+    }
     
     function mintAsset(
         string memory ipfsHash,
@@ -75,37 +134,22 @@ contract MultimediaNFT is ERC721, Ownable, ReentrancyGuard {
         string memory provenanceHash,
         string memory tokenURI
     ) public payable nonReentrant onlyAuthorizedMinter {
-        require(msg.value >= mintingFee, "Insufficient minting fee");
-        require(bytes(ipfsHash).length > 0, "IPFS hash cannot be empty");
-        require(fileSize > 0, "File size must be greater than 0");
-        
-        _tokenIds++;
-        uint256 newTokenId = _tokenIds;
-        
-        _safeMint(msg.sender, newTokenId);
-        _setTokenURI(newTokenId, tokenURI);
-        
-        assets[newTokenId] = MultimediaAsset({
-            ipfsHash: ipfsHash,
-            fileType: fileType,
-            fileSize: fileSize,
-            originalCreator: originalCreator,
-            creationTimestamp: block.timestamp,
-            provenanceHash: provenanceHash,
-            isLicensed: false,
-            licensePrice: 0,
-            licenseType: "",
-            isVerified: false,
-            verificationTimestamp: 0,
-            verifier: address(0),
-            tokenURI: tokenURI
-        });
-        
-        creatorTokens[msg.sender].push(newTokenId);
-        ipfsHashExists[ipfsHash] = true;
-        tokenExists[newTokenId] = true;
-        
-        emit AssetMinted(newTokenId, msg.sender, ipfsHash, fileType, fileSize, tokenURI);
+        _mintAsset(ipfsHash, fileType, fileSize, originalCreator, provenanceHash, tokenURI);
+    }
+    
+    // Mint with an ERC-2981 royalty in basis points for the new token
+    function mintAssetWithRoyalty(
+        string memory ipfsHash,
+        string memory fileType,
+        uint256 fileSize,
+        string memory originalCreator,
+        string memory provenanceHash,
+        string memory tokenURI,
+        address royaltyRecipient,
+        uint96 royaltyPercentage
+    ) public payable nonReentrant onlyAuthorizedMinter {
+        uint256 tokenId = _mintAsset(ipfsHash, fileType, fileSize, originalCreator, provenanceHash, tokenURI);
+        _setRoyalty(tokenId, royaltyRecipient, royaltyPercentage);
     }
     
     function verifyAsset(uint256 tokenId) public payable nonReentrant {
@@ -119,6 +163,94 @@ contract MultimediaNFT is ERC721, Ownable, ReentrancyGuard {
         emit AssetVerified(tokenId, msg.sender, block.timestamp);
     }
     
+    function anchorMerkleRoot(bytes32 root, uint256 leafCount) public onlyAuthorizedMinter {
+        require(root != bytes32(0), "Merkle root cannot be empty");
+        require(leafCount > 0, "Leaf count must be greater than 0");
+        require(merkleRootTimestamps[root] == 0, "Merkle root already anchored");
+        
+        merkleRootTimestamps[root] = block.timestamp;
+        
+        emit MerkleRootAnchored(root, msg.sender, leafCount, block.timestamp);
+    }
+    
+    function setTokenRoyalty(
+        uint256 tokenId,
+        address recipient,
+        uint96 percentage
+    ) public onlyTokenCreator(tokenId) whenRoyaltyUnlocked(tokenId) {
+        _clearRoyaltySplit(tokenId);
+        _setRoyalty(tokenId, recipient, percentage);
+    }
+    
+    function resetTokenRoyalty(uint256 tokenId) public onlyTokenCreator(tokenId) whenRoyaltyUnlocked(tokenId) {
+        _clearRoyaltySplit(tokenId);
+        _resetTokenRoyalty(tokenId);
+        emit RoyaltySet(tokenId, address(0), 0);
+    }
+    
+    // Share the token's royalty between several recipients. Each call
+    // deploys a new splitter; payments already sent to an earlier one stay
+    // shared by the earlier split
+    function setRoyaltySplit(
+        uint256 tokenId,
+        address[] memory recipients,
+        uint256[] memory shares,
+        uint96 percentage
+    ) public onlyTokenCreator(tokenId) whenRoyaltyUnlocked(tokenId) {
+        require(
+            recipients.length > 0 && recipients.length <= MAX_SPLIT_RECIPIENTS,
+            "Split needs 1 to 10 recipients"
+        );
+        require(recipients.length == shares.length, "Recipients and shares differ in length");
+        
+        uint256 total = 0;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            require(recipients[i] != address(0), "Invalid recipient address");
+            require(shares[i] > 0, "Shares must be greater than 0");
+            for (uint256 j = 0; j < i; j++) {
+                require(recipients[j] != recipients[i], "Duplicate split recipient");
+            }
+            total += shares[i];
+        }
+        require(total == 10000, "Shares must sum to 10000");
+        
+        address splitter = Clones.clone(royaltySplitterImplementation);
+        RoyaltySplitter(payable(splitter)).initialize(tokenId, recipients, shares);
+        
+        _splitRecipients[tokenId] = recipients;
+        _splitShares[tokenId] = shares;
+        royaltySplitters[tokenId] = splitter;
+        _setRoyalty(tokenId, splitter, percentage);
+        
+        emit RoyaltySplitSet(tokenId, splitter, recipients, shares);
+    }
+    
+    function lockRoyalty(uint256 tokenId) public onlyTokenCreator(tokenId) whenRoyaltyUnlocked(tokenId) {
+        royaltyLocked[tokenId] = true;
+        emit RoyaltyLocked(tokenId);
+    }
+    
+    function getRoyaltySplit(uint256 tokenId) public view returns (address[] memory, uint256[] memory) {
+        return (_splitRecipients[tokenId], _splitShares[tokenId]);
+    }
+    
+    // Royalty of tokens without their own
+    function setDefaultRoyalty(address recipient, uint96 percentage) public onlyOwner {
+        require(recipient != address(0), "Invalid recipient address");
+        require(percentage <= MAX_ROYALTY, "Royalty percentage cannot exceed 10%");
+        _setDefaultRoyalty(recipient, percentage);
+        emit DefaultRoyaltySet(recipient, percentage);
+    }
+    
+    function deleteDefaultRoyalty() public onlyOwner {
+        _deleteDefaultRoyalty();
+        emit DefaultRoyaltySet(address(0), 0);
+    }
+    
+    function isMerkleRootAnchored(bytes32 root) public view returns (bool) {
+        return merkleRootTimestamps[root] != 0;
+    }
+    
     function getAsset(uint256 tokenId) public view returns (MultimediaAsset memory) {
         require(tokenExists[tokenId], "Token does not exist");
         return assets[tokenId];
@@ -160,6 +292,64 @@ contract MultimediaNFT is ERC721, Ownable, ReentrancyGuard {
         require(success, "Withdrawal failed");
     }
     
+    function _mintAsset(
+        string memory ipfsHash,
+        string memory fileType,
+        uint256 fileSize,
+        string memory originalCreator,
+        string memory provenanceHash,
+        string memory tokenURI
+    ) internal returns (uint256) {
+        require(msg.value >= mintingFee, "Insufficient minting fee");
+        require(bytes(ipfsHash).length > 0, "IPFS hash cannot be empty");
+        require(fileSize > 0, "File size must be greater than 0");
+        require(!ipfsHashExists[ipfsHash], "IPFS hash already exists");
+        
+        _tokenIds++;
+        uint256 newTokenId = _tokenIds;
+        
+        _safeMint(msg.sender, newTokenId);
+        tokenExists[newTokenId] = true;
+        _setTokenURI(newTokenId, tokenURI);
+        
+        assets[newTokenId] = MultimediaAsset({
+            ipfsHash: ipfsHash,
+            fileType: fileType,
+            fileSize: fileSize,
+            originalCreator: originalCreator,
+            creationTimestamp: block.timestamp,
+            provenanceHash: provenanceHash,
+            isLicensed: false,
+            licensePrice: 0,
+            licenseType: "",
+            isVerified: false,
+            verificationTimestamp: 0,
+            verifier: address(0),
+            tokenURI: tokenURI
+        });
+        
+        creatorTokens[msg.sender].push(newTokenId);
+        tokenCreators[newTokenId] = msg.sender;
+        ipfsHashExists[ipfsHash] = true;
+        
+        emit AssetMinted(newTokenId, msg.sender, ipfsHash, fileType, fileSize, tokenURI);
+        
+        return newTokenId;
+    }
+    
+    function _setRoyalty(uint256 tokenId, address recipient, uint96 percentage) internal {
+        require(recipient != address(0), "Invalid recipient address");
+        require(percentage <= MAX_ROYALTY, "Royalty percentage cannot exceed 10%");
+        _setTokenRoyalty(tokenId, recipient, percentage);
+        emit RoyaltySet(tokenId, recipient, percentage);
+    }
+    
+    function _clearRoyaltySplit(uint256 tokenId) internal {
+        delete _splitRecipients[tokenId];
+        delete _splitShares[tokenId];
+        delete royaltySplitters[tokenId];
+    }
+    
     function _setTokenURI(uint256 tokenId, string memory _tokenURI) internal {
         require(tokenExists[tokenId], "Token does not exist");
         assets[tokenId].tokenURI = _tokenURI;
@@ -169,4 +359,8 @@ contract MultimediaNFT is ERC721, Ownable, ReentrancyGuard {
         require(tokenExists[tokenId], "Token does not exist");
         return assets[tokenId].tokenURI;
     }
+    
+    function supportsInterface(bytes4 interfaceId) public view override(ERC721, ERC2981) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
 } 
\ No newline at end of file
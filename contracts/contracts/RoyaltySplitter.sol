@@ -0,0 +1,61 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+
+// ERC-2981 receiver of one token's royalty split. MultimediaNFT deploys one
+// clone per split; whatever it receives is shared between the recipients by
+// their basis-point shares, and each recipient collects theirs with release()
+contract RoyaltySplitter is ReentrancyGuard {
+    address public multimediaNFT;
+    uint256 public tokenId;
+    
+    address[] private _recipients;
+    mapping(address => uint256) public shares;
+    mapping(address => uint256) public released;
+    uint256 public totalReleased;
+    
+    event PaymentReceived(address indexed from, uint256 amount);
+    event PaymentReleased(address indexed recipient, uint256 amount);
+    
+    function initialize(
+        uint256 _tokenId,
+        address[] memory recipients,
+        uint256[] memory recipientShares
+    ) external {
+        require(multimediaNFT == address(0), "Already initialized");
+        multimediaNFT = msg.sender;
+        tokenId = _tokenId;
+        
+        for (uint256 i = 0; i < recipients.length; i++) {
+            _recipients.push(recipients[i]);
+            shares[recipients[i]] = recipientShares[i];
+        }
+    }
+    
+    receive() external payable {
+        emit PaymentReceived(msg.sender, msg.value);
+    }
+    
+    function getRecipients() public view returns (address[] memory) {
+        return _recipients;
+    }
+    
+    function releasable(address recipient) public view returns (uint256) {
+        uint256 totalReceived = address(this).balance + totalReleased;
+        return (totalReceived * shares[recipient]) / 10000 - released[recipient];
+    }
+    
+    function release(address recipient) public nonReentrant {
+        require(shares[recipient] > 0, "Not a split recipient");
+        uint256 amount = releasable(recipient);
+        require(amount > 0, "Nothing to release");
+        
+        released[recipient] += amount;
+        totalReleased += amount;
+        (bool success, ) = payable(recipient).call{value: amount}("");
+        require(success, "Release failed");
+        
+        emit PaymentReleased(recipient, amount);
+    }
+}
\ No newline at end of file
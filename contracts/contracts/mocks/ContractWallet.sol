@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Test double for a smart-contract wallet: its receive() needs more than the
+// 2300 gas transfer() forwards, and it can be set to refuse payments
+contract ContractWallet {
+    bool public rejectPayments;
+    uint256 public received;
+    
+    function setRejectPayments(bool reject) public {
+        rejectPayments = reject;
+    }
+    
+    function execute(address target, bytes memory data) public payable returns (bytes memory) {
+        (bool success, bytes memory result) = target.call{value: msg.value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+    
+    receive() external payable {
+        require(!rejectPayments, "Payments rejected");
+        received += msg.value;
+    }
+}
@@ -0,0 +1,150 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("LicenseToken", function () {
+  let licensingContract;
+  let licenseToken;
+  let multimediaNFT;
+  let owner;
+  let addr1;
+  let addr2;
+  let addr3;
+
+  const offerPrice = ethers.parseEther("0.01");
+  const year = 365 * 24 * 60 * 60;
+  const termsHash = ethers.keccak256(ethers.toUtf8Bytes("ipfs://QmTerms"));
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, addr3] = await ethers.getSigners();
+
+    const MultimediaNFT = await ethers.getContractFactory("MultimediaNFT");
+    multimediaNFT = await MultimediaNFT.deploy();
+
+    const LicensingContract = await ethers.getContractFactory("LicensingContract");
+    licensingContract = await LicensingContract.deploy(
+      await multimediaNFT.getAddress(),
+      owner.address
+    );
+    licenseToken = await ethers.getContractAt("LicenseToken", await licensingContract.licenseToken());
+
+    await multimediaNFT.addAuthorizedMinter(addr1.address);
+    const fee = await multimediaNFT.mintingFee();
+    await multimediaNFT.connect(addr1).mintAsset(
+      "QmTestHash123",
+      "image/jpeg",
+      1024000,
+      "John Doe",
+      "QmProvenanceHash123",
+      "ipfs://QmMetadata123",
+      { value: fee }
+    );
+
+    await licensingContract.connect(addr1).createOffer(1, offerPrice, year, 0, "Standard Web", "ipfs://QmTerms", false);
+    await licensingContract.connect(addr1).createOffer(1, offerPrice, year, 0, "Personal", "ipfs://QmTerms", true);
+  });
+
+  describe("Deployment", function () {
+    it("Should be deployed by the licensing contract", async function () {
+      expect(await licenseToken.licensingContract()).to.equal(await licensingContract.getAddress());
+      expect(await licenseToken.name()).to.equal("Multimedia License");
+      expect(await licenseToken.symbol()).to.equal("MMLIC");
+    });
+
+    it("Should only let the licensing contract mint and revoke", async function () {
+      await expect(
+        licenseToken.mint(addr2.address, 1, 0, "Standard Web", 0, year, termsHash, false)
+      ).to.be.revertedWith("Not the licensing contract");
+      await expect(licenseToken.revoke(1)).to.be.revertedWith("Not the licensing contract");
+    });
+  });
+
+  describe("Minting", function () {
+    it("Should mint a license token for each offer purchase", async function () {
+      await expect(licensingContract.connect(addr2).purchaseOffer(1, 0, { value: offerPrice }))
+        .to.emit(licensingContract, "LicenseTokenMinted")
+        .withArgs(1, 0, 1, addr2.address)
+        .and.to.emit(licenseToken, "Transfer")
+        .withArgs(ethers.ZeroAddress, addr2.address, 1);
+
+      const license = (await licensingContract.getTokenLicenses(1))[0];
+      const record = await licenseToken.licenses(1);
+      expect(await licenseToken.ownerOf(1)).to.equal(addr2.address);
+      expect(await licensingContract.licenseTokenIds(1, 0)).to.equal(1);
+      expect(record.parentTokenId).to.equal(1);
+      expect(record.licenseIndex).to.equal(0);
+      expect(record.licenseType).to.equal("Standard Web");
+      expect(record.startDate).to.equal(license.startDate);
+      expect(record.expiry).to.equal(license.endDate);
+      expect(record.termsHash).to.equal(termsHash);
+      expect(record.soulbound).to.be.false;
+      expect(record.revokedAt).to.equal(0);
+      expect(await licenseToken.getLicenseTokens(1)).to.deep.equal([1n]);
+    });
+
+    it("Should mint a license token when a created license is paid for", async function () {
+      await licensingContract.connect(addr1).createLicense(1, addr3.address, offerPrice, year, "Broadcast", "Broadcast terms");
+      expect(await licenseToken.totalSupply()).to.equal(0);
+
+      await licensingContract.connect(addr3).purchaseLicense(1, 0, { value: offerPrice });
+
+      const record = await licenseToken.licenses(1);
+      expect(await licenseToken.ownerOf(1)).to.equal(addr3.address);
+      expect(record.licenseType).to.equal("Broadcast");
+      expect(record.termsHash).to.equal(ethers.keccak256(ethers.toUtf8Bytes("Broadcast terms")));
+      expect(record.soulbound).to.be.false;
+    });
+  });
+
+  describe("Validity", function () {
+    it("Should answer whether an address held a valid license at a time", async function () {
+      await licensingContract.connect(addr2).purchaseOffer(1, 0, { value: offerPrice });
+      const record = await licenseToken.licenses(1);
+
+      expect(await licenseToken.hasValidLicense(addr2.address, 1, record.startDate)).to.be.true;
+      expect(await licenseToken.hasValidLicense(addr2.address, 1, record.expiry)).to.be.true;
+      expect(await licenseToken.validLicenseOf(addr2.address, 1, record.startDate)).to.equal(1);
+      expect(await licenseToken.hasValidLicense(addr2.address, 1, record.startDate - 1n)).to.be.false;
+      expect(await licenseToken.hasValidLicense(addr2.address, 1, record.expiry + 1n)).to.be.false;
+      expect(await licenseToken.hasValidLicense(addr3.address, 1, record.startDate)).to.be.false;
+      expect(await licenseToken.hasValidLicense(addr2.address, 2, record.startDate)).to.be.false;
+      expect(await licenseToken.isValid(99, record.startDate)).to.be.false;
+    });
+
+    it("Should keep a revoked license valid only before its revocation", async function () {
+      await licensingContract.connect(addr2).purchaseOffer(1, 0, { value: offerPrice });
+      const { startDate } = await licenseToken.licenses(1);
+      await time.increase(60);
+
+      await expect(licensingContract.connect(addr1).revokeLicense(1, 0))
+        .to.emit(licenseToken, "LicenseTokenRevoked");
+
+      const { revokedAt } = await licenseToken.licenses(1);
+      expect(revokedAt).to.be.greaterThan(startDate);
+      expect(await licenseToken.hasValidLicense(addr2.address, 1, startDate)).to.be.true;
+      expect(await licenseToken.hasValidLicense(addr2.address, 1, revokedAt)).to.be.false;
+    });
+  });
+
+  describe("Transfers", function () {
+    it("Should move a transferable license to its new holder", async function () {
+      await licensingContract.connect(addr2).purchaseOffer(1, 0, { value: offerPrice });
+      const { startDate } = await licenseToken.licenses(1);
+
+      await licenseToken.connect(addr2).transferFrom(addr2.address, addr3.address, 1);
+
+      expect(await licenseToken.hasValidLicense(addr3.address, 1, startDate)).to.be.true;
+      expect(await licenseToken.hasValidLicense(addr2.address, 1, startDate)).to.be.false;
+    });
+
+    it("Should not transfer licenses of soulbound offers", async function () {
+      await licensingContract.connect(addr2).purchaseOffer(1, 1, { value: offerPrice });
+      expect((await licenseToken.licenses(1)).soulbound).to.be.true;
+
+      await expect(
+        licenseToken.connect(addr2).transferFrom(addr2.address, addr3.address, 1)
+      ).to.be.revertedWith("License token is soulbound");
+      expect(await licenseToken.ownerOf(1)).to.equal(addr2.address);
+    });
+  });
+});
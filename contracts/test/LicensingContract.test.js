@@ -172,14 +172,14 @@ describe("LicensingContract", function () {
 
     it("Should purchase license successfully", async function () {
       const licensePrice = ethers.parseEther("0.1");
-      const initialBalance = await ethers.provider.getBalance(addr1.address);
       
       await expect(
         licensingContract.connect(addr2).purchaseLicense(1, 0, { value: licensePrice })
-      ).to.emit(licensingContract, "ViewerAuthorized");
+      ).to.emit(licensingContract, "LicensePurchased");
 
-      const finalBalance = await ethers.provider.getBalance(addr1.address);
-      expect(finalBalance).to.be.gt(initialBalance);
+      const licenses = await licensingContract.getTokenLicenses(1);
+      expect(licenses[0].purchased).to.equal(true);
+      expect(await licensingContract.pendingWithdrawals(addr1.address)).to.be.gt(0);
     });
 
     it("Should fail with insufficient payment", async function () {
@@ -294,51 +294,6 @@ describe("LicensingContract", function () {
     });
   });
 
-  describe("Royalty Management", function () {
-    beforeEach(async function () {
-      // Mint an NFT for addr1
-      const fee = await multimediaNFT.mintingFee();
-      await multimediaNFT.connect(addr1).mintAsset(
-        "QmTestHash123",
-        "image/jpeg",
-        1024000,
-        "John Doe",
-        "QmProvenanceHash123",
-        "ipfs://QmMetadata123",
-        { value: fee }
-      );
-    });
-
-    it("Should set royalty successfully", async function () {
-      await expect(
-        licensingContract.connect(addr1).setRoyalty(1, addr2.address, 500) // 5%
-      ).to.emit(licensingContract, "RoyaltySet");
-
-      const royalty = await licensingContract.tokenRoyalties(1);
-      expect(royalty.recipient).to.equal(addr2.address);
-      expect(royalty.percentage).to.equal(500);
-      expect(royalty.isActive).to.equal(true);
-    });
-
-    it("Should fail to set royalty for non-owner", async function () {
-      await expect(
-        licensingContract.connect(addr2).setRoyalty(1, addr3.address, 500)
-      ).to.be.revertedWith("Not the token owner");
-    });
-
-    it("Should fail to set royalty with invalid recipient", async function () {
-      await expect(
-        licensingContract.connect(addr1).setRoyalty(1, ethers.ZeroAddress, 500)
-      ).to.be.revertedWith("Invalid recipient address");
-    });
-
-    it("Should fail to set royalty above 10%", async function () {
-      await expect(
-        licensingContract.connect(addr1).setRoyalty(1, addr2.address, 1500) // 15%
-      ).to.be.revertedWith("Royalty percentage cannot exceed 10%");
-    });
-  });
-
   describe("Data Retrieval", function () {
     beforeEach(async function () {
       // Mint an NFT for addr1
@@ -382,6 +337,7 @@ describe("LicensingContract", function () {
     });
 
     it("Should return active license", async function () {
+      await licensingContract.connect(addr2).purchaseLicense(1, 0, { value: ethers.parseEther("0.1") });
       const activeLicense = await licensingContract.getActiveLicense(1, addr2.address);
       expect(activeLicense.licensee).to.equal(addr2.address);
       expect(activeLicense.licensor).to.equal(addr1.address);
@@ -476,6 +432,119 @@ describe("LicensingContract", function () {
     });
   });
 
+  describe("License Offers", function () {
+    const offerPrice = ethers.parseEther("0.01");
+    const year = 365 * 24 * 60 * 60;
+
+    beforeEach(async function () {
+      await multimediaNFT.addAuthorizedMinter(addr1.address);
+      const fee = await multimediaNFT.mintingFee();
+      await multimediaNFT.connect(addr1).mintAsset(
+        "QmTestHash123",
+        "image/jpeg",
+        1024000,
+        "John Doe",
+        "QmProvenanceHash123",
+        "ipfs://QmMetadata123",
+        { value: fee }
+      );
+
+      await licensingContract.connect(addr1).createOffer(1, offerPrice, year, 2, "Standard Web", "ipfs://QmTerms", false);
+    });
+
+    it("Should create an offer", async function () {
+      await expect(
+        licensingContract.connect(addr1).createOffer(1, offerPrice, year, 0, "Unlimited Web", "ipfs://QmTerms", true)
+      ).to.emit(licensingContract, "LicenseOfferCreated")
+        .withArgs(1, 1, addr1.address, offerPrice, year, 0, "Unlimited Web", "ipfs://QmTerms", true);
+
+      const offers = await licensingContract.getTokenOffers(1);
+      expect(offers.length).to.equal(2);
+      expect(offers[0].licensor).to.equal(addr1.address);
+      expect(offers[0].maxSeats).to.equal(2);
+      expect(offers[0].seatsSold).to.equal(0);
+      expect(offers[0].isActive).to.be.true;
+      expect(offers[0].soulbound).to.be.false;
+      expect(offers[1].soulbound).to.be.true;
+    });
+
+    it("Should only let the token owner create offers", async function () {
+      await expect(
+        licensingContract.connect(addr2).createOffer(1, offerPrice, year, 0, "Standard Web", "ipfs://QmTerms", false)
+      ).to.be.revertedWith("Not the token owner");
+      await expect(
+        licensingContract.connect(addr1).createOffer(1, 0, year, 0, "Standard Web", "ipfs://QmTerms", false)
+      ).to.be.revertedWith("Price must be greater than 0");
+      await expect(
+        licensingContract.connect(addr1).createOffer(1, offerPrice, 0, 0, "Standard Web", "ipfs://QmTerms", false)
+      ).to.be.revertedWith("Duration must be greater than 0");
+    });
+
+    it("Should sell any address a license running for the offer's duration", async function () {
+      await expect(licensingContract.connect(addr2).purchaseOffer(1, 0, { value: offerPrice }))
+        .to.emit(licensingContract, "LicenseOfferPurchased")
+        .withArgs(1, 0, addr2.address, 0)
+        .and.to.emit(licensingContract, "LicensePurchased");
+      await licensingContract.connect(addr3).purchaseOffer(1, 0, { value: offerPrice });
+
+      const licenses = await licensingContract.getTokenLicenses(1);
+      expect(licenses.length).to.equal(2);
+      expect(licenses[1].licensee).to.equal(addr3.address);
+      expect(licenses[1].licensor).to.equal(addr1.address);
+      expect(licenses[1].licenseType).to.equal("Standard Web");
+      expect(licenses[1].terms).to.equal("ipfs://QmTerms");
+      expect(licenses[1].purchased).to.be.true;
+      expect(licenses[1].endDate - licenses[1].startDate).to.equal(year);
+
+      expect(await licensingContract.getUserLicenses(addr3.address)).to.deep.equal([1n]);
+      expect((await licensingContract.getActiveLicense(1, addr2.address)).licensee).to.equal(addr2.address);
+      expect((await licensingContract.getTokenOffers(1))[0].seatsSold).to.equal(2);
+    });
+
+    it("Should settle offer purchases like licenses", async function () {
+      await licensingContract.connect(addr2).purchaseOffer(1, 0, { value: ethers.parseEther("0.02") });
+
+      const platformFee = (offerPrice * 250n) / 10000n;
+      expect(await licensingContract.pendingWithdrawals(owner.address)).to.equal(platformFee);
+      expect(await licensingContract.pendingWithdrawals(addr1.address)).to.equal(offerPrice - platformFee);
+      expect(await ethers.provider.getBalance(await licensingContract.getAddress())).to.equal(offerPrice);
+    });
+
+    it("Should stop selling once the seats are taken", async function () {
+      await licensingContract.connect(addr2).purchaseOffer(1, 0, { value: offerPrice });
+      await licensingContract.connect(addr3).purchaseOffer(1, 0, { value: offerPrice });
+
+      await expect(
+        licensingContract.connect(addrs[0]).purchaseOffer(1, 0, { value: offerPrice })
+      ).to.be.revertedWith("Offer is sold out");
+    });
+
+    it("Should reject purchases of missing, inactive or underpaid offers", async function () {
+      await expect(
+        licensingContract.connect(addr2).purchaseOffer(1, 1, { value: offerPrice })
+      ).to.be.revertedWith("Offer does not exist");
+      await expect(
+        licensingContract.connect(addr2).purchaseOffer(1, 0, { value: offerPrice / 2n })
+      ).to.be.revertedWith("Insufficient payment");
+
+      await expect(licensingContract.connect(addr2).deactivateOffer(1, 0)).to.be.revertedWith("Not the licensor");
+      await expect(licensingContract.connect(addr1).deactivateOffer(1, 0))
+        .to.emit(licensingContract, "LicenseOfferDeactivated")
+        .withArgs(1, 0);
+      await expect(
+        licensingContract.connect(addr2).purchaseOffer(1, 0, { value: offerPrice })
+      ).to.be.revertedWith("Offer is not active");
+    });
+
+    it("Should lapse offers when the token changes hands", async function () {
+      await multimediaNFT.connect(addr1).transferFrom(addr1.address, addr3.address, 1);
+
+      await expect(
+        licensingContract.connect(addr2).purchaseOffer(1, 0, { value: offerPrice })
+      ).to.be.revertedWith("Licensor no longer owns the token");
+    });
+  });
+
   describe("Payment Processing", function () {
     beforeEach(async function () {
       // Mint an NFT for addr1
@@ -491,7 +560,7 @@ describe("LicensingContract", function () {
       );
 
       // Set royalty
-      await licensingContract.connect(addr1).setRoyalty(1, addr3.address, 500); // 5%
+      await multimediaNFT.connect(addr1).setTokenRoyalty(1, addr3.address, 500); // 5%
 
       // Create license
       await licensingContract.connect(addr1).createLicense(
@@ -506,31 +575,184 @@ describe("LicensingContract", function () {
 
     it("Should process payment with royalty correctly", async function () {
       const licensePrice = ethers.parseEther("0.1");
-      const initialLicensorBalance = await ethers.provider.getBalance(addr1.address);
-      const initialRoyaltyRecipientBalance = await ethers.provider.getBalance(addr3.address);
       
       await licensingContract.connect(addr2).purchaseLicense(1, 0, { value: licensePrice });
       
-      const finalLicensorBalance = await ethers.provider.getBalance(addr1.address);
-      const finalRoyaltyRecipientBalance = await ethers.provider.getBalance(addr3.address);
-      
-      expect(finalLicensorBalance).to.be.gt(initialLicensorBalance);
-      expect(finalRoyaltyRecipientBalance).to.be.gt(initialRoyaltyRecipientBalance);
+      expect(await licensingContract.pendingWithdrawals(addr1.address)).to.be.gt(0);
+      expect(await licensingContract.pendingWithdrawals(addr3.address)).to.be.gt(0);
     });
 
     it("Should calculate platform fee correctly", async function () {
       const licensePrice = ethers.parseEther("0.1");
       const platformFee = await licensingContract.platformFee();
-      const expectedPlatformFee = (licensePrice * platformFee) / 10000;
-      
-      const initialPlatformWalletBalance = await ethers.provider.getBalance(owner.address);
+      const expectedPlatformFee = (licensePrice * platformFee) / 10000n;
       
       await licensingContract.connect(addr2).purchaseLicense(1, 0, { value: licensePrice });
       
-      const finalPlatformWalletBalance = await ethers.provider.getBalance(owner.address);
-      const actualPlatformFee = finalPlatformWalletBalance - initialPlatformWalletBalance;
-      
-      expect(actualPlatformFee).to.equal(expectedPlatformFee);
+      expect(await licensingContract.pendingWithdrawals(owner.address)).to.equal(expectedPlatformFee);
+    });
+  });
+
+  describe("Settlement", function () {
+    const licensePrice = ethers.parseEther("1");
+    // 2.5% platform fee, then a 5% royalty on the remaining 0.975
+    const expectedPlatformFee = ethers.parseEther("0.025");
+    const expectedRoyalty = ethers.parseEther("0.04875");
+    const expectedLicensorShare = ethers.parseEther("0.92625");
+
+    beforeEach(async function () {
+      await multimediaNFT.addAuthorizedMinter(addr1.address);
+      const fee = await multimediaNFT.mintingFee();
+      await multimediaNFT.connect(addr1).mintAsset(
+        "QmTestHash123",
+        "image/jpeg",
+        1024000,
+        "John Doe",
+        "QmProvenanceHash123",
+        "ipfs://QmMetadata123",
+        { value: fee }
+      );
+
+      await licensingContract.connect(addr1).createLicense(
+        1,
+        addr2.address,
+        licensePrice,
+        86400,
+        "Commercial",
+        "Commercial use license"
+      );
+    });
+
+    it("Should split the price into platform fee, royalty and licensor share", async function () {
+      await multimediaNFT.connect(addr1).setTokenRoyalty(1, addr3.address, 500);
+
+      await expect(
+        licensingContract.connect(addr2).purchaseLicense(1, 0, { value: licensePrice })
+      ).to.emit(licensingContract, "LicensePurchased")
+        .withArgs(1, 0, addr2.address, licensePrice, expectedPlatformFee, expectedRoyalty, expectedLicensorShare);
+
+      expect(await licensingContract.pendingWithdrawals(owner.address)).to.equal(expectedPlatformFee);
+      expect(await licensingContract.pendingWithdrawals(addr3.address)).to.equal(expectedRoyalty);
+      expect(await licensingContract.pendingWithdrawals(addr1.address)).to.equal(expectedLicensorShare);
+      expect(await ethers.provider.getBalance(await licensingContract.getAddress())).to.equal(licensePrice);
+    });
+
+    it("Should credit the licensor everything but the platform fee without a royalty", async function () {
+      await licensingContract.connect(addr2).purchaseLicense(1, 0, { value: licensePrice });
+
+      expect(await licensingContract.pendingWithdrawals(addr1.address)).to.equal(licensePrice - expectedPlatformFee);
+      expect(await licensingContract.pendingWithdrawals(addr3.address)).to.equal(0);
+    });
+
+    it("Should credit both shares when the licensor is the royalty recipient", async function () {
+      await multimediaNFT.connect(addr1).setTokenRoyalty(1, addr1.address, 500);
+
+      await licensingContract.connect(addr2).purchaseLicense(1, 0, { value: licensePrice });
+
+      expect(await licensingContract.pendingWithdrawals(addr1.address)).to.equal(expectedRoyalty + expectedLicensorShare);
+    });
+
+    it("Should pay the NFT's default royalty", async function () {
+      await multimediaNFT.setDefaultRoyalty(addr3.address, 500);
+
+      await licensingContract.connect(addr2).purchaseLicense(1, 0, { value: licensePrice });
+
+      expect(await licensingContract.pendingWithdrawals(addr3.address)).to.equal(expectedRoyalty);
+      expect(await licensingContract.pendingWithdrawals(addr1.address)).to.equal(expectedLicensorShare);
+    });
+
+    it("Should credit a split royalty to its recipients", async function () {
+      await multimediaNFT.connect(addr1).setRoyaltySplit(1, [addr1.address, addr3.address, addrs[0].address], [5000, 3333, 1667], 500);
+
+      await licensingContract.connect(addr2).purchaseLicense(1, 0, { value: licensePrice });
+
+      const splitter = await multimediaNFT.royaltySplitters(1);
+      const photographer = (expectedRoyalty * 3333n) / 10000n;
+      const composer = expectedRoyalty - expectedRoyalty / 2n - photographer;
+      expect(await licensingContract.pendingWithdrawals(splitter)).to.equal(0);
+      expect(await licensingContract.pendingWithdrawals(addr1.address)).to.equal(expectedLicensorShare + expectedRoyalty / 2n);
+      expect(await licensingContract.pendingWithdrawals(addr3.address)).to.equal(photographer);
+      expect(await licensingContract.pendingWithdrawals(addrs[0].address)).to.equal(composer);
+      expect(await ethers.provider.getBalance(await licensingContract.getAddress())).to.equal(licensePrice);
+    });
+
+    it("Should refund overpayment", async function () {
+      const payment = ethers.parseEther("1.5");
+
+      const tx = licensingContract.connect(addr2).purchaseLicense(1, 0, { value: payment });
+      await expect(tx).to.emit(licensingContract, "Refunded").withArgs(addr2.address, payment - licensePrice);
+      await expect(tx).to.changeEtherBalances(
+        [addr2, licensingContract],
+        [-licensePrice, licensePrice]
+      );
+      expect(await licensingContract.pendingWithdrawals(addr2.address)).to.equal(0);
+    });
+
+    it("Should mark the license purchased and refuse a second purchase", async function () {
+      await licensingContract.connect(addr2).purchaseLicense(1, 0, { value: licensePrice });
+
+      const licenses = await licensingContract.getTokenLicenses(1);
+      expect(licenses[0].purchased).to.equal(true);
+
+      await expect(
+        licensingContract.connect(addr2).purchaseLicense(1, 0, { value: licensePrice })
+      ).to.be.revertedWith("License already purchased");
+    });
+
+    it("Should not return an unpaid license as active", async function () {
+      await expect(
+        licensingContract.getActiveLicense(1, addr2.address)
+      ).to.be.revertedWith("No active license found");
+
+      await licensingContract.connect(addr2).purchaseLicense(1, 0, { value: licensePrice });
+      const activeLicense = await licensingContract.getActiveLicense(1, addr2.address);
+      expect(activeLicense.purchased).to.equal(true);
+    });
+
+    it("Should pay out pending withdrawals once", async function () {
+      await multimediaNFT.connect(addr1).setTokenRoyalty(1, addr3.address, 500);
+      await licensingContract.connect(addr2).purchaseLicense(1, 0, { value: licensePrice });
+
+      const tx = licensingContract.connect(addr1).withdraw();
+      await expect(tx).to.emit(licensingContract, "Withdrawn").withArgs(addr1.address, expectedLicensorShare);
+      await expect(tx).to.changeEtherBalances(
+        [addr1, licensingContract],
+        [expectedLicensorShare, -expectedLicensorShare]
+      );
+      expect(await licensingContract.pendingWithdrawals(addr1.address)).to.equal(0);
+
+      await expect(
+        licensingContract.connect(addr1).withdraw()
+      ).to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("Should only pay the platform wallet its fees", async function () {
+      await licensingContract.connect(addr2).purchaseLicense(1, 0, { value: licensePrice });
+
+      await expect(
+        licensingContract.withdrawPlatformFees()
+      ).to.changeEtherBalance(owner, expectedPlatformFee);
+      expect(await licensingContract.pendingWithdrawals(addr1.address)).to.equal(licensePrice - expectedPlatformFee);
+    });
+
+    it("Should settle with contract wallets", async function () {
+      const ContractWallet = await ethers.getContractFactory("ContractWallet");
+      const wallet = await ContractWallet.deploy();
+      const walletAddress = await wallet.getAddress();
+
+      // Licensee wallet that refuses the refund: it is credited instead
+      await licensingContract.connect(addr1).createLicense(1, walletAddress, licensePrice, 86400, "Commercial", "");
+      await wallet.setRejectPayments(true);
+      const purchase = licensingContract.interface.encodeFunctionData("purchaseLicense", [1, 1]);
+      await wallet.execute(await licensingContract.getAddress(), purchase, { value: ethers.parseEther("1.2") });
+      expect(await licensingContract.pendingWithdrawals(walletAddress)).to.equal(ethers.parseEther("0.2"));
+
+      // Once it accepts payments it withdraws, which transfer() could not pay
+      await wallet.setRejectPayments(false);
+      const withdraw = licensingContract.interface.encodeFunctionData("withdraw");
+      await wallet.execute(await licensingContract.getAddress(), withdraw);
+      expect(await wallet.received()).to.equal(ethers.parseEther("0.2"));
+      expect(await licensingContract.pendingWithdrawals(walletAddress)).to.equal(0);
     });
   });
 
@@ -476,6 +476,296 @@ describe("MultimediaNFT", function () {
     });
   });
 
+  describe("Minting by the owner", function () {
+    const asset = {
+      ipfsHash: "QmOwnerHash123",
+      fileType: "video/mp4",
+      fileSize: 2048,
+      originalCreator: "Jane Doe",
+      provenanceHash: "QmOwnerProvenance123",
+      tokenURI: "QmOwnerMetadata123"
+    };
+
+    const mint = (data = asset) => multimediaNFT.mintAsset(
+      data.ipfsHash,
+      data.fileType,
+      data.fileSize,
+      data.originalCreator,
+      data.provenanceHash,
+      data.tokenURI,
+      { value: ethers.parseEther("0.005") }
+    );
+
+    it("Should mint and record the token URI", async function () {
+      await expect(mint())
+        .to.emit(multimediaNFT, "AssetMinted")
+        .withArgs(1, owner.address, asset.ipfsHash, asset.fileType, asset.fileSize, asset.tokenURI);
+
+      expect(await multimediaNFT.ownerOf(1)).to.equal(owner.address);
+      expect(await multimediaNFT.tokenURI(1)).to.equal(asset.tokenURI);
+      expect(await multimediaNFT.checkIPFSHashExists(asset.ipfsHash)).to.equal(true);
+    });
+
+    it("Should fail to mint the same IPFS hash twice", async function () {
+      await mint();
+
+      await expect(mint()).to.be.revertedWith("IPFS hash already exists");
+      expect(await multimediaNFT.getCreatorTokens(owner.address)).to.deep.equal([1n]);
+    });
+  });
+
+  describe("Royalties (ERC-2981)", function () {
+    const salePrice = ethers.parseEther("1");
+
+    const mint = (ipfsHash, ...royalty) => {
+      const args = [ipfsHash, "image/jpeg", 1024, "Jane Doe", "QmProvenance", "QmMetadata"];
+      const fee = { value: ethers.parseEther("0.005") };
+      return royalty.length > 0
+        ? multimediaNFT.mintAssetWithRoyalty(...args, ...royalty, fee)
+        : multimediaNFT.mintAsset(...args, fee);
+    };
+
+    it("Should support the ERC-2981 and ERC-721 interfaces", async function () {
+      expect(await multimediaNFT.supportsInterface("0x2a55205a")).to.equal(true);
+      expect(await multimediaNFT.supportsInterface("0x80ac58cd")).to.equal(true);
+    });
+
+    it("Should set a token royalty at mint time", async function () {
+      await expect(mint("QmRoyalty1", addr1.address, 500))
+        .to.emit(multimediaNFT, "RoyaltySet")
+        .withArgs(1, addr1.address, 500);
+
+      const [recipient, amount] = await multimediaNFT.royaltyInfo(1, salePrice);
+      expect(recipient).to.equal(addr1.address);
+      expect(amount).to.equal(ethers.parseEther("0.05"));
+      expect(await multimediaNFT.tokenCreators(1)).to.equal(owner.address);
+    });
+
+    it("Should fall back to the default royalty", async function () {
+      await mint("QmRoyalty1");
+      expect((await multimediaNFT.royaltyInfo(1, salePrice))[1]).to.equal(0);
+
+      await expect(multimediaNFT.setDefaultRoyalty(addr2.address, 250))
+        .to.emit(multimediaNFT, "DefaultRoyaltySet")
+        .withArgs(addr2.address, 250);
+      const [recipient, amount] = await multimediaNFT.royaltyInfo(1, salePrice);
+      expect(recipient).to.equal(addr2.address);
+      expect(amount).to.equal(ethers.parseEther("0.025"));
+
+      await multimediaNFT.deleteDefaultRoyalty();
+      expect((await multimediaNFT.royaltyInfo(1, salePrice))[0]).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should let the creator change and reset a token royalty", async function () {
+      await multimediaNFT.setDefaultRoyalty(addr2.address, 250);
+      await mint("QmRoyalty1", addr1.address, 500);
+
+      await multimediaNFT.setTokenRoyalty(1, addr3.address, 1000);
+      expect((await multimediaNFT.royaltyInfo(1, salePrice))[0]).to.equal(addr3.address);
+
+      await expect(multimediaNFT.resetTokenRoyalty(1))
+        .to.emit(multimediaNFT, "RoyaltySet")
+        .withArgs(1, ethers.ZeroAddress, 0);
+      expect((await multimediaNFT.royaltyInfo(1, salePrice))[0]).to.equal(addr2.address);
+    });
+
+    it("Should keep the royalty with the creator after a transfer", async function () {
+      await mint("QmRoyalty1", addr1.address, 500);
+      await multimediaNFT.transferFrom(owner.address, addr2.address, 1);
+
+      await expect(
+        multimediaNFT.connect(addr2).setTokenRoyalty(1, addr2.address, 1000)
+      ).to.be.revertedWith("Not the token creator");
+      expect((await multimediaNFT.royaltyInfo(1, salePrice))[0]).to.equal(addr1.address);
+    });
+
+    it("Should fail to set a royalty with invalid recipient", async function () {
+      await expect(
+        mint("QmRoyalty1", ethers.ZeroAddress, 500)
+      ).to.be.revertedWith("Invalid recipient address");
+
+      await expect(
+        multimediaNFT.setDefaultRoyalty(ethers.ZeroAddress, 500)
+      ).to.be.revertedWith("Invalid recipient address");
+    });
+
+    it("Should fail to set a royalty above 10%", async function () {
+      await expect(
+        mint("QmRoyalty1", addr1.address, 1500)
+      ).to.be.revertedWith("Royalty percentage cannot exceed 10%");
+
+      await mint("QmRoyalty1");
+      await expect(
+        multimediaNFT.setTokenRoyalty(1, addr1.address, 1001)
+      ).to.be.revertedWith("Royalty percentage cannot exceed 10%");
+    });
+
+    it("Should fail to set the default royalty for non-owner", async function () {
+      await expect(
+        multimediaNFT.connect(addr1).setDefaultRoyalty(addr1.address, 500)
+      ).to.be.revertedWithCustomError(multimediaNFT, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Royalty Splits", function () {
+    const salePrice = ethers.parseEther("1");
+
+    beforeEach(async function () {
+      await multimediaNFT.mintAsset(
+        "QmSplitHash",
+        "video/mp4",
+        2048,
+        "Studio",
+        "QmSplitProvenance",
+        "QmSplitMetadata",
+        { value: ethers.parseEther("0.005") }
+      );
+    });
+
+    const splitter = async () => ethers.getContractAt("RoyaltySplitter", await multimediaNFT.royaltySplitters(1));
+
+    it("Should pay the royalty to a splitter for the recipients", async function () {
+      await expect(
+        multimediaNFT.setRoyaltySplit(1, [addr1.address, addr2.address, addr3.address], [5000, 3000, 2000], 1000)
+      ).to.emit(multimediaNFT, "RoyaltySplitSet");
+
+      const splitterAddress = await multimediaNFT.royaltySplitters(1);
+      const [recipient, amount] = await multimediaNFT.royaltyInfo(1, salePrice);
+      expect(recipient).to.equal(splitterAddress);
+      expect(amount).to.equal(ethers.parseEther("0.1"));
+
+      const [recipients, shares] = await multimediaNFT.getRoyaltySplit(1);
+      expect(recipients).to.deep.equal([addr1.address, addr2.address, addr3.address]);
+      expect(shares).to.deep.equal([5000n, 3000n, 2000n]);
+    });
+
+    it("Should share ERC-2981 payouts between the recipients", async function () {
+      await multimediaNFT.setRoyaltySplit(1, [addr1.address, addr2.address], [7000, 3000], 1000);
+      const royaltySplitter = await splitter();
+
+      // A marketplace paying the royalty of a sale
+      await owner.sendTransaction({ to: await royaltySplitter.getAddress(), value: ethers.parseEther("0.1") });
+
+      expect(await royaltySplitter.releasable(addr1.address)).to.equal(ethers.parseEther("0.07"));
+      await expect(royaltySplitter.release(addr2.address))
+        .to.changeEtherBalance(addr2, ethers.parseEther("0.03"));
+      await expect(royaltySplitter.release(addr2.address)).to.be.revertedWith("Nothing to release");
+      await expect(royaltySplitter.release(addr3.address)).to.be.revertedWith("Not a split recipient");
+
+      await owner.sendTransaction({ to: await royaltySplitter.getAddress(), value: ethers.parseEther("0.1") });
+      await expect(royaltySplitter.release(addr1.address))
+        .to.changeEtherBalance(addr1, ethers.parseEther("0.14"));
+    });
+
+    it("Should not let the splitter be initialized again", async function () {
+      await multimediaNFT.setRoyaltySplit(1, [addr1.address], [10000], 500);
+      const royaltySplitter = await splitter();
+
+      await expect(
+        royaltySplitter.initialize(1, [addr2.address], [10000])
+      ).to.be.revertedWith("Already initialized");
+    });
+
+    it("Should reject invalid splits", async function () {
+      await expect(
+        multimediaNFT.setRoyaltySplit(1, [addr1.address, addr2.address], [5000, 4000], 500)
+      ).to.be.revertedWith("Shares must sum to 10000");
+      await expect(
+        multimediaNFT.setRoyaltySplit(1, [addr1.address, addr1.address], [5000, 5000], 500)
+      ).to.be.revertedWith("Duplicate split recipient");
+      await expect(
+        multimediaNFT.setRoyaltySplit(1, [addr1.address, ethers.ZeroAddress], [5000, 5000], 500)
+      ).to.be.revertedWith("Invalid recipient address");
+      await expect(
+        multimediaNFT.setRoyaltySplit(1, [addr1.address, addr2.address], [10000, 0], 500)
+      ).to.be.revertedWith("Shares must be greater than 0");
+      await expect(
+        multimediaNFT.setRoyaltySplit(1, [addr1.address], [5000, 5000], 500)
+      ).to.be.revertedWith("Recipients and shares differ in length");
+      await expect(
+        multimediaNFT.setRoyaltySplit(1, [], [], 500)
+      ).to.be.revertedWith("Split needs 1 to 10 recipients");
+      await expect(
+        multimediaNFT.setRoyaltySplit(1, [addr1.address], [10000], 1500)
+      ).to.be.revertedWith("Royalty percentage cannot exceed 10%");
+      await expect(
+        multimediaNFT.connect(addr1).setRoyaltySplit(1, [addr1.address], [10000], 500)
+      ).to.be.revertedWith("Not the token creator");
+    });
+
+    it("Should replace the split until the royalty is locked", async function () {
+      await multimediaNFT.setRoyaltySplit(1, [addr1.address], [10000], 500);
+      const first = await multimediaNFT.royaltySplitters(1);
+      await multimediaNFT.setRoyaltySplit(1, [addr1.address, addr2.address], [5000, 5000], 500);
+      expect(await multimediaNFT.royaltySplitters(1)).to.not.equal(first);
+
+      await expect(multimediaNFT.lockRoyalty(1))
+        .to.emit(multimediaNFT, "RoyaltyLocked")
+        .withArgs(1);
+
+      await expect(
+        multimediaNFT.setRoyaltySplit(1, [addr3.address], [10000], 500)
+      ).to.be.revertedWith("Royalty is locked");
+      await expect(
+        multimediaNFT.setTokenRoyalty(1, addr3.address, 500)
+      ).to.be.revertedWith("Royalty is locked");
+      await expect(
+        multimediaNFT.resetTokenRoyalty(1)
+      ).to.be.revertedWith("Royalty is locked");
+      await expect(multimediaNFT.lockRoyalty(1)).to.be.revertedWith("Royalty is locked");
+    });
+
+    it("Should drop the split when a single recipient is set", async function () {
+      await multimediaNFT.setRoyaltySplit(1, [addr1.address, addr2.address], [5000, 5000], 500);
+      await multimediaNFT.setTokenRoyalty(1, addr3.address, 500);
+
+      const [recipients] = await multimediaNFT.getRoyaltySplit(1);
+      expect(recipients.length).to.equal(0);
+      expect(await multimediaNFT.royaltySplitters(1)).to.equal(ethers.ZeroAddress);
+      expect((await multimediaNFT.royaltyInfo(1, salePrice))[0]).to.equal(addr3.address);
+    });
+  });
+
+  describe("Merkle Root Anchoring", function () {
+    const root = ethers.sha256(ethers.toUtf8Bytes("batch"));
+
+    it("Should anchor a batch Merkle root", async function () {
+      await expect(multimediaNFT.anchorMerkleRoot(root, 3))
+        .to.emit(multimediaNFT, "MerkleRootAnchored");
+
+      expect(await multimediaNFT.isMerkleRootAnchored(root)).to.equal(true);
+      expect(await multimediaNFT.merkleRootTimestamps(root)).to.be.gt(0);
+    });
+
+    it("Should report unknown roots as not anchored", async function () {
+      expect(await multimediaNFT.isMerkleRootAnchored(root)).to.equal(false);
+    });
+
+    it("Should fail to anchor the same root twice", async function () {
+      await multimediaNFT.anchorMerkleRoot(root, 3);
+
+      await expect(
+        multimediaNFT.anchorMerkleRoot(root, 3)
+      ).to.be.revertedWith("Merkle root already anchored");
+    });
+
+    it("Should fail to anchor an empty root or batch", async function () {
+      await expect(
+        multimediaNFT.anchorMerkleRoot(ethers.ZeroHash, 3)
+      ).to.be.revertedWith("Merkle root cannot be empty");
+
+      await expect(
+        multimediaNFT.anchorMerkleRoot(root, 0)
+      ).to.be.revertedWith("Leaf count must be greater than 0");
+    });
+
+    it("Should fail for unauthorized accounts", async function () {
+      await expect(
+        multimediaNFT.connect(addr1).anchorMerkleRoot(root, 3)
+      ).to.be.revertedWith("Not authorized to mint");
+    });
+  });
+
   describe("Fee Management", function () {
     it("Should set minting fee", async function () {
       const newFee = ethers.parseEther("0.01");
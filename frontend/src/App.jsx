@@ -23,7 +23,8 @@ const Navigation = () => {
     getConnectionStatus,
     clearMetaMaskState,
     refreshConnection,
-    retryAuthentication
+    retryAuthentication,
+    logoutAllSessions
   } = useWeb3();
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const location = useLocation();
@@ -120,6 +121,13 @@ const Navigation = () => {
                   >
                     Auth
                   </button>
+                  <button
+                    onClick={logoutAllSessions}
+                    className="text-xs text-orange-500 px-2 py-1 rounded border border-orange-300 hover:bg-orange-50"
+                    title="Sign out of every session of this wallet, on all devices"
+                  >
+                    Sign out all
+                  </button>
                 </div>
               </div>
             ) : (
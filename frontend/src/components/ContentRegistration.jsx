@@ -1,11 +1,110 @@
 import React, { useState } from 'react';
 import { useWeb3 } from './Web3Provider';
-import FileUpload from './FileUpload';
+import FileUpload, { uploadResumable } from './FileUpload';
 import { toast } from 'react-hot-toast';
-import { FiUpload, FiCheck, FiX, FiAlertCircle, FiInfo, FiUser, FiTag, FiDollarSign, FiSettings } from 'react-icons/fi';
+import { FiUpload, FiCheck, FiX, FiAlertCircle, FiInfo, FiUser, FiTag, FiDollarSign, FiSettings, FiUsers, FiPlus, FiTrash2, FiLock } from 'react-icons/fi';
+
+// Client upload followed by the stages of a server registration job
+const REGISTRATION_STEPS = [
+  { status: 'uploading', label: 'Uploading file...' },
+  { status: 'received', label: 'Received, waiting to be processed...' },
+  { status: 'processed', label: 'Fingerprinted, storing on IPFS...' },
+  { status: 'stored', label: 'Stored on IPFS, sending NFT mint...' },
+  { status: 'minted', label: 'Mint sent, waiting for confirmation...' },
+  { status: 'confirmed', label: 'Confirmed on-chain' }
+];
+
+const STATUS_POLL_INTERVAL = 5000;
+
+// MultimediaNFT caps royalties at 10% and splits at 10 contributors
+const MAX_ROYALTY_PERCENT = 10;
+const MAX_CONTRIBUTORS = 10;
+
+const isAddress = (value) => /^0x[0-9a-fA-F]{40}$/.test(value);
+
+// Percentages as entered, in the basis points the contracts use
+const toBasisPoints = (percent) => Math.round(parseFloat(percent || 0) * 100);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const getRegistrationStep = (status) => REGISTRATION_STEPS.findIndex(step => step.status === status) + 1;
+
+// Call onEvent with the data of each server-sent event in a response
+const readEvents = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return;
+
+    buffer += decoder.decode(value, { stream: true });
+    let end;
+    while ((end = buffer.indexOf('\n\n')) >= 0) {
+      const data = buffer.slice(0, end).split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('\n');
+      buffer = buffer.slice(end + 2);
+      if (data) onEvent(JSON.parse(data));
+    }
+  }
+};
+
+/**
+ * Follow a registration job until it is confirmed or fails. Progress is
+ * read from the job's event stream (through fetch, so the token is sent),
+ * falling back to polling its status if the stream is unavailable or drops.
+ * @param {Object} job - 202 response of POST /api/register
+ * @param {Object} options - { authFetch, onStatus(jobStatus) }
+ * @returns {Promise<Object>} Confirmed job status; rejects if the job failed
+ */
+const followRegistration = async (job, { authFetch, onStatus }) => {
+  let current = { status: job.status };
+  const update = (status) => {
+    current = status;
+    onStatus(status);
+  };
+  const isFinished = () => current.status === 'confirmed' || current.status === 'failed';
+
+  try {
+    const response = await authFetch(job.eventsUrl, {
+      headers: { 'Accept': 'text/event-stream' }
+    });
+    if (response.ok && response.body) {
+      await readEvents(response, update);
+    }
+  } catch (error) {
+    console.warn('Registration progress stream interrupted, polling instead:', error.message);
+  }
+
+  while (!isFinished()) {
+    try {
+      const response = await authFetch(job.statusUrl);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status} - ${await response.text()}`);
+      }
+      update(await response.json());
+    } catch (error) {
+      // The job carries on server-side; only give up on requests it rejects
+      if (error instanceof TypeError) {
+        console.warn('Registration status check failed, retrying:', error.message);
+      } else {
+        throw error;
+      }
+    }
+    if (!isFinished()) await sleep(STATUS_POLL_INTERVAL);
+  }
+
+  if (current.status === 'failed') {
+    throw new Error(current.error?.message || 'Registration failed');
+  }
+  return current;
+};
 
 const ContentRegistration = () => {
-  const { account, isConnected, mintAsset, formatBalance, balance } = useWeb3();
+  const { account, isConnected, mintAsset, formatBalance, balance, authFetch } = useWeb3();
   
   const [formData, setFormData] = useState({
     originalCreator: '',
@@ -13,13 +112,18 @@ const ContentRegistration = () => {
     tags: '',
     licenseType: '',
     licensePrice: '',
-    optimize: false
+    optimize: false,
+    royaltyPercent: '',
+    lockRoyaltySplit: false
   });
 
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [isRegistering, setIsRegistering] = useState(false);
   const [registrationStep, setRegistrationStep] = useState(0);
+  const [registeringIndex, setRegisteringIndex] = useState(0);
   const [registrationResult, setRegistrationResult] = useState(null);
+  // Collaborators sharing the royalty: { address, role, share } with share in percent
+  const [contributors, setContributors] = useState([]);
 
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
@@ -33,6 +137,26 @@ const ContentRegistration = () => {
     setSelectedFiles(files);
   };
 
+  const addContributor = () => {
+    setContributors(prev => [
+      ...prev,
+      // The first row defaults to the connected wallet
+      { address: prev.length === 0 ? account || '' : '', role: '', share: prev.length === 0 ? '100' : '' }
+    ]);
+  };
+
+  const updateContributor = (index, field, value) => {
+    setContributors(prev => prev.map((contributor, i) =>
+      i === index ? { ...contributor, [field]: value } : contributor
+    ));
+  };
+
+  const removeContributor = (index) => {
+    setContributors(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const totalShareBasisPoints = contributors.reduce((sum, contributor) => sum + toBasisPoints(contributor.share), 0);
+
   const validateForm = () => {
     if (selectedFiles.length === 0) {
       toast.error('Please select at least one file to register.');
@@ -54,6 +178,36 @@ const ContentRegistration = () => {
       return false;
     }
 
+    const royaltyPercent = parseFloat(formData.royaltyPercent || 0);
+    if (royaltyPercent < 0 || royaltyPercent > MAX_ROYALTY_PERCENT) {
+      toast.error(`Royalty must be between 0 and ${MAX_ROYALTY_PERCENT}%.`);
+      return false;
+    }
+
+    if (contributors.length > 0) {
+      if (royaltyPercent <= 0) {
+        toast.error('Set a royalty to split it between contributors.');
+        return false;
+      }
+      if (contributors.some(contributor => !isAddress(contributor.address.trim()))) {
+        toast.error('Every contributor needs a valid wallet address.');
+        return false;
+      }
+      const addresses = contributors.map(contributor => contributor.address.trim().toLowerCase());
+      if (new Set(addresses).size !== addresses.length) {
+        toast.error('Each contributor wallet can only be listed once.');
+        return false;
+      }
+      if (contributors.some(contributor => toBasisPoints(contributor.share) <= 0)) {
+        toast.error('Every contributor needs a share above 0%.');
+        return false;
+      }
+      if (totalShareBasisPoints !== 10000) {
+        toast.error(`Contributor shares must add up to 100% (currently ${totalShareBasisPoints / 100}%).`);
+        return false;
+      }
+    }
+
     return true;
   };
 
@@ -61,14 +215,14 @@ const ContentRegistration = () => {
     if (!validateForm()) return;
 
     setIsRegistering(true);
-    setRegistrationStep(1);
 
     try {
       const results = [];
 
       for (let i = 0; i < selectedFiles.length; i++) {
         const fileObj = selectedFiles[i];
-        setRegistrationStep(2 + i);
+        setRegisteringIndex(i);
+        setRegistrationStep(getRegistrationStep('uploading'));
 
         // Update file status
         const updatedFiles = selectedFiles.map((f, index) => 
@@ -77,40 +231,51 @@ const ContentRegistration = () => {
         setSelectedFiles(updatedFiles);
 
         try {
-          // Create FormData for API
-          const formDataToSend = new FormData();
-          formDataToSend.append('file', fileObj.file);
-          formDataToSend.append('originalCreator', formData.originalCreator);
-          formDataToSend.append('description', formData.description);
-          
-          // Convert tags string to array
-          const tagsArray = formData.tags ? formData.tags.split(',').map(tag => tag.trim()) : [];
-          formDataToSend.append('tags', JSON.stringify(tagsArray));
-          
-          formDataToSend.append('licenseType', formData.licenseType);
-          formDataToSend.append('licensePrice', formData.licensePrice);
-          formDataToSend.append('optimize', formData.optimize);
-
-          // Register with backend
-          const token = localStorage.getItem('token');
-          if (!token) {
+          if (!localStorage.getItem('token')) {
             throw new Error('Authentication required. Please connect your wallet first.');
           }
 
-          console.log('Sending registration request:', {
+          console.log('Uploading file:', {
             file: fileObj.file.name,
             size: fileObj.file.size,
-            type: fileObj.file.type,
-            token: token ? 'present' : 'missing'
+            type: fileObj.file.type
           });
 
-          const response = await fetch('/api/register', {
+          // Upload in resumable chunks; dropped connections pick up where they left off
+          const { uploadId, clearResume } = await uploadResumable(fileObj.file, {
+            authFetch,
+            onProgress: (progress) => setSelectedFiles(prev => prev.map((f, index) =>
+              index === i ? { ...f, status: 'uploading', progress } : f
+            ))
+          });
+
+          // Convert tags string to array
+          const tagsArray = formData.tags ? formData.tags.split(',').map(tag => tag.trim()) : [];
+
+          // Register the completed upload with backend
+          const response = await authFetch('/api/register', {
             method: 'POST',
             headers: {
-              'Authorization': `Bearer ${token}`
-              // Note: Don't set Content-Type for FormData, let browser set it with boundary
+              'Content-Type': 'application/json'
             },
-            body: formDataToSend
+            body: JSON.stringify({
+              uploadId,
+              originalCreator: formData.originalCreator,
+              description: formData.description,
+              tags: JSON.stringify(tagsArray),
+              licenseType: formData.licenseType,
+              licensePrice: formData.licensePrice,
+              optimize: formData.optimize,
+              royaltyBasisPoints: toBasisPoints(formData.royaltyPercent),
+              ...(contributors.length > 0 && {
+                royaltyContributors: contributors.map(contributor => ({
+                  address: contributor.address.trim(),
+                  shares: toBasisPoints(contributor.share),
+                  role: contributor.role.trim() || undefined
+                })),
+                lockRoyaltySplit: formData.lockRoyaltySplit
+              })
+            })
           });
 
           if (!response.ok) {
@@ -123,10 +288,19 @@ const ContentRegistration = () => {
             throw new Error(`HTTP error! status: ${response.status} - ${errorText}`);
           }
 
-          const result = await response.json();
-          
-          // Debug: Log the response structure
-          console.log('Registration response:', result);
+          const job = await response.json();
+          clearResume();
+          console.log('Registration accepted:', job);
+
+          // The server processes, stores and mints the file; follow it there
+          const status = await followRegistration(job, {
+            authFetch,
+            onStatus: (jobStatus) => {
+              const step = getRegistrationStep(jobStatus.status);
+              if (step > 0) setRegistrationStep(step);
+            }
+          });
+          const { result } = status;
 
           // Update file status to success
           const successFiles = selectedFiles.map((f, index) => 
@@ -179,6 +353,7 @@ const ContentRegistration = () => {
     } finally {
       setIsRegistering(false);
       setRegistrationStep(0);
+      setRegisteringIndex(0);
     }
   };
 
@@ -189,9 +364,12 @@ const ContentRegistration = () => {
       tags: '',
       licenseType: '',
       licensePrice: '',
-      optimize: false
+      optimize: false,
+      royaltyPercent: '',
+      lockRoyaltySplit: false
     });
     setSelectedFiles([]);
+    setContributors([]);
     setRegistrationResult(null);
     setRegistrationStep(0);
   };
@@ -262,6 +440,7 @@ const ContentRegistration = () => {
                 onFileSelect={handleFileSelect}
                 selectedFiles={selectedFiles}
                 maxFiles={10}
+                maxSize={10 * 1024 * 1024 * 1024}
                 acceptedTypes={{
                   'image/*': ['.jpg', '.jpeg', '.png', '.gif', '.webp'],
                   'video/*': ['.mp4', '.mov', '.avi', '.mkv'],
@@ -278,10 +457,9 @@ const ContentRegistration = () => {
                   <div className="flex items-center">
                     <div className="loading-spinner mr-3"></div>
                     <span className="text-gray-700">
-                      Step {registrationStep}: {
-                        registrationStep === 1 ? 'Preparing files...' :
-                        registrationStep === 2 ? 'Uploading to IPFS...' :
-                        `Registering file ${registrationStep - 1}...`
+                      {selectedFiles.length > 1 && `File ${registeringIndex + 1} of ${selectedFiles.length}, `}
+                      Step {registrationStep} of {REGISTRATION_STEPS.length}: {
+                        REGISTRATION_STEPS[registrationStep - 1]?.label || 'Preparing files...'
                       }
                     </span>
                   </div>
@@ -289,7 +467,7 @@ const ContentRegistration = () => {
                     <div 
                       className="bg-gradient-to-r from-blue-600 to-purple-600 h-2 rounded-full transition-all duration-300"
                       style={{ 
-                        width: `${Math.min(100, (registrationStep / (selectedFiles.length + 1)) * 100)}%` 
+                        width: `${Math.min(100, ((registeringIndex + registrationStep / REGISTRATION_STEPS.length) / selectedFiles.length) * 100)}%` 
                       }}
                     ></div>
                   </div>
@@ -412,6 +590,123 @@ const ContentRegistration = () => {
               </div>
             </div>
 
+            {/* Royalties */}
+            <div className="card-modern animate-slide-right">
+              <h2 className="text-2xl font-bold text-gray-900 mb-6 flex items-center">
+                <FiUsers className="w-6 h-6 mr-3 text-gradient-purple" />
+                Royalties &amp; Contributors
+              </h2>
+
+              <div className="space-y-6">
+                {/* Royalty */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2 flex items-center">
+                    <FiDollarSign className="w-4 h-4 mr-2" />
+                    Royalty (%)
+                  </label>
+                  <input
+                    type="number"
+                    name="royaltyPercent"
+                    value={formData.royaltyPercent}
+                    onChange={handleInputChange}
+                    step="0.01"
+                    min="0"
+                    max={MAX_ROYALTY_PERCENT}
+                    className="input-modern focus-modern"
+                    placeholder="5"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Paid on resales and license purchases, up to {MAX_ROYALTY_PERCENT}%. Without contributors it goes to your wallet.
+                  </p>
+                </div>
+
+                {/* Contributors */}
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <label className="block text-sm font-medium text-gray-700 flex items-center">
+                      <FiUsers className="w-4 h-4 mr-2" />
+                      Contributors
+                    </label>
+                    <button
+                      type="button"
+                      onClick={addContributor}
+                      disabled={contributors.length >= MAX_CONTRIBUTORS}
+                      className="btn-modern hover-scale text-sm flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <FiPlus className="w-4 h-4 mr-1" />
+                      Add contributor
+                    </button>
+                  </div>
+
+                  {contributors.length === 0 ? (
+                    <p className="text-xs text-gray-500">
+                      Add the photographer, editor, composer and other collaborators to split the royalty between them.
+                    </p>
+                  ) : (
+                    <div className="space-y-3">
+                      {contributors.map((contributor, index) => (
+                        <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                          <input
+                            type="text"
+                            value={contributor.address}
+                            onChange={(e) => updateContributor(index, 'address', e.target.value)}
+                            className="input-modern focus-modern col-span-6 font-mono text-xs"
+                            placeholder="0x... wallet address"
+                          />
+                          <input
+                            type="text"
+                            value={contributor.role}
+                            onChange={(e) => updateContributor(index, 'role', e.target.value)}
+                            className="input-modern focus-modern col-span-3"
+                            placeholder="Role"
+                          />
+                          <input
+                            type="number"
+                            value={contributor.share}
+                            onChange={(e) => updateContributor(index, 'share', e.target.value)}
+                            step="0.01"
+                            min="0"
+                            max="100"
+                            className="input-modern focus-modern col-span-2"
+                            placeholder="%"
+                          />
+                          <button
+                            type="button"
+                            onClick={() => removeContributor(index)}
+                            className="col-span-1 text-red-500 hover:text-red-700 flex justify-center"
+                            title="Remove contributor"
+                          >
+                            <FiTrash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      ))}
+                      <p className={`text-xs ${totalShareBasisPoints === 10000 ? 'text-green-600' : 'text-red-600'}`}>
+                        Shares total {totalShareBasisPoints / 100}% of the royalty (must be 100%)
+                      </p>
+                    </div>
+                  )}
+                </div>
+
+                {/* Lock */}
+                {contributors.length > 0 && (
+                  <div className="flex items-center">
+                    <input
+                      type="checkbox"
+                      name="lockRoyaltySplit"
+                      id="lockRoyaltySplit"
+                      checked={formData.lockRoyaltySplit}
+                      onChange={handleInputChange}
+                      className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500 focus:ring-2"
+                    />
+                    <label htmlFor="lockRoyaltySplit" className="ml-2 text-sm font-medium text-gray-700 flex items-center">
+                      <FiLock className="w-4 h-4 mr-2" />
+                      Lock the split so it can never be changed
+                    </label>
+                  </div>
+                )}
+              </div>
+            </div>
+
             {/* Action Buttons */}
             <div className="card-modern animate-slide-up">
               <div className="flex flex-col sm:flex-row gap-4">
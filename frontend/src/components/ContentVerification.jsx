@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { useWeb3 } from './Web3Provider';
 import FileUpload from './FileUpload';
+import LicenseOffers from './LicenseOffers';
 import { toast } from 'react-hot-toast';
 import { FiSearch, FiCheck, FiX, FiAlertCircle, FiInfo, FiShield, FiEye, FiHash, FiUpload } from 'react-icons/fi';
 
@@ -288,7 +289,7 @@ const ContentVerification = () => {
                     value={hashInput}
                     onChange={handleHashInputChange}
                     className="input-modern focus-modern"
-                    placeholder="QmXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXX"
+                    placeholder="bafy... / bafk... (CIDv1) or Qm... (CIDv0)"
                   />
                   <p className="text-sm text-gray-500 mt-2">
                     Enter the IPFS hash you want to verify on the blockchain
@@ -502,6 +503,10 @@ const ContentVerification = () => {
                       </div>
                     )}
 
+                    {result.assetDetails?.tokenId && (
+                      <LicenseOffers tokenId={result.assetDetails.tokenId} network={result.assetDetails.network} />
+                    )}
+
                     {result.error && (
                       <div className="bg-white/50 rounded-xl p-4">
                         <h5 className="font-semibold text-red-800 mb-2">Error Details</h5>
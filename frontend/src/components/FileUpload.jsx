@@ -1,8 +1,125 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import { useDropzone } from 'react-dropzone';
 import { FiUpload, FiX, FiImage, FiVideo, FiMusic, FiFile, FiCheck, FiAlertCircle } from 'react-icons/fi';
 import { toast } from 'react-hot-toast';
 
+const TUS_VERSION = '1.0.0';
+const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024; // 8MB
+const RETRY_DELAYS = [1000, 3000, 5000, 10000, 20000];
+
+const NO_FILES = [];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const waitUntilOnline = () => (navigator.onLine
+  ? Promise.resolve()
+  : new Promise(resolve => window.addEventListener('online', resolve, { once: true })));
+
+// Same file, same resume entry, even after a page reload
+const getResumeKey = (file) => `upload:${file.name}:${file.size}:${file.lastModified}`;
+
+const encodeUploadMetadata = (metadata) => Object.entries(metadata)
+  .map(([key, value]) => `${key} ${btoa(unescape(encodeURIComponent(value)))}`)
+  .join(',');
+
+const uploadError = async (response, permanent) => {
+  const error = new Error(`HTTP error! status: ${response.status} - ${await response.text()}`);
+  error.permanent = permanent;
+  return error;
+};
+
+/**
+ * Upload a file through the resumable upload API, resuming automatically
+ * after dropped connections or a page reload.
+ * @param {File} file - File to upload
+ * @param {Object} options - { authFetch, onProgress(fraction) }; authFetch is the
+ *   Web3Provider's, which sends the current access token with every request
+ * @returns {Promise<Object>} { uploadId, clearResume } - call clearResume once the upload is registered
+ */
+export const uploadResumable = async (file, { authFetch, onProgress } = {}) => {
+  const headers = {
+    'Tus-Resumable': TUS_VERSION
+  };
+  const resumeKey = getResumeKey(file);
+  let uploadUrl = localStorage.getItem(resumeKey);
+  let offset = null;
+  let attempt = 0;
+
+  for (;;) {
+    try {
+      // Ask the server where to continue from
+      if (uploadUrl && offset === null) {
+        const head = await authFetch(uploadUrl, { method: 'HEAD', headers });
+        if (head.ok) {
+          offset = Number(head.headers.get('Upload-Offset'));
+        } else if (head.status === 404 || head.status === 410) {
+          localStorage.removeItem(resumeKey);
+          uploadUrl = null;
+        } else {
+          throw await uploadError(head, head.status < 500);
+        }
+      }
+
+      if (!uploadUrl) {
+        const created = await authFetch('/api/uploads', {
+          method: 'POST',
+          headers: {
+            ...headers,
+            'Upload-Length': String(file.size),
+            'Upload-Metadata': encodeUploadMetadata({ filename: file.name, filetype: file.type })
+          }
+        });
+        if (!created.ok) {
+          throw await uploadError(created, created.status < 500);
+        }
+        uploadUrl = created.headers.get('Location');
+        offset = 0;
+        localStorage.setItem(resumeKey, uploadUrl);
+      }
+
+      if (onProgress) onProgress(file.size ? offset / file.size : 1);
+
+      while (offset < file.size) {
+        const response = await authFetch(uploadUrl, {
+          method: 'PATCH',
+          headers: {
+            ...headers,
+            'Upload-Offset': String(offset),
+            'Content-Type': 'application/offset+octet-stream'
+          },
+          body: file.slice(offset, offset + UPLOAD_CHUNK_SIZE)
+        });
+
+        if (response.status === 409) {
+          // Out of sync with the server, e.g. after a retried chunk was partly written
+          offset = Number(response.headers.get('Upload-Offset'));
+          continue;
+        }
+        if (!response.ok) {
+          throw await uploadError(response, response.status < 500 && response.status !== 423);
+        }
+
+        offset = Number(response.headers.get('Upload-Offset'));
+        attempt = 0;
+        if (onProgress) onProgress(offset / file.size);
+      }
+
+      return {
+        uploadId: uploadUrl.split('/').pop(),
+        clearResume: () => localStorage.removeItem(resumeKey)
+      };
+    } catch (error) {
+      if (error.permanent || attempt >= RETRY_DELAYS.length) {
+        throw error;
+      }
+      console.warn(`Upload of ${file.name} interrupted, resuming:`, error.message);
+      await waitUntilOnline();
+      await sleep(RETRY_DELAYS[attempt++]);
+      offset = null;
+    }
+  }
+};
+
 const FileUpload = ({ 
   onFileSelect, 
   maxSize = 100 * 1024 * 1024, 
@@ -12,10 +129,15 @@ const FileUpload = ({
     'video/*': ['.mp4', '.avi', '.mov', '.wmv', '.flv', '.webm'],
     'audio/*': ['.mp3', '.wav', '.flac', '.ogg', '.aac', '.m4a']
   },
-  selectedFiles = []
+  selectedFiles = NO_FILES
 }) => {
   const [files, setFiles] = useState(selectedFiles);
 
+  // Pick up status and progress updates made by the parent while uploading
+  useEffect(() => {
+    setFiles(selectedFiles);
+  }, [selectedFiles]);
+
   const onDrop = useCallback((acceptedFiles, rejectedFiles) => {
     // Handle rejected files
     if (rejectedFiles.length > 0) {
@@ -268,6 +390,15 @@ const FileUpload = ({
                       )}
                     </div>
                     
+                    {fileObj.status === 'uploading' && fileObj.progress !== undefined && (
+                      <div className="w-full bg-blue-200 rounded-full h-1.5 mt-2">
+                        <div
+                          className="bg-gradient-to-r from-blue-600 to-purple-600 h-1.5 rounded-full transition-all duration-300"
+                          style={{ width: `${Math.round(fileObj.progress * 100)}%` }}
+                        ></div>
+                      </div>
+                    )}
+
                     {fileObj.error && (
                       <p className="text-red-600 text-sm mt-1">{fileObj.error}</p>
                     )}
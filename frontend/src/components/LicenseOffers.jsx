@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { useWeb3 } from './Web3Provider';
+import { toast } from 'react-hot-toast';
+import { FiShoppingCart, FiClock, FiUsers, FiFileText, FiLock } from 'react-icons/fi';
+
+const DAY = 24 * 60 * 60;
+
+const formatDuration = (seconds) => {
+  const days = Math.round(Number(seconds) / DAY);
+  if (days >= 365 && days % 365 === 0) return `${days / 365} year${days === 365 ? '' : 's'}`;
+  if (days >= 1) return `${days} day${days === 1 ? '' : 's'}`;
+  return `${Math.round(Number(seconds) / 3600)} hours`;
+};
+
+// Offers listed for an asset on the licensing contract, each buyable by any
+// connected wallet. Token IDs are only unique per network, so the asset's
+// network is sent along
+const LicenseOffers = ({ tokenId, network }) => {
+  const { account, isConnected, contracts, purchaseLicense } = useWeb3();
+  const [offers, setOffers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [purchasing, setPurchasing] = useState(null);
+
+  const loadOffers = async () => {
+    try {
+      const query = network ? `?chain=${encodeURIComponent(network)}` : '';
+      const response = await fetch(`/api/assets/${tokenId}/offers${query}`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      setOffers(data.offers.filter(offer => offer.isActive));
+    } catch (error) {
+      console.error('Failed to load license offers:', error);
+      setOffers([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setLoading(true);
+    loadOffers();
+  }, [tokenId, network]);
+
+  const handlePurchase = async (offer) => {
+    if (!isConnected) {
+      toast.error('Please connect your wallet first.');
+      return;
+    }
+
+    setPurchasing(offer.offerIndex);
+    try {
+      const receipt = await purchaseLicense(tokenId, offer.offerIndex, ethers.parseEther(offer.price));
+      // The license token is the buyer's proof of the license
+      const minted = receipt.logs
+        .map(log => contracts.licensingContract.interface.parseLog(log))
+        .find(event => event && event.name === 'LicenseTokenMinted');
+      toast.success(minted
+        ? `Purchased a ${offer.licenseType} license for ${formatDuration(offer.duration)}: license token #${minted.args.licenseTokenId}`
+        : `Purchased a ${offer.licenseType} license for ${formatDuration(offer.duration)}`);
+      await loadOffers();
+    } catch (error) {
+      console.error('License purchase failed:', error);
+      toast.error(error.reason || error.shortMessage || 'License purchase failed');
+    } finally {
+      setPurchasing(null);
+    }
+  };
+
+  if (loading || offers.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white/50 rounded-xl p-4 space-y-3">
+      <h5 className="font-semibold text-gray-900 mb-3">License Offers</h5>
+      {offers.map((offer) => {
+        const ownOffer = account && offer.licensor && offer.licensor.toLowerCase() === account.toLowerCase();
+        return (
+          <div key={offer.offerIndex} className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 p-3 rounded-lg border border-gray-200">
+            <div className="space-y-1 text-sm">
+              <p className="font-medium text-gray-900 capitalize">{offer.licenseType}</p>
+              <div className="flex flex-wrap gap-4 text-gray-600">
+                <span className="flex items-center"><FiClock className="w-4 h-4 mr-1" />{formatDuration(offer.duration)}</span>
+                <span className="flex items-center">
+                  <FiUsers className="w-4 h-4 mr-1" />
+                  {offer.seatsRemaining === null ? 'Unlimited seats' : `${offer.seatsRemaining} of ${offer.maxSeats} seats left`}
+                </span>
+                {offer.soulbound && (
+                  <span className="flex items-center" title="The license token cannot be transferred">
+                    <FiLock className="w-4 h-4 mr-1" />Non-transferable
+                  </span>
+                )}
+                {offer.termsURI && (
+                  <a href={offer.termsURI} target="_blank" rel="noopener noreferrer" className="flex items-center text-blue-600 hover:text-blue-800 underline">
+                    <FiFileText className="w-4 h-4 mr-1" />Terms
+                  </a>
+                )}
+              </div>
+            </div>
+            <button
+              onClick={() => handlePurchase(offer)}
+              disabled={!offer.isAvailable || ownOffer || purchasing !== null}
+              className="btn-primary flex items-center justify-center disabled:opacity-50"
+            >
+              <FiShoppingCart className="w-4 h-4 mr-2" />
+              {purchasing === offer.offerIndex
+                ? 'Purchasing...'
+                : !offer.isAvailable ? 'Sold out' : `Buy for ${offer.price} ETH`}
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default LicenseOffers;
@@ -3,8 +3,9 @@ import { useWeb3 } from './Web3Provider';
 import { toast } from 'react-hot-toast';
 import { FiImage, FiVideo, FiMusic, FiFile, FiEye, FiDownload, FiShare, FiInfo, FiClock, FiUser, FiTag, FiGrid, FiList, FiFilter, FiSearch, FiX } from 'react-icons/fi';
 
-// Component to handle image loading with authentication
-const ImageWithFallback = ({ tokenId, alt, className }) => {
+// Component to handle image loading with authentication. Token IDs are only
+// unique per network, so the asset's network is sent along
+const ImageWithFallback = ({ tokenId, network, alt, className }) => {
   const [imageSrc, setImageSrc] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(false);
@@ -19,7 +20,8 @@ const ImageWithFallback = ({ tokenId, alt, className }) => {
         const token = localStorage.getItem('token');
         console.log('Token for image request:', !!token);
         
-        const response = await fetch(`/api/assets/${tokenId}/file`, {
+        const query = network ? `?chain=${encodeURIComponent(network)}` : '';
+        const response = await fetch(`/api/assets/${tokenId}/file${query}`, {
           headers: token ? { 'Authorization': `Bearer ${token}` } : {}
         });
         
@@ -70,7 +72,7 @@ const ImageWithFallback = ({ tokenId, alt, className }) => {
         URL.revokeObjectURL(currentBlobUrl);
       }
     };
-  }, [tokenId]);
+  }, [tokenId, network]);
 
   if (loading) {
     return (
@@ -546,6 +548,7 @@ const NFTGallery = () => {
                         <div className="w-full h-full relative">
                           <ImageWithFallback
                             tokenId={nft.tokenId}
+                            network={nft.network}
                             alt={nft.metadata?.description || 'NFT'}
                             className="w-full h-full object-cover absolute inset-0"
                           />
@@ -691,6 +694,7 @@ const NFTGallery = () => {
                         <div className="w-full h-full relative">
                           <ImageWithFallback
                             tokenId={selectedNFT.tokenId}
+                            network={selectedNFT.network}
                             alt={selectedNFT.metadata?.description || 'NFT'}
                             className="w-full h-full object-cover rounded-2xl absolute inset-0"
                           />
@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useEffect, useState } from 'react';
+import React, { createContext, useContext, useEffect, useRef, useState } from 'react';
 import { ethers } from 'ethers';
 import { Web3Modal } from '@web3modal/react';
 import { WagmiConfig, createConfig, configureChains } from 'wagmi';
@@ -20,6 +20,27 @@ import LicensingContractABI from '../contracts/LicensingContract.json';
 
 const Web3Context = createContext();
 
+// Format a Sign-In with Ethereum (EIP-4361) message
+const createSiweMessage = ({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) => [
+  `${domain} wants you to sign in with your Ethereum account:`,
+  address,
+  '',
+  statement,
+  '',
+  `URI: ${uri}`,
+  'Version: 1',
+  `Chain ID: ${chainId}`,
+  `Nonce: ${nonce}`,
+  `Issued At: ${issuedAt}`,
+  `Expiration Time: ${expirationTime}`
+].join('\n');
+
+// Run task while holding a lock every tab of the app shares, where the
+// browser has Web Locks
+const withSessionLock = task => (navigator.locks
+  ? navigator.locks.request('multimedia-auth-session', task)
+  : task());
+
 export const useWeb3 = () => {
   const context = useContext(Web3Context);
   if (!context) {
@@ -73,6 +94,7 @@ export const Web3Provider = ({ children }) => {
   const [isConnected, setIsConnected] = useState(false);
   const [network, setNetwork] = useState(null);
   const [balance, setBalance] = useState('0');
+  const refreshTimer = useRef(null);
 
   // Contract addresses with fallbacks
   const CONTRACT_ADDRESSES = {
@@ -249,8 +271,8 @@ export const Web3Provider = ({ children }) => {
           console.error('Authentication failed:', error);
           // Don't set isConnected to false, but show a warning
           toast.warning('Wallet connected but authentication failed. You can retry authentication later.');
-          // Clear any existing token
-          localStorage.removeItem('token');
+          // Clear any existing session
+          clearSession();
         }
 
         // Listen for account changes
@@ -288,8 +310,24 @@ export const Web3Provider = ({ children }) => {
   const authenticateWithBackend = async (address, signer) => {
     try {
       console.log('Starting authentication for address:', address);
-      const nonce = Date.now().toString();
-      const message = `Authenticate to Multimedia Auth dApp\n\nNonce: ${nonce}\nAddress: ${address}\nTimestamp: ${new Date().toISOString()}`;
+      // Sign-In with Ethereum (EIP-4361): the backend issues a single-use nonce
+      const nonceResponse = await fetch('/api/auth/nonce', { cache: 'no-store' });
+      if (!nonceResponse.ok) {
+        throw new Error(`Failed to get a sign-in nonce: ${nonceResponse.status}`);
+      }
+      const { nonce, expiresAt } = await nonceResponse.json();
+
+      const { chainId } = await signer.provider.getNetwork();
+      const message = createSiweMessage({
+        domain: window.location.host,
+        address: ethers.getAddress(address),
+        statement: 'Sign in to Multimedia Auth dApp',
+        uri: window.location.origin,
+        chainId: chainId.toString(),
+        nonce,
+        issuedAt: new Date().toISOString(),
+        expirationTime: expiresAt
+      });
       
       console.log('Requesting signature for message:', message);
       const signature = await signer.signMessage(message);
@@ -298,8 +336,7 @@ export const Web3Provider = ({ children }) => {
       const authData = {
         address,
         signature,
-        message,
-        nonce
+        message
       };
       
       console.log('Sending authentication request to /api/auth/login');
@@ -321,7 +358,7 @@ export const Web3Provider = ({ children }) => {
 
       const result = await response.json();
       console.log('Authentication successful, received token');
-      localStorage.setItem('token', result.token);
+      storeSession(result);
       
       return result.token;
     } catch (error) {
@@ -330,6 +367,131 @@ export const Web3Provider = ({ children }) => {
     }
   };
 
+  // Keep the short-lived access token and the single-use refresh token, and
+  // renew them shortly before the access token expires
+  const storeSession = ({ token, refreshToken, expiresIn }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    localStorage.setItem('tokenExpiresAt', String(Date.now() + expiresIn * 1000));
+    scheduleRefresh();
+  };
+
+  // Tabs share the stored session, so a timer finding it renewed by another
+  // tab only waits for the new expiry
+  const scheduleRefresh = () => {
+    const expiresAt = Number(localStorage.getItem('tokenExpiresAt')) || Date.now();
+    clearTimeout(refreshTimer.current);
+    refreshTimer.current = setTimeout(() => {
+      if (Number(localStorage.getItem('tokenExpiresAt')) > expiresAt) {
+        scheduleRefresh();
+      } else {
+        refreshSession();
+      }
+    }, Math.max((expiresAt - Date.now()) * 0.8, 5000));
+  };
+
+  const clearSession = () => {
+    clearTimeout(refreshTimer.current);
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('tokenExpiresAt');
+  };
+
+  // Exchange the refresh token for new tokens; returns the access token.
+  // The server ends the whole session when a refresh token is used twice,
+  // so tabs refresh one at a time, and a tab whose token another tab
+  // renewed while it waited adopts the new one
+  const refreshSession = async () => {
+    const seen = localStorage.getItem('refreshToken');
+    if (!seen) {
+      return null;
+    }
+
+    return withSessionLock(async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) {
+        return null;
+      }
+      if (refreshToken !== seen) {
+        scheduleRefresh();
+        return localStorage.getItem('token');
+      }
+      return exchangeRefreshToken(refreshToken);
+    });
+  };
+
+  const exchangeRefreshToken = async (refreshToken) => {
+    try {
+      const response = await fetch('/api/auth/refresh', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ refreshToken })
+      });
+
+      if (response.status === 400 || response.status === 401) {
+        // Revoked, expired or already used: sign in again
+        console.warn('Session ended, signing in again is required');
+        clearSession();
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error(`Session refresh failed: ${response.status}`);
+      }
+
+      const result = await response.json();
+      storeSession(result);
+      return result.token;
+    } catch (error) {
+      // Keep the refresh token and try again shortly
+      console.warn('Session refresh failed:', error.message);
+      clearTimeout(refreshTimer.current);
+      refreshTimer.current = setTimeout(refreshSession, 30000);
+      return null;
+    }
+  };
+
+  // fetch with the stored access token. The token is renewed in the
+  // background, so it is read for every request; one that expired before
+  // its renewal answers 401, and the request is sent again once renewed
+  const authFetch = async (url, options = {}) => {
+    const send = token => fetch(url, {
+      ...options,
+      headers: { ...options.headers, 'Authorization': `Bearer ${token}` }
+    });
+
+    const sent = localStorage.getItem('token');
+    const response = await send(sent);
+    if (response.status !== 401) {
+      return response;
+    }
+    const stored = localStorage.getItem('token');
+    const token = stored && stored !== sent ? stored : await refreshSession();
+    return token ? send(token) : response;
+  };
+
+  // Revoke every session of this wallet, on all devices
+  const logoutAllSessions = async () => {
+    if (!localStorage.getItem('token')) {
+      toast.error('Not signed in');
+      return;
+    }
+
+    try {
+      const response = await authFetch('/api/auth/logout-all', { method: 'POST' });
+      if (!response.ok) {
+        throw new Error(`Logout failed: ${response.status}`);
+      }
+      const result = await response.json();
+      clearSession();
+      toast.success(result.message);
+    } catch (error) {
+      console.error('Logout all sessions failed:', error);
+      toast.error(error.message);
+    }
+  };
+
   // Manual authentication function for retry
   const retryAuthentication = async () => {
     if (!account || !signer) {
@@ -359,8 +521,17 @@ export const Web3Provider = ({ children }) => {
     setNetwork(null);
     setBalance('0');
 
-    // Clear authentication token
-    localStorage.removeItem('token');
+    // End the session on the server too
+    const token = localStorage.getItem('token');
+    if (token) {
+      fetch('/api/auth/logout', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      }).catch(error => console.warn('Logout request failed:', error.message));
+    }
+    clearSession();
 
     // Remove event listeners
     if (window.ethereum) {
@@ -490,8 +661,8 @@ export const Web3Provider = ({ children }) => {
             setBalance('0');
           }
           
-          // Check if we have a valid token, if not, try to authenticate
-          const existingToken = localStorage.getItem('token');
+          // Resume the session if there is one, if not, try to authenticate
+          const existingToken = await refreshSession();
           if (!existingToken && signer) {
             console.log('No existing token found, attempting authentication...');
             try {
@@ -502,7 +673,7 @@ export const Web3Provider = ({ children }) => {
               // Don't show error toast during auto-check, user can manually retry
             }
           } else {
-            console.log('Existing token found or no signer available');
+            console.log('Session resumed or no signer available');
           }
           
           console.log('Wallet connected:', accounts[0]);
@@ -583,13 +754,14 @@ export const Web3Provider = ({ children }) => {
     }
   };
 
-  const purchaseLicense = async (tokenId, price) => {
+  // Buy a seat of a LicensingContract offer; price is the offer price in wei
+  const purchaseLicense = async (tokenId, offerIndex, price) => {
     try {
-      if (!contracts.multimediaNFT) {
+      if (!contracts.licensingContract) {
         throw new Error('Contract not initialized');
       }
 
-      const tx = await contracts.multimediaNFT.purchaseLicense(tokenId, {
+      const tx = await contracts.licensingContract.purchaseOffer(tokenId, offerIndex, {
         value: price,
       });
 
@@ -798,7 +970,7 @@ export const Web3Provider = ({ children }) => {
       setIsConnected(false);
       setNetwork(null);
       setBalance('0');
-      localStorage.removeItem('token');
+      clearSession();
 
       // Remove event listeners
       if (window.ethereum) {
@@ -846,6 +1018,9 @@ export const Web3Provider = ({ children }) => {
     connectWallet,
     disconnectWallet,
     retryAuthentication,
+    refreshSession,
+    authFetch,
+    logoutAllSessions,
     getConnectionStatus,
     clearMetaMaskState,
     refreshConnection,